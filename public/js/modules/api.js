@@ -16,9 +16,12 @@ class ApiService {
    * @param {number} page - Page number for pagination
    * @param {number} pageSize - Number of items per page
    * @param {Object} structuredParams - Structured search parameters (optional)
+   * @param {Object} crawlOptions - app-ads.txt crawl options, e.g. { followSubdomains, verifySellers, country, bundleCountries, enrichMetadata, skipCache } (optional)
+   * @param {string} lastEventId - Streaming only: ID of the last result received, to continue a dropped event stream (optional)
+   * @param {string} runId - Streaming only: X-Stream-Run-Id of the dropped event stream, sent with lastEventId to continue the same run (optional)
    * @returns {Promise<Object>} - API response
    */
-  async extractDomains(bundleIds, searchTerms = [], page = 1, pageSize = 20, structuredParams = null) {
+  async extractDomains(bundleIds, searchTerms = [], page = 1, pageSize = 20, structuredParams = null, crawlOptions = {}, lastEventId = null, runId = null) {
     try {
       // Increase fetch timeout with AbortController
       const controller = new AbortController();
@@ -62,21 +65,36 @@ class ApiService {
           }));
         }
         
+        // Results arrive as Server-Sent Events; Last-Event-ID continues after the last result received
+        const headers = {
+          'Content-Type': 'application/json',
+          'Accept': 'text/event-stream',
+          'Cache-Control': 'no-cache, no-store, must-revalidate',
+          'Pragma': 'no-cache'
+        };
+        if (lastEventId !== null) {
+          headers['Last-Event-ID'] = lastEventId;
+          if (runId) {
+            headers['X-Stream-Run-Id'] = runId;
+          }
+        }
+        
         const response = await fetch(`/api/stream/extract-multiple?_=${cacheBuster}`, {
           method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Accept': 'application/json',
-            'Cache-Control': 'no-cache, no-store, must-revalidate',
-            'Pragma': 'no-cache'
-          },
+          headers,
           body: JSON.stringify({ 
             bundleIds, 
             searchTerms: finalSearchTerms,
             page,
             pageSize,
             structuredParams: finalStructuredParams,
-            fullAnalysis: true
+            fullAnalysis: true,
+            followSubdomains: crawlOptions?.followSubdomains === true,
+            verifySellers: crawlOptions?.verifySellers === true,
+            country: crawlOptions?.country || undefined,
+            bundleCountries: crawlOptions?.bundleCountries || undefined,
+            enrichMetadata: crawlOptions?.enrichMetadata === true,
+            skipCache: crawlOptions?.skipCache === true
           }),
           signal: controller.signal
         });
@@ -134,7 +152,13 @@ class ApiService {
           page,
           pageSize,
           structuredParams: finalStructuredParams,
-          fullAnalysis: true
+          fullAnalysis: true,
+          followSubdomains: crawlOptions?.followSubdomains === true,
+          verifySellers: crawlOptions?.verifySellers === true,
+          country: crawlOptions?.country || undefined,
+          bundleCountries: crawlOptions?.bundleCountries || undefined,
+          enrichMetadata: crawlOptions?.enrichMetadata === true,
+          skipCache: crawlOptions?.skipCache === true
         }),
         signal: controller.signal
       });
@@ -241,7 +265,7 @@ class ApiService {
   /**
    * Perform structured search on app-ads.txt
    * @param {string} domain - Domain to check
-   * @param {Object} query - Structured query (domain, publisherId, relationship, tagId)
+   * @param {Object} query - Structured query (domain, publisherId, relationship, tagId, variable, value)
    * @returns {Promise<Object>} - API response with structured matches
    */
   async structuredSearch(domain, query) {
@@ -272,6 +296,191 @@ class ApiService {
     }
   }
   
+  /**
+   * Lint an app-ads.txt file against the IAB specification
+   * @param {Object} source - Either { domain } to fetch the file or { content } to lint raw text
+   * @param {number} maxDiagnostics - Maximum number of diagnostics to return
+   * @returns {Promise<Object>} - API response with lint report
+   */
+  async lintAppAdsTxt(source, maxDiagnostics = 1000) {
+    try {
+      const response = await fetch('/api/lint', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json'
+        },
+        body: JSON.stringify({ ...source, maxDiagnostics })
+      });
+      
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || `Server error: ${response.status} ${response.statusText}`);
+      }
+      
+      return await response.json();
+    } catch (err) {
+      console.error('App-ads.txt lint failed:', err);
+      throw err;
+    }
+  }
+  
+  /**
+   * Extract de-duplicated bundle IDs from an OpenRTB bid request JSONL file
+   * @param {Blob|string} content - JSONL file or text
+   * @returns {Promise<Object>} - Bundles with request counts and import stats
+   */
+  async importBidRequests(content) {
+    try {
+      const response = await fetch('/api/import-bid-requests', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/x-ndjson',
+          'Accept': 'application/json'
+        },
+        body: content
+      });
+      
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || `Server error: ${response.status} ${response.statusText}`);
+      }
+      
+      return await response.json();
+    } catch (err) {
+      console.error('Bid request import failed:', err);
+      throw err;
+    }
+  }
+  
+  /**
+   * List the apps published by an app's developer
+   * @param {string} bundleId - App bundle ID, store URL or store:id
+   * @param {string} country - Storefront country code (optional)
+   * @returns {Promise<Object>} - API response with the developer's bundle IDs
+   */
+  async getDeveloperPortfolio(bundleId, country = null) {
+    try {
+      const response = await fetch('/api/developer-portfolio', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json'
+        },
+        body: JSON.stringify({ bundleId, country: country || undefined })
+      });
+      
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || `Server error: ${response.status} ${response.statusText}`);
+      }
+      
+      return await response.json();
+    } catch (err) {
+      console.error('Developer portfolio lookup failed:', err);
+      throw err;
+    }
+  }
+  
+  /**
+   * Link extraction results into cross-store app families
+   * @param {Object[]} results - Extraction results
+   * @returns {Promise<Object>} - Response with appFamilies
+   */
+  async getAppFamilies(results) {
+    try {
+      // Send only the fields the linking pass reads
+      const linkResults = results.map(result => ({
+        bundleId: result.bundleId,
+        storeType: result.storeType,
+        success: result.success,
+        domain: result.domain,
+        developerUrl: result.developerUrl,
+        developerUrlClass: result.developerUrlClass,
+        appAdsTxt: { exists: !!result.appAdsTxt?.exists },
+        metadata: result.metadata
+          ? { title: result.metadata.title, developerName: result.metadata.developerName }
+          : undefined
+      }));
+      
+      const response = await fetch('/api/app-families', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json'
+        },
+        body: JSON.stringify({ results: linkResults })
+      });
+      
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || `Server error: ${response.status} ${response.statusText}`);
+      }
+      
+      return await response.json();
+    } catch (err) {
+      console.error('App family linking failed:', err);
+      throw err;
+    }
+  }
+  
+  /**
+   * Validate an OpenRTB supply chain for an app
+   * @param {string} bundleId - App bundle ID
+   * @param {Object|string} schain - source.ext.schain object or its JSON text
+   * @returns {Promise<Object>} - Supply chain report
+   */
+  async validateSchain(bundleId, schain) {
+    try {
+      const response = await fetch('/api/validate-schain', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json'
+        },
+        body: JSON.stringify({ bundleId, schain })
+      });
+      
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || `Server error: ${response.status} ${response.statusText}`);
+      }
+      
+      return await response.json();
+    } catch (err) {
+      console.error('Supply chain validation failed:', err);
+      throw err;
+    }
+  }
+  
+  /**
+   * Pause, resume or cancel a streaming extraction on the server
+   * @param {string} runId - Run ID from the X-Stream-Run-Id header of the stream response
+   * @param {string} action - 'pause', 'resume' or 'cancel'
+   * @returns {Promise<Object>} - Response with the run state
+   */
+  async controlStreamRun(runId, action) {
+    try {
+      const path = `/api/stream/runs/${encodeURIComponent(runId)}`;
+      const response = await fetch(action === 'cancel' ? path : `${path}/${action}`, {
+        method: action === 'cancel' ? 'DELETE' : 'POST',
+        headers: {
+          'Accept': 'application/json'
+        }
+      });
+      
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || `Server error: ${response.status} ${response.statusText}`);
+      }
+      
+      return await response.json();
+    } catch (err) {
+      console.error(`Failed to ${action} stream run:`, err);
+      throw err;
+    }
+  }
+  
   /**
    * Get application statistics
    * @returns {Promise<Object>} - Server stats
@@ -21,6 +21,7 @@ class AppStateManager {
     this.searchTerms = []; // Legacy - will be removed
     this.searchParams = null; // New unified search parameters
     this.pageSize = 20;
+    this.bundleCounts = null; // Bid request counts per bundle ID from an OpenRTB import
     
     // Event listeners
     this.listeners = {
@@ -193,6 +194,16 @@ class AppStateManager {
     }
   }
   
+  /**
+   * Set bid request counts for imported bundle IDs
+   * @param {Object[]|null} bundles - Imported bundles ({ bundleId, count, publishers }), or null to clear
+   */
+  setBundleCounts(bundles) {
+    this.bundleCounts = Array.isArray(bundles)
+      ? new Map(bundles.map(bundle => [bundle.bundleId, bundle]))
+      : null;
+  }
+  
   /**
    * Reset app state
    */
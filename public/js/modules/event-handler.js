@@ -12,6 +12,7 @@ import Api from './api.js';
 import StreamProcessor from './streaming/StreamProcessor.js';
 import UnifiedSearch from './unified-search.js';
 import UnifiedExporter from './unified-exporter.js';
+import templateEngine from './template.js';
 
 /**
  * Event Handler Class
@@ -48,6 +49,12 @@ class EventHandlerManager {
       });
     }
     
+    // Supply chain validation form
+    const schainForm = DOMUtils.getElement('schainForm');
+    if (schainForm) {
+      schainForm.addEventListener('submit', this.handleSchainSubmit);
+    }
+    
     
     // Global click handler for dynamic elements
     document.addEventListener('click', this.handleDocumentClick);
@@ -104,7 +111,55 @@ class EventHandlerManager {
     AppState.setProcessing(true);
     
     // Process the bundleIds with StreamProcessor
-    StreamProcessor.processBundleIds(bundleIds, searchParams);
+    StreamProcessor.processBundleIds(bundleIds, searchParams, UnifiedSearch.getCrawlOptions());
+  }
+  
+  /**
+   * Handle supply chain validation form submission
+   * @param {Event} event - Submit event
+   */
+  handleSchainSubmit = async (event) => {
+    event.preventDefault();
+    
+    const bundleIdElement = DOMUtils.getElement('schainBundleId');
+    const schainElement = DOMUtils.getElement('schainInput');
+    const resultElement = DOMUtils.getElement('schainResult');
+    const submitBtn = DOMUtils.getElement('validateSchainBtn');
+    
+    const bundleId = bundleIdElement?.value.trim() || '';
+    const schainText = schainElement?.value.trim() || '';
+    
+    if (!bundleId) {
+      showNotification('Please enter the app bundle ID', 'error');
+      bundleIdElement?.focus();
+      return;
+    }
+    
+    let schain;
+    try {
+      schain = JSON.parse(schainText);
+    } catch (err) {
+      showNotification('Supply chain must be valid JSON', 'error');
+      schainElement?.focus();
+      return;
+    }
+    
+    const originalText = submitBtn.textContent;
+    submitBtn.disabled = true;
+    submitBtn.textContent = 'Validating...';
+    
+    try {
+      const response = await Api.validateSchain(bundleId, schain);
+      
+      if (resultElement) {
+        resultElement.innerHTML = templateEngine.generateSchainReport(response.result);
+      }
+    } catch (err) {
+      showNotification(`Supply chain validation failed: ${err.message}`, 'error');
+    } finally {
+      submitBtn.disabled = false;
+      submitBtn.textContent = originalText;
+    }
   }
   
   /**
@@ -117,6 +172,15 @@ class EventHandlerManager {
     
     if (!file) return;
     
+    // OpenRTB bid request dumps are normalized on the server
+    if (/\.(jsonl|ndjson)$/i.test(file.name)) {
+      this.handleBidRequestImport(file);
+      return;
+    }
+    
+    // Counts from a previous bid request import no longer apply
+    AppState.setBundleCounts(null);
+    
     // Display file name
     const fileNameDisplay = DOMUtils.getElement('fileNameDisplay');
     if (fileNameDisplay) {
@@ -205,6 +269,54 @@ class EventHandlerManager {
   }
   
   
+  /**
+   * Import bundle IDs from an OpenRTB bid request JSONL file and start extraction
+   * @param {File} file - JSONL file
+   */
+  async handleBidRequestImport(file) {
+    const fileNameDisplay = DOMUtils.getElement('fileNameDisplay');
+    if (fileNameDisplay) {
+      fileNameDisplay.textContent = `${file.name} (importing...)`;
+    }
+    
+    try {
+      const response = await Api.importBidRequests(file);
+      const { bundles, stats } = response;
+      
+      if (fileNameDisplay) {
+        fileNameDisplay.textContent = file.name;
+      }
+      
+      if (bundles.length === 0) {
+        showNotification(`No app bundle IDs found in ${stats.lines} bid requests`, 'warning');
+        return;
+      }
+      
+      const bundleIdsTextarea = DOMUtils.getElement('bundleIds');
+      if (bundleIdsTextarea) {
+        bundleIdsTextarea.value = bundles.map(bundle => bundle.bundleId).join('\n');
+      }
+      
+      AppState.setBundleCounts(bundles);
+      
+      showNotification(
+        `Imported ${bundles.length} bundle IDs from ${stats.requests} bid requests` +
+          (stats.unrecognized > 0 ? ` (${stats.unrecognized} unrecognized)` : ''),
+        'success'
+      );
+      
+      // Feed the imported IDs straight into extraction
+      if (!AppState.isProcessing) {
+        DOMUtils.getElement('extractForm')?.requestSubmit();
+      }
+    } catch (err) {
+      if (fileNameDisplay) {
+        fileNameDisplay.textContent = file.name;
+      }
+      showNotification(`Error importing bid requests: ${err.message}`, 'error');
+    }
+  }
+  
   /**
    * Handle document click events (delegation)
    * @param {Event} event - Click event
@@ -250,6 +362,15 @@ class EventHandlerManager {
       case 'tab-switch':
         this.handleTabSwitch(target);
         break;
+      case 'lint-full':
+        this.handleLintFullClick(target);
+        break;
+      case 'expand-developer':
+        this.handleExpandDeveloperClick(actionElement);
+        break;
+      case 'group-by-app':
+        this.handleGroupByAppClick(actionElement);
+        break;
       case 'download-csv': // Single action for CSV download
         // Use global export timestamp to synchronize with StreamProcessor
         const currentTime = Date.now();
@@ -319,7 +440,10 @@ class EventHandlerManager {
             useServer: isLargeDataset, 
             
             // Configure threshold for client/server transition
-            clientSizeLimit: 500
+            clientSizeLimit: 500,
+            
+            // App metadata fields selected as extra columns
+            metadataColumns: UnifiedSearch.getCrawlOptions().metadataColumns
           };
           
           // Log export method
@@ -370,6 +494,18 @@ class EventHandlerManager {
       case 'close-error':
         DOMUtils.hideErrorBoundary();
         break;
+      case 'pause-stream':
+        StreamProcessor.pause();
+        break;
+      case 'resume-stream':
+        StreamProcessor.resume();
+        break;
+      case 'cancel-stream':
+        StreamProcessor.cancel();
+        break;
+      case 'retry-failed':
+        StreamProcessor.retryFailed();
+        break;
       case 'hide-results':
         // Hide the results display but keep completion banner visible
         const hideResultsDisplay = document.querySelector('.stream-results-display');
@@ -588,6 +724,133 @@ class EventHandlerManager {
   }
   
   
+  /**
+   * Handle full lint button click
+   * @param {HTMLElement} button - Lint button
+   */
+  async handleLintFullClick(button) {
+    const domain = button.dataset.domain;
+    if (!domain) return;
+    
+    const panel = button.closest('.search-tab-content');
+    const reportElement = panel?.querySelector('.lint-report');
+    if (!reportElement) return;
+    
+    const originalText = button.textContent;
+    button.disabled = true;
+    button.textContent = 'Linting...';
+    
+    try {
+      const response = await Api.lintAppAdsTxt({ domain });
+      
+      if (!response.success) {
+        showNotification(response.error || `No app-ads.txt found for ${domain}`, 'warning');
+        return;
+      }
+      
+      reportElement.innerHTML = templateEngine.generateLintReport(response.result);
+      
+      // Keep the tab label in sync with the full report
+      const tab = document.getElementById(`tab-${panel.id}`);
+      if (tab) {
+        tab.textContent = `Lint (${response.result.errorCount + response.result.warningCount})`;
+      }
+    } catch (err) {
+      showNotification(`Lint failed: ${err.message}`, 'error');
+    } finally {
+      button.disabled = false;
+      button.textContent = originalText;
+    }
+  }
+  
+  /**
+   * Handle expand developer button click
+   * Adds the developer's other apps to the bundle ID list and extracts them
+   * @param {HTMLElement} button - Expand developer button
+   */
+  async handleExpandDeveloperClick(button) {
+    const bundleId = button.dataset.bundleId;
+    if (!bundleId) return;
+    
+    const originalText = button.textContent;
+    button.disabled = true;
+    button.textContent = 'Expanding...';
+    
+    try {
+      const response = await Api.getDeveloperPortfolio(bundleId, UnifiedSearch.getCrawlOptions().country);
+      const portfolio = response.result;
+      
+      if (!portfolio?.success) {
+        showNotification(portfolio?.error || `Could not expand the developer of ${bundleId}`, 'warning');
+        return;
+      }
+      
+      const developer = portfolio.developerName || 'this developer';
+      const existingIds = new Set(DOMUtils.getTextareaLines('bundleIds'));
+      const newIds = portfolio.bundleIds.filter(id => !existingIds.has(id));
+      
+      if (newIds.length === 0) {
+        showNotification(`All ${portfolio.bundleIds.length} apps from ${developer} are already in the list`, 'info');
+        return;
+      }
+      
+      const bundleIdsTextarea = DOMUtils.getElement('bundleIds');
+      if (bundleIdsTextarea) {
+        bundleIdsTextarea.value = [...existingIds, ...newIds].join('\n');
+      }
+      
+      showNotification(
+        `Added ${newIds.length} apps from ${developer}` +
+          (portfolio.truncated ? ' (developer page list was truncated)' : ''),
+        'success'
+      );
+      
+      // Stream the expanded list through extraction
+      if (!AppState.isProcessing) {
+        DOMUtils.getElement('extractForm')?.requestSubmit();
+      }
+    } catch (err) {
+      showNotification(`Developer expansion failed: ${err.message}`, 'error');
+    } finally {
+      button.disabled = false;
+      button.textContent = originalText;
+    }
+  }
+  
+  /**
+   * Handle group by app button click
+   * Toggles the results between table rows and cross-store app families
+   * @param {HTMLElement} button - Group by app button
+   */
+  async handleGroupByAppClick(button) {
+    const { default: streamResultsRenderer } = await import('./streaming/StreamResultsRenderer.js');
+    
+    if (button.getAttribute('aria-pressed') === 'true') {
+      streamResultsRenderer.showResultRows();
+      button.setAttribute('aria-pressed', 'false');
+      button.textContent = 'Group by app';
+      return;
+    }
+    
+    const results = streamResultsRenderer.allResults || [];
+    if (results.length === 0) return;
+    
+    button.disabled = true;
+    button.textContent = 'Grouping...';
+    
+    try {
+      const response = await Api.getAppFamilies(results);
+      streamResultsRenderer.showAppFamilies(response.appFamilies);
+      button.setAttribute('aria-pressed', 'true');
+      button.textContent = 'Show all rows';
+    } catch (err) {
+      showNotification(`Grouping failed: ${err.message}`, 'error');
+      button.textContent = 'Group by app';
+    } finally {
+      button.disabled = false;
+    }
+  }
+  
   // handleDownloadAllCSV removed - no longer needed
   
   // Remove search term handler removed (simple search mode no longer supported)
@@ -697,7 +960,7 @@ class EventHandlerManager {
   handleRemoveStructuredSearch(button) {
     UnifiedSearch.removeStructuredSearchForm(button);
   }
-
+  
   /**
    * Check if an error is critical
    * @param {Error|string} error - Error object or message
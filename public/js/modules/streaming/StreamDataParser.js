@@ -1,6 +1,6 @@
 /**
  * StreamDataParser Module
- * Handles parsing and processing of streaming data
+ * Handles parsing and processing of the Server-Sent Events extraction stream
  */
 
 // For error handling
@@ -65,19 +65,28 @@ class StreamDataParser {
   }
   
   /**
-   * Process a stream and handle results
+   * Process an event stream and handle results
+   * The stream may end early when the connection drops; the caller can then reconnect with the
+   * returned lastEventId as Last-Event-ID to continue after the last result
    * @param {ReadableStream} stream - Response body stream
    * @param {Function} resultCallback - Callback for processing each result
    * @param {Object} debuggerInstance - Debugger instance for logging
    * @param {Object} progressUI - Progress UI instance for updates
-   * @returns {Promise<void>}
+   * @param {Function} [runStateCallback] - Called with 'paused' or 'resumed' when the server holds or continues the run
+   * @returns {Promise<Object>} - { lastEventId, retry, summary, cancelled }; summary and cancelled are both null
+   *   when the stream ended early, and cancelled holds the final counters when the run was cancelled
+   * @throws {Error} - When the server reports an error event
    */
-  async processStream(stream, resultCallback, debuggerInstance, progressUI) {
+  async processStream(stream, resultCallback, debuggerInstance, progressUI, runStateCallback = null) {
     // Get stream reader
     const reader = stream.getReader();
     let buffer = '';
     let parseCount = 0;
     let chunkCount = 0;
+    let lastEventId = null;
+    let retry = null;
+    let summary = null;
+    let cancelled = null;
     const streamStartTime = Date.now();
     
     // Add stream processing start event
@@ -124,41 +133,55 @@ class StreamDataParser {
         }
       };
       
-      while (true) {
+      while (!summary && !cancelled) {
+        let readResult;
         try {
-          const { done, value } = await reader.read();
-          
-          if (done) {
-            updateDebugInfo('<br>Stream read complete!');
-            if (debuggerInstance) {
-              debuggerInstance.logStatus('Stream complete (done=true)');
-            }
-            break;
+          readResult = await reader.read();
+        } catch (readError) {
+          if (debuggerInstance) {
+            debuggerInstance.logError('Error reading chunk: ' + readError.message);
           }
           
-          // Decode the chunk and add to buffer
-          updateDebugInfo(`<br>Received chunk #${chunkCount+1} (${value?.length || 0} bytes)`);
-          
-          const chunk = this.decoder.decode(value, { stream: true });
-          buffer += chunk;
-          chunkCount++;
-          
-          // Log chunk details in debugger
+          // The connection dropped; the caller reconnects from the last event ID
+          this._handleError(readError, 'Error reading stream chunk', {
+            showNotification: false
+          });
+          break;
+        }
+        
+        const { done, value } = readResult;
+        
+        if (done) {
+          updateDebugInfo('<br>Stream read complete!');
           if (debuggerInstance) {
-            debuggerInstance.logChunk(chunk, value.length);
+            debuggerInstance.logStatus('Stream complete (done=true)');
+          }
+          break;
+        }
+        
+        // Decode the chunk and add to buffer, normalizing line endings
+        updateDebugInfo(`<br>Received chunk #${chunkCount+1} (${value?.length || 0} bytes)`);
+        
+        const chunk = this.decoder.decode(value, { stream: true });
+        buffer += chunk.replace(/\r\n?/g, '\n');
+        chunkCount++;
+        
+        // Log chunk details in debugger
+        if (debuggerInstance) {
+          debuggerInstance.logChunk(chunk, value.length);
+        }
+        
+        const extracted = this._extractEventsFromBuffer(buffer);
+        buffer = extracted.remainingBuffer;
+        
+        for (const event of extracted.events) {
+          if (event.retry) {
+            retry = event.retry;
           }
           
-          // Process complete objects
-          updateDebugInfo(`<br>Parsing buffer (${buffer.length} bytes)...`);
-          
-          const extractedResults = this._extractObjectsFromBuffer(buffer);
-          
-          if (extractedResults.objects.length > 0) {
-            updateDebugInfo(`<br><strong style="color:green">SUCCESS! Found ${extractedResults.objects.length} results</strong>`);
-            buffer = extractedResults.remainingBuffer;
-            
-            // Process each extracted result
-            for (const resultObject of extractedResults.objects) {
+          switch (event.type) {
+            case 'result': {
+              const resultObject = JSON.parse(event.data);
               updateDebugInfo(`<br>Processing: ${resultObject.bundleId || 'unknown'}`);
               
               if (resultCallback) {
@@ -166,25 +189,37 @@ class StreamDataParser {
               } else {
                 updateDebugInfo('<br><span style="color:red">ERROR: Result callback missing!</span>');
               }
+              lastEventId = event.id;
               parseCount++;
+              break;
             }
             
-            if (debuggerInstance) {
-              debuggerInstance.logStatus(`Processed ${extractedResults.objects.length} objects (total: ${parseCount})`);
-            }
-          }
-        } catch (readError) {
-          if (debuggerInstance) {
-            debuggerInstance.logError('Error reading chunk: ' + readError.message);
+            case 'summary':
+              summary = JSON.parse(event.data);
+              break;
+            
+            case 'cancelled':
+              cancelled = JSON.parse(event.data);
+              break;
+            
+            case 'paused':
+            case 'resumed':
+              if (runStateCallback) {
+                runStateCallback(event.type, JSON.parse(event.data));
+              }
+              break;
+            
+            case 'stream-error':
+              throw new Error(JSON.parse(event.data).error);
+            
+            default:
+              // Progress is tracked from the results; heartbeats only keep the connection alive
+              break;
           }
-          
-          // Use standardized error handling for chunk processing errors
-          this._handleError(readError, 'Error reading stream chunk', {
-            // Don't show notification for recoverable errors
-            showNotification: false
-          });
-          
-          // Continue trying to read in case of recoverable errors
+        }
+        
+        if (debuggerInstance && extracted.events.length > 0) {
+          debuggerInstance.logStatus(`Processed ${extracted.events.length} events (results: ${parseCount})`);
         }
       }
     } finally {
@@ -200,154 +235,70 @@ class StreamDataParser {
         });
       }
     }
+    
+    return { lastEventId, retry, summary, cancelled };
   }
   
   /**
-   * Extract complete JSON objects from buffer
-   * @param {string} buffer - Current buffer content
-   * @returns {Object} Object containing extracted objects and remaining buffer
+   * Extract complete Server-Sent Events from buffer
+   * @param {string} buffer - Current buffer content, with normalized line endings
+   * @returns {Object} Object containing extracted events and remaining buffer
    * @private
    */
-  _extractObjectsFromBuffer(buffer) {
-    const objects = [];
-    let currentIndex = 0;
-    let objectStart = -1;
-    let objectDepth = 0;
-    let inString = false;
-    let escapeNext = false;
+  _extractEventsFromBuffer(buffer) {
+    const events = [];
+    let remainingBuffer = buffer;
+    let end;
     
-    // First locate where JSON array begins if not already identified
-    if (buffer.includes('{"success":') && buffer.includes('"results":[')) {
-      const resultsStart = buffer.indexOf('"results":[');
-      if (resultsStart !== -1) {
-        // Move current position to start of array data
-        currentIndex = resultsStart + 11; // Skip over "results":[
-      }
-    }
-    
-    // Process buffer character by character from current index
-    for (let i = currentIndex; i < buffer.length; i++) {
-      const char = buffer[i];
-      
-      // Handle escape characters
-      if (escapeNext) {
-        escapeNext = false;
-        continue;
-      }
-      
-      if (char === '\\') {
-        escapeNext = true;
-        continue;
-      }
-      
-      // Track string boundaries
-      if (char === '"' && !escapeNext) {
-        inString = !inString;
-        continue;
-      }
+    // Events are separated by a blank line
+    while ((end = remainingBuffer.indexOf('\n\n')) !== -1) {
+      const block = remainingBuffer.substring(0, end);
+      remainingBuffer = remainingBuffer.substring(end + 2);
       
-      // Skip if in string
-      if (inString) continue;
+      const event = { type: 'message', data: '', id: null, retry: null };
+      const dataLines = [];
       
-      // Handle comments in the stream (used as heartbeats)
-      if (char === '/' && i+1 < buffer.length && buffer[i+1] === '*') {
-        // Found start of comment, find the end
-        const commentEnd = buffer.indexOf('*/', i + 2);
-        if (commentEnd !== -1) {
-          i = commentEnd + 1; // Skip over comment
-          continue;
-        }
-      }
-      
-      // Track object nesting
-      if (char === '{') {
-        if (objectDepth === 0) {
-          objectStart = i;
-        }
-        objectDepth++;
-      } else if (char === '}') {
-        objectDepth--;
+      block.split('\n').forEach(line => {
+        // Lines starting with a colon are comments
+        if (!line || line.startsWith(':')) return;
         
-        if (objectDepth === 0 && objectStart !== -1) {
-          // We have a complete object
-          try {
-            const objectStr = buffer.substring(objectStart, i + 1);
-            const resultObject = JSON.parse(objectStr);
-            objects.push(resultObject);
-            
-            // Update object start for next object
-            objectStart = -1;
-            
-            // Skip comma if present
-            if (i + 1 < buffer.length && buffer[i + 1] === ',') {
-              i++;
-            }
-          } catch (parseErr) {
-            // Incomplete or invalid JSON, reset depth and continue
-            objectDepth = 0;
-            objectStart = -1;
-          }
+        const colon = line.indexOf(':');
+        const field = colon === -1 ? line : line.substring(0, colon);
+        const value = colon === -1 ? '' : line.substring(colon + 1).replace(/^ /, '');
+        
+        if (field === 'event') {
+          event.type = value;
+        } else if (field === 'data') {
+          dataLines.push(value);
+        } else if (field === 'id') {
+          event.id = value;
+        } else if (field === 'retry' && /^\d+$/.test(value)) {
+          event.retry = parseInt(value, 10);
         }
-      }
-    }
-    
-    // If we've extracted any objects, return the remainder of the buffer
-    if (objects.length > 0 && objectStart === -1) {
-      // Find the next object start or comment
-      let nextStart = buffer.indexOf('{', currentIndex);
-      const nextComment = buffer.indexOf('/*', currentIndex);
-      
-      if (nextComment !== -1 && (nextStart === -1 || nextComment < nextStart)) {
-        nextStart = nextComment;
-      }
+      });
       
-      // If we found a valid next point, return buffer from there
-      if (nextStart !== -1) {
-        return { 
-          objects, 
-          remainingBuffer: buffer.substring(nextStart)
-        };
+      // Blocks with neither data nor a retry field are ignored
+      if (dataLines.length > 0 || event.retry) {
+        event.data = dataLines.join('\n');
+        events.push(event);
       }
     }
     
-    // Return objects and remaining buffer
-    return { 
-      objects, 
-      remainingBuffer: buffer
-    };
+    return { events, remainingBuffer };
   }
   
   /**
-   * Parse a chunk of JSON for quick stats
-   * @param {string} chunk - JSON chunk to analyze
+   * Parse a chunk of the event stream for quick stats
+   * @param {string} chunk - Event stream chunk to analyze
    * @returns {Object} Summary stats from the chunk
    * @private
    */
   analyzeChunk(chunk) {
-    const stats = {
+    return {
       byteLength: chunk.length,
-      jsonObjects: 0,
-      heartbeats: 0
+      jsonObjects: (chunk.match(/^event: result$/gm) || []).length,
+      heartbeats: (chunk.match(/^event: heartbeat$/gm) || []).length
     };
-    
-    // Count JSON objects by brace pairs
-    let braceCount = 0;
-    for (let i = 0; i < chunk.length; i++) {
-      if (chunk[i] === '{') braceCount++;
-      if (chunk[i] === '}' && braceCount > 0) {
-        braceCount--;
-        if (braceCount === 0) stats.jsonObjects++;
-      }
-    }
-    
-    // Count heartbeat comments
-    let pos = 0;
-    while ((pos = chunk.indexOf('/*', pos)) !== -1) {
-      stats.heartbeats++;
-      pos += 2;
-    }
-    
-    return stats;
   }
 }
 
@@ -10,6 +10,10 @@ import StreamProgressUI from './StreamProgressUI.js';
 import StreamDataParser from './StreamDataParser.js';
 import StreamResultsRenderer from './StreamResultsRenderer.js';
 
+// Event stream reconnection settings
+const SSE_DEFAULT_RETRY_MS = 3000; // Used until the server sends a retry field
+const SSE_MAX_RECONNECT_ATTEMPTS = 5; // Consecutive attempts without receiving a result
+
 /**
  * Stream Processor Class
  * Handles the core streaming functionality
@@ -21,6 +25,7 @@ class StreamProcessor {
     this.streamController = null;
     this.decoder = new TextDecoder();
     this._exportInProgress = false;
+    this._retryInProgress = false;
     
     // Use the imported singleton instances instead of creating new ones
     this.progressUI = StreamProgressUI;
@@ -46,13 +51,26 @@ class StreamProcessor {
       withAppAdsTxtCount: 0,
       startTime: 0,
       totalBundleIds: 0,
-      lastRenderTime: 0
+      lastRenderTime: 0,
+      pausedTime: 0,
+      pausedAt: null,
+      elapsedTime: 0
     };
     
     // Results storage
     this.results = [];
     this.searchTerms = [];
     
+    // app-ads.txt crawl options and advanced search parameters for the current job
+    this.crawlOptions = {};
+    this.structuredParams = null;
+    
+    // Server-side run of the current stream connection, and the controls requested for it
+    this.streamActive = false;
+    this.runId = null;
+    this.pauseRequested = false;
+    this.cancelRequested = false;
+    
     // Progressive rendering buffers
     this.resultBuffer = [];
     this.lastRenderTime = 0;
@@ -131,7 +149,10 @@ class StreamProcessor {
       withAppAdsTxtCount: 0,
       startTime: 0,
       totalBundleIds: 0,
-      lastRenderTime: 0
+      lastRenderTime: 0,
+      pausedTime: 0,
+      pausedAt: null,
+      elapsedTime: 0
     };
     
     this.results = [];
@@ -140,6 +161,11 @@ class StreamProcessor {
     this.lastRenderTime = 0;
     this.isRendering = false;
     this._exportInProgress = false;
+    this._retryInProgress = false;
+    this.streamActive = false;
+    this.runId = null;
+    this.pauseRequested = false;
+    this.cancelRequested = false;
     
     // Cancel any pending animation frame
     if (this.animationFrameId) {
@@ -194,9 +220,17 @@ class StreamProcessor {
    * Process bundle IDs using streaming
    * @param {string[]} bundleIds - Bundle IDs to process
    * @param {Object|string[]} searchParams - Search parameters with structured params
+   * @param {Object} crawlOptions - app-ads.txt crawl options
+   * @param {boolean} crawlOptions.followSubdomains - Also crawl files declared by SUBDOMAIN= records
+   * @param {boolean} crawlOptions.verifySellers - Cross-verify records against sellers.json
+   * @param {string} crawlOptions.country - Storefront country code for store lookups
+   * @param {Object} [crawlOptions.bundleCountries] - Per-bundle storefront country overrides, keyed by bundle ID
+   * @param {boolean} crawlOptions.enrichMetadata - Add app listing metadata to results
    * @returns {Promise<boolean>} - Success status
    */
-  async processBundleIds(bundleIds, searchParams = null) {
+  async processBundleIds(bundleIds, searchParams = null, crawlOptions = {}) {
+    this.crawlOptions = crawlOptions || {};
+    
     // Only use structured params in advanced mode
     let structuredParams = null;
     
@@ -218,6 +252,9 @@ class StreamProcessor {
       }
     }
     
+    // Kept for retrying failed rows with the same search
+    this.structuredParams = structuredParams;
+    
     // Store the advanced search params in AppState so they're available throughout
     if (AppState && typeof AppState.setAdvancedSearchParams === 'function') {
       AppState.setAdvancedSearchParams(structuredParams);
@@ -293,6 +330,8 @@ class StreamProcessor {
     
     // Initialize UI components
     this.resultsRenderer.initializeUI(resultSection, bundleIds.length, structuredParams && structuredParams.length > 0);
+    this.progressUI.showRunControls();
+    this.streamActive = true;
     
     // We'll just use the worker indicator now, so no need for separate progress UI
     console.log('Not initializing detailed progress UI, will use worker indicator only');
@@ -345,12 +384,16 @@ class StreamProcessor {
             workerIndicator.parentNode.removeChild(workerIndicator);
           }
         }, 5000);
-        
+      
       // Send message to worker with structured parameters - ensure we're sending complete data
       this.worker.postMessage({
         type: 'processBundleIds',
         bundleIds,
         structuredParams: structuredParams,
+        followSubdomains: this.crawlOptions.followSubdomains === true,
+        verifySellers: this.crawlOptions.verifySellers === true,
+        country: this.crawlOptions.country || null,
+        enrichMetadata: this.crawlOptions.enrichMetadata === true,
         totalBundleIds: bundleIds.length,
         hasSearchTerms: false // Add this for backward compatibility
       });
@@ -388,6 +431,266 @@ class StreamProcessor {
     }
   }
   
+  /**
+   * Pause the current stream
+   * The server finishes its current batch and holds until resumed; the UI shows the run as
+   * paused once the server confirms it
+   * @returns {Promise<void>}
+   */
+  async pause() {
+    if (!this.streamActive || this.pauseRequested || this.cancelRequested) return;
+    
+    this.pauseRequested = true;
+    this.progressUI.setRunState('pausing');
+    
+    // Without a run the pause is sent once the next connection starts
+    if (this.runId) {
+      await this._controlRun('pause');
+    }
+  }
+  
+  /**
+   * Resume a paused stream
+   * @returns {Promise<void>}
+   */
+  async resume() {
+    if (!this.streamActive || !this.pauseRequested || this.cancelRequested) return;
+    
+    this.pauseRequested = false;
+    
+    if (this.runId) {
+      await this._controlRun('resume');
+    }
+    
+    // Show the run as running without waiting for the resumed event, which never comes for
+    // a pause the server had not applied yet
+    this._onRunResumed();
+  }
+  
+  /**
+   * Cancel the current stream
+   * The server stops after its current batch and ends the stream, and the results received so
+   * far are kept. Without a server run to cancel, the stream is stopped on this side.
+   * @returns {Promise<void>}
+   */
+  async cancel() {
+    if (!this.streamActive || this.cancelRequested) return;
+    
+    this.cancelRequested = true;
+    this.progressUI.setRunState('cancelling');
+    
+    if (this.runId && await this._controlRun('cancel')) {
+      // The stream ends with a cancelled event
+      return;
+    }
+    
+    // The main thread loop checks cancelRequested before reconnecting; a worker is stopped here
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+      this._finalizeUI({ cancelled: true });
+    }
+  }
+  
+  /**
+   * Send a pause, resume or cancel request for the current server run
+   * @param {string} action - 'pause', 'resume' or 'cancel'
+   * @returns {Promise<boolean>} - Whether the server applied it
+   * @private
+   */
+  async _controlRun(action) {
+    try {
+      const ApiModule = await import('../api.js');
+      await ApiModule.default.controlStreamRun(this.runId, action);
+      return true;
+    } catch (err) {
+      // The run has ended, e.g. the connection dropped; the next connection picks up the request
+      console.warn(`Stream run ${action} failed:`, err.message);
+      return false;
+    }
+  }
+  
+  /**
+   * Track the server run of a new stream connection and apply a pause requested before it started
+   * @param {string|null} runId - Run ID from the X-Stream-Run-Id response header
+   * @private
+   */
+  _onRunStarted(runId) {
+    this.runId = runId;
+    
+    if (runId && this.pauseRequested) {
+      this._controlRun('pause');
+    }
+  }
+  
+  /**
+   * Show the run as paused once the server holds it
+   * Paused time is left out of the processing rate and the total processing time
+   * @private
+   */
+  _onRunPaused() {
+    if (!this.stats.pausedAt) {
+      this.stats.pausedAt = Date.now();
+    }
+    
+    this.progressUI.updateProgress({ pausedAt: this.stats.pausedAt });
+    this.progressUI.setRunState('paused');
+  }
+  
+  /**
+   * Show the run as running again
+   * @private
+   */
+  _onRunResumed() {
+    this._endPause();
+    
+    if (!this.cancelRequested) {
+      this.progressUI.setRunState(this.pauseRequested ? 'pausing' : 'running');
+    }
+  }
+  
+  /**
+   * Add the current pause to the paused time
+   * @private
+   */
+  _endPause() {
+    if (this.stats.pausedAt) {
+      this.stats.pausedTime += Date.now() - this.stats.pausedAt;
+      this.stats.pausedAt = null;
+    }
+    
+    this.progressUI.updateProgress({ pausedTime: this.stats.pausedTime, pausedAt: null });
+  }
+  
+  /**
+   * Extract the failed rows of the finished stream again with the same search, bypassing the server cache
+   * New outcomes replace the failed rows in place, keeping their position, and the summary is
+   * updated to match. Each row's attempts count how many times it was extracted.
+   * @returns {Promise<boolean>} - Success status
+   */
+  async retryFailed() {
+    if (this.streamActive || this._retryInProgress) return false;
+    
+    // Failed rows by the input that produced them, which is the store URL or store:id when one was
+    // given; an input listed twice has one row per occurrence. Per-bundle countries go along.
+    const failedInputs = [];
+    const failedRows = new Map();
+    const bundleCountries = this.crawlOptions.bundleCountries || {};
+    const retryCountries = {};
+    this.results.forEach((result, index) => {
+      if (result && !result.success) {
+        const input = result.input || result.bundleId;
+        failedInputs.push(input);
+        failedRows.set(input, [...(failedRows.get(input) || []), index]);
+        
+        [input, result.bundleId].filter(key => bundleCountries[key]).forEach(key => {
+          retryCountries[key] = bundleCountries[key];
+        });
+      }
+    });
+    
+    if (failedInputs.length === 0) {
+      showNotification('No failed rows to retry', 'info');
+      return false;
+    }
+    
+    this._retryInProgress = true;
+    this.resultsRenderer.setRetryState(true);
+    const retryStartTime = Date.now();
+    let recovered = 0;
+    let retried = 0;
+    
+    try {
+      const ApiModule = await import('../api.js');
+      const apiResponse = await ApiModule.default.extractDomains(
+        failedInputs, [], 1, 20, this.structuredParams, {
+          ...this.crawlOptions,
+          bundleCountries: Object.keys(retryCountries).length > 0 ? retryCountries : undefined,
+          skipCache: true
+        }
+      );
+      
+      if (!apiResponse.isStreaming || !apiResponse.response?.body) {
+        throw new Error('Api.extractDomains did not return a streaming response. Check localStorage "streamingEnabled" setting.');
+      }
+      
+      await this.dataParser.processStream(
+        apiResponse.response.body,
+        result => {
+          const index = failedRows.get(result?.input || result?.bundleId)?.shift();
+          if (index === undefined) return;
+          
+          const previous = this.results[index];
+          this._countResult(previous, -1);
+          this._countResult(result, 1);
+          
+          // Imported bid request counts stay with the row
+          this.results[index] = {
+            ...result,
+            requestCount: previous.requestCount,
+            publishers: previous.publishers,
+            attempts: (previous.attempts || 1) + 1
+          };
+          
+          retried++;
+          if (result.success) {
+            recovered++;
+          }
+        },
+        this.debugger,
+        this.progressUI
+      );
+    } catch (err) {
+      return this._handleError(err, 'Retry failed rows error');
+    } finally {
+      this._retryInProgress = false;
+      this.resultsRenderer.setRetryState(false);
+    }
+    
+    this.stats.elapsedTime += Date.now() - retryStartTime;
+    AppState.setResults(this.results);
+    
+    this.resultsRenderer._updateCompletionStatus({
+      processed: this.stats.processedCount,
+      success: this.stats.successCount,
+      errors: this.stats.errorCount,
+      withAppAds: this.stats.withAppAdsTxtCount,
+      total: this.stats.totalBundleIds,
+      elapsedTime: this.stats.elapsedTime,
+      retry: { retried, recovered }
+    });
+    
+    // Redraw the results table if it is showing
+    const resultsDisplay = document.querySelector('.stream-results-display');
+    if (resultsDisplay && resultsDisplay.style.display !== 'none') {
+      this.resultsRenderer.showResults(this.results);
+    }
+    
+    showNotification(
+      `Retried ${retried} failed rows: ${recovered} recovered, ${this.stats.errorCount} still failing`,
+      recovered > 0 ? 'success' : 'warning'
+    );
+    
+    return true;
+  }
+  
+  /**
+   * Add a result to the counters, or take it off them
+   * @param {Object} result - Result object
+   * @param {number} sign - 1 to add the result, -1 to remove it
+   * @private
+   */
+  _countResult(result, sign) {
+    if (result.success) {
+      this.stats.successCount += sign;
+      if (result.appAdsTxt?.exists) {
+        this.stats.withAppAdsTxtCount += sign;
+      }
+    } else {
+      this.stats.errorCount += sign;
+    }
+  }
+  
   /**
    * Process bundle IDs using streaming on the main thread
    * @param {string[]} bundleIds - Bundle IDs to process
@@ -398,9 +701,6 @@ class StreamProcessor {
    */
   async _processBundleIdsMainThread(bundleIds, searchTerms = [], structuredParams = null) {
     try {
-      // Add a cache-busting parameter to avoid cached responses
-      const timestamp = Date.now();
-      
       // First clear any "Sending request to server..." message that might be displayed
       const progressIndicator = document.querySelector('.progress-indicator');
       if (progressIndicator && progressIndicator.textContent.includes('Sending request')) {
@@ -462,96 +762,90 @@ class StreamProcessor {
         const ApiModule = await import('../api.js');
         const Api = ApiModule.default;
         
-        // Using API.extractDomains which should redirect to streaming endpoint
-        
         // Use the API module which will automatically redirect to streaming endpoint
-        // if streaming is enabled in localStorage
-        const apiResponse = await Api.extractDomains(bundleIds, [], 1, 20, structuredParams);
+        // if streaming is enabled in localStorage. A dropped event stream is reopened
+        // with the last result's event ID and its run ID so the server continues the run after it.
+        let lastEventId = null;
+        let runId = null;
+        let retryDelay = SSE_DEFAULT_RETRY_MS;
+        let attempts = 0;
         
-        // Check if we got a streaming response
-        if (apiResponse.isStreaming && apiResponse.response) {
-          // API returned a streaming response
-          
-          const response = apiResponse.response;
-          
-          // Fetch response received
-          
-          // Clear the timeout since we got a response
-          clearTimeout(timeoutId);
+        while (true) {
+          // A cancel requested while reconnecting has no server run to stop
+          if (this.cancelRequested) {
+            this._finalizeUI({ cancelled: true });
+            return true;
+          }
           
-          // Add debug info
-          this.debugger.logConnectionInfo(response);
+          let apiResponse;
+          try {
+            apiResponse = await Api.extractDomains(bundleIds, [], 1, 20, structuredParams, this.crawlOptions, lastEventId, runId);
+          } catch (fetchError) {
+            // Network failures (TypeError from fetch) are retried like a dropped stream; server errors are not
+            if (!(fetchError instanceof TypeError)) {
+              throw fetchError;
+            }
+          }
           
-          if (!response.ok) {
-            throw new Error(`Server returned ${response.status}: ${response.statusText}`);
+          if (apiResponse) {
+            // Check if we got a streaming response
+            if (!apiResponse.isStreaming || !apiResponse.response) {
+              throw new Error('Api.extractDomains did not return a streaming response. Check localStorage "streamingEnabled" setting.');
+            }
+            
+            const response = apiResponse.response;
+            
+            // Clear the timeout since we got a response
+            clearTimeout(timeoutId);
+            
+            // Add debug info
+            this.debugger.logConnectionInfo(response);
+            
+            if (!response.body) {
+              throw new Error('ReadableStream not supported in this browser');
+            }
+            
+            runId = response.headers.get('X-Stream-Run-Id');
+            this._onRunStarted(runId);
+            
+            // Process the stream with debug mode
+            const streamState = await this.dataParser.processStream(
+              response.body, 
+              this._processResult.bind(this),
+              this.debugger,
+              this.progressUI,
+              type => (type === 'paused' ? this._onRunPaused() : this._onRunResumed())
+            );
+            
+            if (streamState.cancelled) {
+              this._finalizeUI({ cancelled: true, cancelReason: streamState.cancelled.reason });
+              return true;
+            }
+            
+            if (streamState.summary) {
+              break;
+            }
+            
+            // Progress resets the attempt count; only consecutive failures give up
+            if (streamState.lastEventId !== null) {
+              lastEventId = streamState.lastEventId;
+              attempts = 0;
+            }
+            retryDelay = streamState.retry || retryDelay;
           }
           
-          if (!response.body) {
-            throw new Error('ReadableStream not supported in this browser');
+          attempts++;
+          if (attempts > SSE_MAX_RECONNECT_ATTEMPTS) {
+            throw new Error(`Connection lost; gave up after ${SSE_MAX_RECONNECT_ATTEMPTS} reconnection attempts`);
           }
           
-          // Process the stream with debug mode
-          await this.dataParser.processStream(
-            response.body, 
-            this._processResult.bind(this),
-            this.debugger,
-            this.progressUI
+          this.progressUI.setStatusMessage(
+            `Connection lost, reconnecting (attempt ${attempts} of ${SSE_MAX_RECONNECT_ATTEMPTS})...`,
+            'warning'
           );
-          
-          // Update the UI when complete
-          this._finalizeUI();
-          
-          return true;
-        } else {
-          // We got a regular JSON response, not a streaming response
-          // Api.extractDomains did not return streaming response
-          throw new Error('Api.extractDomains did not return a streaming response. Check localStorage "streamingEnabled" setting.');
-        }
-        
-        // Legacy code path - direct fetch to streaming endpoint
-        // This is a fallback in case the Api.extractDomains approach doesn't work
-        // Fallback: Using direct streaming API endpoint
-        
-        // Use the streaming endpoint directly as a fallback
-        const response = await fetch(`/api/stream/extract-multiple?nocache=${timestamp}`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Accept': 'application/json',
-            'X-Debug-Mode': 'true',
-            'Cache-Control': 'no-cache, no-store, must-revalidate'
-          },
-          body: JSON.stringify({ 
-            bundleIds, 
-            structuredParams 
-          }),
-          signal: controller.signal
-        });
-        
-        // Fallback fetch response received
-        
-        // Clear the timeout since we got a response
-        clearTimeout(timeoutId);
-        
-        // Add debug info
-        this.debugger.logConnectionInfo(response);
-        
-        if (!response.ok) {
-          throw new Error(`Server returned ${response.status}: ${response.statusText}`);
-        }
-        
-        if (!response.body) {
-          throw new Error('ReadableStream not supported in this browser');
+          await new Promise(resolve => setTimeout(resolve, retryDelay));
         }
         
-        // Process the stream with debug mode
-        await this.dataParser.processStream(
-          response.body, 
-          this._processResult.bind(this),
-          this.debugger,
-          this.progressUI
-        );
-        
         // Update the UI when complete
         this._finalizeUI();
         
@@ -581,15 +875,7 @@ class StreamProcessor {
     
     // Update statistics
     this.stats.processedCount++;
-    
-    if (result.success) {
-      this.stats.successCount++;
-      if (result.appAdsTxt?.exists) {
-        this.stats.withAppAdsTxtCount++;
-      }
-    } else {
-      this.stats.errorCount++;
-    }
+    this._countResult(result, 1);
     
     // Add to results array
     this.results.push(result);
@@ -690,27 +976,43 @@ class StreamProcessor {
   
   /**
    * Finalize UI after streaming is complete
+   * @param {Object} [options] - Finalization options
+   * @param {boolean} [options.cancelled=false] - The stream was cancelled before all bundle IDs were processed
+   * @param {string} [options.cancelReason] - Why the server cancelled the run, e.g. pause-timeout
    * @private
    */
-  _finalizeUI() {
+  _finalizeUI(options = {}) {
+    const { cancelled = false, cancelReason = null } = options;
+    
+    // The stream is over, so its controls go and a pause still open ends here
+    this._endPause();
+    this.streamActive = false;
+    this.runId = null;
+    this.progressUI.hideRunControls();
+    
     // Enable download button - using direct query since this is not cached elsewhere
     const downloadBtn = document.querySelector('[data-action="download-csv"]');
     if (downloadBtn) {
       downloadBtn.disabled = false;
     }
     
+    // Keep bid request counts from an OpenRTB import attached to the results
+    this._attachRequestCounts();
+    
     // Set results in app state
     AppState.setResults(this.results);
     
-    // Calculate elapsed time
-    const processingTime = Date.now() - this.stats.startTime;
+    // Calculate elapsed time, leaving out time spent paused
+    const processingTime = Date.now() - this.stats.startTime - this.stats.pausedTime;
+    this.stats.elapsedTime = processingTime;
     const stats = {
       processed: this.stats.processedCount,
       success: this.stats.successCount,
       errors: this.stats.errorCount,
       withAppAds: this.stats.withAppAdsTxtCount,
       total: this.stats.totalBundleIds,
-      elapsedTime: processingTime
+      elapsedTime: processingTime,
+      cancelled
     };
     
     // Remove ALL progress UI elements more efficiently with a single selector
@@ -773,14 +1075,13 @@ class StreamProcessor {
       : `${timeInSeconds.toFixed(1)} seconds`;
     
     // Add final status message
-    this.progressUI.setStatusMessage(
-      `Completed processing ${this.stats.processedCount} bundle IDs (${this.stats.errorCount} errors) in ${timeDisplay}`,
-      'success'
-    );
+    const message = cancelled
+      ? `${cancelReason === 'pause-timeout' ? 'Paused for too long and cancelled' : 'Cancelled'} after processing ${this.stats.processedCount} of ${this.stats.totalBundleIds} bundle IDs (${this.stats.errorCount} errors) in ${timeDisplay}`
+      : `Completed processing ${this.stats.processedCount} bundle IDs (${this.stats.errorCount} errors) in ${timeDisplay}`;
+    this.progressUI.setStatusMessage(message, cancelled ? 'warning' : 'success');
     
     // Show completion notification
-    const message = `Completed processing ${this.stats.processedCount} bundle IDs (${this.stats.errorCount} errors) in ${timeDisplay}`;
-    showNotification(message, 'success');
+    showNotification(message, cancelled ? 'warning' : 'success');
     
     // Reset processing state in AppState
     if (window.AppState && typeof window.AppState.setProcessing === 'function') {
@@ -824,7 +1125,7 @@ class StreamProcessor {
           this.resultsRenderer.initializeUI(null, data.totalBundleIds || this.stats.totalBundleIds, data.hasSearchTerms || false);
         }
         break;
-        
+      
       case 'progress':
         // Update stats from worker with safeguards for undefined values
         this.stats.processedCount = typeof data.processedCount === 'number' ? data.processedCount : 0;
@@ -902,7 +1203,7 @@ class StreamProcessor {
           }
         }
         break;
-        
+      
       case 'result':
         // Process individual result
         if (data.result) {
@@ -916,7 +1217,7 @@ class StreamProcessor {
           }
         }
         break;
-        
+      
       case 'complete':
         // Store final results if provided
         if (data.results && Array.isArray(data.results)) {
@@ -933,7 +1234,7 @@ class StreamProcessor {
         this.stats.withAppAdsTxtCount = data.withAppAdsTxtCount || this.stats.withAppAdsTxtCount;
         
         // Finalize UI
-        this._finalizeUI();
+        this._finalizeUI({ cancelled: data.cancelled === true, cancelReason: data.cancelReason });
         
         // Create completion indicator
         const completeIndicator = document.createElement('div');
@@ -959,7 +1260,29 @@ class StreamProcessor {
         }
         
         break;
-        
+      
+      case 'run':
+        this._onRunStarted(data.runId);
+        break;
+      
+      case 'paused':
+        // The worker's counters are exact here, so the paused state shows the true position
+        this._handleWorkerMessage({ type: 'progress', data });
+        this._onRunPaused();
+        break;
+      
+      case 'resumed':
+        this._onRunResumed();
+        break;
+      
+      case 'reconnecting':
+        // The worker lost the event stream and continues after the last result it received
+        this.progressUI.setStatusMessage(
+          `Connection lost after ${data.processedCount} of ${data.totalBundleIds} results, reconnecting (attempt ${data.attempt} of ${data.maxAttempts})...`,
+          'warning'
+        );
+        break;
+      
       case 'error':
         // Handle worker error with our standardized error handler
         this._handleError(new Error(data.message), 'Worker error');
@@ -974,12 +1297,31 @@ class StreamProcessor {
           this._handleError(fallbackError, 'Main thread fallback error');
         }
         break;
-        
+      
       default:
         console.warn('Unknown worker message type:', type);
     }
   }
   
+  /**
+   * Attach imported bid request counts to results and order them by traffic volume
+   * @private
+   */
+  _attachRequestCounts() {
+    const bundleCounts = AppState.bundleCounts;
+    if (!bundleCounts || bundleCounts.size === 0) return;
+    
+    this.results.forEach(result => {
+      const imported = result && bundleCounts.get(result.input || result.bundleId);
+      if (imported) {
+        result.requestCount = imported.count;
+        result.publishers = imported.publishers;
+      }
+    });
+    
+    this.results.sort((a, b) => (b?.requestCount || 0) - (a?.requestCount || 0));
+  }
+  
   /**
    * Clear all processing indicators and related DOM elements from previous runs
    * @private
@@ -1279,6 +1621,7 @@ class StreamProcessor {
       if (params.publisherId) searchDescription += `${searchDescription ? " | " : ""}publisherId: ${params.publisherId}`;
       if (params.relationship) searchDescription += `${searchDescription ? " | " : ""}rel: ${params.relationship}`;
       if (params.tagId) searchDescription += `${searchDescription ? " | " : ""}tagId: ${params.tagId}`;
+      if (params.variable || params.value) searchDescription += `${searchDescription ? " | " : ""}variable: ${params.variable || "*"}=${params.value || "*"}`;
       advancedSearchInfo = searchDescription || "Advanced search";
     }
     
@@ -1329,6 +1672,7 @@ class StreamProcessor {
       if (params.publisherId) searchDescription += `${searchDescription ? " | " : ""}publisherId: ${params.publisherId}`;
       if (params.relationship) searchDescription += `${searchDescription ? " | " : ""}rel: ${params.relationship}`;
       if (params.tagId) searchDescription += `${searchDescription ? " | " : ""}tagId: ${params.tagId}`;
+      if (params.variable || params.value) searchDescription += `${searchDescription ? " | " : ""}variable: ${params.variable || "*"}=${params.value || "*"}`;
       advancedSearchInfo = searchDescription || "Advanced search parameters";
     }
     
@@ -1346,7 +1690,7 @@ class StreamProcessor {
       escapeCSV(error)
     ].join(',') + '\n';
   }
-
+  
   /**
    * Standardized error handling method
    * @param {Error} error - The error that occurred
@@ -1411,7 +1755,10 @@ class StreamProcessor {
       'appstore': 'App Store',
       'amazon': 'Amazon',
       'huawei': 'Huawei',
-      'samsung': 'Samsung'
+      'samsung': 'Samsung',
+      'lg': 'LG',
+      'vizio': 'Vizio',
+      'microsoft': 'Microsoft'
     };
     return storeMap[storeType.toLowerCase()] || storeType;
   }
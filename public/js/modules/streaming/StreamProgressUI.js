@@ -19,6 +19,9 @@ class StreamProgressUI {
     this.fallbackProgressBar = null;
     this.fallbackStatusText = null;
     
+    // Run control state: running, pausing, paused or cancelling
+    this.runState = null;
+    
     this.stats = {
       total: 0,
       processed: 0,
@@ -354,7 +357,9 @@ class StreamProgressUI {
     // Update the worker indicator directly instead of using our own indicators
     const workerIndicator = document.querySelector('.worker-processing-indicator h3');
     if (workerIndicator) {
-      workerIndicator.textContent = `⚙️ Worker Processing... ${percent}% complete (${this.stats.processed || 0} of ${this.stats.total || 0})`;
+      workerIndicator.textContent = this.runState === 'paused'
+        ? `⏸️ Paused at ${percent}% (${this.stats.processed || 0} of ${this.stats.total || 0})`
+        : `⚙️ Worker Processing... ${percent}% complete (${this.stats.processed || 0} of ${this.stats.total || 0})`;
       
       // Also update the progress bar if it exists
       const workerProgressBar = document.querySelector('.worker-processing-indicator .progress-bar');
@@ -516,8 +521,10 @@ class StreamProgressUI {
     // Skip if elements don't exist
     if (!rateIndicator && !timeRemaining) return;
     
-    // Calculate processing rate (items per second)
-    const elapsed = (Date.now() - this.stats.startTime) / 1000; // in seconds
+    // Calculate processing rate (items per second), leaving out time spent paused
+    const now = Date.now();
+    const pausedTime = (this.stats.pausedTime || 0) + (this.stats.pausedAt ? now - this.stats.pausedAt : 0);
+    const elapsed = (now - this.stats.startTime - pausedTime) / 1000; // in seconds
     const itemsPerSecond = elapsed > 0 ? this.stats.processed / elapsed : 0;
     
     // Update rate indicator
@@ -605,6 +612,70 @@ class StreamProgressUI {
     statusMessage.classList.add(type);
   }
   
+  /**
+   * Add pause, resume and cancel buttons to the processing indicator
+   * Clicks are handled by the global event handler through their data-action attributes
+   */
+  showRunControls() {
+    const workerIndicator = document.querySelector('.worker-processing-indicator');
+    if (!workerIndicator || workerIndicator.querySelector('.stream-run-controls')) return;
+    
+    const controls = DOMUtils.createElement('div', {
+      className: 'stream-run-controls'
+    });
+    controls.innerHTML = `
+      <button type="button" class="button-small" data-action="pause-stream">Pause</button>
+      <button type="button" class="button-small" data-action="cancel-stream">Cancel</button>
+    `;
+    
+    workerIndicator.appendChild(controls);
+    this.indicatorElements.set('runControls', controls);
+    this.setRunState('running');
+  }
+  
+  /**
+   * Show the run control state on the processing indicator
+   * Pausing and cancelling take effect on the server at the next batch boundary, so the
+   * intermediate states disable the buttons until the server confirms them
+   * @param {string} state - running, pausing, paused or cancelling
+   */
+  setRunState(state) {
+    this.runState = state;
+    
+    const controls = this.indicatorElements.get('runControls');
+    if (controls) {
+      const toggleButton = controls.querySelector('[data-action="pause-stream"], [data-action="resume-stream"]');
+      const cancelButton = controls.querySelector('[data-action="cancel-stream"]');
+      
+      if (toggleButton) {
+        toggleButton.setAttribute('data-action', state === 'paused' ? 'resume-stream' : 'pause-stream');
+        toggleButton.textContent = { pausing: 'Pausing...', paused: 'Resume' }[state] || 'Pause';
+        toggleButton.disabled = state === 'pausing' || state === 'cancelling';
+      }
+      
+      if (cancelButton) {
+        cancelButton.textContent = state === 'cancelling' ? 'Cancelling...' : 'Cancel';
+        cancelButton.disabled = state === 'cancelling';
+      }
+    }
+    
+    // Refresh the indicator heading for the new state
+    this.updateProgress();
+  }
+  
+  /**
+   * Remove the run controls once the stream has ended
+   */
+  hideRunControls() {
+    const controls = this.indicatorElements.get('runControls');
+    if (controls && controls.parentNode) {
+      controls.parentNode.removeChild(controls);
+    }
+    
+    this.indicatorElements.delete('runControls');
+    this.runState = null;
+  }
+  
   /**
    * Complete the processing and update indicators
    * @param {Object} finalStats - Final processing statistics
@@ -673,6 +744,7 @@ class StreamProgressUI {
     // Clear element references except the container
     const container = this.indicatorElements.get('container');
     this.indicatorElements.clear();
+    this.runState = null;
     
     // Remove container from DOM if it exists
     if (container && container.parentNode) {
@@ -4,8 +4,9 @@
  */
 
 import DOMUtils from '../dom-utils.js';
-import { formatNumber, getStoreDisplayName } from '../../utils/formatting.js';
+import { formatNumber, getStoreDisplayName, getDeveloperUrlClassLabel } from '../../utils/formatting.js';
 import { showNotification } from '../../utils/notification.js';
+import templateEngine from '../template.js';
 
 /**
  * Stream Results Renderer Class
@@ -263,7 +264,7 @@ class StreamResultsRenderer {
       textElements.forEach(element => {
         element.remove();
       });
-      
+    
     }
     
     // Clear the DOM cache after cleanup
@@ -277,7 +278,7 @@ class StreamResultsRenderer {
   _setupEventListeners() {
     // All UI events are centralized in EventHandler.js
   }
-
+  
   /**
    * Handle streaming show results event
    * @param {CustomEvent} event - The event object
@@ -334,7 +335,7 @@ class StreamResultsRenderer {
     // Forward to the private implementation
     this._updateSummaryStats(stats);
   }
-
+  
   /**
    * Update the summary statistics in the UI
    * @param {Object} stats - Statistics object
@@ -360,7 +361,7 @@ class StreamResultsRenderer {
           return indicator ? indicator.querySelector('h3') : 
             this.resultElement.querySelector('.worker-processing-indicator h3');
         });
-        
+      
       if (workerIndicator) {
         // Fix for NaN% issue - ensure both values are valid numbers
         let percent = 0;
@@ -391,7 +392,7 @@ class StreamResultsRenderer {
             return indicator ? indicator.querySelector('.progress-bar') : 
               this.resultElement.querySelector('.worker-processing-indicator .progress-bar');
           });
-          
+        
         // Always update the progress bar if it exists
         if (progressBar && percent > 0) {
           progressBar.style.width = `${percent}%`;
@@ -406,7 +407,7 @@ class StreamResultsRenderer {
       });
     }
   }
-
+  
   /**
    * Render a batch of results
    * @param {Array} results - Results to render
@@ -558,8 +559,12 @@ class StreamResultsRenderer {
               <h3>Processing Results</h3>
               <p>Showing ${results.length} extracted results from your bundle IDs.</p>
             </div>
+            <button class="group-by-app-btn" data-action="group-by-app" type="button" aria-pressed="false"
+              title="Group the store versions of the same app">Group by app</button>
           </div>
           
+          <div id="app-families-view" class="app-families-view" style="display: none;"></div>
+          
           <div class="stream-results-table-container results-table-container">
             <table class="results-table">
               <thead>
@@ -635,6 +640,104 @@ class StreamResultsRenderer {
     }
   }
   
+  /**
+   * Show app families in place of the results table
+   * @param {Object} appFamilies - Response of linkAppFamilies ({ families, crossStoreFamilies, ... })
+   */
+  showAppFamilies(appFamilies) {
+    const view = this.domCache.resultsDisplay?.querySelector('#app-families-view');
+    if (!view) return;
+    
+    const families = appFamilies?.families || [];
+    
+    if (families.length === 0) {
+      view.innerHTML = '<p class="empty-state">No apps were linked across results. ' +
+        'Turn on app metadata to link store versions by title.</p>';
+    } else {
+      view.innerHTML = `
+        <p class="app-families-summary">
+          ${formatNumber(families.length)} app families, ${formatNumber(appFamilies.crossStoreFamilies)} across stores,
+          ${formatNumber(appFamilies.domainMismatches)} with disagreeing developer URLs,
+          ${formatNumber(appFamilies.partialCoverage)} with partial app-ads.txt coverage
+        </p>
+        ${families.map(family => this._createFamilyCard(family)).join('')}
+      `;
+    }
+    
+    view.style.display = 'block';
+    this._setResultRowsVisible(false);
+  }
+  
+  /**
+   * Switch back from the app family view to the results table
+   */
+  showResultRows() {
+    const view = this.domCache.resultsDisplay?.querySelector('#app-families-view');
+    if (view) {
+      view.style.display = 'none';
+    }
+    
+    this._setResultRowsVisible(true);
+  }
+  
+  /**
+   * Show or hide the results table and its pagination
+   * @param {boolean} visible - Whether the rows should be visible
+   * @private
+   */
+  _setResultRowsVisible(visible) {
+    [
+      this._getElement('resultsTableContainer', '.results-table-container'),
+      this._getElement('paginationControls', '#pagination-controls')
+    ].forEach(element => {
+      if (element) {
+        element.style.display = visible ? '' : 'none';
+      }
+    });
+  }
+  
+  /**
+   * Create the markup for one app family
+   * @param {Object} family - App family record
+   * @returns {string} - HTML string
+   * @private
+   */
+  _createFamilyCard(family) {
+    const flags = [];
+    if (!family.domainsAgree) {
+      flags.push(`<span class="family-flag family-flag-mismatch">Developer URLs disagree: ${DOMUtils.escapeHtml(family.domains.join(', '))}</span>`);
+    }
+    if (!family.coverage.complete) {
+      flags.push(`<span class="family-flag family-flag-coverage">app-ads.txt on ${family.coverage.withAppAdsTxt} of ${family.apps.length} apps</span>`);
+    }
+    
+    return `
+      <div class="app-family">
+        <div class="app-family-header">
+          <strong>${DOMUtils.escapeHtml(family.title || family.domains[0])}</strong>
+          ${family.developerName ? `<span class="app-family-developer">${DOMUtils.escapeHtml(family.developerName)}</span>` : ''}
+          ${flags.join('')}
+        </div>
+        <table class="results-table">
+          <tbody>
+            ${family.apps.map(app => `
+              <tr>
+                <td>${DOMUtils.escapeHtml(getStoreDisplayName(app.storeType || ''))}</td>
+                <td>${DOMUtils.escapeHtml(app.bundleId || '')}</td>
+                <td class="domain-cell" title="${DOMUtils.escapeHtml(app.developerUrl || '')}">${DOMUtils.escapeHtml(app.domain)}</td>
+                <td class="app-ads-cell">
+                  ${app.hasAppAdsTxt 
+                    ? '<span class="app-ads-found">Found</span>' 
+                    : '<span class="app-ads-missing">Not found</span>'}
+                </td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+  }
+  
   /**
    * Render a specific page of results
    * @param {Array} results - All results
@@ -668,7 +771,7 @@ class StreamResultsRenderer {
       }
       
       // Add results for this page to the fragment
-      pageResults.forEach(result => {
+      pageResults.forEach((result, index) => {
         if (!result) return; // Skip null/undefined results
         
         const row = document.createElement('tr');
@@ -678,6 +781,7 @@ class StreamResultsRenderer {
           const hasAppAds = result.appAdsTxt?.exists;
           const hasSearchMatches = hasAppAds && result.appAdsTxt.searchResults && result.appAdsTxt.searchResults.count > 0;
           const searchMatchCount = hasSearchMatches ? result.appAdsTxt.searchResults.count : 0;
+          const developerUrlLabel = getDeveloperUrlClassLabel(result.developerUrlClass);
           
           // Create matched terms cell content
           let matchedTermsHtml = '';
@@ -706,13 +810,28 @@ class StreamResultsRenderer {
           }
           
           row.innerHTML = `
-            <td>${DOMUtils.escapeHtml(result.bundleId || '')}</td>
-            <td>${DOMUtils.escapeHtml(getStoreDisplayName(result.storeType || ''))}</td>
-            <td class="domain-cell">${DOMUtils.escapeHtml(result.domain || 'N/A')}</td>
+            <td>
+              ${DOMUtils.escapeHtml(result.bundleId || '')}
+              ${result.requestCount 
+                ? `<small class="request-count" title="Bid requests">${formatNumber(result.requestCount)} req</small>` 
+                : ''}
+              ${result.attempts > 1 
+                ? `<small class="attempt-count" title="Extraction attempts">${result.attempts} attempts</small>` 
+                : ''}
+            </td>
+            <td title="${DOMUtils.escapeHtml(result.storeDetection?.reason || '')}">${DOMUtils.escapeHtml(getStoreDisplayName(result.storeType || ''))}</td>
+            <td class="domain-cell" title="${result.extraction 
+              ? DOMUtils.escapeHtml(`Found via ${result.extraction.strategy} (${result.extraction.source})`) 
+              : ''}">
+              ${DOMUtils.escapeHtml(result.domain || 'N/A')}
+              ${developerUrlLabel 
+                ? `<span class="developer-url-badge" title="${DOMUtils.escapeHtml(result.appAdsTxt?.error || '')}">${developerUrlLabel}</span>` 
+                : ''}
+            </td>
             <td class="app-ads-cell">
               ${hasAppAds 
                 ? '<span class="app-ads-found">Found</span>' 
-                : '<span class="app-ads-missing">Not found</span>'}
+                : `<span class="app-ads-missing">${result.appAdsTxt?.skipped ? 'Not checked' : 'Not found'}</span>`}
             </td>
             <td class="search-matches-cell">
               ${matchedTermsHtml}
@@ -720,11 +839,23 @@ class StreamResultsRenderer {
             <td>
               <button class="table-copy-btn" data-action="copy" data-copy="${result.domain || ''}" 
                 type="button" title="Copy domain to clipboard">Copy</button>
+              <button class="table-expand-btn" data-action="expand-developer" 
+                data-bundle-id="${DOMUtils.escapeHtml(result.input || result.bundleId || '')}" 
+                type="button" title="Find all apps from this developer and extract them">Expand developer</button>
+              ${hasAppAds 
+                ? `<button class="toggle-app-ads" data-action="toggle-ads" data-target="stream-details-${startIndex + index}" 
+                type="button" aria-expanded="false">Show app-ads.txt</button>` 
+                : ''}
             </td>
           `;
         } else {
           row.innerHTML = `
-            <td>${DOMUtils.escapeHtml(result.bundleId || '')}</td>
+            <td>
+              ${DOMUtils.escapeHtml(result.bundleId || '')}
+              ${result.attempts > 1 
+                ? `<small class="attempt-count" title="Extraction attempts">${result.attempts} attempts</small>` 
+                : ''}
+            </td>
             <td colspan="3" class="error-message">
               Error: ${DOMUtils.escapeHtml(result.error || 'Unknown error')}
             </td>
@@ -734,6 +865,11 @@ class StreamResultsRenderer {
         }
         
         fragment.appendChild(row);
+        
+        // Hidden details row with overview, variables and lint tabs
+        if (result.success && result.appAdsTxt?.exists) {
+          fragment.appendChild(this._createDetailsRow(result, `stream-details-${startIndex + index}`));
+        }
       });
       
       // Append the fragment to the DOM (single reflow)
@@ -775,6 +911,112 @@ class StreamResultsRenderer {
     }
   }
   
+  /**
+   * Create the hidden details row for a result with app-ads.txt
+   * @param {Object} result - Result object
+   * @param {string} detailsId - ID for the details container
+   * @returns {HTMLTableRowElement} - Details row
+   * @private
+   */
+  _createDetailsRow(result, detailsId) {
+    const appAdsTxt = result.appAdsTxt;
+    const analyzed = appAdsTxt.analyzed || {};
+    const variables = Array.isArray(appAdsTxt.variables) ? appAdsTxt.variables : [];
+    const sources = Array.isArray(appAdsTxt.sources) ? appAdsTxt.sources : [];
+    const searchResults = appAdsTxt.searchResults;
+    const lint = appAdsTxt.lint;
+    const sellersVerification = appAdsTxt.sellersVerification;
+    const content = appAdsTxt.content || '';
+    
+    // Limit content length for better performance
+    const contentText = content.length > 10000 
+      ? content.substring(0, 10000) + '...\n(truncated for performance)' 
+      : content;
+    
+    const lintProblems = lint ? (lint.errorCount || 0) + (lint.warningCount || 0) : 0;
+    
+    const tabs = [
+      {
+        id: `overview-${detailsId}`,
+        label: 'Overview',
+        html: `
+          <div class="app-ads-url"><strong>URL:</strong> <a href="${DOMUtils.escapeHtml(appAdsTxt.url || '')}" target="_blank" rel="noopener noreferrer">${DOMUtils.escapeHtml(appAdsTxt.url || '')}</a></div>
+          <div class="app-ads-stats">
+            <strong>Stats:</strong> 
+            ${formatNumber(analyzed.totalLines || 0)} lines, 
+            ${formatNumber(analyzed.validLines || 0)} valid entries, 
+            ${formatNumber(analyzed.variableLines || 0)} variables
+          </div>
+          ${templateEngine.generateCrawlSection(appAdsTxt.crawl)}
+          ${templateEngine.generateSourcesSection(sources, appAdsTxt.skippedSubdomains)}
+          <div class="app-ads-content">
+            <pre>${DOMUtils.escapeHtml(contentText)}</pre>
+          </div>
+        `
+      }
+    ];
+    
+    // Matched lines, attributed to their source file when SUBDOMAIN= records were followed
+    if (searchResults?.count > 0) {
+      tabs.push({
+        id: `matches-${detailsId}`,
+        label: `Matches (${searchResults.count})`,
+        html: templateEngine.generateMatchingLinesSection(searchResults, sources.length > 1)
+      });
+    }
+    
+    if (sellersVerification) {
+      tabs.push({
+        id: `sellers-${detailsId}`,
+        label: `Sellers (${sellersVerification.issues?.length || 0})`,
+        html: templateEngine.generateSellersReport(sellersVerification)
+      });
+    }
+    
+    tabs.push(
+      {
+        id: `variables-${detailsId}`,
+        label: `Variables (${variables.length})`,
+        html: variables.length 
+          ? templateEngine.generateVariablesSection(variables) 
+          : '<div class="app-ads-stats">No variable records in this file.</div>'
+      },
+      {
+        id: `lint-${detailsId}`,
+        label: `Lint (${lintProblems})`,
+        html: `
+          <div class="lint-report">${templateEngine.generateLintReport(lint)}</div>
+          <button class="lint-full-btn" data-action="lint-full" data-domain="${DOMUtils.escapeHtml(result.domain || '')}" 
+            type="button" title="Fetch and lint the complete file">Run full lint</button>
+        `
+      }
+    );
+    
+    const tabsHtml = tabs.map((tab, tabIndex) => `
+      <button class="search-tab${tabIndex === 0 ? ' active' : ''}" data-action="tab-switch" data-tab="${tab.id}" 
+        role="tab" aria-selected="${tabIndex === 0}" aria-controls="${tab.id}" id="tab-${tab.id}">${tab.label}</button>
+    `).join('');
+    
+    const panelsHtml = tabs.map((tab, tabIndex) => `
+      <div id="${tab.id}" class="search-tab-content${tabIndex === 0 ? ' active' : ''}" role="tabpanel" 
+        aria-labelledby="tab-${tab.id}" aria-hidden="${tabIndex !== 0}">${tab.html}</div>
+    `).join('');
+    
+    const row = document.createElement('tr');
+    row.className = 'details-row';
+    row.innerHTML = `
+      <td colspan="6">
+        <div id="${detailsId}" class="app-ads-details" style="display:none;">
+          <h4>app-ads.txt for ${DOMUtils.escapeHtml(result.domain || '')}</h4>
+          <div class="search-matches-tabs" role="tablist">${tabsHtml}</div>
+          <div class="search-tab-contents">${panelsHtml}</div>
+        </div>
+      </td>
+    `;
+    
+    return row;
+  }
+  
   /**
    * Generate pagination controls HTML
    * @param {number} totalItems - Total items count
@@ -1010,6 +1252,23 @@ class StreamResultsRenderer {
 
 // Create and export a singleton instance
 const streamResultsRenderer = new StreamResultsRenderer();
+/**
+ * Show a retry of failed rows as running, or as finished
+ * @param {boolean} active - Whether the retry is running
+ */
+streamResultsRenderer.setRetryState = function(active) {
+  const retryBtn = this.domCache.completionBanner?.querySelector('[data-action="retry-failed"]');
+  if (!retryBtn) return;
+  
+  retryBtn.disabled = active;
+  if (active) {
+    retryBtn.dataset.label = retryBtn.textContent;
+    retryBtn.textContent = 'Retrying...';
+  } else if (retryBtn.dataset.label) {
+    retryBtn.textContent = retryBtn.dataset.label;
+  }
+};
+
 /**
  * Update UI to reflect streaming completion
  * @param {Object} stats - Final statistics object
@@ -1020,6 +1279,7 @@ streamResultsRenderer._updateCompletionStatus = function(stats) {
   
   try {
     // Create a streaming completion banner
+    const previousBanner = this.domCache.completionBanner;
     const completionBanner = document.createElement('div');
     completionBanner.className = 'streaming-completion-message streaming-completion-banner';
     
@@ -1031,13 +1291,23 @@ streamResultsRenderer._updateCompletionStatus = function(stats) {
     const timeDisplay = timeInSeconds >= 60 
       ? `${(timeInSeconds / 60).toFixed(1)} minutes` 
       : `${timeInSeconds.toFixed(1)} seconds`;
-      
+    
     completionBanner.innerHTML = `
       <div class="completion-banner-content">
         <div class="completion-message">
-          <p>Completed processing ${stats.total} bundle IDs (${stats.errors} errors) in ${timeDisplay}</p>
+          <p>${stats.cancelled
+            ? `Cancelled after processing ${stats.processed} of ${stats.total} bundle IDs (${stats.errors} errors) in ${timeDisplay}`
+            : `Completed processing ${stats.total} bundle IDs (${stats.errors} errors) in ${timeDisplay}`}</p>
+          ${stats.retry
+            ? `<p class="retry-summary">Retried ${stats.retry.retried} failed rows, ${stats.retry.recovered} recovered</p>`
+            : ''}
         </div>
         <div class="action-buttons">
+          ${stats.errors > 0
+            ? `<button class="extract-btn" data-action="retry-failed" title="Extract the failed rows again, bypassing the cache">
+            Retry ${stats.errors} failed
+          </button>`
+            : ''}
           <button class="download-btn extract-btn" data-action="download-csv" id="main-download-csv-btn">
             Download CSV Results
           </button>
@@ -1050,7 +1320,10 @@ streamResultsRenderer._updateCompletionStatus = function(stats) {
     
     // First hide the worker processing indicator using cached element
     const workerIndicator = this._getElement('workerIndicator', '.worker-processing-indicator');
-    if (workerIndicator) {
+    if (previousBanner?.isConnected) {
+      // After a retry the banner is updated in place
+      previousBanner.parentNode.replaceChild(completionBanner, previousBanner);
+    } else if (workerIndicator) {
       // Replace it with the completion banner
       workerIndicator.parentNode.replaceChild(completionBanner, workerIndicator);
     } else {
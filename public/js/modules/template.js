@@ -181,8 +181,10 @@ class TemplateEngineManager {
               <div class="app-ads-stats">
                 <strong>Stats:</strong> 
                 ${result.appAdsTxt.analyzed.totalLines} lines, 
-                ${result.appAdsTxt.analyzed.validLines} valid entries
+                ${result.appAdsTxt.analyzed.validLines} valid entries${result.appAdsTxt.analyzed.variableLines ? `,
+                ${result.appAdsTxt.analyzed.variableLines} variables` : ''}
               </div>
+              ${this.generateVariablesSection(result.appAdsTxt.variables)}
               <div class="app-ads-content">
                 <pre>${DOMUtils.escapeHtml(contentText)}</pre>
               </div>
@@ -332,6 +334,336 @@ class TemplateEngineManager {
     return tableHtml;
   }
   
+  /**
+   * Generate the variables section (OWNERDOMAIN, MANAGERDOMAIN, etc.) of an app-ads.txt file
+   * @param {Array} variables - Variable records from the app-ads.txt result
+   * @returns {string} - HTML for variables table
+   */
+  generateVariablesSection(variables) {
+    if (!Array.isArray(variables) || variables.length === 0) return '';
+    
+    const rowsHtml = variables.map(record => `
+      <tr>
+        <td>${record.lineNumber}</td>
+        <td>${DOMUtils.escapeHtml(record.variable)}</td>
+        <td>${DOMUtils.escapeHtml(record.value)}</td>
+      </tr>
+    `).join('');
+    
+    return `
+      <div class="app-ads-variables">
+        <strong>Variables:</strong>
+        <table class="search-matches-table">
+          <thead>
+            <tr>
+              <th scope="col">Line #</th>
+              <th scope="col">Variable</th>
+              <th scope="col">Value</th>
+            </tr>
+          </thead>
+          <tbody>${rowsHtml}</tbody>
+        </table>
+      </div>
+    `;
+  }
+  
+  /**
+   * Generate the redirect chain and crawler policy status of an app-ads.txt fetch
+   * @param {Object} crawl - Crawl report from the app-ads.txt check
+   * @returns {string} - HTML for crawl section, empty when the file was fetched without redirects
+   */
+  generateCrawlSection(crawl) {
+    if (!crawl || !Array.isArray(crawl.redirects) || crawl.redirects.length === 0) return '';
+    
+    const hopsHtml = crawl.redirects.map(redirect => `
+      <li class="${redirect.crossDomain ? 'crawl-hop-cross-domain' : ''}">
+        ${redirect.status} &rarr; ${DOMUtils.escapeHtml(redirect.to)}${redirect.crossDomain ? ' (other domain)' : ''}
+      </li>
+    `).join('');
+    
+    const violationsHtml = (crawl.violations || []).map(violation => 
+      `<div class="crawl-violation">${DOMUtils.escapeHtml(violation.message)}</div>`).join('');
+    
+    return `
+      <div class="app-ads-crawl">
+        <strong>Redirects:</strong>
+        <ol class="crawl-redirects">${hopsHtml}</ol>
+        ${violationsHtml}
+        ${crawl.foundViaViolation 
+          ? '<div class="crawl-violation">Only found through redirects that do not comply with the app-ads.txt spec</div>' 
+          : ''}
+      </div>
+    `;
+  }
+  
+  /**
+   * Generate the list of app-ads.txt files visited by a SUBDOMAIN= crawl
+   * @param {Object[]} sources - Crawled files
+   * @param {Object[]} skippedSubdomains - SUBDOMAIN= records that were not followed
+   * @returns {string} - HTML for sources section
+   */
+  generateSourcesSection(sources, skippedSubdomains = []) {
+    if (!Array.isArray(sources) || sources.length <= 1) return '';
+    
+    const rowsHtml = sources.map(source => `
+      <tr>
+        <td>${source.url
+          ? `<a href="${DOMUtils.escapeHtml(source.url)}" target="_blank" rel="noopener noreferrer">${DOMUtils.escapeHtml(source.url)}</a>`
+          : DOMUtils.escapeHtml(source.domain)}</td>
+        <td>${source.depth}</td>
+        <td>${source.exists ? formatNumber(source.matchCount || 0) : 'Not found'}</td>
+      </tr>
+    `).join('');
+    
+    const skippedHtml = Array.isArray(skippedSubdomains) && skippedSubdomains.length > 0
+      ? `<div class="app-ads-stats">Skipped: ${skippedSubdomains.map(skipped => 
+          `${DOMUtils.escapeHtml(skipped.domain)} (${DOMUtils.escapeHtml(skipped.reason)})`).join(', ')}</div>`
+      : '';
+    
+    return `
+      <div class="app-ads-sources">
+        <strong>Files crawled:</strong>
+        <table class="search-matches-table">
+          <thead>
+            <tr>
+              <th scope="col">File</th>
+              <th scope="col">Depth</th>
+              <th scope="col">Matches</th>
+            </tr>
+          </thead>
+          <tbody>${rowsHtml}</tbody>
+        </table>
+        ${skippedHtml}
+      </div>
+    `;
+  }
+  
+  /**
+   * Generate matching lines table
+   * @param {Object} searchResults - Search results with matchingLines
+   * @param {boolean} showSource - Whether to show the file each line came from
+   * @returns {string} - HTML for matching lines table
+   */
+  generateMatchingLinesSection(searchResults, showSource = false) {
+    const matchingLines = (searchResults?.matchingLines || []).slice(0, 100); // Limit to 100 matches for performance
+    if (matchingLines.length === 0) return '';
+    
+    const rowsHtml = matchingLines.map(line => `
+      <tr>
+        ${showSource ? `<td class="match-source">${DOMUtils.escapeHtml(line.source || '')}</td>` : ''}
+        <td>${line.lineNumber}</td>
+        <td class="search-match-content">${DOMUtils.escapeHtml(line.content)}</td>
+      </tr>
+    `).join('');
+    
+    return `
+      <table class="search-matches-table">
+        <thead>
+          <tr>
+            ${showSource ? '<th scope="col">Source</th>' : ''}
+            <th scope="col">Line #</th>
+            <th scope="col">Content</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${rowsHtml}
+          ${searchResults.matchingLines.length > 100 
+            ? `<tr><td colspan="${showSource ? 3 : 2}">(${searchResults.matchingLines.length - 100} more matches not shown for performance)</td></tr>` 
+            : ''}
+        </tbody>
+      </table>
+    `;
+  }
+  
+  /**
+   * Generate sellers.json verification report
+   * @param {Object} verification - Verification report from the server
+   * @returns {string} - HTML for sellers report
+   */
+  generateSellersReport(verification) {
+    if (!verification || !Array.isArray(verification.issues)) {
+      return `<div class="lint-summary">${DOMUtils.escapeHtml(verification?.error || 'sellers.json verification is not available for this file.')}</div>`;
+    }
+    
+    const adSystems = Object.values(verification.adSystems || {});
+    const summaryHtml = `
+      <div class="app-ads-stats">
+        <strong>Verified:</strong> 
+        ${formatNumber(verification.verifiedRecords || 0)} of ${formatNumber(verification.checkedRecords || 0)} records 
+        against ${formatNumber(adSystems.filter(adSystem => adSystem.exists).length)} of ${formatNumber(adSystems.length)} sellers.json files
+        ${verification.skippedAdSystems?.length 
+          ? `(${formatNumber(verification.skippedAdSystems.length)} ad systems not checked)` 
+          : ''}
+        ${verification.partial 
+          ? `<br><small>Partial: only the ${formatNumber(verification.totalRecords || 0)} records in the sampled part of this large file were verified${
+            verification.fileRecords ? ` (${formatNumber(verification.fileRecords)} in the whole file)` : ''}</small>` 
+          : ''}
+      </div>
+    `;
+    
+    if (verification.issues.length === 0) {
+      return `${summaryHtml}<div class="lint-clean">No problems found</div>`;
+    }
+    
+    const rowsHtml = verification.issues.slice(0, 100).map(issue => `
+      <tr class="lint-${issue.severity}">
+        <td>${issue.lineNumber}</td>
+        <td>${DOMUtils.escapeHtml(issue.domain)}</td>
+        <td>${DOMUtils.escapeHtml(issue.publisherId)}</td>
+        <td class="lint-severity">${DOMUtils.escapeHtml(issue.severity)}</td>
+        <td>
+          ${DOMUtils.escapeHtml(issue.message)}
+          ${issue.sellerDomain ? `<br><small>Seller domain: ${DOMUtils.escapeHtml(issue.sellerDomain)}</small>` : ''}
+        </td>
+      </tr>
+    `).join('');
+    
+    return `
+      ${summaryHtml}
+      <table class="search-matches-table lint-table">
+        <thead>
+          <tr>
+            <th scope="col">Line</th>
+            <th scope="col">Ad System</th>
+            <th scope="col">Seller ID</th>
+            <th scope="col">Severity</th>
+            <th scope="col">Issue</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${rowsHtml}
+          ${verification.issues.length > 100 
+            ? `<tr><td colspan="5">(${verification.issues.length - 100} more issues not shown for performance)</td></tr>` 
+            : ''}
+        </tbody>
+      </table>
+    `;
+  }
+  
+  /**
+   * Generate per-hop supply chain validation report
+   * @param {Object} report - Supply chain report from the server
+   * @returns {string} - HTML for supply chain report
+   */
+  generateSchainReport(report) {
+    if (!report || !Array.isArray(report.hops)) {
+      return '<div class="lint-summary">Supply chain results are not available.</div>';
+    }
+    
+    const statusLabels = {
+      complete: 'Complete',
+      incomplete: 'Incomplete',
+      invalid: 'Invalid'
+    };
+    
+    const rowsHtml = report.hops.map(hop => {
+      let evidence = hop.error ? DOMUtils.escapeHtml(hop.error) : '';
+      if (hop.match) {
+        evidence = `Line ${hop.match.lineNumber}: <code>${DOMUtils.escapeHtml(hop.match.content)}</code>`;
+      } else if (hop.seller) {
+        evidence = `${DOMUtils.escapeHtml(hop.seller.type || 'Unknown type')}
+          ${hop.seller.name ? ` · ${DOMUtils.escapeHtml(hop.seller.name)}` : ''}
+          ${hop.seller.domain ? ` · ${DOMUtils.escapeHtml(hop.seller.domain)}` : ''}`;
+      }
+      
+      const issuesHtml = hop.issues.map(issue => 
+        `<div class="lint-${issue.severity}"><span class="lint-severity">${DOMUtils.escapeHtml(issue.severity)}</span>: ${DOMUtils.escapeHtml(issue.message)}</div>`
+      ).join('');
+      
+      return `
+        <tr class="schain-hop-${hop.status}">
+          <td>${hop.index + 1}</td>
+          <td>${DOMUtils.escapeHtml(hop.asi)}</td>
+          <td>${DOMUtils.escapeHtml(hop.sid)}</td>
+          <td>${DOMUtils.escapeHtml(hop.checkedAgainst)}</td>
+          <td class="schain-hop-status">${DOMUtils.escapeHtml(hop.status)}</td>
+          <td>${evidence}${issuesHtml}</td>
+        </tr>
+      `;
+    }).join('');
+    
+    return `
+      <div class="app-ads-details schain-report">
+        <div class="app-ads-stats">
+          <strong>Chain status:</strong>
+          <span class="schain-status schain-status-${report.status}">${statusLabels[report.status] || DOMUtils.escapeHtml(report.status)}</span>
+          (${formatNumber(report.hops.length)} hops, declared ${report.declaredComplete ? 'complete' : 'incomplete'})
+        </div>
+        <div class="app-ads-stats">
+          <strong>App:</strong> ${DOMUtils.escapeHtml(report.bundleId)}
+          ${report.developerDomain ? ` · <strong>Developer domain:</strong> ${DOMUtils.escapeHtml(report.developerDomain)}` : ''}
+          ${report.storeError ? ` · <span class="error-message">${DOMUtils.escapeHtml(report.storeError)}</span>` : ''}
+        </div>
+        <table class="search-matches-table schain-table">
+          <thead>
+            <tr>
+              <th scope="col">Hop</th>
+              <th scope="col">Ad System (asi)</th>
+              <th scope="col">Seller ID (sid)</th>
+              <th scope="col">Checked Against</th>
+              <th scope="col">Status</th>
+              <th scope="col">Details</th>
+            </tr>
+          </thead>
+          <tbody>${rowsHtml}</tbody>
+        </table>
+      </div>
+    `;
+  }
+  
+  /**
+   * Generate lint report for an app-ads.txt file
+   * @param {Object} report - Lint report from the server
+   * @returns {string} - HTML for lint report
+   */
+  generateLintReport(report) {
+    if (!report || !Array.isArray(report.diagnostics)) {
+      return '<div class="lint-summary">Lint results are not available for this file.</div>';
+    }
+    
+    const summaryHtml = `
+      <div class="lint-summary">
+        <span class="lint-count lint-error">${formatNumber(report.errorCount || 0)} errors</span>
+        <span class="lint-count lint-warning">${formatNumber(report.warningCount || 0)} warnings</span>
+      </div>
+    `;
+    
+    if (report.diagnostics.length === 0) {
+      return `${summaryHtml}<div class="lint-clean">No problems found</div>`;
+    }
+    
+    const rowsHtml = report.diagnostics.map(diagnostic => `
+      <tr class="lint-${diagnostic.severity}">
+        <td>${diagnostic.line}</td>
+        <td>${diagnostic.column}</td>
+        <td class="lint-severity">${DOMUtils.escapeHtml(diagnostic.severity)}</td>
+        <td><code>${DOMUtils.escapeHtml(diagnostic.code)}</code></td>
+        <td>${DOMUtils.escapeHtml(diagnostic.message)}</td>
+      </tr>
+    `).join('');
+    
+    const truncatedHtml = report.truncated
+      ? `<div class="lint-truncated">Showing the first ${formatNumber(report.diagnostics.length)} problems.</div>`
+      : '';
+    
+    return `
+      ${summaryHtml}
+      <table class="search-matches-table lint-table">
+        <thead>
+          <tr>
+            <th scope="col">Line</th>
+            <th scope="col">Col</th>
+            <th scope="col">Severity</th>
+            <th scope="col">Code</th>
+            <th scope="col">Message</th>
+          </tr>
+        </thead>
+        <tbody>${rowsHtml}</tbody>
+      </table>
+      ${truncatedHtml}
+    `;
+  }
+  
   /**
    * Highlight search terms in text
    * @param {string} text - Text to highlight
@@ -8,6 +8,22 @@ import DOMUtils from './dom-utils.js';
 import { showNotification } from '../utils/notification.js';
 import Api from './api.js';
 
+// CSV headers for app metadata columns, keyed by metadata field
+const METADATA_COLUMN_LABELS = {
+  title: 'App Title',
+  developerName: 'Developer Name',
+  developerId: 'Developer ID',
+  category: 'Category',
+  contentRating: 'Content Rating',
+  price: 'Price',
+  currency: 'Currency',
+  free: 'Free',
+  lastUpdated: 'Last Updated',
+  installs: 'Installs',
+  rating: 'Rating',
+  ratingCount: 'Rating Count'
+};
+
 /**
  * UnifiedExporter Class
  * Handles all export functionality for the application
@@ -17,7 +33,7 @@ class UnifiedExporter {
     this._lastExportTime = null;
     this._exportInProgress = false;
   }
-
+  
   /**
    * Export results to CSV
    * @param {string[]} bundleIds - Bundle IDs to export
@@ -27,6 +43,7 @@ class UnifiedExporter {
    * @param {Object} options - Export options
    * @param {boolean} options.useServer - Whether to use server-side generation (for large datasets)
    * @param {number} options.clientSizeLimit - Maximum number of bundle IDs for client-side export (default 500)
+   * @param {string[]} options.metadataColumns - App metadata fields to append as columns (e.g. title, category)
    * @returns {Promise<boolean>} - Success status
    */
   async exportToCSV(bundleIds, params = {}, options = {}) {
@@ -64,6 +81,7 @@ class UnifiedExporter {
       // Set default options
       const clientSizeLimit = options.clientSizeLimit || 500;
       const forceServerSide = options.useServer === true;
+      const metadataColumns = (options.metadataColumns || []).filter(column => METADATA_COLUMN_LABELS[column]);
       
       // Determine if we should use server-side export
       const useServerSide = forceServerSide || bundleIds.length > clientSizeLimit;
@@ -75,7 +93,8 @@ class UnifiedExporter {
         structuredParams,
         useServerSide,
         forceServerSide,
-        clientSizeLimit
+        clientSizeLimit,
+        metadataColumns
       });
       
       // Get the results container to show progress
@@ -95,10 +114,10 @@ class UnifiedExporter {
       // Use appropriate export method based on dataset size
       if (useServerSide) {
         // SERVER-SIDE EXPORT (for large datasets)
-        return await this._serverSideExport(bundleIds, structuredParams, resultElement);
+        return await this._serverSideExport(bundleIds, structuredParams, resultElement, metadataColumns);
       } else {
         // CLIENT-SIDE EXPORT (for normal datasets)
-        return await this._clientSideExport(bundleIds, structuredParams, resultElement);
+        return await this._clientSideExport(bundleIds, structuredParams, resultElement, metadataColumns);
       }
     } catch (error) {
       console.error('CSV export error:', error);
@@ -113,10 +132,11 @@ class UnifiedExporter {
    * @param {string[]} bundleIds - Bundle IDs to export
    * @param {Object|Array} structuredParams - Structured search parameters
    * @param {HTMLElement} resultElement - Container for progress UI
+   * @param {string[]} metadataColumns - App metadata fields to append as columns
    * @returns {Promise<boolean>} - Success status
    * @private
    */
-  async _clientSideExport(bundleIds, structuredParams, resultElement) {
+  async _clientSideExport(bundleIds, structuredParams, resultElement, metadataColumns = []) {
     try {
       // Update progress indicator
       this._updateProgressIndicator(0.1, 'Loading export data...');
@@ -134,7 +154,7 @@ class UnifiedExporter {
       this._updateProgressIndicator(0.3, 'Generating CSV data...');
       
       // Create CSV content
-      const csvContent = this._generateCSV(results, structuredParams);
+      const csvContent = this._generateCSV(results, structuredParams, metadataColumns);
       
       // Update progress
       this._updateProgressIndicator(0.8, 'Creating download file...');
@@ -166,10 +186,11 @@ class UnifiedExporter {
    * @param {string[]} bundleIds - Bundle IDs to export
    * @param {Object|Array} structuredParams - Structured search parameters
    * @param {HTMLElement} resultElement - Container for progress UI
+   * @param {string[]} metadataColumns - App metadata fields to append as columns
    * @returns {Promise<boolean>} - Success status
    * @private
    */
-  async _serverSideExport(bundleIds, structuredParams, resultElement) {
+  async _serverSideExport(bundleIds, structuredParams, resultElement, metadataColumns = []) {
     try {
       // Update progress indicator
       this._updateProgressIndicator(0.1, 'Connecting to server...');
@@ -182,7 +203,8 @@ class UnifiedExporter {
       const requestData = {
         bundleIds,
         searchTerms,
-        structuredParams: structuredParams
+        structuredParams: structuredParams,
+        metadataColumns
       };
       
       // Add existing results if available - server can use them instead of regenerating
@@ -266,7 +288,7 @@ class UnifiedExporter {
         await new Promise(resolve => setTimeout(resolve, 1000));
         
         // Try client-side export as fallback
-        return await this._clientSideExport(bundleIds, structuredParams, resultElement);
+        return await this._clientSideExport(bundleIds, structuredParams, resultElement, metadataColumns);
       }
     } catch (error) {
       console.error('Server-side export error:', error);
@@ -349,12 +371,14 @@ class UnifiedExporter {
    * Generate CSV content from results
    * @param {Array} results - Results array
    * @param {Object|Array} structuredParams - Advanced search parameters
+   * @param {string[]} metadataColumns - App metadata fields to append as columns
    * @returns {string} - CSV content
    * @private
    */
-  _generateCSV(results, structuredParams) {
-    // Create CSV header
-    let csvContent = "Bundle ID,Store,Domain,Has App-Ads.txt,App-Ads.txt URL,Advanced Search Results,Match Count,Matching Lines,Success,Error\n";
+  _generateCSV(results, structuredParams, metadataColumns = []) {
+    // Create CSV header, with the requested metadata columns after the standard ones
+    const metadataHeader = metadataColumns.map(column => `,${METADATA_COLUMN_LABELS[column]}`).join('');
+    let csvContent = `Bundle ID,Store,Domain,Has App-Ads.txt,App-Ads.txt URL,Advanced Search Results,Match Count,Matching Lines,Success,Error${metadataHeader}\n`;
     
     // Process results in batches to avoid memory issues
     const BATCH_SIZE = 100;
@@ -362,7 +386,7 @@ class UnifiedExporter {
       const batch = results.slice(i, Math.min(i + BATCH_SIZE, results.length));
       
       for (const result of batch) {
-        csvContent += this._formatResultRow(result, structuredParams);
+        csvContent += this._formatResultRow(result, structuredParams, metadataColumns);
       }
     }
     
@@ -373,10 +397,11 @@ class UnifiedExporter {
    * Format a single result as CSV row
    * @param {Object} result - Result object
    * @param {Object|Array} structuredParams - Advanced search parameters
+   * @param {string[]} metadataColumns - App metadata fields to append as columns
    * @returns {string} - CSV row
    * @private
    */
-  _formatResultRow(result, structuredParams) {
+  _formatResultRow(result, structuredParams, metadataColumns = []) {
     if (!result) return '';
     
     // Helper function to escape CSV fields
@@ -416,6 +441,7 @@ class UnifiedExporter {
       if (params.publisherId) searchDescription += `${searchDescription ? " | " : ""}publisherId: ${params.publisherId}`;
       if (params.relationship) searchDescription += `${searchDescription ? " | " : ""}rel: ${params.relationship}`;
       if (params.tagId) searchDescription += `${searchDescription ? " | " : ""}tagId: ${params.tagId}`;
+      if (params.variable || params.value) searchDescription += `${searchDescription ? " | " : ""}variable: ${params.variable || "*"}=${params.value || "*"}`;
       advancedSearchInfo = searchDescription || "Advanced search";
     }
     
@@ -497,6 +523,7 @@ class UnifiedExporter {
       if (params.publisherId) searchDescription += `${searchDescription ? " | " : ""}publisherId: ${params.publisherId}`;
       if (params.relationship) searchDescription += `${searchDescription ? " | " : ""}rel: ${params.relationship}`;
       if (params.tagId) searchDescription += `${searchDescription ? " | " : ""}tagId: ${params.tagId}`;
+      if (params.variable || params.value) searchDescription += `${searchDescription ? " | " : ""}variable: ${params.variable || "*"}=${params.value || "*"}`;
       advancedSearchInfo = searchDescription || "Advanced search parameters";
     }
     
@@ -511,7 +538,11 @@ class UnifiedExporter {
       matchCount,
       escapeCSV(matchingLinesSummary),
       success,
-      escapeCSV(error)
+      escapeCSV(error),
+      ...metadataColumns.map(column => {
+        const value = result.metadata?.[column];
+        return typeof value === 'boolean' ? (value ? 'Yes' : 'No') : escapeCSV(value);
+      })
     ].join(',') + '\n';
   }
   
@@ -528,7 +559,10 @@ class UnifiedExporter {
       'amazon': 'Amazon',
       'huawei': 'Huawei',
       'samsung': 'Samsung',
-      'roku': 'Roku'
+      'roku': 'Roku',
+      'lg': 'LG',
+      'vizio': 'Vizio',
+      'microsoft': 'Microsoft'
     };
     return storeMap[storeType.toLowerCase()] || storeType;
   }
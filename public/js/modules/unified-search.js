@@ -78,6 +78,29 @@ class UnifiedSearchManager {
     return this._getStructuredSearchParams();
   }
   
+  /**
+   * Get crawl options for app-ads.txt checks
+   * @returns {Object} Crawl options
+   */
+  getCrawlOptions() {
+    const followSubdomains = this._getElement('followSubdomains', 'followSubdomains');
+    const verifySellers = this._getElement('verifySellers', 'verifySellers');
+    const storeCountry = this._getElement('storeCountry', 'storeCountry');
+    const enrichMetadata = this._getElement('enrichMetadata', 'enrichMetadata');
+    const metadataColumns = this._getElement('metadataColumns', 'metadataColumns');
+    
+    return {
+      followSubdomains: !!followSubdomains?.checked,
+      verifySellers: !!verifySellers?.checked,
+      country: storeCountry?.value || null,
+      enrichMetadata: !!enrichMetadata?.checked,
+      // CSV columns only apply when metadata is collected
+      metadataColumns: enrichMetadata?.checked && metadataColumns
+        ? Array.from(metadataColumns.selectedOptions, option => option.value)
+        : []
+    };
+  }
+  
   /**
    * Get structured search parameters
    * @returns {Object} Structured search parameters
@@ -107,13 +130,26 @@ class UnifiedSearchManager {
         domain: form.querySelector('.structured-domain'),
         publisherId: form.querySelector('.structured-publisher-id'),
         relationship: form.querySelector('.structured-relationship'),
-        tagId: form.querySelector('.structured-tag-id')
+        tagId: form.querySelector('.structured-tag-id'),
+        variable: form.querySelector('.structured-variable'),
+        value: form.querySelector('.structured-variable-value')
       };
       
       const domain = formFields.domain?.value?.trim() || '';
       const publisherId = formFields.publisherId?.value?.trim() || '';
       const relationship = formFields.relationship?.value?.trim() || '';
       const tagId = formFields.tagId?.value?.trim() || '';
+      const variable = formFields.variable?.value?.trim() || '';
+      const value = formFields.value?.value?.trim() || '';
+      
+      // Variable searches (e.g. OWNERDOMAIN=example.com) match variable records only
+      if (variable || value) {
+        const params = {};
+        if (variable) params.variable = variable;
+        if (value) params.value = value;
+        structuredParamsArray.push(params);
+        return;
+      }
       
       // Skip if both domain and publisherId are empty
       if (!domain && !publisherId) {
@@ -230,7 +266,7 @@ class UnifiedSearchManager {
    * @private
    */
   _addStructuredSearchFormToUI(container, params = {}, index = 0) {
-    const { domain, publisherId, relationship, tagId } = params;
+    const { domain, publisherId, relationship, tagId, variable, value } = params;
     
     // Create form container
     const form = document.createElement('div');
@@ -332,6 +368,52 @@ class UnifiedSearchManager {
     tagIdField.appendChild(tagIdLabel);
     tagIdField.appendChild(tagIdInput);
     
+    // Create variable name field
+    const variableField = document.createElement('div');
+    variableField.className = 'structured-search-field';
+    
+    const variableLabel = document.createElement('label');
+    variableLabel.setAttribute('for', `structuredVariable_${index}`);
+    variableLabel.textContent = 'Variable (Optional):';
+    
+    const variableSelect = document.createElement('select');
+    variableSelect.id = `structuredVariable_${index}`;
+    variableSelect.className = 'structured-variable';
+    
+    ['', 'CONTACT', 'SUBDOMAIN', 'INVENTORYPARTNERDOMAIN', 'OWNERDOMAIN', 'MANAGERDOMAIN'].forEach(name => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name || 'None';
+      variableSelect.appendChild(option);
+    });
+    
+    if (variable) {
+      variableSelect.value = variable.toUpperCase();
+    }
+    
+    variableField.appendChild(variableLabel);
+    variableField.appendChild(variableSelect);
+    
+    // Create variable value field
+    const valueField = document.createElement('div');
+    valueField.className = 'structured-search-field';
+    
+    const valueLabel = document.createElement('label');
+    valueLabel.setAttribute('for', `structuredVariableValue_${index}`);
+    valueLabel.textContent = 'Variable Value (Optional):';
+    
+    const valueInput = document.createElement('input');
+    valueInput.type = 'text';
+    valueInput.id = `structuredVariableValue_${index}`;
+    valueInput.className = 'structured-variable-value';
+    valueInput.placeholder = 'e.g., example.com';
+    if (value) {
+      valueInput.value = value;
+    }
+    
+    valueField.appendChild(valueLabel);
+    valueField.appendChild(valueInput);
+    
     // Create remove button
     const actionsDiv = document.createElement('div');
     actionsDiv.className = 'structured-search-actions';
@@ -351,6 +433,8 @@ class UnifiedSearchManager {
     form.appendChild(publisherIdField);
     form.appendChild(relationshipField);
     form.appendChild(tagIdField);
+    form.appendChild(variableField);
+    form.appendChild(valueField);
     form.appendChild(actionsDiv);
     
     // Append form to container
@@ -117,7 +117,8 @@ class CSVUtils {
       'bundle', 'bundle_id', 'bundleid', 'bundle id', 
       'id', 'app id', 'app_id', 'appid',
       'package', 'package_name', 'packagename', 'package name',
-      'app', 'application'
+      'app', 'application',
+      'store url', 'store_url', 'storeurl', 'app url', 'app_url'
     ];
     
     // First try exact matches
@@ -146,7 +147,7 @@ class CSVUtils {
   
   /**
    * Extract bundle IDs from CSV data
-   * @param {Array<Object>} data - Parsed CSV data
+   * @param {Array<Object>} data - Parsed CSV data (bundle IDs, store URLs or store:id values)
    * @param {string} bundleIdColumn - Column containing bundle IDs
    * @returns {string[]} - Array of bundle IDs
    */
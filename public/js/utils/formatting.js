@@ -72,12 +72,32 @@ export function getStoreDisplayName(storeType) {
     'amazon': 'Amazon',
     'roku': 'Roku',
     'samsung': 'Samsung',
+    'huawei': 'Huawei',
+    'lg': 'LG',
+    'vizio': 'Vizio',
+    'microsoft': 'Microsoft',
     'unknown': 'Unknown'
   };
   
   return storeNames[storeType] || 'Unknown';
 }
 
+/**
+ * Get the badge label for a developer URL that points to a platform
+ * @param {string} urlClass - developerUrlClass of a result
+ * @returns {string|null} - Badge label, or null for the developer's own site
+ */
+export function getDeveloperUrlClassLabel(urlClass) {
+  const classLabels = {
+    'social': 'Social page',
+    'link-in-bio': 'Link page',
+    'hosting': 'Hosting platform',
+    'store': 'Store page'
+  };
+  
+  return classLabels[urlClass] || null;
+}
+
 /**
  * Truncate text with ellipsis
  * @param {string} text - Text to truncate
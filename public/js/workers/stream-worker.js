@@ -3,6 +3,10 @@
  * Web Worker for handling streaming data processing
  */
 
+// Event stream reconnection settings
+const DEFAULT_RETRY_MS = 3000; // Used until the server sends a retry field
+const MAX_RECONNECT_ATTEMPTS = 5; // Consecutive attempts without receiving a result
+
 // State tracking
 let buffer = '';
 let results = [];
@@ -12,12 +16,16 @@ let errorCount = 0;
 let withAppAdsTxtCount = 0;
 let searchTerms = [];
 let structuredParams = null;
+let followSubdomains = false;
+let verifySellers = false;
+let country = null;
+let enrichMetadata = false;
 let lastProgressUpdate = 0;
 let processingStartTime = 0;
 
 // Message handler
 self.onmessage = function(e) {
-  const { type, bundleIds, searchTerms: terms, structuredParams: params } = e.data;
+  const { type, bundleIds, searchTerms: terms, structuredParams: params, followSubdomains: follow, verifySellers: verify, country: storeCountry, enrichMetadata: enrich } = e.data;
   
   if (type === 'processBundleIds') {
     // Reset state
@@ -26,6 +34,10 @@ self.onmessage = function(e) {
     // Store search terms and structured params
     searchTerms = terms || [];
     structuredParams = params || null;
+    followSubdomains = follow === true;
+    verifySellers = verify === true;
+    country = storeCountry || null;
+    enrichMetadata = enrich === true;
     processingStartTime = Date.now();
     
     // Debug logging for structured params
@@ -60,6 +72,10 @@ function resetState() {
   withAppAdsTxtCount = 0;
   searchTerms = [];
   structuredParams = null;
+  followSubdomains = false;
+  verifySellers = false;
+  country = null;
+  enrichMetadata = false;
   lastProgressUpdate = 0;
   processingStartTime = 0;
 }
@@ -81,7 +97,11 @@ async function processStreamedBundleIds(bundleIds, searchTerms, structuredParams
       bundleIds,
       mode: 'advanced',
       searchTerms: [], // Empty for advanced mode
-      structuredParams: structuredParams || [] // Empty array if no structured params provided
+      structuredParams: structuredParams || [], // Empty array if no structured params provided
+      followSubdomains,
+      verifySellers,
+      country: country || undefined,
+      enrichMetadata
     };
     
     console.log('Worker finalized API payload:', JSON.stringify(payload));
@@ -92,86 +112,152 @@ async function processStreamedBundleIds(bundleIds, searchTerms, structuredParams
     );
     console.log('Worker determined isAdvancedSearch:', isAdvancedSearch);
     
-    // Start fetch request
-    const response = await fetch('/api/stream/extract-multiple', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Accept': 'application/json'
-      },
-      body: JSON.stringify(payload)
-    });
-    
-    if (!response.ok) {
-      throw new Error(`Server returned ${response.status}: ${response.statusText}`);
-    }
+    // ID of the last result event, sent as Last-Event-ID with the run ID to continue the run after a dropped connection
+    let lastEventId = null;
+    let runId = null;
+    let retryDelay = DEFAULT_RETRY_MS;
+    let summary = null;
+    let cancelled = null;
+    let attempts = 0;
     
-    if (!response.body) {
-      throw new Error('ReadableStream not supported');
-    }
-    
-    // Get reader for streaming response
-    const reader = response.body.getReader();
-    const decoder = new TextDecoder();
-    
-    // Set up flags for JSON parsing
-    let jsonStarted = false;
-    let resultArrayStarted = false;
-    
-    // Process the stream
-    while (true) {
-      const { done, value } = await reader.read();
-      
-      if (done) {
-        break;
+    while (!summary && !cancelled) {
+      const headers = {
+        'Content-Type': 'application/json',
+        'Accept': 'text/event-stream'
+      };
+      if (lastEventId !== null) {
+        headers['Last-Event-ID'] = lastEventId;
+        if (runId) {
+          headers['X-Stream-Run-Id'] = runId;
+        }
       }
       
-      // Decode chunk and add to buffer
-      const chunk = decoder.decode(value, { stream: true });
-      buffer += chunk;
-      
-      // Process buffer for JSON objects
-      if (!jsonStarted && buffer.includes('{"success":')) {
-        jsonStarted = true;
+      try {
+        // Start fetch request
+        const response = await fetch('/api/stream/extract-multiple', {
+          method: 'POST',
+          headers,
+          body: JSON.stringify(payload)
+        });
         
-        // Find start of results array
-        const resultsStart = buffer.indexOf('"results":[');
-        if (resultsStart !== -1) {
-          resultArrayStarted = true;
-          buffer = buffer.substring(resultsStart + 11); // Skip over "results":[
+        if (!response.ok) {
+          const httpError = new Error(`Server returned ${response.status}: ${response.statusText}`);
+          httpError.fatal = true;
+          throw httpError;
         }
-      }
-      
-      if (resultArrayStarted) {
-        // Extract complete JSON objects
-        processBuffer();
         
-        // Send progress update (limit frequency)
-        const now = Date.now();
-        if (now - lastProgressUpdate > 500) { // Update every 500ms max
-          lastProgressUpdate = now;
+        if (!response.body) {
+          const streamError = new Error('ReadableStream not supported');
+          streamError.fatal = true;
+          throw streamError;
+        }
+        
+        // A reconnection soon after a dropped connection continues the same run on the server; the main thread pauses and cancels it by ID
+        runId = response.headers.get('X-Stream-Run-Id');
+        self.postMessage({
+          type: 'run',
+          data: {
+            runId
+          }
+        });
+        
+        // Get reader for streaming response
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        buffer = '';
+        
+        // Process the stream
+        while (!summary && !cancelled) {
+          const { done, value } = await reader.read();
           
-          // Calculate percent based on expected total
-          const percent = Math.min(Math.round((processedCount / bundleIds.length) * 100), 99);
+          if (done) {
+            break;
+          }
+          
+          // Decode chunk and add to buffer, normalizing line endings
+          buffer += decoder.decode(value, { stream: true }).replace(/\r\n?/g, '\n');
           
-          self.postMessage({
-            type: 'progress',
-            data: {
-              processedCount,
-              successCount,
-              errorCount,
-              withAppAdsTxtCount,
-              percent,
-              totalBundleIds: bundleIds.length // Always include total bundle IDs count
+          for (const event of extractEvents()) {
+            if (event.retry) {
+              retryDelay = event.retry;
+            }
+            
+            switch (event.type) {
+              case 'result':
+                processResult(JSON.parse(event.data));
+                lastEventId = event.id;
+                attempts = 0;
+                break;
+              
+              case 'progress':
+                postProgress(JSON.parse(event.data), bundleIds.length);
+                break;
+              
+              case 'paused':
+              case 'resumed':
+                // Sent with exact counters, unlike the throttled progress updates
+                self.postMessage({
+                  type: event.type,
+                  data: {
+                    processedCount,
+                    successCount,
+                    errorCount,
+                    withAppAdsTxtCount,
+                    totalBundleIds: bundleIds.length
+                  }
+                });
+                break;
+              
+              case 'summary':
+                summary = JSON.parse(event.data);
+                break;
+              
+              case 'cancelled':
+                cancelled = JSON.parse(event.data);
+                break;
+              
+              case 'stream-error': {
+                const serverError = new Error(JSON.parse(event.data).error);
+                serverError.fatal = true;
+                throw serverError;
+              }
+              
+              default:
+                // Heartbeats only keep the connection alive
+                break;
             }
-          });
+          }
+        }
+      } catch (err) {
+        if (err.fatal) {
+          throw err;
         }
+        console.warn('Event stream interrupted:', err.message);
+      }
+      
+      if (summary || cancelled) {
+        break;
+      }
+      
+      // The stream ended without a summary, so reconnect and continue after the last result
+      attempts++;
+      if (attempts > MAX_RECONNECT_ATTEMPTS) {
+        throw new Error(`Connection lost after ${processedCount} of ${bundleIds.length} results; gave up after ${MAX_RECONNECT_ATTEMPTS} reconnection attempts`);
       }
+      
+      self.postMessage({
+        type: 'reconnecting',
+        data: {
+          attempt: attempts,
+          maxAttempts: MAX_RECONNECT_ATTEMPTS,
+          processedCount,
+          totalBundleIds: bundleIds.length
+        }
+      });
+      
+      await new Promise(resolve => setTimeout(resolve, retryDelay));
     }
     
-    // Process any remaining buffer
-    processBuffer();
-    
     // Final update with total count
     self.postMessage({
       type: 'complete',
@@ -183,10 +269,12 @@ async function processStreamedBundleIds(bundleIds, searchTerms, structuredParams
         withAppAdsTxtCount,
         totalBundleIds: bundleIds.length,
         processingTime: Date.now() - processingStartTime,
+        cancelled: cancelled !== null,
+        cancelReason: cancelled?.reason || null,
         percent: 100 // Always 100% on completion
       }
     });
-    
+  
   } catch (err) {
     console.error('Streaming error:', err);
     
@@ -200,68 +288,71 @@ async function processStreamedBundleIds(bundleIds, searchTerms, structuredParams
 }
 
 /**
- * Process the buffer to extract complete JSON objects
+ * Extract complete Server-Sent Events from the buffer
+ * @returns {Object[]} - Events with type, data, id and retry fields
  */
-function processBuffer() {
-  // Find complete JSON objects in buffer
-  let objectStart = 0;
-  let objectDepth = 0;
-  let inString = false;
-  let escapeNext = false;
+function extractEvents() {
+  const events = [];
+  let end;
   
-  for (let i = 0; i < buffer.length; i++) {
-    const char = buffer[i];
+  // Events are separated by a blank line
+  while ((end = buffer.indexOf('\n\n')) !== -1) {
+    const block = buffer.substring(0, end);
+    buffer = buffer.substring(end + 2);
     
-    if (escapeNext) {
-      escapeNext = false;
-      continue;
-    }
+    const event = { type: 'message', data: '', id: null, retry: null };
+    const dataLines = [];
     
-    if (char === '\\') {
-      escapeNext = true;
-      continue;
-    }
-    
-    if (char === '"' && !escapeNext) {
-      inString = !inString;
-      continue;
-    }
-    
-    if (inString) continue;
-    
-    if (char === '{') {
-      if (objectDepth === 0) {
-        objectStart = i;
-      }
-      objectDepth++;
-    } else if (char === '}') {
-      objectDepth--;
+    block.split('\n').forEach(line => {
+      // Lines starting with a colon are comments
+      if (!line || line.startsWith(':')) return;
       
-      if (objectDepth === 0) {
-        // We have a complete object
-        try {
-          const objectStr = buffer.substring(objectStart, i + 1);
-          const resultObject = JSON.parse(objectStr);
-          
-          // Process the result
-          processResult(resultObject);
-          
-          // Remove processed object from buffer
-          buffer = buffer.substring(i + 1);
-          
-          // Check if next character is a comma (likely), and skip it
-          if (buffer.charAt(0) === ',') {
-            buffer = buffer.substring(1);
-          }
-          
-          // Reset parser state
-          i = -1; // Next iteration will start at index 0
-        } catch (parseErr) {
-          // This might be an incomplete JSON object; continue collecting
-        }
+      const colon = line.indexOf(':');
+      const field = colon === -1 ? line : line.substring(0, colon);
+      const value = colon === -1 ? '' : line.substring(colon + 1).replace(/^ /, '');
+      
+      if (field === 'event') {
+        event.type = value;
+      } else if (field === 'data') {
+        dataLines.push(value);
+      } else if (field === 'id') {
+        event.id = value;
+      } else if (field === 'retry' && /^\d+$/.test(value)) {
+        event.retry = parseInt(value, 10);
       }
+    });
+    
+    // Blocks with neither data nor a retry field are ignored
+    if (dataLines.length > 0 || event.retry) {
+      event.data = dataLines.join('\n');
+      events.push(event);
     }
   }
+  
+  return events;
+}
+
+/**
+ * Send a progress update to the main thread, at most every 500ms
+ * @param {Object} progress - Progress event data from the server
+ * @param {number} totalBundleIds - Total number of bundle IDs
+ */
+function postProgress(progress, totalBundleIds) {
+  const now = Date.now();
+  if (now - lastProgressUpdate <= 500) return;
+  lastProgressUpdate = now;
+  
+  self.postMessage({
+    type: 'progress',
+    data: {
+      processedCount,
+      successCount,
+      errorCount,
+      withAppAdsTxtCount,
+      percent: Math.min(Math.round((progress.processed / totalBundleIds) * 100), 99),
+      totalBundleIds // Always include total bundle IDs count
+    }
+  });
 }
 
 /**
@@ -340,8 +431,14 @@ function matchesStructuredParams(result, params) {
     return false;
   }
   
+  // Crawled SUBDOMAIN= files are only searched on the server, so trust its merged results
+  if (result.appAdsTxt.sources?.length > 1 && result.appAdsTxt.searchResults?.count > 0) {
+    return true;
+  }
+  
   // Add a fallback for entries - if entries array is missing but content exists, try to parse it
   let entries = result.appAdsTxt.entries || [];
+  const hasVariableParams = params.some(paramSet => paramSet && (paramSet.variable || paramSet.value));
   
   // Debug the entire app-ads.txt structure
   console.log('App-ads.txt structure for', result.bundleId, ':', JSON.stringify(result.appAdsTxt, null, 2));
@@ -387,7 +484,7 @@ function matchesStructuredParams(result, params) {
   }
   
   console.log('App-ads.txt entries for', result.bundleId, ':', entries);
-  if (!entries.length) {
+  if (!entries.length && !hasVariableParams) {
     console.log('No entries found in app-ads.txt for', result.bundleId);
     return false;
   }
@@ -412,6 +509,30 @@ function matchesStructuredParams(result, params) {
     
     console.log(`Checking entries against paramSet:`, paramSet);
     
+    // Variable searches (e.g. OWNERDOMAIN=example.com) only look at variable records
+    if (paramSet.variable || paramSet.value) {
+      const variableMatches = (result.appAdsTxt.variables || []).filter(record => {
+        if (paramSet.variable && record.variable !== paramSet.variable.toUpperCase()) {
+          return false;
+        }
+        if (paramSet.value && String(record.value).toLowerCase() !== paramSet.value.trim().toLowerCase()) {
+          return false;
+        }
+        return true;
+      });
+      
+      if (variableMatches.length > 0) {
+        result.appAdsTxt.searchResults.termResults.push({
+          term: `${paramSet.variable || '*'}=${paramSet.value || '*'}`,
+          count: variableMatches.length,
+          matches: variableMatches.map(record => `${record.variable}=${record.value}`)
+        });
+        result.appAdsTxt.searchResults.count += variableMatches.length;
+        hasAnyMatches = true;
+      }
+      continue;
+    }
+    
     // Find matches for this parameter set
     const matchesForThisParamSet = entries.some(entry => {
       // Match domain if specified
@@ -432,7 +553,7 @@ function matchesStructuredParams(result, params) {
           'Exact match:', exactMatch, 
           'Substring match:', substringMatch,
           'Final result:', domainMatches);
-          
+        
         if (!domainMatches) {
           console.log('Domain does not match, skipping entry');
           return false;
@@ -576,7 +697,7 @@ function matchesStructuredParams(result, params) {
     // Update the count to the number of unique matches
     result.appAdsTxt.searchResults.count = uniqueMatches.size;
   }
-
+  
   // Return true if any parameter set matched (either in entries or raw content)
   return hasAnyMatches;
 }
@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+/**
+ * OpenRTB bid request importer CLI
+ * Reads an OpenRTB 2.x JSONL dump and prints de-duplicated bundle IDs with request counts as CSV
+ *
+ * Usage: node scripts/import-bid-requests.js [file.jsonl] [--ids-only]
+ * Reads standard input when no file is given. The CSV can be uploaded in the web UI as-is.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const readline = require('readline');
+const { createBidRequestImporter } = require('../src/utils/bid-request-importer');
+
+/**
+ * Quote a CSV field when needed
+ * @param {*} value - Field value
+ * @returns {string} - CSV-safe field
+ */
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const idsOnly = args.includes('--ids-only');
+  const file = args.find(arg => !arg.startsWith('--'));
+  
+  const input = file ? fs.createReadStream(file, { encoding: 'utf8' }) : process.stdin;
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  const importer = createBidRequestImporter();
+  
+  for await (const line of lines) {
+    importer.addLine(line);
+  }
+  
+  const { bundles, stats } = importer.getResult();
+  
+  if (idsOnly) {
+    bundles.forEach(bundle => process.stdout.write(`${bundle.bundleId}\n`));
+  } else {
+    process.stdout.write('bundle_id,store,requests,publisher_ids\n');
+    bundles.forEach(bundle => {
+      const publisherIds = bundle.publishers.map(publisher => publisher.id).filter(Boolean).join(' ');
+      process.stdout.write(`${[bundle.bundleId, bundle.storeType, bundle.count, publisherIds].map(csvField).join(',')}\n`);
+    });
+  }
+  
+  process.stderr.write(
+    `${stats.lines} lines, ${stats.requests} app requests, ${stats.uniqueBundles} unique bundle IDs ` +
+    `(${stats.invalidJson} invalid JSON, ${stats.withoutApp} without app, ${stats.unrecognized} unrecognized)\n`
+  );
+}
+
+main().catch(err => {
+  process.stderr.write(`Import failed: ${err.message}\n`);
+  process.exit(1);
+});
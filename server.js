@@ -10,6 +10,8 @@ const config = require('./src/config');
 const { getLogger } = require('./src/utils/logger');
 const redis = require('./src/services/redis');
 const { shutdown: shutdownAppAdsChecker } = require('./src/core/app-ads-checker');
+const jobManager = require('./src/services/job-manager');
+const streamRuns = require('./src/services/stream-runs');
 
 const logger = getLogger('server');
 
@@ -31,12 +33,23 @@ server.listen(config.server.port, config.server.host, () => {
     timeout: server.timeout,
     keepAliveTimeout: server.keepAliveTimeout
   }, 'Server started with increased timeouts');
+  
+  // Pick up background jobs interrupted by the last shutdown
+  jobManager.resumeJobs().catch(err => {
+    logger.error({ error: err.message }, 'Error resuming background jobs');
+  });
 });
 
 // Graceful shutdown
 function gracefulShutdown() {
   logger.info('Received shutdown signal, closing server gracefully');
   
+  // Stop background jobs after their current batch; they resume on the next start
+  jobManager.stop();
+  
+  // End open extraction streams after their current batch so the server can close
+  streamRuns.cancelAll();
+  
   server.close(() => {
     logger.info('HTTP server closed');
     
@@ -34,12 +34,22 @@ const cacheConfig = {
     // Store data TTLs
     storeSuccess: 24, // Successful store extractions
     storeError: 1,   // Failed store extractions
+    appMetadata: 72, // App listing metadata (title, category, ratings)
+    portfolio: 24,   // App lists from developer pages
+    
+    // Extraction job TTLs
+    jobs: 72,        // Job state, input and results, refreshed while the job runs
     
     // App-ads.txt TTLs
     appAdsTxtFound: 12,    // When app-ads.txt exists
     appAdsTxtMissing: 6,   // When app-ads.txt doesn't exist (404)
     appAdsTxtError: 1,     // When app-ads.txt check errors
     
+    // sellers.json TTLs
+    sellersJsonFound: 24,   // When sellers.json exists and parses
+    sellersJsonMissing: 12, // When sellers.json doesn't exist (404)
+    sellersJsonError: 1,    // When sellers.json fetch or parsing fails
+    
     // Analysis results TTLs
     analysisResults: 48,   // Domain analysis results
     
@@ -97,13 +107,24 @@ function generateKey(type, identifier, extras = []) {
  * Cache key generators for common data types
  */
 const keys = {
-  store: (storeType, bundleId) => generateKey('store', `${storeType}-${bundleId}`),
+  store: (storeType, bundleId, country = null) => 
+    generateKey('store', country ? `${storeType}-${bundleId}-${country}` : `${storeType}-${bundleId}`),
+  appMetadata: (storeType, bundleId, country = null) => 
+    generateKey('app-metadata', country ? `${storeType}-${bundleId}-${country}` : `${storeType}-${bundleId}`),
+  portfolio: (storeType, bundleId, country = null) => 
+    generateKey('portfolio', country ? `${storeType}-${bundleId}-${country}` : `${storeType}-${bundleId}`),
   appAdsTxt: (domain, searchTerms) => {
     const extras = searchTerms 
       ? [Array.isArray(searchTerms) ? searchTerms.sort().join('-') : searchTerms]
       : [];
     return generateKey('app-ads-txt', domain, extras);
   },
+  sellersJson: (domain) => generateKey('sellers-json', domain),
+  job: (jobId) => generateKey('job', jobId),
+  jobInput: (jobId) => generateKey('job-input', jobId),
+  jobResults: (jobId, chunkIndex) => generateKey('job-results', `${jobId}-${chunkIndex}`),
+  jobRetry: (jobId) => generateKey('job-retry', jobId),
+  jobIndex: () => generateKey('jobs', 'unfinished'),
   domainAnalysis: (domains) => generateKey('analysis', 'domains', [domains.length])
 };
 
@@ -0,0 +1,106 @@
+/**
+ * Developer URL platform configuration for App-Ads.txt Extractor
+ * Classifies developer URLs that point to social, link-in-bio, hosting or store platforms
+ * instead of the developer's own site, using the platforms file (src/config/developer-url-platforms.json by default)
+ */
+
+'use strict';
+
+const fs = require('fs');
+const config = require('./index');
+const { getHost } = require('../core/crawler-policy');
+
+// Developer URL classes; every class except 'developer' names a platform list in the platforms file
+const DEVELOPER_URL_CLASSES = ['developer', 'social', 'link-in-bio', 'hosting', 'store'];
+
+/**
+ * Validate platform lists
+ * @param {*} platforms - Parsed platforms file
+ * @returns {string[]} - Validation errors, empty when valid
+ */
+function validatePlatforms(platforms) {
+  if (!platforms || typeof platforms !== 'object' || Array.isArray(platforms)) {
+    return ['Platforms must be an object of domain lists keyed by class'];
+  }
+  
+  const errors = [];
+  
+  Object.entries(platforms).forEach(([urlClass, domains]) => {
+    if (urlClass === 'developer' || !DEVELOPER_URL_CLASSES.includes(urlClass)) {
+      errors.push(`Unknown class "${urlClass}". Use any of ${DEVELOPER_URL_CLASSES.slice(1).join(', ')}`);
+      return;
+    }
+    
+    if (!Array.isArray(domains)) {
+      errors.push(`${urlClass}: must be an array of domains`);
+      return;
+    }
+    
+    domains.forEach((domain, index) => {
+      if (typeof domain !== 'string' || !/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain)) {
+        errors.push(`${urlClass}[${index}]: "${domain}" is not a lowercase domain`);
+      }
+    });
+  });
+  
+  return errors;
+}
+
+/**
+ * Load and validate the platforms file
+ * @param {string} file - Platforms file path
+ * @returns {Map<string, string>} - Platform domain to class
+ * @throws {Error} - If the file cannot be read or is invalid
+ */
+function loadPlatforms(file) {
+  let platforms;
+  try {
+    platforms = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Cannot load developer URL platforms from ${file}: ${err.message}`);
+  }
+  
+  const errors = validatePlatforms(platforms);
+  if (errors.length > 0) {
+    const error = new Error(`Invalid developer URL platforms in ${file}:\n  - ${errors.join('\n  - ')}`);
+    error.details = errors;
+    throw error;
+  }
+  
+  const domainClasses = new Map();
+  Object.entries(platforms).forEach(([urlClass, domains]) => {
+    domains.forEach(domain => domainClasses.set(domain, urlClass));
+  });
+  
+  return domainClasses;
+}
+
+// Platform domain to class, loaded at startup
+const platformClasses = loadPlatforms(config.developerUrls.platformsFile);
+
+/**
+ * Classify a developer URL
+ * A URL matches a platform when its host is the platform domain or one of its subdomains,
+ * so private suffixes such as github.io and blogspot.com match every site hosted on them
+ * @param {string} url - Developer URL or host
+ * @returns {object} - { developerUrlClass, platform }, platform is null for the developer's own site
+ */
+function classifyDeveloperUrl(url) {
+  const labels = getHost(url).split('.');
+  
+  // Longest suffix first, so sites.google.com wins over a shorter entry
+  for (let i = 0; i < labels.length - 1; i++) {
+    const suffix = labels.slice(i).join('.');
+    if (platformClasses.has(suffix)) {
+      return { developerUrlClass: platformClasses.get(suffix), platform: suffix };
+    }
+  }
+  
+  return { developerUrlClass: 'developer', platform: null };
+}
+
+module.exports = {
+  DEVELOPER_URL_CLASSES,
+  validatePlatforms,
+  classifyDeveloperUrl
+};
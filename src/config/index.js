@@ -59,7 +59,10 @@ const config = {
     rateLimitWindow: 15 * 60 * 1000, // 15 minutes in ms
     rateLimitMax: 100, // Maximum requests per IP in window
     bodyLimit: '1mb',
+    importBodyLimit: '5mb', // Maximum size of an OpenRTB JSONL upload, parsed on the request thread
     maxBundleIds: process.env.MAX_BUNDLE_IDS || 200, // Maximum number of bundle IDs per request
+    maxAuthorizeTuples: 500, // Maximum number of tuples per POST /api/authorize request
+    maxSchainNodes: 20, // Maximum number of nodes per POST /api/validate-schain request
     // New pagination defaults
     defaultPageSize: 20,
     maxPageSize: 100
@@ -80,6 +83,73 @@ const config = {
     streamChunkSize: 65536 // 64KB chunk size for stream processing
   },
   
+  // app-ads.txt crawling settings
+  appAdsTxt: {
+    subdomainMaxDepth: 2, // Levels of SUBDOMAIN= records followed when crawling
+    subdomainMaxFiles: 10, // Maximum app-ads.txt files fetched per crawl, root included
+    // How the file is located and fetched (see src/core/crawler-policy.js)
+    crawlerPolicy: {
+      hostDerivation: process.env.APP_ADS_HOST_DERIVATION === 'registrable' ? 'registrable' : 'spec', // 'spec' or 'registrable' (public suffix + 1)
+      strippedPrefixes: ['www', 'm'], // Leading developer URL labels removed by the spec derivation
+      maxRedirects: 5,
+      allowDelegation: process.env.APP_ADS_ALLOW_DELEGATION === 'true', // Accept one redirect to a third-party domain
+      enforce: process.env.APP_ADS_ENFORCE_POLICY === 'true' // Treat files only reachable through violations as missing
+    }
+  },
+  
+  // App store lookup settings
+  storeLookup: {
+    // Declarative store definitions (JSON), reloadable through POST /api/admin/reload-stores
+    definitionsFile: process.env.STORES_CONFIG 
+      ? path.resolve(process.env.STORES_CONFIG) 
+      : path.join(BASE_DIR, 'src/config/stores.json'),
+    defaultCountry: (process.env.STORE_COUNTRY || 'us').toLowerCase(), // Storefront used when a request sets no country
+    // Storefronts tried in order when an app is not listed (HTTP 404) in the requested one
+    fallbackCountries: (process.env.STORE_FALLBACK_COUNTRIES || 'us,gb,ca,au,in,de,fr,jp,br')
+      .split(',')
+      .map(country => country.trim().toLowerCase())
+      .filter(Boolean)
+  },
+  
+  // Streaming extraction runs (/api/stream/extract-multiple)
+  streams: {
+    resumeWindowMs: parseInt(process.env.STREAM_RESUME_WINDOW_MS, 10) || 60000, // How long an event stream client that lost its connection can resume the same run
+    maxPauseMs: parseInt(process.env.STREAM_MAX_PAUSE_MS, 10) || 30 * 60 * 1000, // Paused runs are cancelled after this long
+    maxResumes: parseInt(process.env.STREAM_MAX_RESUMES, 10) || 5 // How many times one run can be resumed after a lost connection
+  },
+  
+  // Asynchronous extraction jobs (POST /api/jobs)
+  jobs: {
+    maxBundleIds: parseInt(process.env.JOBS_MAX_BUNDLE_IDS, 10) || 10000, // Maximum number of bundle IDs per job
+    maxActiveJobs: parseInt(process.env.JOBS_MAX_ACTIVE, 10) || 2, // Jobs processed at the same time, others are queued
+    concurrency: 3, // Bundle IDs extracted in parallel within a job
+    chunkSize: 100 // Results stored per cache entry
+  },
+  
+  // Developer URL classification settings
+  developerUrls: {
+    // Social, link-in-bio, hosting and store domains whose URLs are not the developer's own site (JSON)
+    platformsFile: process.env.DEVELOPER_URL_PLATFORMS
+      ? path.resolve(process.env.DEVELOPER_URL_PLATFORMS)
+      : path.join(BASE_DIR, 'src/config/developer-url-platforms.json')
+  },
+  
+  // Developer portfolio expansion settings
+  portfolio: {
+    maxApps: parseInt(process.env.PORTFOLIO_MAX_APPS, 10) || 200 // App IDs returned per developer page
+  },
+  
+  // Admin endpoints are disabled unless a token is configured
+  admin: {
+    token: process.env.ADMIN_TOKEN || null
+  },
+  
+  // sellers.json verification settings
+  sellersJson: {
+    maxAdSystems: 50, // Maximum ad systems whose sellers.json is fetched per app-ads.txt file
+    concurrency: 3 // Parallel sellers.json fetches
+  },
+  
   // HTTP client settings
   http: {
     timeout: 15000, // 15 seconds
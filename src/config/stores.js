@@ -1,117 +1,516 @@
 /**
  * Store configuration for App-Ads.txt Extractor
- * Contains URL templates, extractors, and rate limiting settings for each app store
+ * Compiles the declarative store definitions file (src/config/stores.json by default) into
+ * URL templates, ID detection rules, store URL parsers, extractors and rate limiting settings
  */
 
 'use strict';
 
+const fs = require('fs');
+const config = require('./index');
+const { validateStrategy, compileStrategy, METADATA_STRATEGY_FIELDS } = require('../utils/extraction-strategies');
+
 /**
- * Store configurations object
+ * Compiled store configurations, keyed by store type
  * Each store has:
- * - urlTemplate: Function to generate store URL from bundle ID
- * - extractors: Array of functions to extract developer URL from HTML
+ * - name: Display name
+ * - urlTemplate: Function to generate store URL from bundle ID and { country }
+ * - countryAware: Whether listings differ per storefront country
+ * - extractors: Array of functions to extract developer URL from a page (see extraction-strategies)
+ * - strategies: Extraction strategy definitions the extractors were compiled from
+ * - metadataExtractors: Functions per metadata field (e.g. developerId) for values missing from JSON-LD
+ * - portfolio: { developerPageExtractors, appLinkPatterns } for listing a developer's apps, or null
  * - rateLimit: Rate limiting settings for the store
+ * The object is updated in place on reload, so references held by other modules stay current
  */
-const stores = {
-  googleplay: {
-    urlTemplate: id => `https://play.google.com/store/apps/details?id=${encodeURIComponent(id)}`,
-    extractors: [
-      html => html.match(/<meta\s+name=['"]appstore:developer_url['"][^>]*content=['"]([^'"]+)['"]/i)?.[1],
-      html => html.match(/href="(https:\/\/play\.google\.com\/store\/apps\/dev[^"]+)"/i)?.[1] || 
-              html.match(/href="(https:\/\/play\.google\.com\/store\/apps\/developer\?[^"]+)"/i)?.[1]
-    ],
-    rateLimit: { requests: 10, windowMs: 1000 }
-  },
-  
-  appstore: {
-    urlTemplate: id => `https://apps.apple.com/us/app/${encodeURIComponent(/^\d+$/.test(id) ? 'id' + id : id)}`,
-    extractors: [
-      html => html.match(/<a[^>]*class=['"]link\s+icon\s+icon-after\s+icon-external['"][^>]*href=['"]([^'"]+)['"]/i)?.[1],
-      html => html.match(/href="(https:\/\/apps\.apple\.com[^"]+\/developer\/[^"]+)"/i)?.[1]
-    ],
-    rateLimit: { requests: 12, windowMs: 1000 }
-  },
-  
-  amazon: {
-    urlTemplate: id => `https://www.amazon.com/dp/${encodeURIComponent(id)}`,
-    extractors: [
-      html => html.match(/href="(https:\/\/www\.amazon\.com\/[^"]+\/developer\/[^"]+)"/i)?.[1],
-      html => html.match(/href="([^"]+)"[^>]*>Visit the ([^<]+) Store</i)?.[1]
-    ],
-    rateLimit: { requests: 8, windowMs: 1500 }
-  },
-  
-  roku: {
-    urlTemplate: id => `https://channelstore.roku.com/details/${encodeURIComponent(id)}`,
-    extractors: [
-      html => html.match(/<meta\s+name=['"]appstore:developer_url['"][^>]*content=['"]([^'"]+)['"]/i)?.[1],
-      html => html.match(/href="(https:\/\/channelstore\.roku\.com\/[^"]*?\/developer\/[^"]+)"/i)?.[1],
-      html => html.match(/href="([^"]+)"[^>]*>More by ([^<]+)</i)?.[1]
-    ],
-    rateLimit: { requests: 10, windowMs: 1200 }
-  },
-  
-  samsung: {
-    urlTemplate: id => `https://www.samsung.com/us/appstore/app/${encodeURIComponent(id)}`,
-    extractors: [
-      html => html.match(/<meta\s+name=['"]appstore:developer_url['"][^>]*content=['"]([^'"]+)['"]/i)?.[1],
-      html => html.match(/href="(https:\/\/www\.samsung\.com\/[^"]*?\/developer\/[^"]+)"/i)?.[1],
-      html => html.match(/href="([^"]+)"[^>]*>More from Developer</i)?.[1],
-      html => html.match(/Developer<\/dt>[^<]*<dd[^>]*>[^<]*<a[^>]*href="([^"]+)"/i)?.[1]
-    ],
-    rateLimit: { requests: 8, windowMs: 1500 }
+const stores = {};
+
+// Explicit store prefixes accepted in input, e.g. ios:389801252 or roku:abc123
+const STORE_PREFIXES = {};
+
+// ID detection rules across all stores, highest priority first
+let detectionRules = [];
+
+// Store URL parsing rules, in definition order
+let urlRules = [];
+
+// Definitions file and load time of the active configuration
+let loadedFrom = null;
+let loadedAt = null;
+
+/**
+ * Compile a regular expression from a definition, recording an error when it is invalid
+ * @param {string} pattern - Pattern source
+ * @param {string} [flags] - Pattern flags
+ * @param {string} label - Definition path used in error messages
+ * @param {string[]} errors - Collected errors
+ * @returns {RegExp|null} - Compiled pattern, or null when invalid
+ */
+function compilePattern(pattern, flags, label, errors) {
+  if (typeof pattern !== 'string' || !pattern) {
+    errors.push(`${label}: pattern must be a non-empty string`);
+    return null;
   }
-};
+  
+  try {
+    return new RegExp(pattern, flags || '');
+  } catch (err) {
+    errors.push(`${label}: invalid regex: ${err.message}`);
+    return null;
+  }
+}
 
 /**
- * Helper function to detect store type from bundle ID format
- * @param {string} id - The bundle ID to analyze
- * @returns {string} - Store type identifier or 'unknown'
+ * Validate store definitions
+ * @param {object} definitions - Store definitions keyed by store type
+ * @returns {string[]} - Problems found, empty when the definitions are valid
  */
-function detectStoreType(id) {
-  if (!id || typeof id !== 'string') return 'unknown';
+function validateStoreDefinitions(definitions) {
+  if (!definitions || typeof definitions !== 'object' || Array.isArray(definitions)) {
+    return ['Store definitions must be an object keyed by store type'];
+  }
   
-  const trimmedId = id.trim();
+  const errors = [];
+  const prefixOwners = {};
   
-  // Normalize Amazon IDs to uppercase
-  if (/^[bB][0-9A-Za-z]{9,10}$/i.test(trimmedId)) {
-    return 'amazon';
+  if (Object.keys(definitions).length === 0) {
+    errors.push('At least one store must be defined');
   }
   
-  // Samsung - Case-insensitive check for Galaxy Store IDs
-  if (/^[gG]\d{8,15}$/i.test(trimmedId)) {
-    return 'samsung';
+  Object.entries(definitions).forEach(([storeType, definition]) => {
+    const label = `stores.${storeType}`;
+    
+    if (!/^[a-z][a-z0-9-]*$/.test(storeType)) {
+      errors.push(`${label}: store type must be lowercase letters, digits and dashes`);
+    }
+    
+    if (!definition || typeof definition !== 'object') {
+      errors.push(`${label}: definition must be an object`);
+      return;
+    }
+    
+    if (typeof definition.name !== 'string' || !definition.name.trim()) {
+      errors.push(`${label}.name: must be a non-empty string`);
+    }
+    
+    if (typeof definition.urlTemplate !== 'string' || !/^https?:\/\//.test(definition.urlTemplate) ||
+        !definition.urlTemplate.includes('{id}')) {
+      errors.push(`${label}.urlTemplate: must be an http(s) URL containing {id}`);
+    }
+    
+    if (definition.countryAware !== undefined && typeof definition.countryAware !== 'boolean') {
+      errors.push(`${label}.countryAware: must be a boolean`);
+    }
+    
+    (Array.isArray(definition.prefixes) ? definition.prefixes : []).forEach((prefix, index) => {
+      if (typeof prefix !== 'string' || !/^[a-z]+$/.test(prefix)) {
+        errors.push(`${label}.prefixes[${index}]: must be lowercase letters`);
+      } else if (prefixOwners[prefix]) {
+        errors.push(`${label}.prefixes[${index}]: "${prefix}" is already used by ${prefixOwners[prefix]}`);
+      } else {
+        prefixOwners[prefix] = storeType;
+      }
+    });
+    
+    if (definition.prefixes !== undefined && !Array.isArray(definition.prefixes)) {
+      errors.push(`${label}.prefixes: must be an array`);
+    }
+    
+    if (!Array.isArray(definition.detection)) {
+      errors.push(`${label}.detection: must be an array`);
+    } else {
+      definition.detection.forEach((rule, index) => {
+        const ruleLabel = `${label}.detection[${index}]`;
+        compilePattern(rule?.pattern, rule?.flags, ruleLabel, errors);
+        
+        if (!Number.isFinite(rule?.priority)) {
+          errors.push(`${ruleLabel}.priority: must be a number`);
+        }
+        
+        if (typeof rule?.reason !== 'string' || !rule.reason) {
+          errors.push(`${ruleLabel}.reason: must be a non-empty string`);
+        }
+      });
+    }
+    
+    (definition.urlPatterns || []).forEach((rule, index) => {
+      const ruleLabel = `${label}.urlPatterns[${index}]`;
+      compilePattern(rule?.host, null, `${ruleLabel}.host`, errors);
+      
+      if (!rule?.query === !rule?.path) {
+        errors.push(`${ruleLabel}: must set exactly one of "query" or "path"`);
+      } else if (rule.path) {
+        const pathPattern = compilePattern(rule.path, rule.flags, `${ruleLabel}.path`, errors);
+        if (pathPattern && new RegExp(`${pathPattern.source}|`).exec('').length < 2) {
+          errors.push(`${ruleLabel}.path: must capture the ID in group 1`);
+        }
+      }
+      
+      if (rule?.idTemplate !== undefined && !String(rule.idTemplate).includes('{id}')) {
+        errors.push(`${ruleLabel}.idTemplate: must contain {id}`);
+      }
+    });
+    
+    ['idRewrites', 'canonicalIdRewrites'].forEach(field => {
+      (definition[field] || []).forEach((rewrite, index) => {
+        const rewriteLabel = `${label}.${field}[${index}]`;
+        compilePattern(rewrite?.pattern, rewrite?.flags, rewriteLabel, errors);
+        
+        if (typeof rewrite?.replacement !== 'string') {
+          errors.push(`${rewriteLabel}.replacement: must be a string`);
+        }
+      });
+    });
+    
+    if (!Array.isArray(definition.extraction) || definition.extraction.length === 0) {
+      errors.push(`${label}.extraction: must be a non-empty array of strategies`);
+    } else {
+      definition.extraction.forEach((strategy, index) => {
+        validateStrategy(strategy).forEach(error => errors.push(`${label}.extraction[${index}]: ${error}`));
+      });
+    }
+    
+    if (definition.metadata !== undefined) {
+      if (!definition.metadata || typeof definition.metadata !== 'object' || Array.isArray(definition.metadata)) {
+        errors.push(`${label}.metadata: must be an object keyed by metadata field`);
+      } else {
+        Object.entries(definition.metadata).forEach(([field, strategies]) => {
+          const fieldLabel = `${label}.metadata.${field}`;
+          
+          if (!METADATA_STRATEGY_FIELDS.includes(field)) {
+            errors.push(`${fieldLabel}: unknown field (expected one of ${METADATA_STRATEGY_FIELDS.join(', ')})`);
+          } else if (!Array.isArray(strategies) || strategies.length === 0) {
+            errors.push(`${fieldLabel}: must be a non-empty array of strategies`);
+          } else {
+            strategies.forEach((strategy, index) => {
+              validateStrategy(strategy).forEach(error => errors.push(`${fieldLabel}[${index}]: ${error}`));
+            });
+          }
+        });
+      }
+    }
+    
+    if (definition.portfolio !== undefined) {
+      const portfolio = definition.portfolio;
+      
+      if (!portfolio || typeof portfolio !== 'object' || Array.isArray(portfolio)) {
+        errors.push(`${label}.portfolio: must be an object with "developerPage" and "appLinks"`);
+      } else {
+        if (!Array.isArray(portfolio.developerPage) || portfolio.developerPage.length === 0) {
+          errors.push(`${label}.portfolio.developerPage: must be a non-empty array of strategies`);
+        } else {
+          portfolio.developerPage.forEach((strategy, index) => {
+            validateStrategy(strategy).forEach(error => errors.push(`${label}.portfolio.developerPage[${index}]: ${error}`));
+          });
+        }
+        
+        if (!Array.isArray(portfolio.appLinks) || portfolio.appLinks.length === 0) {
+          errors.push(`${label}.portfolio.appLinks: must be a non-empty array of patterns`);
+        } else {
+          portfolio.appLinks.forEach((rule, index) => {
+            const ruleLabel = `${label}.portfolio.appLinks[${index}]`;
+            const pattern = compilePattern(rule?.pattern, rule?.flags, ruleLabel, errors);
+            if (pattern && new RegExp(`${pattern.source}|`).exec('').length < 2) {
+              errors.push(`${ruleLabel}: must capture the app ID in group 1`);
+            }
+          });
+        }
+      }
+    }
+    
+    const rateLimit = definition.rateLimit;
+    if (!rateLimit || !Number.isInteger(rateLimit.requests) || rateLimit.requests < 1 ||
+        !Number.isInteger(rateLimit.windowMs) || rateLimit.windowMs < 1) {
+      errors.push(`${label}.rateLimit: must have positive integer "requests" and "windowMs"`);
+    }
+  });
+  
+  return errors;
+}
+
+/**
+ * Build a function applying regex replacements to an ID
+ * @param {object[]} idRewrites - { pattern, flags, replacement } in order
+ * @returns {function(string): string} - id => rewritten ID
+ */
+function compileIdRewrites(idRewrites = []) {
+  const rewrites = idRewrites.map(rewrite => ({
+    pattern: new RegExp(rewrite.pattern, rewrite.flags || ''),
+    replacement: rewrite.replacement
+  }));
+  
+  return id => rewrites.reduce((value, rewrite) => value.replace(rewrite.pattern, rewrite.replacement), String(id));
+}
+
+/**
+ * Build the URL template function for a store
+ * @param {string} template - URL with {id}, {country} and {COUNTRY} placeholders
+ * @param {object[]} idRewrites - Regex replacements applied to the ID first
+ * @returns {function(string, object): string} - (id, { country }) => store URL
+ */
+function compileUrlTemplate(template, idRewrites = []) {
+  const rewriteId = compileIdRewrites(idRewrites);
+  
+  return (id, { country } = {}) => {
+    const storeId = rewriteId(id);
+    const storefront = country || 'us';
+    
+    return template
+      .replace(/\{id\}/g, encodeURIComponent(storeId))
+      .replace(/\{country\}/g, encodeURIComponent(storefront.toLowerCase()))
+      .replace(/\{COUNTRY\}/g, encodeURIComponent(storefront.toUpperCase()));
+  };
+}
+
+/**
+ * Compile validated store definitions
+ * @param {object} definitions - Store definitions keyed by store type
+ * @returns {object} - { stores, prefixes, detectionRules, urlRules }
+ */
+function compileStoreDefinitions(definitions) {
+  const compiled = { stores: {}, prefixes: {}, detectionRules: [], urlRules: [] };
+  
+  Object.entries(definitions).forEach(([storeType, definition]) => {
+    compiled.stores[storeType] = {
+      name: definition.name,
+      urlTemplate: compileUrlTemplate(definition.urlTemplate, definition.idRewrites),
+      canonicalId: compileIdRewrites(definition.canonicalIdRewrites),
+      countryAware: definition.countryAware === true,
+      extractors: definition.extraction.map(compileStrategy),
+      strategies: definition.extraction,
+      metadataExtractors: Object.fromEntries(
+        Object.entries(definition.metadata || {}).map(([field, strategies]) => [field, strategies.map(compileStrategy)])
+      ),
+      portfolio: definition.portfolio 
+        ? {
+          developerPageExtractors: definition.portfolio.developerPage.map(compileStrategy),
+          // Global, so every app link on a developer page is matched
+          appLinkPatterns: definition.portfolio.appLinks.map(rule => 
+            new RegExp(rule.pattern, `${(rule.flags || '').replace('g', '')}g`))
+        } 
+        : null,
+      rateLimit: { requests: definition.rateLimit.requests, windowMs: definition.rateLimit.windowMs }
+    };
+    
+    (definition.prefixes || []).forEach(prefix => {
+      compiled.prefixes[prefix] = storeType;
+    });
+    
+    definition.detection.forEach(rule => {
+      compiled.detectionRules.push({
+        storeType,
+        pattern: new RegExp(rule.pattern, rule.flags || ''),
+        priority: rule.priority,
+        reason: rule.reason
+      });
+    });
+    
+    (definition.urlPatterns || []).forEach(rule => {
+      compiled.urlRules.push({
+        storeType,
+        host: new RegExp(rule.host),
+        query: rule.query || null,
+        path: rule.path ? new RegExp(rule.path, rule.flags || '') : null,
+        includeHash: rule.includeHash === true,
+        uppercase: rule.uppercase === true,
+        lowercase: rule.lowercase === true,
+        idTemplate: rule.idTemplate || null
+      });
+    });
+  });
+  
+  // Array sort is stable, so rules with equal priority keep their definition order
+  compiled.detectionRules.sort((a, b) => b.priority - a.priority);
+  
+  return compiled;
+}
+
+/**
+ * Read, validate and compile a store definitions file
+ * @param {string} file - Path to the JSON definitions file
+ * @returns {object} - Compiled definitions
+ * @throws {Error} - If the file cannot be read or the definitions are invalid
+ */
+function loadStoreDefinitions(file) {
+  let definitions;
+  try {
+    definitions = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Cannot load store definitions from ${file}: ${err.message}`);
   }
   
-  // App Store - iOS apps with numeric IDs 
-  if (/^(id)?\d{8,12}$/i.test(trimmedId)) {
-    return 'appstore';
+  const errors = validateStoreDefinitions(definitions);
+  if (errors.length > 0) {
+    const error = new Error(`Invalid store definitions in ${file}:\n  - ${errors.join('\n  - ')}`);
+    error.details = errors;
+    throw error;
   }
   
-  // Google Play - standard package name format
-  if (/^[a-zA-Z][a-zA-Z0-9_]*(\.[a-zA-Z][a-zA-Z0-9_]*)+$/.test(trimmedId)) {
-    return 'googleplay';
+  return compileStoreDefinitions(definitions);
+}
+
+/**
+ * Replace the contents of an object in place
+ * @param {object} target - Object to update
+ * @param {object} source - New contents
+ */
+function replaceContents(target, source) {
+  Object.keys(target).forEach(key => delete target[key]);
+  Object.assign(target, source);
+}
+
+/**
+ * Reload store definitions from disk
+ * The active configuration is only replaced when the new file is valid
+ * @param {string} [file] - Definitions file, defaults to the configured one
+ * @returns {object} - Summary of the active configuration (see getStoreDefinitionsInfo)
+ * @throws {Error} - If the file cannot be read or the definitions are invalid
+ */
+function reloadStores(file = config.storeLookup.definitionsFile) {
+  const compiled = loadStoreDefinitions(file);
+  
+  replaceContents(stores, compiled.stores);
+  replaceContents(STORE_PREFIXES, compiled.prefixes);
+  detectionRules = compiled.detectionRules;
+  urlRules = compiled.urlRules;
+  loadedFrom = file;
+  loadedAt = Date.now();
+  
+  return getStoreDefinitionsInfo();
+}
+
+/**
+ * Describe the active store configuration
+ * @returns {object} - { file, loadedAt, storeTypes }
+ */
+function getStoreDefinitionsInfo() {
+  return {
+    file: loadedFrom,
+    loadedAt,
+    storeTypes: Object.keys(stores)
+  };
+}
+
+/**
+ * Detect store type from bundle ID format, with the rule that matched
+ * @param {string} id - The bundle ID to analyze
+ * @returns {object} - { storeType, reason }
+ */
+function detectStoreTypeWithReason(id) {
+  if (!id || typeof id !== 'string') {
+    return { storeType: 'unknown', reason: 'Empty bundle ID' };
+  }
+  
+  const trimmedId = id.trim();
+  const rule = detectionRules.find(candidate => candidate.pattern.test(trimmedId));
+  
+  return rule
+    ? { storeType: rule.storeType, reason: rule.reason }
+    : { storeType: 'unknown', reason: 'No store ID format matched' };
+}
+
+/**
+ * Helper function to detect store type from bundle ID format
+ * @param {string} id - The bundle ID to analyze
+ * @returns {string} - Store type identifier or 'unknown'
+ */
+function detectStoreType(id) {
+  return detectStoreTypeWithReason(id).storeType;
+}
+
+/**
+ * Map an app store URL to its store and bundle ID
+ * @param {string} storeUrl - Store page URL
+ * @returns {object|null} - { storeType, id }, or null when the URL is not a recognized store page
+ */
+function parseStoreUrl(storeUrl) {
+  let url;
+  try {
+    url = new URL(storeUrl.trim());
+  } catch (err) {
+    return null;
   }
   
-  // Roku - numeric IDs identification (to be skipped later) or specific format
-  if (/^\d{4,6}$/.test(trimmedId)) {
-    return 'roku-numeric';
+  const hostname = url.hostname.toLowerCase();
+  
+  for (const rule of urlRules) {
+    if (!rule.host.test(hostname)) continue;
+    
+    let id = rule.query
+      ? url.searchParams.get(rule.query)
+      : `${url.pathname}${rule.includeHash ? url.hash : ''}`.match(rule.path)?.[1];
+    
+    if (!id) continue;
+    
+    if (rule.uppercase) id = id.toUpperCase();
+    if (rule.lowercase) id = id.toLowerCase();
+    if (rule.idTemplate) id = rule.idTemplate.replace('{id}', id);
+    
+    return { storeType: rule.storeType, id };
   }
   
-  // Roku - other valid formats
-  if (/^[a-f0-9]{32}:[a-f0-9]{32}$/i.test(trimmedId)) {
-    return 'roku';
+  return null;
+}
+
+/**
+ * Resolve a bundle ID input to a store and ID
+ * Store URLs and explicit store:id prefixes override format-based detection; the IDs they give
+ * are reduced to the store's canonical form with its canonicalIdRewrites
+ * @param {string} input - Bundle ID, store URL or store:id
+ * @returns {object} - { id, storeType, detection: { method, reason } }
+ */
+function resolveStoreInput(input) {
+  const trimmedInput = typeof input === 'string' ? input.trim() : '';
+  
+  if (/^https?:\/\//i.test(trimmedInput)) {
+    const parsed = parseStoreUrl(trimmedInput);
+    
+    if (!parsed) {
+      return {
+        id: null,
+        storeType: 'unknown',
+        detection: { method: 'url', reason: 'Unrecognized app store URL' }
+      };
+    }
+    
+    return {
+      id: stores[parsed.storeType].canonicalId(parsed.id),
+      storeType: parsed.storeType,
+      detection: { method: 'url', reason: `${stores[parsed.storeType].name} URL` }
+    };
   }
   
-  // Fallback for other Roku formats - after checking other patterns
-  if (/^[a-zA-Z0-9]{4,}$/.test(trimmedId) && !trimmedId.includes('.')) {
-    return 'roku';
+  const prefixMatch = trimmedInput.match(/^([a-z]+):(.+)$/i);
+  const prefixStore = prefixMatch && STORE_PREFIXES[prefixMatch[1].toLowerCase()];
+  
+  if (prefixStore) {
+    return {
+      id: stores[prefixStore].canonicalId(prefixMatch[2].trim()),
+      storeType: prefixStore,
+      detection: { method: 'prefix', reason: `Explicit "${prefixMatch[1].toLowerCase()}:" prefix` }
+    };
   }
   
-  return 'unknown';
+  const { storeType, reason } = detectStoreTypeWithReason(trimmedInput);
+  
+  return {
+    id: trimmedInput,
+    storeType,
+    detection: { method: 'format', reason }
+  };
 }
 
+// Load and validate the definitions at startup; an invalid file stops the server from starting
+reloadStores();
+
 module.exports = {
   stores,
-  detectStoreType
-};
\ No newline at end of file
+  STORE_PREFIXES,
+  detectStoreType,
+  detectStoreTypeWithReason,
+  parseStoreUrl,
+  resolveStoreInput,
+  validateStoreDefinitions,
+  reloadStores,
+  getStoreDefinitionsInfo
+};
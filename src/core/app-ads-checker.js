@@ -9,18 +9,35 @@
 const { WorkerPool, Priority } = require('../services/worker-pool');
 const path = require('path');
 const cache = require('../services/cache');
-const { fetchText } = require('../utils/http');
 const rateLimiter = require('../services/rate-limiter');
 const { validateSearchTerms, isValidDomain } = require('../utils/validation');
+const { deriveAppAdsHost, fetchWithPolicy, createCrawlReport } = require('./crawler-policy');
 const { keys, getTtl } = require('../config/cache');
 const { getLogger } = require('../utils/logger');
 const config = require('../config');
 const axios = require('axios');
 const memoryManager = require('../services/memory-manager');
-const { parseAppAdsLine } = require('../utils/app-ads-parser');
+const {
+  MAX_VARIABLE_RECORDS,
+  parseAppAdsLine,
+  parseAppAdsVariable,
+  createVariableCounts,
+  countVariable,
+  extractVariables,
+  matchStructuredQuery
+} = require('../utils/app-ads-parser');
+const {
+  lintAppAdsTxt,
+  lintAppAdsLine,
+  createLintReport,
+  addLintDiagnostics
+} = require('../utils/app-ads-linter');
 
 const logger = getLogger('app-ads-checker');
 
+// Lint diagnostics kept with each (cached) app-ads.txt result; POST /api/lint returns the full list
+const MAX_RESULT_LINT_DIAGNOSTICS = 100;
+
 // Initialize worker pool for app-ads.txt processing
 const appAdsWorkerPool = new WorkerPool(
   path.join(__dirname, '../workers/app-ads-parser.worker.js'),
@@ -44,7 +61,11 @@ const appAdsWorkerPool = new WorkerPool(
  * @param {object} options - Optional processing options
  * @param {boolean} options.skipCache - Whether to bypass cache
  * @param {Object|Object[]} options.structuredParams - Advanced search parameters
- * @returns {Promise<object>} - Results of the check
+ * @param {boolean} options.followSubdomains - Also crawl files declared by SUBDOMAIN= records
+ * @param {number} options.maxSubdomainDepth - Maximum SUBDOMAIN= levels to follow
+ * @param {string} options.developerUrl - Developer URL the file host is derived from under the crawler policy
+ * @param {boolean} options.exactHost - Request the file from the domain as given, without host derivation
+ * @returns {Promise<object>} - Results of the check, with a crawl report of the host and redirect chain
  */
 async function checkAppAdsTxt(domain, searchTerms = null, options = {}) {
   const startTime = Date.now();
@@ -61,6 +82,20 @@ async function checkAppAdsTxt(domain, searchTerms = null, options = {}) {
     return { exists: false, error: 'Invalid domain format' };
   }
   
+  // Locate the file under the crawler policy
+  const policy = config.appAdsTxt.crawlerPolicy;
+  const host = options.exactHost === true ? domain.toLowerCase() : deriveAppAdsHost(options.developerUrl || domain);
+  
+  if (!isValidDomain(host)) {
+    logger.warn({ domain, host }, 'Invalid app-ads.txt host, skipping app-ads.txt check');
+    return { exists: false, error: 'Invalid domain format' };
+  }
+  
+  // Crawl mode checks each file individually so every file keeps its own cache entry
+  if (options.followSubdomains === true) {
+    return crawlSubdomains(host, searchTerms, options);
+  }
+  
   try {
     const normalizedSearchTerms = validateSearchTerms(searchTerms);
     
@@ -71,10 +106,10 @@ async function checkAppAdsTxt(domain, searchTerms = null, options = {}) {
     let cacheKey;
     if (structuredParams) {
       // For advanced search, use a cache key that includes structured params
-      cacheKey = `appads:${domain}:advanced:${JSON.stringify(structuredParams)}`;
+      cacheKey = `appads:${host}:advanced:${JSON.stringify(structuredParams)}`;
     } else {
       // For simple search, use the regular search terms cache key
-      cacheKey = keys.appAdsTxt(domain, normalizedSearchTerms);
+      cacheKey = keys.appAdsTxt(host, normalizedSearchTerms);
     }
     
     // Check cache first (unless skipCache option is set)
@@ -83,35 +118,34 @@ async function checkAppAdsTxt(domain, searchTerms = null, options = {}) {
     if (!skipCache) {
       const cached = await cache.get(cacheKey);
       if (cached) {
-        logger.debug({ domain, cached: true }, 'Using cached app-ads.txt result');
+        logger.debug({ domain, host, cached: true }, 'Using cached app-ads.txt result');
         return cached;
       }
     } else {
-      logger.debug({ domain }, 'Skipping cache for app-ads.txt request');
+      logger.debug({ domain, host }, 'Skipping cache for app-ads.txt request');
     }
     
-    logger.info({ domain, hasSearchTerms: !!normalizedSearchTerms }, 'Checking app-ads.txt');
+    logger.info({ domain, host, hasSearchTerms: !!normalizedSearchTerms }, 'Checking app-ads.txt');
     
     const protocols = ['https', 'http'];
     let content = null;
     let usedProtocol = null;
     let fetchErrors = [];
     let stream = null;
+    let selected = null;
+    let violatingFetch = null;
     
-    // Try fetching with different protocols
+    // Try fetching with different protocols, preferring a path that complies with the crawler policy
     for (const protocol of protocols) {
-      if (content || stream) break;
-      
       try {
         // Apply rate limiting to avoid overloading servers
         await rateLimiter.limit('app-ads-txt');
         
-        const url = `${protocol}://${domain}/app-ads.txt`;
+        const url = `${protocol}://${host}/app-ads.txt`;
         logger.debug({ url }, 'Fetching app-ads.txt');
         
         const fetchOpts = {
           timeout: 15000,
-          validateStatus: status => status === 200,
           // Ensure HTTP config is properly initialized
           http: {
             retries: 2,
@@ -119,6 +153,8 @@ async function checkAppAdsTxt(domain, searchTerms = null, options = {}) {
           }
         };
         
+        let fetched = null;
+        
         // Check content size first with HEAD request
         try {
           const headResponse = await axios.head(url, {
@@ -135,21 +171,9 @@ async function checkAppAdsTxt(domain, searchTerms = null, options = {}) {
               contentLength: `${Math.round(contentLength / 1024 / 1024)}MB` 
             }, 'Using streaming for large app-ads.txt file');
             
-            // Set fileSize for logging
-            fileSize = contentLength;
-            
             // Get the file as a stream
-            const response = await axios.get(url, {
-              ...fetchOpts,
-              responseType: 'stream'
-            });
-            
-            stream = response.data;
-            usedProtocol = protocol;
-            
-            // Report success to rate limiter
-            rateLimiter.reportSuccess('app-ads-txt');
-            break;
+            const crawl = await fetchWithPolicy(url, { ...fetchOpts, responseType: 'stream' }, policy);
+            fetched = { protocol, stream: crawl.response.data, fileSize: contentLength, crawl };
           }
         } catch (headErr) {
           // If HEAD request fails, just proceed with normal GET request
@@ -160,27 +184,49 @@ async function checkAppAdsTxt(domain, searchTerms = null, options = {}) {
         }
         
         // Standard approach for smaller files
-        content = await fetchText(url, fetchOpts);
+        if (!fetched) {
+          const crawl = await fetchWithPolicy(url, {
+            ...fetchOpts,
+            responseType: 'text',
+            headers: { 'Accept': 'text/plain,text/html;q=0.9' }
+          }, policy);
+          
+          if (crawl.response.data) {
+            fetched = { protocol, content: crawl.response.data, fileSize: crawl.response.data.length, crawl };
+          }
+        }
         
-        if (content) {
-          usedProtocol = protocol;
-          fileSize = content.length;
-          // Report success to rate limiter
-          rateLimiter.reportSuccess('app-ads-txt');
+        if (!fetched) continue;
+        
+        // Report success to rate limiter
+        rateLimiter.reportSuccess('app-ads-txt');
+        
+        if (fetched.crawl.compliant) {
+          selected = fetched;
           break;
         }
+        
+        // Keep the first file reached through a policy violation in case no compliant path exists
+        logger.debug({ domain, url, violations: fetched.crawl.violations }, 'app-ads.txt reached through a policy violation');
+        if (!violatingFetch) {
+          violatingFetch = fetched;
+        } else if (fetched.stream) {
+          fetched.stream.destroy();
+        }
       } catch (err) {
+        // fetchWithPolicy rethrows HTTP errors wrapped by fetchUrl, with the axios error as originalError
+        const response = err.originalError?.response || err.response;
         const errorDetails = {
           protocol,
           domain,
           message: err.message,
-          status: err.response?.status,
-          statusText: err.response?.statusText
+          status: err.status ?? response?.status,
+          statusText: response?.statusText
         };
         
         // Report error to rate limiter if it's a rate limiting issue
-        if (err.response?.status === 429 || err.response?.status === 403) {
-          rateLimiter.reportError('app-ads-txt', err.response.status);
+        if (errorDetails.status === 429 || errorDetails.status === 403) {
+          rateLimiter.reportError('app-ads-txt', errorDetails.status);
         }
         
         fetchErrors.push(errorDetails);
@@ -188,18 +234,35 @@ async function checkAppAdsTxt(domain, searchTerms = null, options = {}) {
       }
     }
     
+    const foundViaViolation = !selected && !!violatingFetch;
+    
+    if (selected) {
+      violatingFetch?.stream?.destroy();
+    } else if (violatingFetch && !policy.enforce) {
+      selected = violatingFetch;
+    } else {
+      violatingFetch?.stream?.destroy();
+    }
+    
+    const crawl = createCrawlReport(host, (selected || violatingFetch)?.crawl || null, foundViaViolation, policy);
+    
     // If app-ads.txt doesn't exist, cache the negative result
-    if (!content && !stream) {
+    if (!selected) {
       const result = { 
         exists: false,
-        fetchErrors: fetchErrors.length > 0 ? fetchErrors : undefined
+        ...(foundViaViolation && { error: 'app-ads.txt is only reachable through redirects the crawler policy does not allow' }),
+        fetchErrors: fetchErrors.length > 0 ? fetchErrors : undefined,
+        crawl
       };
       
       await cache.set(cacheKey, result, 'appAdsTxtMissing');
-      logger.debug({ domain }, 'app-ads.txt not found');
+      logger.debug({ domain, host, foundViaViolation }, 'app-ads.txt not found');
       return result;
     }
     
+    ({ content = null, stream = null, fileSize } = selected);
+    usedProtocol = selected.protocol;
+    
     // Determine the best processing method based on content type
     const isStreamMode = !!stream;
     processingMethod = isStreamMode ? 'stream' : (fileSize > 100000 ? 'worker' : 'sync');
@@ -211,7 +274,9 @@ async function checkAppAdsTxt(domain, searchTerms = null, options = {}) {
       isStreamMode
     }, 'Processing app-ads.txt');
     
-    let analyzed, searchResults;
+    let analyzed, searchResults, lint;
+    let variables = [];
+    let contentComplete = true;
     
     if (isStreamMode) {
       // Process the stream
@@ -227,8 +292,11 @@ async function checkAppAdsTxt(domain, searchTerms = null, options = {}) {
         
         // Set content to a truncated version for caching
         content = result.content;
+        contentComplete = !result.contentPartial;
         analyzed = result.analyzed;
         searchResults = result.searchResults;
+        variables = result.variables;
+        lint = result.lint;
         
         logger.debug({
           domain,
@@ -270,7 +338,8 @@ async function checkAppAdsTxt(domain, searchTerms = null, options = {}) {
             { 
               content, 
               searchTerms: normalizedSearchTerms,
-              structuredParams
+              structuredParams,
+              maxLintDiagnostics: MAX_RESULT_LINT_DIAGNOSTICS
             },
             Priority.NORMAL
           );
@@ -281,6 +350,8 @@ async function checkAppAdsTxt(domain, searchTerms = null, options = {}) {
           
           analyzed = workerResult.analyzed;
           searchResults = workerResult.searchResults;
+          variables = workerResult.variables || [];
+          lint = workerResult.lint;
           
           // Log worker performance stats
           if (workerResult.stats) {
@@ -304,6 +375,8 @@ async function checkAppAdsTxt(domain, searchTerms = null, options = {}) {
           try {
             const lines = content.split(/\r\n|\n|\r/);
             analyzed = analyzeAppAdsTxt(lines);
+            variables = extractVariables(lines);
+            lint = lintAppAdsTxt(lines, { maxDiagnostics: MAX_RESULT_LINT_DIAGNOSTICS });
             
             if (structuredParams) {
               // For advanced search, use structuredParams
@@ -326,8 +399,10 @@ async function checkAppAdsTxt(domain, searchTerms = null, options = {}) {
               commentLines: 0,
               emptyLines: 0,
               invalidLines: 0,
+              variableLines: 0,
               uniquePublishers: 0,
               relationships: { direct: 0, reseller: 0, other: 0 },
+              variables: createVariableCounts(),
               error: 'Analysis error'
             };
           }
@@ -339,6 +414,8 @@ async function checkAppAdsTxt(domain, searchTerms = null, options = {}) {
           
           // Analyze the file content
           analyzed = analyzeAppAdsTxt(lines);
+          variables = extractVariables(lines);
+          lint = lintAppAdsTxt(lines, { maxDiagnostics: MAX_RESULT_LINT_DIAGNOSTICS });
           
           // Process search based on mode
           if (structuredParams) {
@@ -362,8 +439,10 @@ async function checkAppAdsTxt(domain, searchTerms = null, options = {}) {
             commentLines: 0,
             emptyLines: 0,
             invalidLines: 0,
+            variableLines: 0,
             uniquePublishers: 0,
             relationships: { direct: 0, reseller: 0, other: 0 },
+            variables: createVariableCounts(),
             error: 'Analysis error'
           };
         }
@@ -375,15 +454,20 @@ async function checkAppAdsTxt(domain, searchTerms = null, options = {}) {
     const trimmedContent = content && content.length > contentSizeLimit
       ? content.substring(0, contentSizeLimit) + '\n... (truncated, file too large)' 
       : (content || '(Streamed content, not stored in full)');
+    contentComplete = contentComplete && !!content && content.length <= contentSizeLimit;
     
     const result = {
       exists: true,
-      url: `${usedProtocol}://${domain}/app-ads.txt`,
+      url: `${usedProtocol}://${host}/app-ads.txt`,
       content: trimmedContent,
+      contentComplete,
       contentLength: fileSize || (content ? content.length : 0),
       analyzed,
+      variables,
+      lint,
       searchResults,
       processingMethod,
+      crawl,
       processingTime: Date.now() - startTime
     };
     
@@ -419,11 +503,140 @@ async function checkAppAdsTxt(domain, searchTerms = null, options = {}) {
       processingTime
     };
     
-    await cache.set(keys.appAdsTxt(domain, searchTerms), result, 'appAdsTxtError');
+    await cache.set(keys.appAdsTxt(host, searchTerms), result, 'appAdsTxtError');
     return result;
   }
 }
 
+/**
+ * Check app-ads.txt on a domain and recursively follow its SUBDOMAIN= records
+ * @param {string} domain - Root domain to check
+ * @param {string|string[]|null} searchTerms - Search terms to look for in the files
+ * @param {object} options - Options passed to checkAppAdsTxt for every file
+ * @returns {Promise<object>} - Root file result with merged search results and per-file sources
+ */
+async function crawlSubdomains(domain, searchTerms = null, options = {}) {
+  const rootDomain = domain.toLowerCase();
+  const requestedDepth = parseInt(options.maxSubdomainDepth, 10);
+  const maxDepth = Math.max(0, Math.min(
+    Number.isInteger(requestedDepth) ? requestedDepth : config.appAdsTxt.subdomainMaxDepth,
+    config.appAdsTxt.subdomainMaxDepth
+  ));
+  const fileOptions = { ...options, followSubdomains: false, exactHost: true };
+  
+  const root = await checkAppAdsTxt(rootDomain, searchTerms, fileOptions);
+  if (!root.exists) {
+    return root;
+  }
+  
+  const visited = new Set([rootDomain]);
+  const files = [{ domain: rootDomain, depth: 0, parent: null, result: root }];
+  const skippedSubdomains = [];
+  
+  // Breadth-first so shallower files are fetched before the file limit is reached
+  for (let i = 0; i < files.length; i++) {
+    const file = files[i];
+    if (!file.result.exists) continue;
+    
+    const subdomains = (file.result.variables || [])
+      .filter(record => record.variable === 'SUBDOMAIN')
+      .map(record => record.value.trim().toLowerCase().replace(/\.$/, ''));
+    
+    for (const subdomain of subdomains) {
+      let reason = null;
+      
+      if (visited.has(subdomain)) {
+        reason = 'already-crawled';
+      } else if (!isValidDomain(subdomain) || !subdomain.endsWith(`.${rootDomain}`)) {
+        reason = 'not-a-subdomain';
+      } else if (file.depth + 1 > maxDepth) {
+        reason = 'max-depth';
+      } else if (files.length >= config.appAdsTxt.subdomainMaxFiles) {
+        reason = 'max-files';
+      }
+      
+      if (reason) {
+        skippedSubdomains.push({ domain: subdomain, parent: file.domain, reason });
+        continue;
+      }
+      
+      visited.add(subdomain);
+      
+      logger.debug({ rootDomain, subdomain, depth: file.depth + 1 }, 'Following SUBDOMAIN record');
+      
+      const result = await checkAppAdsTxt(subdomain, searchTerms, fileOptions);
+      files.push({ domain: subdomain, depth: file.depth + 1, parent: file.domain, result });
+    }
+  }
+  
+  logger.info({
+    rootDomain,
+    files: files.length,
+    skipped: skippedSubdomains.length
+  }, 'Completed SUBDOMAIN crawl');
+  
+  return {
+    ...root,
+    searchResults: mergeSearchResults(files),
+    sources: files.map(file => ({
+      domain: file.domain,
+      url: file.result.url || null,
+      depth: file.depth,
+      parent: file.parent,
+      exists: file.result.exists,
+      contentLength: file.result.contentLength || 0,
+      analyzed: file.result.analyzed,
+      matchCount: file.result.searchResults?.count || 0,
+      error: file.result.error
+    })),
+    skippedSubdomains
+  };
+}
+
+/**
+ * Merge search results from crawled files, tagging each matching line with its source URL
+ * @param {Object[]} files - Crawled files ({ domain, result })
+ * @returns {object|undefined} - Merged search results
+ */
+function mergeSearchResults(files) {
+  const rootResults = files[0].result.searchResults;
+  if (!rootResults) {
+    return rootResults;
+  }
+  
+  const attribute = (lines, source) => lines.map(line => ({ ...line, source }));
+  
+  const merged = {
+    ...rootResults,
+    termResults: (rootResults.termResults || []).map(termResult => ({
+      ...termResult,
+      matchingLines: [],
+      count: 0
+    })),
+    matchingLines: [],
+    count: 0
+  };
+  
+  files.forEach(({ result }) => {
+    const searchResults = result.searchResults;
+    if (!result.exists || !searchResults) return;
+    
+    merged.matchingLines.push(...attribute(searchResults.matchingLines || [], result.url));
+    merged.count += searchResults.count || 0;
+    merged.truncated = merged.truncated || searchResults.truncated;
+    
+    (searchResults.termResults || []).forEach((termResult, termIndex) => {
+      const target = merged.termResults[termIndex];
+      if (!target) return;
+      
+      target.matchingLines.push(...attribute(termResult.matchingLines || [], result.url));
+      target.count += termResult.count || 0;
+    });
+  });
+  
+  return merged;
+}
+
 /**
  * Process content from a stream in a memory-efficient way
  * @param {Stream} stream - The readable stream
@@ -438,6 +651,7 @@ async function processStreamedContent(stream, searchTerms = null, structuredPara
     let commentLineCount = 0;
     let emptyLineCount = 0;
     let invalidLineCount = 0;
+    let variableLineCount = 0;
     let totalLineCount = 0;
     
     // Store for publishers and other stats
@@ -447,6 +661,9 @@ async function processStreamedContent(stream, searchTerms = null, structuredPara
       reseller: 0,
       other: 0
     };
+    const variableCounts = createVariableCounts();
+    const variables = [];
+    const lint = createLintReport();
     
     // Search results tracking
     let searchMatchingLines = [];
@@ -463,6 +680,7 @@ async function processStreamedContent(stream, searchTerms = null, structuredPara
     
     // Store a sample of the content for reference
     let contentSample = '';
+    let contentPartial = false;
     const MAX_SAMPLE_SIZE = 100000; // 100KB sample
     
     // Create line parsing function
@@ -472,9 +690,13 @@ async function processStreamedContent(stream, searchTerms = null, structuredPara
       // Add to content sample if it's not too big yet
       if (contentSample.length < MAX_SAMPLE_SIZE) {
         contentSample += line + '\n';
+      } else {
+        contentPartial = true;
       }
       
       try {
+        addLintDiagnostics(lint, lintAppAdsLine(line, totalLineCount), MAX_RESULT_LINT_DIAGNOSTICS);
+        
         // Skip empty lines
         if (!line.trim()) {
           emptyLineCount++;
@@ -496,8 +718,21 @@ async function processStreamedContent(stream, searchTerms = null, structuredPara
         
         // Parse fields
         const fields = cleanLine.split(',').map(f => f.trim());
+        const variableRecord = parseAppAdsVariable(cleanLine);
         
-        if (fields.length >= 3) {
+        if (variableRecord) {
+          // Variable records (e.g. OWNERDOMAIN=example.com) are tracked separately
+          variableLineCount++;
+          countVariable(variableCounts, variableRecord.variable);
+          
+          if (variables.length < MAX_VARIABLE_RECORDS) {
+            variables.push({
+              lineNumber: totalLineCount,
+              variable: variableRecord.variable,
+              value: variableRecord.value
+            });
+          }
+        } else if (fields.length >= 3) {
           validLineCount++;
           
           // Extract publisher (safely)
@@ -604,8 +839,10 @@ async function processStreamedContent(stream, searchTerms = null, structuredPara
           commentLines: commentLineCount,
           emptyLines: emptyLineCount,
           invalidLines: invalidLineCount,
+          variableLines: variableLineCount,
           uniquePublishers: publishers.size,
-          relationships
+          relationships,
+          variables: variableCounts
         };
         
         // Create search results if needed
@@ -644,7 +881,10 @@ async function processStreamedContent(stream, searchTerms = null, structuredPara
         // Resolve with results
         resolve({
           content: contentSample,
+          contentPartial,
           analyzed,
+          variables,
+          lint,
           searchResults
         });
       } catch (err) {
@@ -699,6 +939,8 @@ function processSearchTerms(lines, searchTerms, structuredParams = null) {
         if (param.publisherId) groupTerms.push({ exactMatch: param.publisherId.toLowerCase(), field: 'publisherId' });
         if (param.relationship) groupTerms.push({ exactMatch: param.relationship.toLowerCase(), field: 'relationship' });
         if (param.tagId) groupTerms.push({ exactMatch: param.tagId.toLowerCase(), field: 'tagId' });
+        if (param.variable) groupTerms.push({ exactMatch: param.variable.toLowerCase(), field: 'variable' });
+        if (param.value) groupTerms.push({ exactMatch: param.value.toLowerCase(), field: 'value' });
         return groupTerms;
       });
       
@@ -714,7 +956,7 @@ function processSearchTerms(lines, searchTerms, structuredParams = null) {
     else if (searchTerms.length > 0 && typeof searchTerms[0] === 'object') {
       // Check if any term has advanced search fields
       const hasAdvancedParams = searchTerms.some(term => {
-        return ['domain', 'publisherId', 'relationship', 'tagId'].some(field => 
+        return ['domain', 'publisherId', 'relationship', 'tagId', 'variable', 'value'].some(field => 
           term[field] && typeof term[field] === 'string'
         );
       });
@@ -730,6 +972,8 @@ function processSearchTerms(lines, searchTerms, structuredParams = null) {
           if (term.publisherId) groupTerms.push({ exactMatch: term.publisherId.toLowerCase(), field: 'publisherId' });
           if (term.relationship) groupTerms.push({ exactMatch: term.relationship.toLowerCase(), field: 'relationship' });
           if (term.tagId) groupTerms.push({ exactMatch: term.tagId.toLowerCase(), field: 'tagId' });
+          if (term.variable) groupTerms.push({ exactMatch: term.variable.toLowerCase(), field: 'variable' });
+          if (term.value) groupTerms.push({ exactMatch: term.value.toLowerCase(), field: 'value' });
           return groupTerms;
         });
         
@@ -818,15 +1062,13 @@ function processSearchTerms(lines, searchTerms, structuredParams = null) {
               // For exact match terms, check if the exact string appears in the line
               // First check if this is a structured field term
               if (matcher.originalTerm && matcher.originalTerm.field) {
-                // For structured field matches, we need to parse the line and check the specific field
-                const parsedLine = parseAppAdsLine(lineContent);
-                if (parsedLine) {
-                  const fieldName = matcher.originalTerm.field;
-                  const fieldValue = parsedLine[fieldName]?.toLowerCase();
-                  if (fieldValue) {
-                    isMatch = fieldValue === matcher.value;
-                  }
-                }
+                // Structured field terms use the same matcher as searchStructured, so wildcards
+                // and "+" lists behave the same on both paths
+                const fieldName = matcher.originalTerm.field;
+                const parsedLine = (fieldName === 'variable' || fieldName === 'value')
+                  ? parseAppAdsVariable(lineContent)
+                  : parseAppAdsLine(lineContent);
+                isMatch = matchStructuredQuery(parsedLine, { [fieldName]: matcher.value });
               } else {
                 // For regular exact match terms, first normalize whitespace around commas in both search term and content
                 const normalizedMatcher = matcher.value.replace(/\s*,\s*/g, ',');
@@ -938,6 +1180,7 @@ function analyzeAppAdsTxt(lines) {
     let commentLineCount = 0;
     let emptyLineCount = 0;
     let invalidLineCount = 0;
+    let variableLineCount = 0;
     
     // Use Set for memory efficiency
     const publishers = new Set();
@@ -946,6 +1189,7 @@ function analyzeAppAdsTxt(lines) {
       reseller: 0,
       other: 0
     };
+    const variableCounts = createVariableCounts();
     
     // Track errors during processing
     const processingErrors = [];
@@ -980,6 +1224,14 @@ function analyzeAppAdsTxt(lines) {
             continue;
           }
           
+          // Variable records (e.g. OWNERDOMAIN=example.com) are not data records
+          const variableRecord = parseAppAdsVariable(cleanLine);
+          if (variableRecord) {
+            variableLineCount++;
+            countVariable(variableCounts, variableRecord.variable);
+            continue;
+          }
+          
           // Parse fields
           const fields = cleanLine.split(',').map(f => f.trim());
           
@@ -1036,8 +1288,10 @@ function analyzeAppAdsTxt(lines) {
       commentLines: commentLineCount,
       emptyLines: emptyLineCount,
       invalidLines: invalidLineCount,
+      variableLines: variableLineCount,
       uniquePublishers: publishers.size,
       relationships,
+      variables: variableCounts,
       processingErrors: processingErrors.length > 0 ? processingErrors : undefined
     };
   } catch (err) {
@@ -1054,8 +1308,10 @@ function analyzeAppAdsTxt(lines) {
       commentLines: 0,
       emptyLines: 0,
       invalidLines: 0,
+      variableLines: 0,
       uniquePublishers: 0,
       relationships: { direct: 0, reseller: 0, other: 0 },
+      variables: createVariableCounts(),
       error: 'Analysis error: ' + err.message
     };
   }
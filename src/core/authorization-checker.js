@@ -0,0 +1,157 @@
+/**
+ * Authorization Checker for App-Ads.txt Extractor
+ * Answers whether an ad system / seller ID pair is authorized to sell a given app
+ */
+
+'use strict';
+
+const { getDeveloperInfo } = require('./store-extractor');
+const { parseAppAdsLine, matchStructuredQuery, hasFullContent } = require('../utils/app-ads-parser');
+const { getLogger } = require('../utils/logger');
+
+const logger = getLogger('authorization-checker');
+
+// Verdicts returned for each tuple
+const VERDICTS = {
+  AUTHORIZED_DIRECT: 'authorized-direct',
+  AUTHORIZED_RESELLER: 'authorized-reseller',
+  UNAUTHORIZED: 'unauthorized',
+  // Not found in the sample kept of a streamed or truncated file, so it may be listed further down
+  UNKNOWN: 'unknown',
+  NO_APP_ADS_TXT: 'no-app-ads-txt',
+  STORE_ERROR: 'store-error'
+};
+
+// Bundle IDs resolved in parallel
+const MAX_CONCURRENT = 3;
+
+/**
+ * Parse the data records of an app-ads.txt file once so every tuple can reuse them
+ * @param {string} content - app-ads.txt content
+ * @returns {Object[]} - Parsed records ({ lineNumber, entry })
+ */
+function parseRecords(content) {
+  const records = [];
+  
+  (content || '').split(/\r\n|\n|\r/).forEach((line, index) => {
+    const entry = parseAppAdsLine(line);
+    if (entry) {
+      records.push({ lineNumber: index + 1, entry });
+    }
+  });
+  
+  return records;
+}
+
+/**
+ * Find the record that authorizes a tuple
+ * DIRECT records win over RESELLER records when no relationship is requested
+ * @param {Object[]} records - Parsed records from parseRecords
+ * @param {Object} tuple - { adSystemDomain, publisherId, relationship }
+ * @returns {Object} - { verdict, record, relationshipMismatch }
+ */
+function findAuthorization(records, tuple) {
+  const query = {
+    domain: tuple.adSystemDomain,
+    publisherId: tuple.publisherId
+  };
+  
+  const sellerRecords = records.filter(record =>
+    matchStructuredQuery(record.entry, query, { exact: true })
+  );
+  
+  const relationships = tuple.relationship
+    ? [tuple.relationship.toLowerCase()]
+    : ['direct', 'reseller'];
+  
+  for (const relationship of relationships) {
+    const record = sellerRecords.find(candidate =>
+      matchStructuredQuery(candidate.entry, { relationship }, { exact: true })
+    );
+    
+    if (record) {
+      return {
+        verdict: relationship === 'direct' ? VERDICTS.AUTHORIZED_DIRECT : VERDICTS.AUTHORIZED_RESELLER,
+        record
+      };
+    }
+  }
+  
+  // The seller is listed, but not with the requested relationship
+  return {
+    verdict: VERDICTS.UNAUTHORIZED,
+    record: null,
+    relationshipMismatch: sellerRecords[0] || null
+  };
+}
+
+/**
+ * Check a batch of (bundleId, adSystemDomain, publisherId, relationship) tuples
+ * Each bundle ID is resolved once through getDeveloperInfo and its cached app-ads.txt
+ * @param {Object[]} tuples - Validated tuples
+ * @returns {Promise<Object[]>} - Per-tuple verdicts, in request order
+ */
+async function authorizeTuples(tuples) {
+  const bundleIds = [...new Set(tuples.map(tuple => tuple.bundleId))];
+  const bundles = new Map();
+  
+  for (let i = 0; i < bundleIds.length; i += MAX_CONCURRENT) {
+    const batch = bundleIds.slice(i, i + MAX_CONCURRENT);
+    
+    await Promise.all(batch.map(async bundleId => {
+      const info = await getDeveloperInfo(bundleId);
+      const appAdsTxt = info.appAdsTxt;
+      
+      bundles.set(bundleId, {
+        info,
+        records: info.success && appAdsTxt?.exists ? parseRecords(appAdsTxt.content) : null
+      });
+    }));
+  }
+  
+  logger.debug({ tuples: tuples.length, bundles: bundleIds.length }, 'Resolved bundles for authorization');
+  
+  return tuples.map(tuple => {
+    const { info, records } = bundles.get(tuple.bundleId);
+    const result = {
+      bundleId: tuple.bundleId,
+      adSystemDomain: tuple.adSystemDomain,
+      publisherId: tuple.publisherId,
+      relationship: tuple.relationship || null,
+      developerDomain: info.domain || null,
+      lineNumber: null,
+      line: null
+    };
+    
+    if (!info.success) {
+      return { ...result, verdict: VERDICTS.STORE_ERROR, error: info.error };
+    }
+    
+    if (!records) {
+      return { ...result, verdict: VERDICTS.NO_APP_ADS_TXT };
+    }
+    
+    const { verdict, record, relationshipMismatch } = findAuthorization(records, tuple);
+    const partial = !hasFullContent(info.appAdsTxt);
+    
+    return {
+      ...result,
+      verdict: verdict === VERDICTS.UNAUTHORIZED && partial ? VERDICTS.UNKNOWN : verdict,
+      lineNumber: record ? record.lineNumber : null,
+      line: record ? record.entry.raw : null,
+      appAdsTxtUrl: info.appAdsTxt.url,
+      // Streamed and very large files are only cached as a sample
+      partial,
+      ...(relationshipMismatch && {
+        mismatchedLineNumber: relationshipMismatch.lineNumber,
+        mismatchedLine: relationshipMismatch.entry.raw
+      })
+    };
+  });
+}
+
+module.exports = {
+  VERDICTS,
+  findAuthorization,
+  authorizeTuples
+};
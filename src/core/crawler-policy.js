@@ -0,0 +1,180 @@
+/**
+ * Crawler Policy for App-Ads.txt Extractor
+ * Derives the app-ads.txt host from a developer URL and fetches the file under the IAB spec's redirect rules
+ */
+
+'use strict';
+
+const psl = require('psl');
+const { fetchUrl } = require('../utils/http');
+const config = require('../config');
+
+// Redirect statuses followed by the crawler
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Violations recorded when a redirect leaves the allowed scope
+const POLICY_VIOLATIONS = {
+  'cross-domain-redirect': 'Redirected outside the root domain of the app-ads.txt host',
+  'redirect-after-delegation': 'Redirected again after delegating to a third-party domain; only one such hop is allowed'
+};
+
+/**
+ * Create a policy violation
+ * @param {string} code - Violation code from POLICY_VIOLATIONS
+ * @param {string} url - Redirect target that caused the violation
+ * @returns {object} - Violation object
+ */
+function createViolation(code, url) {
+  return { code, message: POLICY_VIOLATIONS[code], url };
+}
+
+/**
+ * Get the lowercase host name of a URL or bare domain
+ * @param {string} value - URL or domain
+ * @returns {string} - Host name without port or trailing dot, or an empty string
+ */
+function getHost(value) {
+  if (!value || typeof value !== 'string') return '';
+  
+  const match = value.trim().match(/^(?:[a-z][a-z0-9+.-]*:\/\/)?(?:[^@\/?#]*@)?([^\/?#:]+)/i);
+  return match ? match[1].toLowerCase().replace(/\.$/, '') : '';
+}
+
+/**
+ * Get the root domain (public suffix + 1) of a host
+ * @param {string} host - Host name
+ * @returns {string} - Root domain, or the host itself when it has no public suffix
+ */
+function getRootDomain(host) {
+  return psl.get(host) || host;
+}
+
+/**
+ * Derive the host whose /app-ads.txt is requested for a developer URL
+ * The spec derivation removes one leading prefix label (www. or m. by default) and keeps any other
+ * subdomain; the registrable derivation reduces every host to its root domain
+ * @param {string} developerUrl - Developer URL from the store listing, or a bare domain
+ * @param {object} [policy] - Crawler policy (config.appAdsTxt.crawlerPolicy)
+ * @returns {string} - Host name, or an empty string when the URL has none
+ */
+function deriveAppAdsHost(developerUrl, policy = config.appAdsTxt.crawlerPolicy) {
+  const host = getHost(developerUrl);
+  if (!host) return '';
+  
+  const rootDomain = getRootDomain(host);
+  if (policy.hostDerivation === 'registrable') {
+    return rootDomain;
+  }
+  
+  const [firstLabel, ...rest] = host.split('.');
+  if (host !== rootDomain && policy.strippedPrefixes.includes(firstLabel)) {
+    return rest.join('.');
+  }
+  
+  return host;
+}
+
+/**
+ * Fetch a URL following redirects one hop at a time so every hop can be checked against the policy
+ * Redirects within the root domain of the requested host are compliant. With allowDelegation, a single
+ * redirect to another domain is accepted as delegation, but any redirect after it is a violation.
+ * Every hop is a separate request through the shared HTTP client, so network errors and retryable
+ * statuses (5xx, 408, 429) are retried per hop as configured in options.http, like fetchText does.
+ * @param {string} url - app-ads.txt URL
+ * @param {object} [options] - Request options passed to fetchUrl
+ * @param {object} [policy] - Crawler policy (config.appAdsTxt.crawlerPolicy)
+ * @returns {Promise<object>} - { response, finalUrl, redirects, violations, compliant }
+ */
+async function fetchWithPolicy(url, options = {}, policy = config.appAdsTxt.crawlerPolicy) {
+  const rootDomain = getRootDomain(getHost(url));
+  const redirects = [];
+  const violations = [];
+  let currentUrl = url;
+  let delegated = false;
+  
+  for (let hop = 0; hop <= policy.maxRedirects; hop++) {
+    const response = await fetchUrl(currentUrl, {
+      ...options,
+      maxRedirects: 0,
+      validateStatus: status => status === 200 || REDIRECT_STATUSES.includes(status)
+    });
+    
+    if (response.status === 200) {
+      return {
+        response,
+        finalUrl: currentUrl,
+        redirects,
+        violations,
+        compliant: violations.length === 0
+      };
+    }
+    
+    // Release the body of streamed redirect responses
+    if (typeof response.data?.destroy === 'function') {
+      response.data.destroy();
+    }
+    
+    const location = response.headers?.location;
+    if (!location) {
+      throw new Error(`Redirect without a Location header from ${currentUrl}`);
+    }
+    
+    const nextUrl = new URL(location, currentUrl);
+    if (nextUrl.protocol !== 'https:' && nextUrl.protocol !== 'http:') {
+      throw new Error(`Unsupported redirect to ${nextUrl.protocol} from ${currentUrl}`);
+    }
+    
+    const redirect = {
+      from: currentUrl,
+      to: nextUrl.toString(),
+      status: response.status,
+      crossDomain: getRootDomain(nextUrl.hostname.toLowerCase()) !== rootDomain
+    };
+    redirects.push(redirect);
+    
+    if (delegated) {
+      violations.push(createViolation('redirect-after-delegation', redirect.to));
+    } else if (redirect.crossDomain) {
+      if (policy.allowDelegation) {
+        delegated = true;
+      } else {
+        violations.push(createViolation('cross-domain-redirect', redirect.to));
+      }
+    }
+    
+    currentUrl = redirect.to;
+  }
+  
+  throw new Error(`Too many redirects fetching ${url} (more than ${policy.maxRedirects})`);
+}
+
+/**
+ * Create the crawl report attached to app-ads.txt results
+ * @param {string} host - Host the file was requested from
+ * @param {object|null} fetched - fetchWithPolicy result for the file that was found, if any
+ * @param {boolean} foundViaViolation - Whether the file was only reachable through policy violations
+ * @param {object} [policy] - Crawler policy (config.appAdsTxt.crawlerPolicy)
+ * @returns {object} - Crawl report
+ */
+function createCrawlReport(host, fetched, foundViaViolation, policy = config.appAdsTxt.crawlerPolicy) {
+  return {
+    host,
+    hostDerivation: policy.hostDerivation,
+    ...(fetched && {
+      finalUrl: fetched.finalUrl,
+      redirects: fetched.redirects,
+      compliant: fetched.compliant,
+      violations: fetched.violations
+    }),
+    foundViaViolation
+  };
+}
+
+module.exports = {
+  POLICY_VIOLATIONS,
+  getHost,
+  getRootDomain,
+  deriveAppAdsHost,
+  fetchWithPolicy,
+  createCrawlReport
+};
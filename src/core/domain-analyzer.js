@@ -11,6 +11,12 @@ const { getLogger } = require('../utils/logger');
 
 const logger = getLogger('domain-analyzer');
 
+// Words dropped from app titles before comparing them across stores (platform names and suffixes)
+const TITLE_PLATFORM_WORDS = [
+  'for', 'iphone', 'ipad', 'ios', 'android', 'mobile', 'tv', 'appletv', 'roku', 'fire', 'firetv',
+  'samsung', 'tizen', 'lg', 'webos', 'vizio', 'smartcast', 'xbox', 'windows', 'pc', 'app', 'hd'
+];
+
 /**
  * Analyze domain relationships from extraction results
  * @param {Array<object>} results - Array of extraction results
@@ -86,6 +92,157 @@ function analyzeDomainRelationships(results) {
   }
 }
 
+/**
+ * Normalize an app title so the same app matches across stores
+ * Drops the subtitle after a dash or colon, punctuation, accents and platform words
+ * @param {string} title - App title from the store listing
+ * @returns {string|null} - Normalized title, or null when nothing is left
+ */
+function normalizeAppTitle(title) {
+  if (typeof title !== 'string') return null;
+  
+  const words = title
+    .split(/\s[-–—|]\s|:\s/)[0]
+    .replace(/[™®©]/g, '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim()
+    .split(' ')
+    .filter(word => word && !TITLE_PLATFORM_WORDS.includes(word));
+  
+  return words.length > 0 ? words.join(' ') : null;
+}
+
+/**
+ * Normalize a developer name for comparison
+ * @param {string} name - Developer name from the store listing
+ * @returns {string|null} - Normalized name
+ */
+function normalizeDeveloperName(name) {
+  if (typeof name !== 'string') return null;
+  
+  const normalized = name
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .replace(/\b(inc|llc|ltd|limited|gmbh|corp|corporation|co|srl|sa|ab|oy|bv)\b/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  
+  return normalized || null;
+}
+
+/**
+ * Link the store versions of the same app into app families
+ * Apps with a title (from metadata enrichment) are linked when their normalized titles match and
+ * they share a developer domain or developer name; apps without a title are grouped by developer domain.
+ * Domains of developer URLs that point to a platform (see developerUrlClass) are never used for linking
+ * @param {Array<object>} results - Array of extraction results
+ * @returns {object} - Families with per-store app-ads.txt coverage and developer URL disagreements
+ */
+function linkAppFamilies(results) {
+  try {
+    const apps = results
+      .filter(r => r.success && r.domain && typeof r.domain === 'string')
+      .map(r => ({
+        result: r,
+        domain: r.domain.toLowerCase(),
+        // Social, hosting and store domains are shared by unrelated developers
+        onPlatform: !!r.developerUrlClass && r.developerUrlClass !== 'developer',
+        title: normalizeAppTitle(r.metadata?.title),
+        developer: normalizeDeveloperName(r.metadata?.developerName)
+      }));
+    
+    // Union-find over app indexes
+    const parent = apps.map((_, index) => index);
+    const find = index => {
+      while (parent[index] !== index) {
+        parent[index] = parent[parent[index]];
+        index = parent[index];
+      }
+      return index;
+    };
+    
+    const firstByKey = new Map();
+    const link = (key, index) => {
+      if (firstByKey.has(key)) {
+        parent[find(index)] = find(firstByKey.get(key));
+      } else {
+        firstByKey.set(key, index);
+      }
+    };
+    
+    apps.forEach((app, index) => {
+      if (app.title) {
+        if (!app.onPlatform) {
+          link(`title:${app.title}|domain:${app.domain}`, index);
+        }
+        if (app.developer) {
+          link(`title:${app.title}|developer:${app.developer}`, index);
+        }
+      } else if (!app.onPlatform) {
+        link(`domain:${app.domain}`, index);
+      }
+    });
+    
+    const groups = new Map();
+    apps.forEach((app, index) => {
+      const root = find(index);
+      if (!groups.has(root)) groups.set(root, []);
+      groups.get(root).push(app);
+    });
+    
+    const families = [...groups.values()]
+      .filter(members => members.length > 1)
+      .map(members => {
+        const stores = [...new Set(members.map(app => app.result.storeType))];
+        const domains = [...new Set(members.map(app => app.domain))];
+        const withAppAdsTxt = members.filter(app => app.result.appAdsTxt?.exists || app.result.hasAppAds);
+        
+        return {
+          title: members.find(app => app.result.metadata?.title)?.result.metadata.title || null,
+          developerName: members.find(app => app.result.metadata?.developerName)?.result.metadata.developerName || null,
+          matchedBy: members[0].title ? 'title' : 'domain',
+          stores,
+          domains,
+          domainsAgree: domains.length === 1,
+          apps: members.map(app => ({
+            bundleId: app.result.bundleId,
+            storeType: app.result.storeType,
+            domain: app.domain,
+            developerUrl: app.result.developerUrl || null,
+            hasAppAdsTxt: withAppAdsTxt.includes(app)
+          })),
+          coverage: {
+            withAppAdsTxt: withAppAdsTxt.length,
+            withoutAppAdsTxt: members.length - withAppAdsTxt.length,
+            complete: withAppAdsTxt.length === members.length
+          }
+        };
+      })
+      .sort((a, b) => b.stores.length - a.stores.length || b.apps.length - a.apps.length);
+    
+    return {
+      families,
+      linkedApps: families.reduce((sum, family) => sum + family.apps.length, 0),
+      crossStoreFamilies: families.filter(family => family.stores.length > 1).length,
+      domainMismatches: families.filter(family => !family.domainsAgree).length,
+      partialCoverage: families.filter(family => !family.coverage.complete && family.coverage.withAppAdsTxt > 0).length
+    };
+  } catch (err) {
+    logger.error({ error: err.message }, 'Error linking app families');
+    return {
+      families: [],
+      linkedApps: 0,
+      crossStoreFamilies: 0,
+      domainMismatches: 0,
+      partialCoverage: 0,
+      error: 'Error linking app families'
+    };
+  }
+}
+
 /**
  * Analyze publisher domains in app-ads.txt files
  * @param {Array<object>} results - Array of extraction results
@@ -236,6 +393,8 @@ function analyzeCommonPublishers(results) {
 
 module.exports = {
   analyzeDomainRelationships,
+  linkAppFamilies,
+  normalizeAppTitle,
   analyzePublisherDomains,
   analyzeSearchTerms,
   analyzeCommonPublishers
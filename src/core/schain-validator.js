@@ -0,0 +1,250 @@
+/**
+ * Supply Chain Validator for App-Ads.txt Extractor
+ * Validates every hop of an OpenRTB supply chain (source.ext.schain) object
+ */
+
+'use strict';
+
+const { getDeveloperInfo } = require('./store-extractor');
+const { getSellersJson } = require('./sellers-json-checker');
+const { searchStructured, hasFullContent } = require('../utils/app-ads-parser');
+const { getLogger } = require('../utils/logger');
+const config = require('../config');
+
+const logger = getLogger('schain-validator');
+
+// Issues raised for supply chain hops
+const SCHAIN_ISSUES = {
+  'no-app-ads-txt': {
+    severity: 'error',
+    message: 'The app has no app-ads.txt file to authorize the first hop'
+  },
+  'not-in-app-ads-txt': {
+    severity: 'error',
+    message: 'Ad system and seller ID are not listed in the app\'s app-ads.txt'
+  },
+  'app-ads-txt-partial': {
+    severity: 'info',
+    message: 'Ad system and seller ID are not in the part kept of this large app-ads.txt file, so the hop could not be checked'
+  },
+  'unknown-seller': {
+    severity: 'error',
+    message: 'Seller ID is not listed in the ad system\'s sellers.json'
+  },
+  'publisher-downstream': {
+    severity: 'warning',
+    message: 'Seller is of type PUBLISHER but appears after the first hop'
+  },
+  'not-payee': {
+    severity: 'warning',
+    message: 'Node is not marked as a payment recipient (hp is not 1)'
+  },
+  'confidential-seller': {
+    severity: 'info',
+    message: 'Seller is marked confidential, so its identity cannot be verified'
+  },
+  'sellers-json-unavailable': {
+    severity: 'info',
+    message: 'sellers.json could not be fetched for this ad system'
+  }
+};
+
+// Hop and chain statuses
+const HOP_STATUS = {
+  VALID: 'valid',
+  INVALID: 'invalid',
+  UNVERIFIED: 'unverified'
+};
+
+const CHAIN_STATUS = {
+  COMPLETE: 'complete',
+  INCOMPLETE: 'incomplete',
+  INVALID: 'invalid'
+};
+
+/**
+ * Create a hop issue
+ * @param {string} code - Issue code from SCHAIN_ISSUES
+ * @param {object} [details] - Extra fields for the issue
+ * @returns {object} - Issue object
+ */
+function createIssue(code, details = {}) {
+  return {
+    code,
+    severity: SCHAIN_ISSUES[code].severity,
+    message: SCHAIN_ISSUES[code].message,
+    ...details
+  };
+}
+
+/**
+ * Derive a hop status from its issues
+ * @param {object[]} issues - Hop issues
+ * @returns {string} - Hop status
+ */
+function getHopStatus(issues) {
+  if (issues.some(issue => issue.severity === 'error')) {
+    return HOP_STATUS.INVALID;
+  }
+  
+  if (issues.some(issue => issue.code === 'sellers-json-unavailable' || issue.code === 'app-ads-txt-partial')) {
+    return HOP_STATUS.UNVERIFIED;
+  }
+  
+  return HOP_STATUS.VALID;
+}
+
+/**
+ * Validate the first node against the app's app-ads.txt
+ * @param {object} node - Supply chain node
+ * @param {object} info - Developer info from getDeveloperInfo
+ * @returns {object} - Hop report fields
+ */
+function validateFirstNode(node, info) {
+  const appAdsTxt = info.appAdsTxt;
+  
+  if (!appAdsTxt?.exists || !appAdsTxt.content) {
+    return { checkedAgainst: 'app-ads.txt', issues: [createIssue('no-app-ads-txt')] };
+  }
+  
+  const searchResult = searchStructured(
+    appAdsTxt.content,
+    { domain: node.asi, publisherId: node.sid },
+    { exact: true }
+  );
+  
+  if (!searchResult.success || searchResult.count === 0) {
+    // Streamed and very large files are only cached as a sample, so the seller may be listed further down
+    const code = hasFullContent(appAdsTxt) ? 'not-in-app-ads-txt' : 'app-ads-txt-partial';
+    return { checkedAgainst: 'app-ads.txt', url: appAdsTxt.url, issues: [createIssue(code)] };
+  }
+  
+  // DIRECT records are preferred when the seller is listed more than once
+  const match = searchResult.matches.find(candidate => candidate.parsedComponents.relationship === 'direct') ||
+    searchResult.matches[0];
+  
+  return {
+    checkedAgainst: 'app-ads.txt',
+    url: appAdsTxt.url,
+    match: {
+      lineNumber: match.lineNumber,
+      content: match.content,
+      relationship: match.parsedComponents.relationship
+    },
+    issues: []
+  };
+}
+
+/**
+ * Validate a later node against its ad system's sellers.json
+ * @param {object} node - Supply chain node
+ * @returns {Promise<object>} - Hop report fields
+ */
+async function validateDownstreamNode(node) {
+  const sellersJson = await getSellersJson(node.asi);
+  
+  if (!sellersJson.exists) {
+    return {
+      checkedAgainst: 'sellers.json',
+      url: sellersJson.url || null,
+      issues: [createIssue('sellers-json-unavailable', { error: sellersJson.error })]
+    };
+  }
+  
+  const seller = sellersJson.sellers[node.sid.toLowerCase()];
+  
+  if (!seller) {
+    return { checkedAgainst: 'sellers.json', url: sellersJson.url, issues: [createIssue('unknown-seller')] };
+  }
+  
+  const issues = [];
+  
+  if (seller.type === 'PUBLISHER') {
+    issues.push(createIssue('publisher-downstream'));
+  }
+  
+  if (seller.confidential) {
+    issues.push(createIssue('confidential-seller'));
+  }
+  
+  return { checkedAgainst: 'sellers.json', url: sellersJson.url, seller, issues };
+}
+
+/**
+ * Validate a supply chain for an app
+ * The first node is checked against the app's app-ads.txt, later nodes against sellers.json
+ * @param {string} bundleId - App bundle ID
+ * @param {object} schain - Normalized supply chain from validateSupplyChain
+ * @returns {Promise<object>} - Per-hop report with the overall chain status
+ */
+async function validateSupplyChainForApp(bundleId, schain) {
+  const startTime = Date.now();
+  const info = await getDeveloperInfo(bundleId);
+  const { concurrency } = config.sellersJson;
+  
+  const downstreamNodes = schain.nodes.slice(1);
+  const downstreamResults = [];
+  
+  for (let i = 0; i < downstreamNodes.length; i += concurrency) {
+    const batch = downstreamNodes.slice(i, i + concurrency);
+    downstreamResults.push(...await Promise.all(batch.map(validateDownstreamNode)));
+  }
+  
+  const hops = schain.nodes.map((node, index) => {
+    let result;
+    
+    if (index > 0) {
+      result = downstreamResults[index - 1];
+    } else if (info.success) {
+      result = validateFirstNode(node, info);
+    } else {
+      result = { checkedAgainst: 'app-ads.txt', issues: [], error: info.error };
+    }
+    
+    const issues = [...result.issues];
+    if (node.hp !== null && node.hp !== 1) {
+      issues.push(createIssue('not-payee'));
+    }
+    
+    return {
+      index,
+      ...node,
+      ...result,
+      issues,
+      status: result.error ? HOP_STATUS.UNVERIFIED : getHopStatus(issues)
+    };
+  });
+  
+  let status = CHAIN_STATUS.INCOMPLETE;
+  if (hops.some(hop => hop.status === HOP_STATUS.INVALID)) {
+    status = CHAIN_STATUS.INVALID;
+  } else if (schain.complete === 1 && hops.every(hop => hop.status === HOP_STATUS.VALID)) {
+    status = CHAIN_STATUS.COMPLETE;
+  }
+  
+  logger.debug({
+    bundleId,
+    nodes: hops.length,
+    status,
+    processingTime: Date.now() - startTime
+  }, 'Validated supply chain');
+  
+  return {
+    bundleId,
+    storeType: info.storeType || null,
+    developerDomain: info.domain || null,
+    storeError: info.success ? null : info.error,
+    declaredComplete: schain.complete === 1,
+    ver: schain.ver,
+    status,
+    hops,
+    processingTime: Date.now() - startTime
+  };
+}
+
+module.exports = {
+  SCHAIN_ISSUES,
+  HOP_STATUS,
+  CHAIN_STATUS,
+  validateSupplyChainForApp
+};
@@ -0,0 +1,363 @@
+/**
+ * sellers.json Checker for App-Ads.txt Extractor
+ * Fetches IAB sellers.json files and cross-verifies app-ads.txt records against them
+ */
+
+'use strict';
+
+const psl = require('psl');
+const cache = require('../services/cache');
+const { fetchText } = require('../utils/http');
+const rateLimiter = require('../services/rate-limiter');
+const { isValidDomain } = require('../utils/validation');
+const { keys } = require('../config/cache');
+const { getLogger } = require('../utils/logger');
+const config = require('../config');
+const { parseAppAdsLine, hasFullContent } = require('../utils/app-ads-parser');
+
+const logger = getLogger('sellers-json-checker');
+
+// Issues raised by the verification pass
+const SELLER_ISSUES = {
+  'unknown-seller': {
+    severity: 'error',
+    message: 'Seller ID is not listed in the ad system\'s sellers.json'
+  },
+  'direct-intermediary': {
+    severity: 'error',
+    message: 'DIRECT record points to a seller of type INTERMEDIARY'
+  },
+  'confidential-seller': {
+    severity: 'warning',
+    message: 'Seller is marked confidential, so its identity cannot be verified'
+  },
+  'domain-mismatch': {
+    severity: 'warning',
+    message: 'Seller domain does not match the developer domain'
+  },
+  'sellers-json-unavailable': {
+    severity: 'info',
+    message: 'sellers.json could not be fetched for this ad system'
+  }
+};
+
+// In-flight sellers.json fetches, so concurrent verifications share one request per ad system
+const pendingFetches = new Map();
+
+/**
+ * Get the registrable domain (eTLD+1) for comparisons
+ * @param {string} domain - Domain name
+ * @returns {string} - Registrable domain, or the input lowercased
+ */
+function getRegistrableDomain(domain) {
+  if (!domain || typeof domain !== 'string') return '';
+  
+  const hostname = domain.trim().toLowerCase().replace(/^https?:\/\//, '').split('/')[0];
+  const parsed = psl.parse(hostname);
+  
+  return parsed.domain || hostname;
+}
+
+/**
+ * Build a compact seller index from a parsed sellers.json document
+ * @param {object} document - Parsed sellers.json
+ * @returns {object} - Map of seller_id to { type, confidential, domain, name }
+ */
+function indexSellers(document) {
+  const sellers = {};
+  
+  if (!document || !Array.isArray(document.sellers)) {
+    return sellers;
+  }
+  
+  for (const seller of document.sellers) {
+    if (!seller || seller.seller_id === undefined || seller.seller_id === null) continue;
+    
+    sellers[String(seller.seller_id).trim().toLowerCase()] = {
+      type: typeof seller.seller_type === 'string' ? seller.seller_type.toUpperCase() : null,
+      confidential: seller.is_confidential === 1 || seller.is_confidential === true,
+      domain: typeof seller.domain === 'string' ? seller.domain.toLowerCase() : null,
+      name: typeof seller.name === 'string' ? seller.name : null
+    };
+  }
+  
+  return sellers;
+}
+
+/**
+ * Fetch and cache the sellers.json file of an ad system
+ * @param {string} adSystemDomain - Ad system domain from an app-ads.txt record
+ * @returns {Promise<object>} - { exists, url, sellers, sellerCount, error }
+ */
+async function getSellersJson(adSystemDomain) {
+  const domain = (adSystemDomain || '').trim().toLowerCase();
+  
+  if (!isValidDomain(domain)) {
+    return { exists: false, error: 'Invalid ad system domain' };
+  }
+  
+  const cacheKey = keys.sellersJson(domain);
+  const cached = await cache.get(cacheKey);
+  if (cached) {
+    return cached;
+  }
+  
+  if (pendingFetches.has(domain)) {
+    return pendingFetches.get(domain);
+  }
+  
+  const fetchPromise = (async () => {
+    const url = `https://${domain}/sellers.json`;
+    
+    try {
+      await rateLimiter.limit('sellers-json');
+      
+      logger.debug({ url }, 'Fetching sellers.json');
+      
+      const content = await fetchText(url, {
+        timeout: 30000,
+        maxContentLength: config.http.maxResponseSize,
+        validateStatus: status => status === 200,
+        http: {
+          retries: 1,
+          retryDelay: 1000
+        }
+      });
+      
+      rateLimiter.reportSuccess('sellers-json');
+      
+      let document;
+      try {
+        document = typeof content === 'string' ? JSON.parse(content.replace(/^\uFEFF/, '')) : content;
+      } catch (parseErr) {
+        const result = { exists: false, url, error: 'sellers.json is not valid JSON' };
+        await cache.set(cacheKey, result, 'sellersJsonError');
+        return result;
+      }
+      
+      const sellers = indexSellers(document);
+      const result = {
+        exists: true,
+        url,
+        sellers,
+        sellerCount: Object.keys(sellers).length
+      };
+      
+      await cache.set(cacheKey, result, 'sellersJsonFound');
+      return result;
+    } catch (err) {
+      if (err.status === 429 || err.status === 403) {
+        rateLimiter.reportError('sellers-json', err.status);
+      }
+      
+      logger.debug({ url, error: err.message, status: err.status }, 'Failed to fetch sellers.json');
+      
+      const result = { exists: false, url, error: err.status ? `HTTP ${err.status}` : err.message };
+      await cache.set(cacheKey, result, err.status === 404 ? 'sellersJsonMissing' : 'sellersJsonError');
+      return result;
+    } finally {
+      pendingFetches.delete(domain);
+    }
+  })();
+  
+  pendingFetches.set(domain, fetchPromise);
+  return fetchPromise;
+}
+
+/**
+ * Create a verification issue
+ * @param {string} code - Issue code from SELLER_ISSUES
+ * @param {object} record - App-ads.txt record the issue applies to
+ * @param {object} [details] - Extra fields for the issue
+ * @returns {object} - Issue object
+ */
+function createIssue(code, record, details = {}) {
+  return {
+    code,
+    severity: SELLER_ISSUES[code].severity,
+    message: SELLER_ISSUES[code].message,
+    lineNumber: record.lineNumber,
+    domain: record.domain,
+    publisherId: record.publisherId,
+    relationship: record.relationship,
+    ...details
+  };
+}
+
+/**
+ * Verify a single record against an ad system's seller index
+ * @param {object} record - Parsed app-ads.txt record with lineNumber
+ * @param {object} sellers - Seller index from getSellersJson
+ * @param {string} developerDomain - Registrable developer domain
+ * @returns {object[]} - Issues for the record (empty when verified)
+ */
+function verifyRecord(record, sellers, developerDomain) {
+  const seller = sellers[record.publisherId.toLowerCase()];
+  
+  if (!seller) {
+    return [createIssue('unknown-seller', record)];
+  }
+  
+  const issues = [];
+  const details = { sellerType: seller.type, sellerDomain: seller.domain, sellerName: seller.name };
+  
+  if (record.relationship === 'direct' && seller.type === 'INTERMEDIARY') {
+    issues.push(createIssue('direct-intermediary', record, details));
+  }
+  
+  if (seller.confidential) {
+    issues.push(createIssue('confidential-seller', record, details));
+  } else if (
+    record.relationship === 'direct' &&
+    developerDomain &&
+    seller.domain &&
+    getRegistrableDomain(seller.domain) !== developerDomain
+  ) {
+    issues.push(createIssue('domain-mismatch', record, { ...details, developerDomain }));
+  }
+  
+  return issues;
+}
+
+/**
+ * Cross-verify app-ads.txt records against the sellers.json files of their ad systems
+ * @param {object[]} records - Records from parseAppAdsLine, each with a lineNumber
+ * @param {string} developerDomain - Developer domain the app-ads.txt belongs to
+ * @returns {Promise<object>} - Verification report
+ */
+async function verifyAppAdsRecords(records, developerDomain) {
+  const startTime = Date.now();
+  const registrableDeveloperDomain = getRegistrableDomain(developerDomain);
+  const { maxAdSystems, concurrency } = config.sellersJson;
+  
+  // Group records by ad system so every sellers.json is fetched once
+  const recordsByAdSystem = new Map();
+  for (const record of records) {
+    if (!record || !record.domain || !record.publisherId) continue;
+    
+    if (!recordsByAdSystem.has(record.domain)) {
+      recordsByAdSystem.set(record.domain, []);
+    }
+    recordsByAdSystem.get(record.domain).push(record);
+  }
+  
+  const adSystemDomains = [...recordsByAdSystem.keys()];
+  const checkedAdSystems = adSystemDomains.slice(0, maxAdSystems);
+  const adSystems = {};
+  const issues = [];
+  let checkedRecords = 0;
+  let verifiedRecords = 0;
+  
+  for (let i = 0; i < checkedAdSystems.length; i += concurrency) {
+    const batch = checkedAdSystems.slice(i, i + concurrency);
+    const sellersFiles = await Promise.all(batch.map(domain => getSellersJson(domain)));
+    
+    batch.forEach((domain, batchIndex) => {
+      const sellersJson = sellersFiles[batchIndex];
+      const adSystemRecords = recordsByAdSystem.get(domain);
+      
+      adSystems[domain] = {
+        exists: sellersJson.exists,
+        url: sellersJson.url || null,
+        sellerCount: sellersJson.sellerCount || 0,
+        records: adSystemRecords.length,
+        error: sellersJson.error
+      };
+      
+      if (!sellersJson.exists) {
+        adSystemRecords.forEach(record => {
+          issues.push(createIssue('sellers-json-unavailable', record, { error: sellersJson.error }));
+        });
+        return;
+      }
+      
+      adSystemRecords.forEach(record => {
+        const recordIssues = verifyRecord(record, sellersJson.sellers, registrableDeveloperDomain);
+        checkedRecords++;
+        
+        if (recordIssues.length === 0) {
+          verifiedRecords++;
+        }
+        
+        issues.push(...recordIssues);
+      });
+    });
+  }
+  
+  const counts = Object.keys(SELLER_ISSUES).reduce((acc, code) => {
+    acc[code] = 0;
+    return acc;
+  }, {});
+  issues.forEach(issue => counts[issue.code]++);
+  
+  issues.sort((a, b) => a.lineNumber - b.lineNumber);
+  
+  logger.debug({
+    developerDomain,
+    adSystems: checkedAdSystems.length,
+    checkedRecords,
+    issues: issues.length,
+    processingTime: Date.now() - startTime
+  }, 'Completed sellers.json verification');
+  
+  return {
+    developerDomain: registrableDeveloperDomain,
+    totalRecords: records.length,
+    checkedRecords,
+    verifiedRecords,
+    adSystems,
+    skippedAdSystems: adSystemDomains.slice(maxAdSystems),
+    counts,
+    issues,
+    processingTime: Date.now() - startTime
+  };
+}
+
+/**
+ * Cross-verify the records of an app-ads.txt file against sellers.json
+ * @param {string} content - app-ads.txt content
+ * @param {string} developerDomain - Developer domain the file belongs to
+ * @returns {Promise<object>} - Verification report
+ */
+async function verifyAppAdsTxt(content, developerDomain) {
+  const records = [];
+  
+  (content || '').split(/\r\n|\n|\r/).forEach((line, index) => {
+    const record = parseAppAdsLine(line);
+    if (record) {
+      records.push({ ...record, lineNumber: index + 1 });
+    }
+  });
+  
+  return verifyAppAdsRecords(records, developerDomain);
+}
+
+/**
+ * Cross-verify the records of a checkAppAdsTxt result against sellers.json
+ * When the result only holds a sample of the file, the report is marked partial and
+ * fileRecords gives the number of data records in the whole file.
+ * @param {object} appAdsTxt - Result of checkAppAdsTxt
+ * @param {string} developerDomain - Developer domain the file belongs to
+ * @returns {Promise<object>} - Verification report
+ */
+async function verifyAppAdsTxtResult(appAdsTxt, developerDomain) {
+  const report = await verifyAppAdsTxt(appAdsTxt.content, developerDomain);
+  
+  if (hasFullContent(appAdsTxt)) {
+    return report;
+  }
+  
+  return {
+    ...report,
+    partial: true,
+    fileRecords: appAdsTxt.analyzed?.validLines ?? null
+  };
+}
+
+module.exports = {
+  SELLER_ISSUES,
+  getSellersJson,
+  verifyAppAdsRecords,
+  verifyAppAdsTxt,
+  verifyAppAdsTxtResult
+};
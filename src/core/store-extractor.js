@@ -5,16 +5,19 @@
 
 'use strict';
 
-const cheerio = require('cheerio');
 const psl = require('psl');
 const cache = require('../services/cache');
 const { fetchHtml } = require('../utils/http');
 const rateLimiter = require('../services/rate-limiter');
-const { stores, detectStoreType } = require('../config/stores');
+const { stores, resolveStoreInput, detectStoreType } = require('../config/stores');
 const { validateBundleId, validateSearchTerms } = require('../utils/validation');
+const { createPage, extractStructuredDeveloperUrl, extractAppMetadata } = require('../utils/extraction-strategies');
 const { checkAppAdsTxt } = require('./app-ads-checker');
+const { classifyDeveloperUrl } = require('../config/developer-url-platforms');
+const { verifyAppAdsTxtResult } = require('./sellers-json-checker');
 const { keys } = require('../config/cache');
 const { getLogger } = require('../utils/logger');
+const config = require('../config');
 
 const logger = getLogger('store-extractor');
 
@@ -46,15 +49,215 @@ function extractDomain(url) {
   }
 }
 
+/**
+ * Check a developer's app-ads.txt, optionally cross-verifying its records against sellers.json
+ * @param {string} domain - Developer domain extracted from the store page
+ * @param {string[]} searchTerms - Validated search terms
+ * @param {Object} options - checkAppAdsTxt options plus verifySellers
+ * @returns {Promise<object>} - app-ads.txt result, with sellersVerification when requested
+ */
+async function checkDeveloperAppAds(domain, searchTerms, options = {}) {
+  const { verifySellers, ...appAdsOptions } = options;
+  
+  // Social, hosting and store pages are not the developer's site, so their app-ads.txt says nothing about the app
+  const { developerUrlClass, platform } = classifyDeveloperUrl(options.developerUrl || domain);
+  if (platform) {
+    logger.debug({ domain, developerUrlClass, platform }, 'Skipping app-ads.txt check for platform developer URL');
+    return {
+      exists: false,
+      skipped: true,
+      error: `Developer URL points to a ${developerUrlClass} platform (${platform}), not the developer's own site`
+    };
+  }
+  
+  const appAdsTxt = await checkAppAdsTxt(domain, searchTerms, appAdsOptions);
+  
+  if (!verifySellers || !appAdsTxt.exists) {
+    return appAdsTxt;
+  }
+  
+  try {
+    const sellersVerification = await verifyAppAdsTxtResult(appAdsTxt, domain);
+    return { ...appAdsTxt, sellersVerification };
+  } catch (err) {
+    logger.error({ domain, error: err.message }, 'Error verifying app-ads.txt against sellers.json');
+    return { ...appAdsTxt, sellersVerification: { error: 'sellers.json verification failed' } };
+  }
+}
+
+// Successful extractions per store and strategy, e.g. { appstore: { 'jsonLd:author.url': 12 } }
+const extractionStats = {};
+
+/**
+ * Find the developer URL on a store page
+ * Structured data (JSON-LD, app state) is tried first, then the store's markup strategies
+ * @param {object} store - Store configuration
+ * @param {object} page - Page from createPage
+ * @param {string} storeDomain - Domain of the store page, whose own links are not developer websites
+ * @returns {object|null} - { developerUrl, extraction: { layer, strategy, source } }
+ */
+function findDeveloperUrl(store, page, storeDomain) {
+  try {
+    const structured = extractStructuredDeveloperUrl(page, { ignoreDomains: [storeDomain] });
+    if (structured) {
+      return {
+        developerUrl: structured.url,
+        extraction: { layer: 'structured', strategy: structured.strategy, source: structured.source }
+      };
+    }
+  } catch (structuredErr) {
+    logger.debug({ error: structuredErr.message }, 'Structured data extraction failed');
+  }
+  
+  for (let i = 0; i < store.extractors.length; i++) {
+    try {
+      const developerUrl = store.extractors[i](page);
+      if (developerUrl) {
+        return {
+          developerUrl,
+          extraction: { layer: 'markup', strategy: store.strategies[i].type, source: `extraction[${i}]` }
+        };
+      }
+    } catch (extractErr) {
+      // Continue to next extractor
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Count a successful extraction
+ * @param {string} storeType - Store type
+ * @param {object} extraction - Extraction details from findDeveloperUrl
+ */
+function recordExtraction(storeType, extraction) {
+  const label = `${extraction.strategy}:${extraction.source}`;
+  extractionStats[storeType] = extractionStats[storeType] || {};
+  extractionStats[storeType][label] = (extractionStats[storeType][label] || 0) + 1;
+}
+
+/**
+ * Get successful extraction counts per store and strategy since startup
+ * A strategy that stops appearing after a store redesign points to a broken extractor
+ * @returns {object} - Counts keyed by store type, then by strategy label
+ */
+function getExtractionStats() {
+  return JSON.parse(JSON.stringify(extractionStats));
+}
+
+/**
+ * Get the storefront country used for a store lookup
+ * @param {object} store - Store configuration
+ * @param {Object} options - Extraction options with an optional country
+ * @returns {string|null} - Lowercase country code, or null for stores without storefronts
+ */
+function getStorefrontCountry(store, options = {}) {
+  if (!store?.countryAware) return null;
+  return (options.country || config.storeLookup.defaultCountry).toLowerCase();
+}
+
+/**
+ * Fetch a store page, trying the configured fallback storefronts when the app is not listed (404)
+ * @param {object} store - Store configuration
+ * @param {string} storeType - Store type
+ * @param {string} bundleId - Validated bundle ID
+ * @param {string|null} country - Requested storefront country
+ * @returns {Promise<object>} - { html, storefront }
+ */
+async function fetchStorePage(store, storeType, bundleId, country) {
+  const storefronts = country 
+    ? [country, ...config.storeLookup.fallbackCountries.filter(fallback => fallback !== country)]
+    : [null];
+  
+  for (let i = 0; i < storefronts.length; i++) {
+    const storefront = storefronts[i];
+    
+    // Apply rate limiting
+    await rateLimiter.limit(storeType);
+    
+    try {
+      const html = await fetchHtml(store.urlTemplate(bundleId, { country: storefront }));
+      return { html, storefront };
+    } catch (err) {
+      if (err.status !== 404 || i === storefronts.length - 1) {
+        throw err;
+      }
+      
+      logger.debug({ bundleId, storeType, storefront }, 'App not listed in storefront, trying next');
+    }
+  }
+}
+
+/**
+ * Collect app metadata from a fetched store page and cache it under its own TTL
+ * Metadata is cached on every store fetch, so enrichment of cached results rarely needs a refetch
+ * @param {object} store - Store configuration
+ * @param {string} storeType - Store type
+ * @param {string} bundleId - Validated bundle ID
+ * @param {string|null} country - Requested storefront country (part of the cache key)
+ * @param {object} page - Page from createPage
+ * @returns {Promise<object|null>} - App metadata, or null when the page has none
+ */
+async function cacheAppMetadata(store, storeType, bundleId, country, page) {
+  let metadata = null;
+  
+  try {
+    metadata = extractAppMetadata(page, store.metadataExtractors);
+  } catch (err) {
+    logger.debug({ error: err.message, bundleId, storeType }, 'App metadata extraction failed');
+  }
+  
+  // Wrapped so pages without metadata are cached too
+  await cache.set(keys.appMetadata(storeType, bundleId, country), { metadata }, 'appMetadata');
+  return metadata;
+}
+
+/**
+ * Get app listing metadata (title, developer, category, content rating, price, ratings)
+ * Served from the metadata cache, fetching the store page when it is not cached
+ * @param {string} bundleId - Validated bundle ID
+ * @param {string} storeType - Store type
+ * @param {Object} options - Options
+ * @param {string} options.country - Storefront country code for country-aware stores
+ * @returns {Promise<object|null>} - App metadata, or null when unavailable
+ */
+async function getAppMetadata(bundleId, storeType, options = {}) {
+  const store = stores[storeType];
+  if (!store) return null;
+  
+  const country = getStorefrontCountry(store, options);
+  const cached = await cache.get(keys.appMetadata(storeType, bundleId, country));
+  if (cached) {
+    return cached.metadata;
+  }
+  
+  try {
+    const { html } = await fetchStorePage(store, storeType, bundleId, country);
+    rateLimiter.reportSuccess(storeType);
+    
+    return await cacheAppMetadata(store, storeType, bundleId, country, createPage(html || ''));
+  } catch (err) {
+    rateLimiter.reportError(storeType, err.status);
+    logger.warn({ error: err.message, bundleId, storeType }, 'Could not fetch store page for app metadata');
+    return null;
+  }
+}
+
 /**
  * Extract developer information from app store
  * @param {string} bundleId - App bundle ID
  * @param {string} storeType - Store type
  * @param {string[]|null} searchTerms - Search terms for app-ads.txt
  * @param {Object|Object[]|null} structuredParams - Advanced search parameters
+ * @param {Object} options - app-ads.txt check options
+ * @param {boolean} options.followSubdomains - Also crawl files declared by SUBDOMAIN= records
+ * @param {boolean} options.verifySellers - Cross-verify app-ads.txt records against sellers.json
+ * @param {string} options.country - Storefront country code for country-aware stores
+ * @param {boolean} options.skipCache - Fetch the store page and app-ads.txt again instead of using cached results, e.g. to retry a failure
  * @returns {Promise<object>} - Extraction results
  */
-async function extractFromStore(bundleId, storeType, searchTerms = null, structuredParams = null) {
+async function extractFromStore(bundleId, storeType, searchTerms = null, structuredParams = null, options = {}) {
   try {
     const store = stores[storeType];
     if (!store) {
@@ -62,20 +265,29 @@ async function extractFromStore(bundleId, storeType, searchTerms = null, structu
     }
     
     const validId = validateBundleId(bundleId);
-    const url = store.urlTemplate(validId);
-    const cacheKey = keys.store(storeType, validId);
+    const country = getStorefrontCountry(store, options);
+    const url = store.urlTemplate(validId, { country });
+    const cacheKey = keys.store(storeType, validId, country);
+    const appAdsOptions = {
+      followSubdomains: options.followSubdomains === true,
+      verifySellers: options.verifySellers === true,
+      skipCache: options.skipCache === true
+    };
+    const isSingleFileCheck = !appAdsOptions.followSubdomains && !appAdsOptions.verifySellers;
     
-    // Check cache first
-    const cached = await cache.get(cacheKey);
+    // Check cache first; failures are cached too, so retries skip it
+    const cached = appAdsOptions.skipCache ? null : await cache.get(cacheKey);
     if (cached) {
       if (cached.success && cached.domain) {
+        const cachedAppAdsOptions = { ...appAdsOptions, developerUrl: cached.developerUrl };
+        
         // Handle different search scenarios
         if (structuredParams) {
           // Advanced search - check if we need to recheck app-ads.txt
           try {
             // Recheck with advanced search
             
-            const appAdsTxt = await checkAppAdsTxt(cached.domain, [], { structuredParams });
+            const appAdsTxt = await checkDeveloperAppAds(cached.domain, [], { ...cachedAppAdsOptions, structuredParams });
             return {...cached, appAdsTxt, searchTerms: [], structuredParams};
           } catch (appAdsErr) {
             logger.error({ 
@@ -96,7 +308,7 @@ async function extractFromStore(bundleId, storeType, searchTerms = null, structu
               // Recheck with new search terms
               
               const validatedTerms = validateSearchTerms(newTerms);
-              const appAdsTxt = await checkAppAdsTxt(cached.domain, validatedTerms);
+              const appAdsTxt = await checkDeveloperAppAds(cached.domain, validatedTerms, cachedAppAdsOptions);
               return {...cached, appAdsTxt, searchTerms: validatedTerms};
             } catch (appAdsErr) {
               logger.error({ 
@@ -108,6 +320,12 @@ async function extractFromStore(bundleId, storeType, searchTerms = null, structu
             }
           }
         }
+        
+        // Cached store results hold a plain single-file check, so crawl or verify on demand
+        if (!isSingleFileCheck) {
+          const appAdsTxt = await checkDeveloperAppAds(cached.domain, cached.searchTerms || [], cachedAppAdsOptions);
+          return {...cached, appAdsTxt};
+        }
       }
       
       // Return cached results
@@ -116,79 +334,44 @@ async function extractFromStore(bundleId, storeType, searchTerms = null, structu
     
     logger.info({ bundleId, storeType, url }, 'Extracting from store');
     
-    // Apply rate limiting
-    await rateLimiter.limit(storeType);
-    
     try {
-      // Fetch store page
-      const html = await fetchHtml(url);
+      // Fetch store page, falling back to other storefronts when the app is not listed
+      const { html, storefront } = await fetchStorePage(store, storeType, validId, country);
       
       if (!html) {
         throw new Error(`Empty response from ${storeType}`);
       }
       
-      let developerUrl = null;
+      const page = createPage(html);
+      await cacheAppMetadata(store, storeType, validId, country, page);
       
-      // Try pattern-based extractors first
-      for (const extractor of store.extractors) {
-        try {
-          developerUrl = extractor(html);
-          if (developerUrl) {
-            break;
-          }
-        } catch (extractErr) {
-          // Continue to next extractor
-        }
-      }
-      
-      // If pattern-based extraction failed, try using Cheerio
-      if (!developerUrl) {
-        try {
-          const $ = cheerio.load(html);
-          const selectors = [
-            'meta[name="appstore:developer_url"]',
-            'a[href*="/developer/"]',
-            'a.link.icon.icon-after.icon-external',
-            'a:contains("Visit the")',
-            'a:contains("More by")'
-          ];
-          
-          for (const selector of selectors) {
-            const el = $(selector);
-            if (el.length > 0) {
-              developerUrl = el.attr('content') || el.attr('href');
-              if (developerUrl) {
-                break;
-              }
-            }
-          }
-        } catch (cheerioErr) {
-          logger.error({ 
-            error: cheerioErr.message, 
-            bundleId,
-            storeType 
-          }, 'Error using Cheerio for extraction');
-        }
-      }
+      const found = findDeveloperUrl(store, page, extractDomain(url));
       
       // Report successful extraction to rate limiter
       rateLimiter.reportSuccess(storeType);
       
-      if (!developerUrl) {
+      if (!found) {
         throw new Error(`Could not find developer URL for ${bundleId} in ${storeType}`);
       }
       
+      const { developerUrl, extraction } = found;
+      recordExtraction(storeType, extraction);
+      
       // Extract domain from developer URL
       const domain = extractDomain(developerUrl);
       if (!domain) {
         throw new Error(`Could not extract valid domain from developer URL: ${developerUrl}`);
       }
       
+      const { developerUrlClass, platform: developerUrlPlatform } = classifyDeveloperUrl(developerUrl);
+      
       logger.info({ 
         bundleId, 
         storeType, 
         domain, 
-        developerUrl 
+        developerUrl,
+        developerUrlClass,
+        extraction
       }, 'Successfully extracted domain');
       
       // Check for app-ads.txt
@@ -196,12 +379,16 @@ async function extractFromStore(bundleId, storeType, searchTerms = null, structu
       // Pass advanced search parameters if provided
       if (structuredParams) {
         // Pass directly to checkAppAdsTxt for advanced search
-        const appAdsTxt = await checkAppAdsTxt(domain, [], { structuredParams });
+        const appAdsTxt = await checkDeveloperAppAds(domain, [], { ...appAdsOptions, developerUrl, structuredParams });
         return {
           bundleId: validId,
           developerUrl,
+          developerUrlClass,
+          ...(developerUrlPlatform && { developerUrlPlatform }),
           domain,
           storeType,
+          ...(storefront && { country: storefront }),
+          extraction,
           appAdsTxt,
           searchTerms: [],
           structuredParams,
@@ -210,22 +397,28 @@ async function extractFromStore(bundleId, storeType, searchTerms = null, structu
         };
       } else {
         // Regular simple search
-        const appAdsTxt = await checkAppAdsTxt(domain, validatedTerms);
+        const appAdsTxt = await checkDeveloperAppAds(domain, validatedTerms, { ...appAdsOptions, developerUrl });
         
         // Prepare result
         const result = {
           bundleId: validId,
           developerUrl,
+          developerUrlClass,
+          ...(developerUrlPlatform && { developerUrlPlatform }),
           domain,
           storeType,
+          ...(storefront && { country: storefront }),
+          extraction,
           appAdsTxt,
           searchTerms: validatedTerms,
           success: true,
           timestamp: Date.now()
         };
         
-        // Cache result
-        await cache.set(cacheKey, result, 'storeSuccess');
+        // Cache result (crawled or verified results are rebuilt from their own cache entries instead)
+        if (isSingleFileCheck) {
+          await cache.set(cacheKey, result, 'storeSuccess');
+        }
         return result;
       }
     } catch (requestErr) {
@@ -256,7 +449,7 @@ async function extractFromStore(bundleId, storeType, searchTerms = null, structu
     };
     
     // Cache errors for a shorter period
-    await cache.set(keys.store(storeType, bundleId), errorResult, 'storeError');
+    await cache.set(keys.store(storeType, bundleId, getStorefrontCountry(stores[storeType], options)), errorResult, 'storeError');
     return errorResult;
   }
 }
@@ -265,33 +458,25 @@ async function extractFromStore(bundleId, storeType, searchTerms = null, structu
 
 /**
  * Get developer information for a bundle ID
- * @param {string} bundleId - App bundle ID
+ * Results carry storeDetection ({ method, reason }) and, for store URLs and store:id input, the original input
+ * @param {string} bundleId - App bundle ID, store URL or store:id (e.g. ios:389801252)
  * @param {string[]|null} searchTerms - Search terms for app-ads.txt
  * @param {Object|Object[]|null} structuredParams - Advanced search parameters
+ * @param {Object} options - app-ads.txt check options (see extractFromStore)
+ * @param {Object} options.bundleCountries - Per-bundle storefront country overrides, keyed by input
+ * @param {boolean} options.enrichMetadata - Add app listing metadata to successful results
  * @returns {Promise<object>} - Developer information
  */
-async function getDeveloperInfo(bundleId, searchTerms = null, structuredParams = null) {
+async function getDeveloperInfo(bundleId, searchTerms = null, structuredParams = null, options = {}) {
   try {
-    const validId = validateBundleId(bundleId);
-    const storeType = detectStoreType(validId);
-    
-    // Detect store type and validate ID
+    const input = validateBundleId(bundleId);
     
-    // Skip numeric Roku Bundle IDs
-    if (storeType === 'roku-numeric') {
-      logger.info({ 
-        bundleId: validId,
-        storeType: 'roku-numeric'
-      }, 'Skipping numeric Roku bundle ID');
-      
-      return {
-        bundleId: validId,
-        success: false,
-        storeType: 'roku-numeric',
-        error: 'Numeric Roku bundle IDs are temporarily not supported',
-        timestamp: Date.now()
-      };
-    }
+    // Store URLs and store:id prefixes override format-based detection
+    const { id: validId, storeType, detection } = resolveStoreInput(input);
+    const resolution = {
+      storeDetection: detection,
+      ...(input !== validId && { input })
+    };
     
     // If store type is unknown, return error immediately without trying all stores
     if (storeType === 'unknown') {
@@ -305,13 +490,24 @@ async function getDeveloperInfo(bundleId, searchTerms = null, structuredParams =
         success: false,
         storeType: 'unknown',
         error: 'Could not determine store type from bundle ID format',
+        ...resolution,
         timestamp: Date.now()
       };
     }
     
+    // A per-bundle country overrides the request country
+    const country = options.bundleCountries?.[input] || options.bundleCountries?.[validId] || options.country;
+    
     // Try the detected store type only - no fallback to other stores
     try {
-      return await extractFromStore(validId, storeType, searchTerms, structuredParams);
+      const result = await extractFromStore(validId, storeType, searchTerms, structuredParams, { ...options, country });
+      
+      if (options.enrichMetadata === true && result.success) {
+        const metadata = await getAppMetadata(validId, storeType, { country });
+        return { ...result, metadata, ...resolution };
+      }
+      
+      return { ...result, ...resolution };
     } catch (err) {
       logger.error({ 
         error: err.message, 
@@ -325,6 +521,7 @@ async function getDeveloperInfo(bundleId, searchTerms = null, structuredParams =
         success: false,
         storeType: storeType,
         error: `Failed to extract app information: ${err.message}`,
+        ...resolution,
         timestamp: Date.now()
       };
     }
@@ -341,8 +538,136 @@ async function getDeveloperInfo(bundleId, searchTerms = null, structuredParams =
   }
 }
 
+/**
+ * Find the developer page URL on a store page
+ * @param {object} store - Store configuration with portfolio settings
+ * @param {object} page - Page from createPage
+ * @param {string} storeUrl - Store page URL, used to resolve relative links
+ * @returns {string|null} - Absolute developer page URL
+ */
+function findDeveloperPageUrl(store, page, storeUrl) {
+  for (const extractor of store.portfolio.developerPageExtractors) {
+    const href = extractor(page);
+    if (!href) continue;
+    
+    try {
+      return new URL(href.replace(/&amp;/g, '&'), storeUrl).href;
+    } catch (err) {
+      // Try the next strategy
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Collect app IDs linked from a developer page, in page order
+ * IDs that would be detected as another store keep an explicit store:id prefix
+ * @param {object} store - Store configuration with portfolio settings
+ * @param {string} storeType - Store type
+ * @param {string} html - Developer page HTML
+ * @returns {string[]} - De-duplicated bundle IDs
+ */
+function collectPortfolioIds(store, storeType, html) {
+  const ids = new Set();
+  
+  for (const pattern of store.portfolio.appLinkPatterns) {
+    for (const [, id] of html.matchAll(pattern)) {
+      ids.add(detectStoreType(id) === storeType ? id : `${storeType}:${id}`);
+    }
+  }
+  
+  return [...ids];
+}
+
+/**
+ * List the apps published by the developer of an app
+ * Follows the developer page link on the app's store page and collects the app IDs it links to
+ * @param {string} bundleId - App bundle ID, store URL or store:id
+ * @param {Object} options - Options
+ * @param {string} options.country - Storefront country code for country-aware stores
+ * @returns {Promise<object>} - { bundleId, storeType, developerPageUrl, developerName, developerId, bundleIds, truncated, success }
+ */
+async function getDeveloperPortfolio(bundleId, options = {}) {
+  let storeType;
+  let validId;
+  
+  try {
+    ({ id: validId, storeType } = resolveStoreInput(validateBundleId(bundleId)));
+    
+    const store = stores[storeType];
+    if (!store) {
+      throw new Error('Could not determine store type from bundle ID format');
+    }
+    
+    if (!store.portfolio) {
+      throw new Error(`Developer portfolios are not supported for ${store.name}`);
+    }
+    
+    const country = getStorefrontCountry(store, options);
+    const cacheKey = keys.portfolio(storeType, validId, country);
+    
+    const cached = await cache.get(cacheKey);
+    if (cached) {
+      return cached;
+    }
+    
+    const { html, storefront } = await fetchStorePage(store, storeType, validId, country);
+    const storeUrl = store.urlTemplate(validId, { country: storefront });
+    const page = createPage(html || '');
+    const metadata = await cacheAppMetadata(store, storeType, validId, country, page);
+    
+    const developerPageUrl = findDeveloperPageUrl(store, page, storeUrl);
+    if (!developerPageUrl) {
+      throw new Error(`Could not find developer page for ${validId} in ${storeType}`);
+    }
+    
+    await rateLimiter.limit(storeType);
+    const developerHtml = await fetchHtml(developerPageUrl);
+    rateLimiter.reportSuccess(storeType);
+    
+    const bundleIds = collectPortfolioIds(store, storeType, developerHtml || '');
+    const { maxApps } = config.portfolio;
+    
+    logger.info({ bundleId: validId, storeType, developerPageUrl, apps: bundleIds.length }, 'Expanded developer portfolio');
+    
+    const result = {
+      bundleId: validId,
+      storeType,
+      ...(storefront && { country: storefront }),
+      developerPageUrl,
+      developerName: metadata?.developerName || null,
+      developerId: metadata?.developerId || null,
+      bundleIds: bundleIds.slice(0, maxApps),
+      truncated: bundleIds.length > maxApps,
+      success: true,
+      timestamp: Date.now()
+    };
+    
+    await cache.set(cacheKey, result, 'portfolio');
+    return result;
+  } catch (err) {
+    if (err.status) {
+      rateLimiter.reportError(storeType, err.status);
+    }
+    
+    logger.error({ error: err.message, bundleId, storeType }, 'Error expanding developer portfolio');
+    
+    return {
+      bundleId: validId || bundleId,
+      storeType: storeType || 'unknown',
+      success: false,
+      error: err.message,
+      timestamp: Date.now()
+    };
+  }
+}
+
 module.exports = {
   extractFromStore,
   getDeveloperInfo,
-  extractDomain
+  getAppMetadata,
+  getDeveloperPortfolio,
+  extractDomain,
+  getExtractionStats
 };
\ No newline at end of file
@@ -9,6 +9,7 @@ const axios = require('axios');
 const { Readable } = require('stream');
 const zlib = require('zlib');
 const { validateSearchTerms, isValidDomain } = require('../utils/validation');
+const { MAX_VARIABLE_RECORDS, parseAppAdsVariable, createVariableCounts, countVariable } = require('../utils/app-ads-parser');
 const rateLimiter = require('../services/rate-limiter');
 const { getLogger } = require('../utils/logger');
 const config = require('../config');
@@ -148,6 +149,7 @@ async function processAppAdsStream(url, searchTerms = null, responseStream = nul
     let commentLineCount = 0;
     let emptyLineCount = 0;
     let invalidLineCount = 0;
+    let variableLineCount = 0;
     let totalLineCount = 0;
     
     // Store for publishers and other stats
@@ -157,6 +159,8 @@ async function processAppAdsStream(url, searchTerms = null, responseStream = nul
       reseller: 0,
       other: 0
     };
+    const variableCounts = createVariableCounts();
+    const variables = [];
     
     // Search results tracking
     let searchMatchingLines = [];
@@ -223,8 +227,21 @@ async function processAppAdsStream(url, searchTerms = null, responseStream = nul
           
           // Parse fields
           const fields = cleanLine.split(',').map(f => f.trim());
+          const variableRecord = parseAppAdsVariable(cleanLine);
           
-          if (fields.length >= 3) {
+          if (variableRecord) {
+            // Variable records (e.g. OWNERDOMAIN=example.com) are tracked separately
+            variableLineCount++;
+            countVariable(variableCounts, variableRecord.variable);
+            
+            if (variables.length < MAX_VARIABLE_RECORDS) {
+              variables.push({
+                lineNumber: totalLineCount,
+                variable: variableRecord.variable,
+                value: variableRecord.value
+              });
+            }
+          } else if (fields.length >= 3) {
             validLineCount++;
             
             // Extract publisher (safely)
@@ -386,8 +403,10 @@ async function processAppAdsStream(url, searchTerms = null, responseStream = nul
             commentLines: commentLineCount,
             emptyLines: emptyLineCount,
             invalidLines: invalidLineCount,
+            variableLines: variableLineCount,
             uniquePublishers: publishers.size,
-            relationships
+            relationships,
+            variables: variableCounts
           };
           
           // Create search results if needed
@@ -415,7 +434,9 @@ async function processAppAdsStream(url, searchTerms = null, responseStream = nul
             responseStream.write(`"commentLines":${commentLineCount},`);
             responseStream.write(`"emptyLines":${emptyLineCount},`);
             responseStream.write(`"invalidLines":${invalidLineCount},`);
+            responseStream.write(`"variableLines":${variableLineCount},`);
             responseStream.write(`"uniquePublishers":${publishers.size},`);
+            responseStream.write(`"variables":${JSON.stringify(variableCounts)},`);
             
             // Add relationships
             responseStream.write('"relationships":{');
@@ -426,8 +447,9 @@ async function processAppAdsStream(url, searchTerms = null, responseStream = nul
             
             responseStream.write('},'); // Close analyzed
             
-            // Add content sample
+            // Add content sample and variable records
             responseStream.write(`"contentSample":${JSON.stringify(contentSample)},`);
+            responseStream.write(`"variables":${JSON.stringify(variables)},`);
             
             // Add search results if available
             if (searchResults) {
@@ -473,6 +495,7 @@ async function processAppAdsStream(url, searchTerms = null, responseStream = nul
             content: contentSample,
             contentLength: bytesRead,
             analyzed,
+            variables,
             searchResults
           };
           
@@ -5,7 +5,9 @@
 
 'use strict';
 
+const crypto = require('crypto');
 const config = require('../config');
+const { UnauthorizedError, ForbiddenError } = require('./error-handler');
 const { getLogger } = require('../utils/logger');
 
 const logger = getLogger('security-middleware');
@@ -43,7 +45,7 @@ const helmetConfig = {
  */
 const corsConfig = {
   origin: config.server.isDev ? '*' : [/\.yourdomain\.com$/],
-  methods: ['GET', 'POST', 'OPTIONS'],
+  methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization'],
   preflightContinue: false,
   optionsSuccessStatus: 204,
@@ -72,15 +74,39 @@ function securityMiddleware(req, res, next) {
     
     // Add CORS headers for streaming to avoid CORS errors
     res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
     res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
   }
   
   next();
 }
 
+/**
+ * Require the admin token (ADMIN_TOKEN) as a bearer token
+ * Admin endpoints are disabled when no token is configured
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next function
+ */
+function requireAdminToken(req, res, next) {
+  if (!config.admin.token) {
+    return next(new ForbiddenError('Admin endpoints are disabled. Set ADMIN_TOKEN to enable them.'));
+  }
+  
+  const provided = Buffer.from((req.headers.authorization || '').replace(/^Bearer\s+/i, ''));
+  const expected = Buffer.from(config.admin.token);
+  
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    logger.warn({ clientIp: req.ip, path: req.path }, 'Rejected admin request');
+    return next(new UnauthorizedError('Invalid admin token'));
+  }
+  
+  next();
+}
+
 module.exports = {
   helmetConfig,
   corsConfig,
-  securityMiddleware
+  securityMiddleware,
+  requireAdminToken
 };
\ No newline at end of file
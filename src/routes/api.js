@@ -7,17 +7,25 @@
 
 const express = require('express');
 const crypto = require('crypto');
-const { getDeveloperInfo } = require('../core/store-extractor');
+const { getDeveloperInfo, getDeveloperPortfolio, getExtractionStats } = require('../core/store-extractor');
 const { checkAppAdsTxt } = require('../core/app-ads-checker'); 
-const { analyzeDomainRelationships, analyzeSearchTerms } = require('../core/domain-analyzer');
-const { validateBundleIds, validateSearchTerms } = require('../utils/validation');
+const { analyzeDomainRelationships, analyzeSearchTerms, linkAppFamilies } = require('../core/domain-analyzer');
+const { verifyAppAdsTxt, verifyAppAdsTxtResult, SELLER_ISSUES } = require('../core/sellers-json-checker');
+const { authorizeTuples, VERDICTS } = require('../core/authorization-checker');
+const { validateSupplyChainForApp, SCHAIN_ISSUES } = require('../core/schain-validator');
+const { validateBundleIds, validateSearchTerms, validateAuthorizationTuples, validateSupplyChain, validateBundleId, validateStorefrontCountries, validateMetadataColumns, validateLinkResults } = require('../utils/validation');
 const { apiLimiter, createRateLimiter } = require('../middleware/rate-limiter');
+const { requireAdminToken } = require('../middleware/security');
+const rateLimiter = require('../services/rate-limiter');
+const { reloadStores, getStoreDefinitionsInfo } = require('../config/stores');
 const cache = require('../services/cache');
 const config = require('../config');
 const { BadRequestError, ValidationError } = require('../middleware/error-handler');
 const { getLogger } = require('../utils/logger');
 const memoryManager = require('../services/memory-manager');
 const { searchStructured } = require('../utils/app-ads-parser');
+const { lintAppAdsTxt, LINT_RULES } = require('../utils/app-ads-linter');
+const { importBidRequests } = require('../utils/bid-request-importer');
 
 const logger = getLogger('api-routes');
 const router = express.Router();
@@ -32,6 +40,13 @@ const extractionLimiter = createRateLimiter({
   message: 'Too many extraction requests, please try again later.'
 });
 
+// Limiter for endpoints that parse whole uploaded or fetched files on the request thread
+const parsingLimiter = createRateLimiter({
+  windowMs: 5 * 60 * 1000, // 5 minutes
+  max: 30, // 30 requests per 5 minutes
+  message: 'Too many lint or import requests, please try again later.'
+});
+
 /**
  * @api {post} /api/extract Extract developer domain from a single bundle ID
  * @apiName ExtractSingle
@@ -39,25 +54,42 @@ const extractionLimiter = createRateLimiter({
  * 
  * @apiParam {String} bundleId App bundle ID
  * @apiParam {String|String[]} [searchTerms] Optional search terms for app-ads.txt
+ * @apiParam {Boolean} [followSubdomains=false] Also crawl app-ads.txt files declared by SUBDOMAIN= records
+ * @apiParam {Boolean} [verifySellers=false] Cross-verify app-ads.txt records against sellers.json
+ * @apiParam {String} [country] Storefront country code (e.g. us, gb) for Google Play, App Store, LG Content Store and Microsoft Store lookups
+ * @apiParam {Boolean} [enrichMetadata=false] Add app listing metadata (title, developer, category, price, ratings) to the result
  * 
  * @apiSuccess {Boolean} success Success status
  * @apiSuccess {Object} result Extraction result
  */
 router.post('/extract', extractionLimiter, async (req, res, next) => {
   try {
-    const { bundleId, searchTerms } = req.body;
+    const { bundleId, searchTerms, followSubdomains = false, verifySellers = false, country, enrichMetadata = false } = req.body;
     
     if (!bundleId) {
       throw new BadRequestError('Bundle ID is required');
     }
     
+    // Validate storefront countries
+    let storefronts;
+    try {
+      storefronts = validateStorefrontCountries(country);
+    } catch (validationErr) {
+      throw new BadRequestError(validationErr.message);
+    }
+    
     logger.info({ bundleId, hasSearchTerms: !!searchTerms }, 'Single extraction request');
     
     // Validate search terms
     const validatedTerms = validateSearchTerms(searchTerms);
     
     // Process bundle ID
-    const result = await getDeveloperInfo(bundleId, validatedTerms);
+    const result = await getDeveloperInfo(bundleId, validatedTerms, null, {
+      followSubdomains: followSubdomains === true,
+      verifySellers: verifySellers === true,
+      country: storefronts.country,
+      enrichMetadata: enrichMetadata === true
+    });
     
     res.json({
       success: true,
@@ -78,6 +110,12 @@ router.post('/extract', extractionLimiter, async (req, res, next) => {
  * @apiParam {Number} [page=1] Page number for pagination
  * @apiParam {Number} [pageSize=20] Number of results per page
  * @apiParam {Boolean} [fullAnalysis=true] Whether to include full analysis in response
+ * @apiParam {Boolean} [followSubdomains=false] Also crawl app-ads.txt files declared by SUBDOMAIN= records
+ * @apiParam {Boolean} [verifySellers=false] Cross-verify app-ads.txt records against sellers.json
+ * @apiParam {String} [country] Storefront country code (e.g. us, gb) for Google Play, App Store, LG Content Store and Microsoft Store lookups
+ * @apiParam {Object} [bundleCountries] Per-bundle storefront country overrides, keyed by bundle ID
+ * @apiParam {Boolean} [enrichMetadata=false] Add app listing metadata (title, developer, category, price, ratings) to each result
+ * @apiParam {Boolean} [skipCache=false] Extract again instead of using cached results, e.g. to retry failed rows
  * 
  * @apiSuccess {Boolean} success Success status
  * @apiSuccess {Object[]} results Extraction results
@@ -85,6 +123,8 @@ router.post('/extract', extractionLimiter, async (req, res, next) => {
  * @apiSuccess {Number} successCount Number of successful extractions
  * @apiSuccess {Number} totalProcessed Total number of processed bundle IDs
  * @apiSuccess {Object} domainAnalysis Domain relationship analysis
+ * @apiSuccess {Object} appFamilies Store versions of the same app linked by title, developer domain and
+ *   developer name, with per-store app-ads.txt coverage (titles need enrichMetadata)
  * @apiSuccess {Object} pagination Pagination information
  */
 router.post('/extract-multiple', extractionLimiter, async (req, res, next) => {
@@ -96,7 +136,13 @@ router.post('/extract-multiple', extractionLimiter, async (req, res, next) => {
       searchTerms,
       page = 1,
       pageSize = config.api.defaultPageSize,
-      fullAnalysis = true 
+      fullAnalysis = true,
+      followSubdomains = false,
+      verifySellers = false,
+      country,
+      bundleCountries,
+      enrichMetadata = false,
+      skipCache = false
     } = req.body;
     
     // Validate page and pageSize parameters
@@ -118,6 +164,14 @@ router.post('/extract-multiple', extractionLimiter, async (req, res, next) => {
       });
     }
     
+    // Validate storefront countries
+    let storefronts;
+    try {
+      storefronts = validateStorefrontCountries(country, bundleCountries);
+    } catch (validationErr) {
+      throw new BadRequestError(validationErr.message);
+    }
+    
     // Validate search terms
     const validatedTerms = validateSearchTerms(searchTerms);
     
@@ -133,13 +187,15 @@ router.post('/extract-multiple', extractionLimiter, async (req, res, next) => {
     const requestId = crypto.createHash('md5')
       .update(JSON.stringify({
         ids: validation.validIds.sort(),
-        terms: validatedTerms || []
+        terms: validatedTerms || [],
+        storefronts,
+        enrichMetadata: enrichMetadata === true
       }))
       .digest('hex');
     
     // Try to get cached results first
     const cacheKey = `request-results:${requestId}`;
-    const cachedResults = await cache.get(cacheKey);
+    const cachedResults = skipCache === true ? null : await cache.get(cacheKey);
     
     if (cachedResults) {
       logger.info({
@@ -189,7 +245,14 @@ router.post('/extract-multiple', extractionLimiter, async (req, res, next) => {
       
       const batchPromises = batch.map(bundleId => (async () => {
         try {
-          const result = await getDeveloperInfo(bundleId, validatedTerms);
+          const result = await getDeveloperInfo(bundleId, validatedTerms, null, {
+            followSubdomains: followSubdomains === true,
+            verifySellers: verifySellers === true,
+            country: storefronts.country,
+            bundleCountries: storefronts.bundleCountries,
+            enrichMetadata: enrichMetadata === true,
+            skipCache: skipCache === true
+          });
           completed++;
           return result;
         } catch (err) {
@@ -233,8 +296,10 @@ router.post('/extract-multiple', extractionLimiter, async (req, res, next) => {
     
     // Domain relationship analysis if requested
     let domainAnalysis = null;
+    let appFamilies = null;
     if (fullAnalysis) {
       domainAnalysis = analyzeDomainRelationships(results);
+      appFamilies = linkAppFamilies(results);
     }
     
     const processingTime = Date.now() - startTime;
@@ -257,6 +322,7 @@ router.post('/extract-multiple', extractionLimiter, async (req, res, next) => {
       appsWithAppAdsTxt,
       searchStats,
       domainAnalysis,
+      appFamilies,
       totalPages: Math.ceil(results.length / pageSizeNum),
       totalItems: results.length
     };
@@ -287,20 +353,30 @@ router.post('/extract-multiple', extractionLimiter, async (req, res, next) => {
  * 
  * @apiParam {String[]} bundleIds Array of app bundle IDs
  * @apiParam {String|String[]} [searchTerms] Optional search terms for app-ads.txt
+ * @apiParam {String[]} [metadataColumns] App metadata fields to include (title, developerName, developerId,
+ *   category, contentRating, price, currency, free, lastUpdated, installs, rating, ratingCount)
  * 
  * @apiSuccess {Boolean} success Success status
- * @apiSuccess {Object[]} results Full extraction results
+ * @apiSuccess {Object[]} results Full extraction results, with a metadata object holding the requested fields
  */
 router.post('/export-csv', extractionLimiter, async (req, res, next) => {
   const startTime = Date.now();
   
   try {
-    const { bundleIds, searchTerms } = req.body;
+    const { bundleIds, searchTerms, metadataColumns } = req.body;
     
     if (!bundleIds || !Array.isArray(bundleIds) || bundleIds.length === 0) {
       throw new BadRequestError('Missing or invalid bundle IDs. Please provide an array of bundle IDs.');
     }
     
+    // Validate requested metadata columns
+    let validatedColumns;
+    try {
+      validatedColumns = validateMetadataColumns(metadataColumns);
+    } catch (validationErr) {
+      throw new BadRequestError(validationErr.message);
+    }
+    
     // Validate and filter bundle IDs - with higher limit for exports
     const csvExportLimit = config.api.maxBundleIds * 2; // Double the normal limit for CSV exports
     const validation = validateBundleIds(bundleIds, csvExportLimit);
@@ -351,8 +427,15 @@ router.post('/export-csv', extractionLimiter, async (req, res, next) => {
       
       const batchPromises = batch.map(bundleId => (async () => {
         try {
-          const result = await getDeveloperInfo(bundleId, validatedTerms);
+          const result = await getDeveloperInfo(bundleId, validatedTerms, null, {
+            enrichMetadata: validatedColumns.length > 0
+          });
           completed++;
+          
+          // Keep only the requested metadata fields
+          if (result.metadata) {
+            result.metadata = Object.fromEntries(validatedColumns.map(column => [column, result.metadata[column]]));
+          }
           return result;
         } catch (err) {
           completed++;
@@ -420,6 +503,72 @@ router.post('/export-csv', extractionLimiter, async (req, res, next) => {
   }
 });
 
+/**
+ * @api {post} /api/developer-portfolio List the apps published by an app's developer
+ * @apiName DeveloperPortfolio
+ * @apiGroup Extraction
+ * 
+ * @apiParam {String} bundleId App bundle ID, store URL or store:id
+ * @apiParam {String} [country] Storefront country code (e.g. us, gb) for Google Play and App Store lookups
+ * 
+ * @apiSuccess {Boolean} success Success status
+ * @apiSuccess {Object} result Portfolio with developerPageUrl, developerName, developerId and bundleIds
+ *   (Google Play, App Store, Amazon, Roku and Samsung); pass bundleIds to /api/stream/extract-multiple
+ *   to extract them all
+ */
+router.post('/developer-portfolio', extractionLimiter, async (req, res, next) => {
+  try {
+    const { bundleId, country } = req.body;
+    
+    let validBundleId;
+    let storefronts;
+    try {
+      validBundleId = validateBundleId(bundleId);
+      storefronts = validateStorefrontCountries(country);
+    } catch (validationErr) {
+      throw new BadRequestError(validationErr.message);
+    }
+    
+    logger.info({ bundleId: validBundleId, clientIp: req.ip }, 'Developer portfolio request');
+    
+    res.json({
+      success: true,
+      result: await getDeveloperPortfolio(validBundleId, { country: storefronts.country })
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @api {post} /api/app-families Link extraction results into cross-store app families
+ * @apiName AppFamilies
+ * @apiGroup Extraction
+ * 
+ * @apiParam {Object[]} results Results from a previous extraction (bundleId, storeType, success, domain,
+ *   developerUrl, appAdsTxt.exists and, when enriched, metadata.title and metadata.developerName)
+ * 
+ * @apiSuccess {Boolean} success Success status
+ * @apiSuccess {Object} appFamilies Families with their store apps, developer domains and app-ads.txt coverage
+ */
+router.post('/app-families', async (req, res, next) => {
+  try {
+    let results;
+    try {
+      results = validateLinkResults(req.body.results, config.api.maxBundleIds);
+    } catch (validationErr) {
+      throw new BadRequestError(validationErr.message);
+    }
+    
+    res.json({
+      success: true,
+      appFamilies: linkAppFamilies(results)
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
 /**
  * @api {get} /api/check-app-ads Check app-ads.txt for a domain
  * @apiName CheckAppAds
@@ -427,25 +576,30 @@ router.post('/export-csv', extractionLimiter, async (req, res, next) => {
  * 
  * @apiParam {String} domain Domain to check
  * @apiParam {String|String[]} [searchTerms] Optional search terms
+ * @apiParam {Boolean} [followSubdomains=false] Also crawl app-ads.txt files declared by SUBDOMAIN= records
+ * @apiParam {Number} [maxDepth] Maximum SUBDOMAIN= levels to follow
  * 
  * @apiSuccess {Boolean} success Success status
  * @apiSuccess {Object} result Check result
  */
 router.get('/check-app-ads', async (req, res, next) => {
   try {
-    const { domain, searchTerms } = req.query;
+    const { domain, searchTerms, followSubdomains, maxDepth } = req.query;
     
     if (!domain) {
       throw new BadRequestError('Domain is required');
     }
     
-    logger.info({ domain, hasSearchTerms: !!searchTerms }, 'App-ads.txt check request');
+    logger.info({ domain, hasSearchTerms: !!searchTerms, followSubdomains }, 'App-ads.txt check request');
     
     // Validate search terms
     const validatedTerms = validateSearchTerms(searchTerms);
     
     // Check app-ads.txt
-    const result = await checkAppAdsTxt(domain, validatedTerms);
+    const result = await checkAppAdsTxt(domain, validatedTerms, {
+      followSubdomains: followSubdomains === 'true',
+      maxSubdomainDepth: maxDepth
+    });
     
     res.json({
       success: true,
@@ -470,6 +624,7 @@ router.get('/stats', async (req, res, next) => {
     const stats = {
       cache: cache.getStats(),
       memory: memoryManager.getStats(),
+      extraction: getExtractionStats(),
       uptime: process.uptime(),
       nodeVersion: process.version,
       environment: config.server.env,
@@ -513,13 +668,51 @@ router.get('/memory', async (req, res, next) => {
   }
 });
 
+/**
+ * @api {post} /api/admin/reload-stores Reload store definitions
+ * @apiName ReloadStores
+ * @apiGroup Admin
+ * @apiDescription Re-reads the store definitions file. When the file is invalid the
+ *   previous definitions stay active and the validation errors are returned.
+ * 
+ * @apiHeader {String} Authorization Bearer token matching ADMIN_TOKEN
+ * 
+ * @apiSuccess {Boolean} success Success status
+ * @apiSuccess {Object} stores Active definitions (file, loadedAt, storeTypes)
+ */
+router.post('/admin/reload-stores', requireAdminToken, async (req, res, next) => {
+  try {
+    const previous = getStoreDefinitionsInfo();
+    
+    let info;
+    try {
+      info = reloadStores();
+    } catch (reloadErr) {
+      throw new BadRequestError(reloadErr.message);
+    }
+    
+    // Re-read per-store rate limits, including those of removed stores
+    rateLimiter.resetStores([...new Set([...previous.storeTypes, ...info.storeTypes])]);
+    
+    logger.info({ ...info, clientIp: req.ip }, 'Store definitions reloaded');
+    
+    res.json({
+      success: true,
+      stores: info
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
 /**
  * @api {post} /api/structured-search Perform structured search on app-ads.txt
  * @apiName StructuredSearch
  * @apiGroup AppAds
  * 
  * @apiParam {String} domain Domain to check
- * @apiParam {Object} query Structured query with domain, publisherId, relationship, and/or tagId
+ * @apiParam {Object} query Structured query with domain, publisherId, relationship, and/or tagId,
+ *   or variable and/or value to search variable records (e.g. OWNERDOMAIN)
  * 
  * @apiSuccess {Boolean} success Success status
  * @apiSuccess {Object} result Search results
@@ -537,11 +730,11 @@ router.post('/structured-search', async (req, res, next) => {
     }
     
     // Validate that at least one query field is provided
-    const hasValidQueryField = ['domain', 'publisherId', 'relationship', 'tagId']
+    const hasValidQueryField = ['domain', 'publisherId', 'relationship', 'tagId', 'variable', 'value']
       .some(field => query[field] && typeof query[field] === 'string' && query[field].trim().length > 0);
     
     if (!hasValidQueryField) {
-      throw new BadRequestError('Query must include at least one valid search field (domain, publisherId, relationship, or tagId)');
+      throw new BadRequestError('Query must include at least one valid search field (domain, publisherId, relationship, tagId, variable, or value)');
     }
     
     logger.info({ 
@@ -586,6 +779,307 @@ router.post('/structured-search', async (req, res, next) => {
   }
 });
 
+/**
+ * @api {post} /api/lint Lint an app-ads.txt file against the IAB specification
+ * @apiName LintAppAds
+ * @apiGroup AppAds
+ * 
+ * @apiParam {String} [domain] Domain whose app-ads.txt should be fetched and linted
+ * @apiParam {String} [content] Raw app-ads.txt content to lint (used instead of domain)
+ * @apiParam {Number} [maxDiagnostics=1000] Maximum number of diagnostics to return (1-5000)
+ * 
+ * @apiSuccess {Boolean} success Success status
+ * @apiSuccess {Object} result Lint report with errorCount, warningCount and diagnostics
+ *   ({ code, rule, severity, line, column, message })
+ */
+router.post('/lint', parsingLimiter, async (req, res, next) => {
+  try {
+    const { domain, content, maxDiagnostics = 1000 } = req.body;
+    
+    if (!domain && (content === undefined || content === null)) {
+      throw new BadRequestError('Either domain or content is required');
+    }
+    
+    if (content !== undefined && content !== null && typeof content !== 'string') {
+      throw new BadRequestError('Content must be a string');
+    }
+    
+    const lintOptions = {
+      maxDiagnostics: Math.min(5000, Math.max(1, parseInt(maxDiagnostics, 10) || 1000))
+    };
+    
+    // Lint pasted content directly
+    if (typeof content === 'string') {
+      logger.info({ contentLength: content.length }, 'Lint request for content');
+      
+      return res.json({
+        success: true,
+        result: {
+          source: 'content',
+          ...lintAppAdsTxt(content, lintOptions),
+          rules: LINT_RULES
+        }
+      });
+    }
+    
+    logger.info({ domain }, 'Lint request for domain');
+    
+    const appAdsTxtResult = await checkAppAdsTxt(domain);
+    
+    if (!appAdsTxtResult.exists || !appAdsTxtResult.content) {
+      return res.json({
+        success: false,
+        error: 'app-ads.txt file not found or empty',
+        result: {
+          domain,
+          exists: false
+        }
+      });
+    }
+    
+    // Very large files are cached truncated, so drop the truncation marker line
+    const truncationMarker = '\n... (truncated, file too large)';
+    const isTruncated = appAdsTxtResult.content.endsWith(truncationMarker);
+    const lintContent = isTruncated
+      ? appAdsTxtResult.content.slice(0, -truncationMarker.length)
+      : appAdsTxtResult.content;
+    
+    res.json({
+      success: true,
+      result: {
+        source: 'domain',
+        domain,
+        url: appAdsTxtResult.url,
+        // Streamed and very large files are only available as a sample
+        partial: isTruncated || appAdsTxtResult.processingMethod === 'stream',
+        ...lintAppAdsTxt(lintContent, lintOptions),
+        rules: LINT_RULES
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @api {post} /api/import-bid-requests Extract bundle IDs from OpenRTB bid request logs
+ * @apiName ImportBidRequests
+ * @apiGroup Extraction
+ * 
+ * @apiParam {String} body JSONL dump (up to 5 MB) with one OpenRTB 2.x bid request per line, sent as
+ *   application/x-ndjson or text/plain (or as { "content": "..." } in a JSON body)
+ * 
+ * @apiSuccess {Boolean} success Success status
+ * @apiSuccess {Object[]} bundles De-duplicated bundle IDs ordered by request count
+ *   ({ bundleId, storeType, count, publishers })
+ * @apiSuccess {Object} stats Line, request, invalid JSON, non-app and unrecognized counts
+ */
+router.post(
+  '/import-bid-requests',
+  parsingLimiter,
+  express.text({ type: ['application/x-ndjson', 'application/jsonl', 'text/plain'], limit: config.api.importBodyLimit }),
+  (req, res, next) => {
+    try {
+      const content = typeof req.body === 'string' ? req.body : req.body?.content;
+      
+      if (typeof content !== 'string' || !content.trim()) {
+        throw new BadRequestError('Bid request JSONL content is required');
+      }
+      
+      const result = importBidRequests(content);
+      
+      logger.info({
+        lines: result.stats.lines,
+        uniqueBundles: result.stats.uniqueBundles,
+        clientIp: req.ip
+      }, 'Bid request import');
+      
+      res.json({
+        success: true,
+        ...result
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * @api {post} /api/authorize Check whether seller IDs are authorized to sell apps
+ * @apiName Authorize
+ * @apiGroup AppAds
+ * 
+ * @apiParam {Object[]} tuples Tuples to check
+ * @apiParam {String} tuples.bundleId App bundle ID
+ * @apiParam {String} tuples.adSystemDomain Ad system (exchange) domain
+ * @apiParam {String} tuples.publisherId Seller/publisher account ID
+ * @apiParam {String} [tuples.relationship] DIRECT or RESELLER; either is accepted when omitted
+ * 
+ * @apiSuccess {Boolean} success Success status
+ * @apiSuccess {Object[]} results Per-tuple verdicts in request order (authorized-direct,
+ *   authorized-reseller, unauthorized, unknown, no-app-ads-txt or store-error) with the matching lineNumber;
+ *   unknown means the seller was not in the sample kept of a streamed or truncated file
+ * @apiSuccess {Object[]} invalidTuples Tuples that failed validation ({ index, error })
+ * @apiSuccess {Object} summary Count of each verdict
+ */
+router.post('/authorize', extractionLimiter, async (req, res, next) => {
+  const startTime = Date.now();
+  
+  try {
+    const { tuples } = req.body;
+    
+    let validation;
+    try {
+      validation = validateAuthorizationTuples(tuples, config.api.maxAuthorizeTuples);
+    } catch (validationErr) {
+      throw new BadRequestError(validationErr.message);
+    }
+    
+    if (validation.valid === 0) {
+      throw new ValidationError('No valid tuples provided after filtering.', {
+        totalProvided: validation.total,
+        invalidTuples: validation.results.filter(result => !result.isValid)
+      });
+    }
+    
+    logger.info({
+      tuplesCount: validation.valid,
+      invalidCount: validation.invalid,
+      clientIp: req.ip
+    }, 'Authorization check request');
+    
+    const results = await authorizeTuples(validation.validTuples);
+    
+    const summary = Object.values(VERDICTS).reduce((acc, verdict) => {
+      acc[verdict] = 0;
+      return acc;
+    }, {});
+    results.forEach(result => summary[result.verdict]++);
+    
+    res.json({
+      success: true,
+      results,
+      invalidTuples: validation.results
+        .filter(result => !result.isValid)
+        .map(({ index, error }) => ({ index, error })),
+      summary,
+      processingTime: `${Date.now() - startTime}ms`
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @api {post} /api/validate-schain Validate an OpenRTB supply chain for an app
+ * @apiName ValidateSchain
+ * @apiGroup AppAds
+ * 
+ * @apiParam {String} bundleId App bundle ID the bid request was for
+ * @apiParam {Object|String} schain OpenRTB source.ext.schain object (a JSON string, bid request
+ *   or source object is also accepted)
+ * 
+ * @apiSuccess {Boolean} success Success status
+ * @apiSuccess {Object} result Supply chain report with status (complete, incomplete or invalid) and
+ *   per-hop results; the first hop is checked against app-ads.txt, later hops against sellers.json
+ */
+router.post('/validate-schain', extractionLimiter, async (req, res, next) => {
+  try {
+    const { bundleId, schain } = req.body;
+    
+    let validBundleId;
+    let supplyChain;
+    try {
+      validBundleId = validateBundleId(bundleId);
+      supplyChain = validateSupplyChain(schain, config.api.maxSchainNodes);
+    } catch (validationErr) {
+      throw new BadRequestError(validationErr.message);
+    }
+    
+    logger.info({
+      bundleId: validBundleId,
+      nodes: supplyChain.nodes.length,
+      clientIp: req.ip
+    }, 'Supply chain validation request');
+    
+    res.json({
+      success: true,
+      result: {
+        ...(await validateSupplyChainForApp(validBundleId, supplyChain)),
+        issueTypes: SCHAIN_ISSUES
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @api {post} /api/verify-sellers Cross-verify app-ads.txt records against sellers.json
+ * @apiName VerifySellers
+ * @apiGroup AppAds
+ * 
+ * @apiParam {String} domain Developer domain whose app-ads.txt should be verified
+ * @apiParam {String} [content] Raw app-ads.txt content to verify instead of fetching it from the domain
+ * 
+ * @apiSuccess {Boolean} success Success status
+ * @apiSuccess {Object} result Verification report with counts, adSystems and issues
+ *   ({ code, severity, message, lineNumber, domain, publisherId, relationship }). partial is true when
+ *   only a sample of a large fetched file was verified; fileRecords is then the record count of the whole file
+ */
+router.post('/verify-sellers', extractionLimiter, async (req, res, next) => {
+  try {
+    const { domain, content } = req.body;
+    
+    if (!domain || typeof domain !== 'string') {
+      throw new BadRequestError('Developer domain is required');
+    }
+    
+    if (content !== undefined && content !== null && typeof content !== 'string') {
+      throw new BadRequestError('Content must be a string');
+    }
+    
+    logger.info({ domain, hasContent: typeof content === 'string' }, 'sellers.json verification request');
+    
+    // Verify pasted content directly
+    if (typeof content === 'string') {
+      return res.json({
+        success: true,
+        result: {
+          source: 'content',
+          ...(await verifyAppAdsTxt(content, domain)),
+          issueTypes: SELLER_ISSUES
+        }
+      });
+    }
+    
+    const appAdsTxtResult = await checkAppAdsTxt(domain);
+    
+    if (!appAdsTxtResult.exists || !appAdsTxtResult.content) {
+      return res.json({
+        success: false,
+        error: 'app-ads.txt file not found or empty',
+        result: {
+          domain,
+          exists: false
+        }
+      });
+    }
+    
+    res.json({
+      success: true,
+      result: {
+        source: 'domain',
+        url: appAdsTxtResult.url,
+        ...(await verifyAppAdsTxtResult(appAdsTxtResult, domain)),
+        issueTypes: SELLER_ISSUES
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
 /**
  * @api {post} /api/performance-test Run a performance test
  * @apiName PerformanceTest
@@ -723,6 +1217,7 @@ function paginateResults(data, page, pageSize) {
     appsWithAppAdsTxt: data.appsWithAppAdsTxt,
     searchStats: data.searchStats,
     domainAnalysis: data.domainAnalysis,
+    appFamilies: data.appFamilies,
   };
 }
 
@@ -9,6 +9,7 @@ const path = require('path');
 const apiRoutes = require('./api');
 const healthRoutes = require('./health');
 const streamingRoutes = require('./streaming-api');
+const jobRoutes = require('./jobs-api');
 const { notFoundHandler } = require('../middleware/error-handler');
 const config = require('../config');
 
@@ -17,6 +18,10 @@ const router = express.Router();
 // Health check routes
 router.use('/health', healthRoutes);
 
+// Background job routes, mounted before the general API routes so job polling is
+// not counted against the general API rate limit
+router.use('/api/jobs', jobRoutes);
+
 // API routes
 router.use('/api', apiRoutes);
 
@@ -0,0 +1,285 @@
+/**
+ * Job API Routes for App-Ads.txt Extractor
+ * Runs large extractions in the background and serves their progress and results
+ */
+
+'use strict';
+
+const express = require('express');
+const jobManager = require('../services/job-manager');
+const { validateBundleIds, validateSearchTerms, validateStorefrontCountries, validateStructuredParams } = require('../utils/validation');
+const { createRateLimiter } = require('../middleware/rate-limiter');
+const config = require('../config');
+const { BadRequestError, HttpError, NotFoundError, ValidationError } = require('../middleware/error-handler');
+const { getLogger } = require('../utils/logger');
+
+const logger = getLogger('jobs-api-routes');
+
+// Job IDs are random UUIDs
+const JOB_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const router = express.Router();
+
+// Apply rate limiting to job creation
+const jobLimiter = createRateLimiter({
+  windowMs: 5 * 60 * 1000, // 5 minutes
+  max: 10, // Limit to 10 jobs per 5 minutes
+  message: 'Too many extraction jobs, please try again later.'
+});
+
+// Progress polling gets its own, more generous limit instead of the general API limit
+const jobStatusLimiter = createRateLimiter({
+  windowMs: 60 * 1000, // 1 minute
+  max: 60, // Limit to 60 status requests per minute
+  message: 'Too many job status requests, please poll less often.'
+});
+
+/**
+ * Get a job by the ID in the route parameters
+ * @param {string} jobId - Job ID
+ * @returns {Promise<object>} - Job state
+ * @throws {NotFoundError} - When the job does not exist or has expired
+ */
+async function findJob(jobId) {
+  const job = JOB_ID_PATTERN.test(jobId) ? await jobManager.getJob(jobId) : null;
+  
+  if (!job) {
+    throw new NotFoundError(`Job not found: ${jobId}`);
+  }
+  
+  return job;
+}
+
+/**
+ * @api {post} /api/jobs Create a background extraction job
+ * @apiName CreateJob
+ * @apiGroup Jobs
+ *
+ * @apiParam {String[]} bundleIds Array of app bundle IDs (up to JOBS_MAX_BUNDLE_IDS)
+ * @apiParam {String|String[]} [searchTerms] Optional search terms for app-ads.txt
+ * @apiParam {Object|Object[]} [structuredParams] Advanced search parameters (up to 20 queries), used instead of searchTerms
+ * @apiParam {Boolean} [followSubdomains=false] Also crawl app-ads.txt files declared by SUBDOMAIN= records
+ * @apiParam {Boolean} [verifySellers=false] Cross-verify app-ads.txt records against sellers.json
+ * @apiParam {String} [country] Storefront country code (e.g. us, gb)
+ * @apiParam {Object} [bundleCountries] Per-bundle storefront country overrides, keyed by bundle ID
+ * @apiParam {Boolean} [enrichMetadata=false] Add app listing metadata to each result
+ *
+ * @apiSuccess {Boolean} success Success status
+ * @apiSuccess {Object} job Job state (id, status, total, processed and counters)
+ * @apiSuccess {Number} invalidCount Bundle IDs dropped during validation
+ */
+router.post('/', jobLimiter, async (req, res, next) => {
+  try {
+    const {
+      bundleIds,
+      searchTerms,
+      structuredParams,
+      followSubdomains = false,
+      verifySellers = false,
+      country,
+      bundleCountries,
+      enrichMetadata = false
+    } = req.body;
+    
+    if (!bundleIds || !Array.isArray(bundleIds) || bundleIds.length === 0) {
+      throw new BadRequestError('Missing or invalid bundle IDs. Please provide an array of bundle IDs.');
+    }
+    
+    // Validate and filter bundle IDs
+    const validation = validateBundleIds(bundleIds, config.jobs.maxBundleIds);
+    
+    if (validation.valid === 0) {
+      throw new ValidationError('No valid bundle IDs provided after filtering.', {
+        totalProvided: validation.total,
+        invalidCount: validation.invalid,
+        validCount: validation.valid
+      });
+    }
+    
+    // Validate storefront countries and advanced search parameters
+    let storefronts;
+    let validatedStructuredParams;
+    try {
+      storefronts = validateStorefrontCountries(country, bundleCountries);
+      validatedStructuredParams = validateStructuredParams(structuredParams);
+    } catch (validationErr) {
+      throw new BadRequestError(validationErr.message);
+    }
+    
+    const job = await jobManager.createJob(validation.validIds, {
+      searchTerms: validateSearchTerms(searchTerms),
+      structuredParams: validatedStructuredParams,
+      followSubdomains: followSubdomains === true,
+      verifySellers: verifySellers === true,
+      country: storefronts.country,
+      bundleCountries: storefronts.bundleCountries,
+      enrichMetadata: enrichMetadata === true
+    });
+    
+    logger.info({
+      jobId: job.id,
+      bundleIdsCount: validation.validIds.length,
+      invalidCount: validation.invalid,
+      clientIp: req.ip
+    }, 'Extraction job request');
+    
+    res.status(202).json({
+      success: true,
+      job,
+      invalidCount: validation.invalid
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @api {get} /api/jobs/:id Get a job's progress
+ * @apiName GetJob
+ * @apiGroup Jobs
+ *
+ * @apiParam {String} id Job ID
+ *
+ * @apiSuccess {Boolean} success Success status
+ * @apiSuccess {Object} job Job state: status (queued, running, completed, cancelled or failed), total,
+ *   processed, successCount, errorCount, withAppAdsTxt and timestamps. After a retry, retry holds the
+ *   round, total, processed and recovered row counts of the latest retry.
+ */
+router.get('/:id', jobStatusLimiter, async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      job: await findJob(req.params.id)
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @api {get} /api/jobs/:id/results Get a job's results
+ * @apiName GetJobResults
+ * @apiGroup Jobs
+ * @apiDescription Results are available while the job runs. By default one page is returned; with
+ *   stream=true all processed results are streamed in the format of /api/stream/extract-multiple.
+ *
+ * @apiParam {String} id Job ID
+ * @apiParam {Number} [page=1] Page number for pagination
+ * @apiParam {Number} [pageSize=20] Number of results per page
+ * @apiParam {Boolean} [stream=false] Stream all processed results instead of one page
+ *
+ * @apiSuccess {Boolean} success Success status
+ * @apiSuccess {Object} job Job state
+ * @apiSuccess {Object[]} results Results of the requested page, in bundle ID order; attempts counts
+ *   how many times each row was extracted
+ * @apiSuccess {Object} pagination Pagination info
+ */
+router.get('/:id/results', jobStatusLimiter, async (req, res, next) => {
+  try {
+    const job = await findJob(req.params.id);
+    const { page = 1, pageSize = config.api.defaultPageSize, stream } = req.query;
+    
+    if (stream !== 'true') {
+      const pageNum = Math.max(1, parseInt(page, 10) || 1);
+      const pageSizeNum = Math.max(5, Math.min(config.api.maxPageSize, parseInt(pageSize, 10) || config.api.defaultPageSize));
+      const data = await jobManager.getResults(job.id, pageNum, pageSizeNum);
+      
+      res.json({
+        success: true,
+        ...data
+      });
+      return;
+    }
+    
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+    
+    res.write(`{"success":true,"timestamp":${Date.now()},"debugMode":false,"job":${JSON.stringify(job)},"results":[`);
+    
+    let count = 0;
+    for await (const chunk of jobManager.iterateResults(job)) {
+      // Stop reading chunks once the client has gone
+      if (res.destroyed) return;
+      
+      for (const result of chunk) {
+        res.write(`${count > 0 ? ',' : ''}${JSON.stringify(result)}`);
+        count++;
+      }
+      
+      if (typeof res.flush === 'function') {
+        res.flush();
+      }
+    }
+    
+    res.write(`],"totalProcessed":${count}}`);
+    res.end();
+  } catch (err) {
+    // Headers are already sent once streaming started
+    if (res.headersSent) {
+      logger.error({ jobId: req.params.id, error: err.message }, 'Error streaming job results');
+      res.end();
+      return;
+    }
+    next(err);
+  }
+});
+
+/**
+ * @api {post} /api/jobs/:id/retry-failed Retry a job's failed rows
+ * @apiName RetryFailedJobRows
+ * @apiGroup Jobs
+ * @apiDescription Queues the failed rows of a completed job again, bypassing the cache. Their new
+ *   outcomes replace the old rows in place and the job's counters are updated. The job is returned
+ *   unchanged when none of its rows failed.
+ *
+ * @apiParam {String} id Job ID
+ *
+ * @apiSuccess {Boolean} success Success status
+ * @apiSuccess {Object} job Job state
+ */
+router.post('/:id/retry-failed', jobLimiter, async (req, res, next) => {
+  try {
+    const job = await findJob(req.params.id);
+    
+    let retried;
+    try {
+      retried = await jobManager.retryFailed(job.id);
+    } catch (retryErr) {
+      throw new HttpError(retryErr.message, 409);
+    }
+    
+    res.status(202).json({
+      success: true,
+      job: retried
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @api {delete} /api/jobs/:id Cancel a job
+ * @apiName CancelJob
+ * @apiGroup Jobs
+ * @apiDescription A running job stops after its current batch. Results processed so far stay available.
+ *
+ * @apiParam {String} id Job ID
+ *
+ * @apiSuccess {Boolean} success Success status
+ * @apiSuccess {Object} job Job state
+ */
+router.delete('/:id', jobStatusLimiter, async (req, res, next) => {
+  try {
+    const job = await findJob(req.params.id);
+    
+    res.json({
+      success: true,
+      job: await jobManager.cancelJob(job.id)
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -7,24 +7,95 @@
 
 const express = require('express');
 const crypto = require('crypto');
-const { getDeveloperInfo } = require('../core/store-extractor');
+const { getDeveloperInfo, getAppMetadata } = require('../core/store-extractor');
 const { checkAppAdsTxt, streamAppAdsTxt } = require('../core/app-ads-checker'); 
-const { validateBundleIds, validateSearchTerms } = require('../utils/validation');
+const { validateBundleIds, validateSearchTerms, validateStorefrontCountries, validateMetadataColumns } = require('../utils/validation');
 const { apiLimiter, createRateLimiter } = require('../middleware/rate-limiter');
 const config = require('../config');
-const { BadRequestError, ValidationError } = require('../middleware/error-handler');
+const { BadRequestError, NotFoundError, ValidationError } = require('../middleware/error-handler');
 const { getLogger } = require('../utils/logger');
 const memoryManager = require('../services/memory-manager');
+const streamRuns = require('../services/stream-runs');
+const { RUN_STATUS } = require('../services/stream-runs');
 const { getStoreDisplayName } = require('../utils/formatting');
+const { parseAppAdsLine, parseAppAdsVariable } = require('../utils/app-ads-parser');
 
 const logger = getLogger('streaming-api-routes');
+
+// CSV headers for the standard export columns, keyed by export row field
+const EXPORT_COLUMN_LABELS = {
+  bundleId: 'Bundle ID',
+  store: 'Store',
+  domain: 'Domain',
+  hasAppAdsTxt: 'Has App-Ads.txt',
+  appAdsTxtUrl: 'App-Ads.txt URL',
+  advancedSearchResults: 'Advanced Search Results',
+  matchCount: 'Match Count',
+  matchingLines: 'Matching Lines',
+  success: 'Success',
+  error: 'Error'
+};
+
+// CSV headers for app metadata columns
+const METADATA_COLUMN_LABELS = {
+  title: 'App Title',
+  developerName: 'Developer Name',
+  developerId: 'Developer ID',
+  category: 'Category',
+  contentRating: 'Content Rating',
+  price: 'Price',
+  currency: 'Currency',
+  free: 'Free',
+  lastUpdated: 'Last Updated',
+  installs: 'Installs',
+  rating: 'Rating',
+  ratingCount: 'Rating Count'
+};
+// Server-Sent Events and NDJSON extraction stream settings
+const SSE_RETRY_MS = 3000; // Reconnection delay suggested to clients
+const SSE_HEARTBEAT_MS = 15000; // Interval between heartbeat events
+const STREAM_CONCURRENCY = 3; // Bundle IDs extracted at the same time
+const APP_ADS_PROGRESS_LINES = 1000; // app-ads.txt lines between NDJSON progress lines
+
 const router = express.Router();
 
-// Apply rate limiting to streaming endpoints
+/**
+ * Claim the run of an event stream client that reconnects with Last-Event-ID and the
+ * X-Stream-Run-Id of the stream it lost, so it continues that run (see streamRuns.suspend)
+ * Only a valid event stream request for the bundle IDs of the lost stream claims the run;
+ * the route rejects any other request as usual.
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {function} next - Next middleware
+ */
+function claimStreamResumption(req, res, next) {
+  const runId = req.get('X-Stream-Run-Id');
+  const lastEventId = req.get('Last-Event-ID');
+  
+  if (!runId || !lastEventId || !Array.isArray(req.body?.bundleIds) ||
+      getStreamFormat(req, ['application/json', 'text/event-stream', 'application/x-ndjson']) !== 'text/event-stream') {
+    return next();
+  }
+  
+  const { validIds } = validateBundleIds(req.body.bundleIds, config.api.maxBundleIds);
+  if (parseLastEventId(lastEventId, validIds.length) === null) {
+    return next();
+  }
+  
+  const resumeCount = streamRuns.claimResumption(runId, validIds);
+  if (resumeCount > 0) {
+    req.resumedRun = { runId, resumeCount };
+  }
+  
+  next();
+}
+
+// Apply rate limiting to streaming endpoints; resuming a run counts against the request that started it
 const streamingLimiter = createRateLimiter({
   windowMs: 5 * 60 * 1000, // 5 minutes
   max: 10, // Limit to 10 streaming requests per 5 minutes
-  message: 'Too many streaming requests, please try again later.'
+  message: 'Too many streaming requests, please try again later.',
+  skip: req => Boolean(req.resumedRun)
 });
 
 /**
@@ -34,19 +105,42 @@ const streamingLimiter = createRateLimiter({
  * 
  * @apiParam {String[]} bundleIds Array of app bundle IDs
  * @apiParam {String|String[]} [searchTerms] Optional search terms for app-ads.txt
+ * @apiParam {Boolean} [followSubdomains=false] Also crawl app-ads.txt files declared by SUBDOMAIN= records
+ * @apiParam {Boolean} [verifySellers=false] Cross-verify app-ads.txt records against sellers.json
+ * @apiParam {String} [country] Storefront country code (e.g. us, gb) for Google Play, App Store, LG Content Store and Microsoft Store lookups
+ * @apiParam {Object} [bundleCountries] Per-bundle storefront country overrides, keyed by bundle ID
+ * @apiParam {Boolean} [enrichMetadata=false] Add app listing metadata (title, developer, category, price, ratings) to each result
+ * @apiParam {Boolean} [skipCache=false] Look up every bundle ID again instead of using cached results or errors, e.g. to retry failed rows
+ * @apiHeader {String} [Accept] text/event-stream for Server-Sent Events or application/x-ndjson for one JSON
+ *   object per line (result, progress and summary lines) instead of the JSON stream
+ * @apiHeader {String} [Last-Event-ID] Server-Sent Events only: ID of the last result received, to continue after it
+ * @apiHeader {String} [X-Stream-Run-Id] Server-Sent Events only: run ID of the lost stream, sent with Last-Event-ID to
+ *   continue the same run without counting against the streaming rate limit
  * 
- * @apiSuccess {Stream} response JSON stream of results
+ * @apiSuccess {Stream} response JSON stream of results, result/progress/heartbeat/summary events, or NDJSON lines;
+ *   paused, resumed and cancelled events or lines report pause and cancellation of the run
+ * @apiSuccess {String} X-Stream-Run-Id Response header: run ID for the pause, resume and cancel endpoints
  */
-router.post('/extract-multiple', streamingLimiter, async (req, res, next) => {
+router.post('/extract-multiple', claimStreamResumption, streamingLimiter, async (req, res, next) => {
   // Track processing stats
   const startTime = Date.now();
   let processedCount = 0;
   let successCount = 0;
   let errorCount = 0;
   let withAppAdsTxtCount = 0;
+  let run = null;
   
   try {
-    const { bundleIds, searchTerms } = req.body;
+    const { 
+      bundleIds, 
+      searchTerms, 
+      followSubdomains = false, 
+      verifySellers = false, 
+      country, 
+      bundleCountries,
+      enrichMetadata = false,
+      skipCache = false
+    } = req.body;
     
     if (!bundleIds || !Array.isArray(bundleIds) || bundleIds.length === 0) {
       throw new BadRequestError('Missing or invalid bundle IDs. Please provide an array of bundle IDs.');
@@ -68,6 +162,14 @@ router.post('/extract-multiple', streamingLimiter, async (req, res, next) => {
       Array.isArray(req.body.structuredParams) ? req.body.structuredParams.length > 0 : Object.keys(req.body.structuredParams).length > 0
     );
     
+    // Validate storefront countries
+    let storefronts;
+    try {
+      storefronts = validateStorefrontCountries(country, bundleCountries);
+    } catch (validationErr) {
+      throw new BadRequestError(validationErr.message);
+    }
+    
     // Validate search terms
     const validatedTerms = validateSearchTerms(searchTerms);
     // Also validate structured params if provided (pass through as is)
@@ -78,16 +180,51 @@ router.post('/extract-multiple', streamingLimiter, async (req, res, next) => {
       searchTermsCount: validatedTerms?.length || 0,
       hasStructuredParams: !!validatedStructuredParams,
       isAdvancedSearch,
+      followSubdomains: followSubdomains === true,
+      verifySellers: verifySellers === true,
+      country: storefronts.country,
+      skipCache: skipCache === true,
       clientIp: req.ip,
       endpoint: 'stream/extract-multiple'
     }, 'Streaming extraction request');
     
+    // Server-Sent Events and NDJSON variants
+    const format = getStreamFormat(req, ['application/json', 'text/event-stream', 'application/x-ndjson']);
+    if (format !== 'application/json') {
+      const writer = format === 'text/event-stream'
+        ? createServerSentEventWriter(req, res, validation.validIds.length)
+        : createNdjsonWriter(res);
+      
+      await streamExtraction(res, validation.validIds, {
+        searchTerms: isAdvancedSearch ? [] : validatedTerms,
+        structuredParams: validatedStructuredParams,
+        options: {
+          followSubdomains: followSubdomains === true,
+          verifySellers: verifySellers === true,
+          country: storefronts.country,
+          bundleCountries: storefronts.bundleCountries,
+          enrichMetadata: enrichMetadata === true,
+          skipCache: skipCache === true
+        }
+      }, writer);
+      return;
+    }
+    
+    // Pausing or cancelling the run, or the client disconnecting, takes effect between batches
+    run = streamRuns.start(validation.validIds.length);
+    let closed = false;
+    res.on('close', () => {
+      closed = true;
+      run.cancel();
+    });
+    
     // Set appropriate headers for streaming
     res.setHeader('Content-Type', 'application/json; charset=utf-8');
     res.setHeader('X-Content-Type-Options', 'nosniff');
     res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
     res.setHeader('Pragma', 'no-cache');
     res.setHeader('Expires', '0');
+    res.setHeader('X-Stream-Run-Id', run.id);
     
     // Check if client requested debug mode
     const debugMode = req.headers['x-debug-mode'] === 'true';
@@ -108,7 +245,7 @@ router.post('/extract-multiple', streamingLimiter, async (req, res, next) => {
     const BATCH_SIZE = 25; // Increased from 10 to 25 for better throughput
     const totalBatches = Math.ceil(validation.validIds.length / BATCH_SIZE);
     
-    for (let batchIndex = 0; batchIndex < totalBatches; batchIndex++) {
+    for (let batchIndex = 0; batchIndex < totalBatches && !run.cancelled; batchIndex++) {
       // Check memory usage between batches
       if (batchIndex > 0 && batchIndex % 5 === 0) {
         memoryManager.checkMemoryUsage();
@@ -132,6 +269,16 @@ router.post('/extract-multiple', streamingLimiter, async (req, res, next) => {
       
       // Process in smaller groups to maintain responsiveness
       for (let i = 0; i < batch.length; i += MAX_CONCURRENT) {
+        // Hold at the batch boundary while paused, keeping the connection alive
+        if (run.status === RUN_STATUS.PAUSED) {
+          res.write(`\n/* Paused at ${processedCount}/${validation.validIds.length} at ${Date.now()} */\n`);
+          const keepAlive = setInterval(() => res.write(`\n/* heartbeat: ${Date.now()} */\n`), SSE_HEARTBEAT_MS);
+          await run.waitWhilePaused();
+          clearInterval(keepAlive);
+        }
+        
+        if (run.cancelled) break;
+        
         const currentBatch = batch.slice(i, Math.min(i + MAX_CONCURRENT, batch.length));
         
         // Process this smaller batch
@@ -146,7 +293,15 @@ router.post('/extract-multiple', streamingLimiter, async (req, res, next) => {
             const result = await getDeveloperInfo(
               bundleId, 
               isAdvancedSearch ? [] : validatedTerms,
-              isAdvancedSearch ? validatedStructuredParams : null
+              isAdvancedSearch ? validatedStructuredParams : null,
+              {
+                followSubdomains: followSubdomains === true,
+                verifySellers: verifySellers === true,
+                country: storefronts.country,
+                bundleCountries: storefronts.bundleCountries,
+                enrichMetadata: enrichMetadata === true,
+                skipCache: skipCache === true
+              }
             );
             processedCount++;
             
@@ -176,6 +331,7 @@ router.post('/extract-multiple', streamingLimiter, async (req, res, next) => {
         // Wait for current batch to complete
         const batchResults = await Promise.all(batchPromises);
         results.push(...batchResults);
+        run.processedCount = processedCount;
         
         // Send progress heartbeat after each small batch
         res.write(`\n/* Progress: ${processedCount}/${validation.validIds.length} at ${Date.now()} */\n`);
@@ -234,6 +390,11 @@ router.post('/extract-multiple', streamingLimiter, async (req, res, next) => {
       }
     }
     
+    if (closed) {
+      logger.info({ runId: run.id, processedCount, total: validation.validIds.length }, 'Streaming extraction closed by client');
+      return;
+    }
+    
     // Send final heartbeat before closing
     res.write(`\n/* Final heartbeat before closing: ${Date.now()} */\n`);
     if (typeof res.flush === 'function') {
@@ -241,19 +402,22 @@ router.post('/extract-multiple', streamingLimiter, async (req, res, next) => {
     }
     
     // Complete the response with closing metadata
-    const processingTime = Date.now() - startTime;
+    const processingTime = Date.now() - startTime - run.pausedTime;
     
-    res.write(`],"totalProcessed":${processedCount},"successCount":${successCount},"errorCount":${errorCount},"appsWithAppAdsTxt":${withAppAdsTxtCount},"processingTime":"${processingTime}ms","endTimestamp":${Date.now()}}`);
+    res.write(`],"totalProcessed":${processedCount},"successCount":${successCount},"errorCount":${errorCount},"appsWithAppAdsTxt":${withAppAdsTxtCount},${run.cancelled ? `"cancelled":true,"cancelReason":"${run.cancelReason}",` : ''}"processingTime":"${processingTime}ms","endTimestamp":${Date.now()}}`);
     res.end();
     
     logger.info({
+      runId: run.id,
+      cancelled: run.cancelled,
+      cancelReason: run.cancelReason,
       bundleIdsCount: validation.validIds.length,
       processedCount,
       successCount,
       errorCount,
       processingTime: `${processingTime}ms`
     }, 'Streaming extraction completed');
-    
+  
   } catch (err) {
     // If we haven't started streaming results yet, pass to error handler
     if (!res.headersSent) {
@@ -280,9 +444,429 @@ router.post('/extract-multiple', streamingLimiter, async (req, res, next) => {
       
       res.destroy();
     }
+  } finally {
+    if (run) {
+      streamRuns.finish(run);
+    }
   }
 });
 
+/**
+ * Get an active stream run by the ID in the route parameters
+ * @param {string} runId - Run ID from the X-Stream-Run-Id response header
+ * @returns {object} - Stream run
+ * @throws {NotFoundError} - When the run does not exist or its stream has ended
+ */
+function findRun(runId) {
+  const run = streamRuns.get(runId);
+  
+  if (!run) {
+    throw new NotFoundError(`Stream run not found: ${runId}`);
+  }
+  
+  return run;
+}
+
+/**
+ * @api {post} /api/stream/runs/:id/pause Pause an extraction stream
+ * @apiName PauseStreamRun
+ * @apiGroup Streaming
+ * @apiDescription The stream finishes its current batch, sends a paused event and then holds
+ *   until it is resumed or cancelled. Event streams keep sending heartbeats while paused. A run
+ *   still paused after STREAM_MAX_PAUSE_MS is cancelled with reason "pause-timeout".
+ *
+ * @apiParam {String} id Run ID from the X-Stream-Run-Id header of the extract-multiple response
+ *
+ * @apiSuccess {Boolean} success Success status
+ * @apiSuccess {Object} run Run state (id, status, total, processedCount, pausedTime and cancelReason)
+ */
+router.post('/runs/:id/pause', (req, res, next) => {
+  try {
+    const run = findRun(req.params.id);
+    
+    if (run.pause()) {
+      logger.info({ runId: run.id, clientIp: req.ip }, 'Stream run pause requested');
+    }
+    
+    res.json({ success: true, run });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @api {post} /api/stream/runs/:id/resume Resume a paused extraction stream
+ * @apiName ResumeStreamRun
+ * @apiGroup Streaming
+ *
+ * @apiParam {String} id Run ID
+ *
+ * @apiSuccess {Boolean} success Success status
+ * @apiSuccess {Object} run Run state
+ */
+router.post('/runs/:id/resume', (req, res, next) => {
+  try {
+    const run = findRun(req.params.id);
+    
+    if (run.resume()) {
+      logger.info({ runId: run.id, clientIp: req.ip }, 'Stream run resumed');
+    }
+    
+    res.json({ success: true, run });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @api {delete} /api/stream/runs/:id Cancel an extraction stream
+ * @apiName CancelStreamRun
+ * @apiGroup Streaming
+ * @apiDescription The stream stops after its current batch and ends with a cancelled event
+ *   (or "cancelled": true in the JSON stream) instead of the summary. Closing the connection
+ *   stops the stream the same way.
+ *
+ * @apiParam {String} id Run ID
+ *
+ * @apiSuccess {Boolean} success Success status
+ * @apiSuccess {Object} run Run state
+ */
+router.delete('/runs/:id', (req, res, next) => {
+  try {
+    const run = findRun(req.params.id);
+    
+    if (run.cancel()) {
+      logger.info({ runId: run.id, processedCount: run.processedCount, clientIp: req.ip }, 'Stream run cancelled');
+    }
+    
+    res.json({ success: true, run });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * Get the streaming format requested by the Accept header
+ * @param {object} req - Express request
+ * @param {string[]} formats - Supported content types, default first
+ * @returns {string} - Requested content type, or the default
+ */
+function getStreamFormat(req, formats) {
+  return req.accepts(formats) || formats[0];
+}
+
+/**
+ * Start an NDJSON response
+ * @param {object} res - Express response
+ */
+function startNdjson(res) {
+  res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+}
+
+/**
+ * Write one NDJSON line
+ * @param {object} res - Express response
+ * @param {string} type - Line type (result, record, variable, row, progress, summary or error)
+ * @param {object} data - Line fields
+ * @param {boolean} [flush=true] - Flush the response after the line
+ */
+function writeNdjsonLine(res, type, data, flush = true) {
+  res.write(`${JSON.stringify({ type, ...data })}\n`);
+  
+  if (flush && typeof res.flush === 'function') {
+    res.flush();
+  }
+}
+
+/**
+ * Write a Server-Sent Event
+ * @param {object} res - Express response
+ * @param {string} event - Event type
+ * @param {object} data - Event data, sent as JSON
+ * @param {number} [id] - Event ID; only result events carry one
+ */
+function writeServerSentEvent(res, event, data, id) {
+  res.write(`event: ${event}\n${id !== undefined ? `id: ${id}\n` : ''}data: ${JSON.stringify(data)}\n\n`);
+  
+  if (typeof res.flush === 'function') {
+    res.flush();
+  }
+}
+
+/**
+ * Parse a Last-Event-ID header, the index of the last result event a client received
+ * @param {string} lastEventId - Header value
+ * @param {number} total - Number of bundle IDs in the request
+ * @returns {number|null} - Index, or null when it is not a result ID of the request
+ */
+function parseLastEventId(lastEventId, total) {
+  const lastIndex = Number(lastEventId);
+  
+  return Number.isInteger(lastIndex) && lastIndex >= 0 && lastIndex < total ? lastIndex : null;
+}
+
+/**
+ * Create the Server-Sent Events writer for streamExtraction
+ * Each result event's ID is the index of its bundle ID, so a client that reconnects with a
+ * Last-Event-ID header continues with the next bundle ID instead of starting over. With the
+ * X-Stream-Run-Id of the lost stream, it also keeps the same run ID.
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {number} total - Number of bundle IDs
+ * @returns {object} - Writer, with the index to start from as startIndex and the claimed run ID as runId
+ * @throws {BadRequestError} - When Last-Event-ID is not a result ID of this request
+ */
+function createServerSentEventWriter(req, res, total) {
+  const lastEventId = req.get('Last-Event-ID');
+  let startIndex = 0;
+  
+  if (lastEventId) {
+    const lastIndex = parseLastEventId(lastEventId, total);
+    
+    if (lastIndex === null) {
+      throw new BadRequestError(`Invalid Last-Event-ID: ${lastEventId}`);
+    }
+    startIndex = lastIndex + 1;
+  }
+  
+  return {
+    startIndex,
+    runId: req.resumedRun?.runId || null,
+    resumeCount: req.resumedRun?.resumeCount || 0,
+    resumable: true,
+    start() {
+      res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+      res.setHeader('Cache-Control', 'no-cache, no-transform');
+      res.setHeader('Connection', 'keep-alive');
+      res.setHeader('X-Accel-Buffering', 'no');
+      res.write(`retry: ${SSE_RETRY_MS}\n\n`);
+    },
+    result: (result, index) => writeServerSentEvent(res, 'result', result, index),
+    progress: stats => writeServerSentEvent(res, 'progress', progressData(stats)),
+    heartbeat: () => writeServerSentEvent(res, 'heartbeat', { timestamp: Date.now() }),
+    paused: stats => writeServerSentEvent(res, 'paused', progressData(stats)),
+    resumed: stats => writeServerSentEvent(res, 'resumed', progressData(stats)),
+    summary: stats => writeServerSentEvent(res, 'summary', {
+      totalProcessed: stats.total - startIndex,
+      successCount: stats.successCount,
+      errorCount: stats.errorCount,
+      appsWithAppAdsTxt: stats.withAppAdsTxtCount,
+      resumedFrom: startIndex,
+      processingTime: `${stats.processingTime}ms`,
+      endTimestamp: Date.now()
+    }),
+    cancelled: stats => writeServerSentEvent(res, 'cancelled', {
+      ...progressData(stats),
+      reason: stats.cancelReason,
+      resumedFrom: startIndex,
+      processingTime: `${stats.processingTime}ms`,
+      endTimestamp: Date.now()
+    }),
+    error: err => writeServerSentEvent(res, 'stream-error', { error: err.message })
+  };
+  
+  /**
+   * Progress fields of progress, paused, resumed and cancelled events
+   * @param {object} stats - streamExtraction stats
+   * @returns {object} - Event data
+   */
+  function progressData(stats) {
+    return {
+      processed: stats.processedCount,
+      total: stats.total,
+      successCount: stats.successCount,
+      errorCount: stats.errorCount,
+      appsWithAppAdsTxt: stats.withAppAdsTxtCount
+    };
+  }
+}
+
+/**
+ * Create the NDJSON writer for streamExtraction
+ * @param {object} res - Express response
+ * @returns {object} - Writer
+ */
+function createNdjsonWriter(res) {
+  const progressLine = type => stats => writeNdjsonLine(res, type, {
+    processedCount: stats.processedCount,
+    total: stats.total,
+    successCount: stats.successCount,
+    errorCount: stats.errorCount,
+    withAppAdsTxtCount: stats.withAppAdsTxtCount
+  });
+  const summaryLine = type => stats => writeNdjsonLine(res, type, {
+    processedCount: stats.processedCount,
+    total: stats.total,
+    successCount: stats.successCount,
+    errorCount: stats.errorCount,
+    withAppAdsTxtCount: stats.withAppAdsTxtCount,
+    reason: stats.cancelReason, // Cancelled lines only
+    processingTime: stats.processingTime,
+    endTimestamp: Date.now()
+  });
+  
+  return {
+    startIndex: 0,
+    runId: null,
+    resumeCount: 0,
+    resumable: false,
+    start: () => startNdjson(res),
+    result: result => writeNdjsonLine(res, 'result', result),
+    progress: progressLine('progress'),
+    heartbeat: () => writeNdjsonLine(res, 'heartbeat', { timestamp: Date.now() }),
+    paused: progressLine('paused'),
+    resumed: progressLine('resumed'),
+    summary: summaryLine('summary'),
+    cancelled: summaryLine('cancelled'),
+    error: err => writeNdjsonLine(res, 'error', { error: err.message })
+  };
+}
+
+/**
+ * Stream extraction results through a format writer
+ * Counters cover the results sent on this response; processedCount is the position in bundleIds.
+ * The stream is registered as a run whose ID is sent in the X-Stream-Run-Id header; pausing or
+ * cancelling the run, or the client disconnecting, takes effect at the next batch boundary.
+ * An event stream client that loses the connection can resume the run (see streamRuns.suspend).
+ * @param {object} res - Express response
+ * @param {string[]} bundleIds - Validated bundle IDs
+ * @param {object} extraction - { searchTerms, structuredParams, options } passed to getDeveloperInfo
+ * @param {object} writer - Writer from createServerSentEventWriter or createNdjsonWriter
+ */
+async function streamExtraction(res, bundleIds, extraction, writer) {
+  const startTime = Date.now();
+  const { startIndex } = writer;
+  const run = streamRuns.start(bundleIds.length, startIndex, writer.runId, writer.resumeCount);
+  
+  res.setHeader('X-Stream-Run-Id', run.id);
+  writer.start();
+  
+  let closed = false;
+  const heartbeat = setInterval(writer.heartbeat, SSE_HEARTBEAT_MS);
+  
+  res.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+    
+    // A finished stream is no longer registered, so only a lost connection can be resumed
+    if (writer.resumable) {
+      streamRuns.suspend(run, bundleIds);
+    }
+    run.cancel();
+  });
+  
+  const stats = {
+    processedCount: startIndex,
+    total: bundleIds.length,
+    successCount: 0,
+    errorCount: 0,
+    withAppAdsTxtCount: 0
+  };
+  
+  try {
+    for (let index = startIndex; index < bundleIds.length; index += STREAM_CONCURRENCY) {
+      if (run.status === RUN_STATUS.PAUSED) {
+        writer.paused(stats);
+        logger.info({ runId: run.id, processed: stats.processedCount, total: bundleIds.length }, 'Extraction stream paused');
+        
+        await run.waitWhilePaused();
+        
+        if (!run.cancelled) {
+          writer.resumed(stats);
+          logger.info({ runId: run.id, processed: stats.processedCount, total: bundleIds.length }, 'Extraction stream resumed');
+        }
+      }
+      
+      if (run.cancelled) break;
+      
+      // Check memory usage periodically
+      if (index > startIndex && (index - startIndex) % (STREAM_CONCURRENCY * 10) === 0) {
+        memoryManager.checkMemoryUsage();
+      }
+      
+      const batch = bundleIds.slice(index, index + STREAM_CONCURRENCY);
+      const results = await Promise.all(batch.map(bundleId => extractBundleId(bundleId, extraction)));
+      
+      // An event stream client reconnects from its last received result, so stop once it has gone
+      if (closed) break;
+      
+      results.forEach((result, offset) => {
+        if (result.success) {
+          stats.successCount++;
+          if (result.appAdsTxt?.exists) {
+            stats.withAppAdsTxtCount++;
+          }
+        } else {
+          stats.errorCount++;
+        }
+        
+        writer.result(result, index + offset);
+      });
+      
+      stats.processedCount = index + batch.length;
+      run.processedCount = stats.processedCount;
+      writer.progress(stats);
+    }
+    
+    if (closed) {
+      logger.info({ runId: run.id, processed: stats.processedCount, total: bundleIds.length, resumedFrom: startIndex }, 'Extraction stream closed by client');
+      return;
+    }
+    
+    // Paused time is not processing time
+    stats.processingTime = Date.now() - startTime - run.pausedTime;
+    
+    if (run.cancelled) {
+      stats.cancelReason = run.cancelReason;
+      writer.cancelled(stats);
+      logger.info({ runId: run.id, processed: stats.processedCount, total: bundleIds.length, resumedFrom: startIndex, reason: run.cancelReason }, 'Extraction stream cancelled');
+      return;
+    }
+    
+    writer.summary(stats);
+    
+    logger.info({
+      runId: run.id,
+      bundleIdsCount: bundleIds.length,
+      resumedFrom: startIndex,
+      successCount: stats.successCount,
+      errorCount: stats.errorCount,
+      processingTime: `${stats.processingTime}ms`
+    }, 'Extraction stream completed');
+  } catch (err) {
+    logger.error({ runId: run.id, error: err.message, stack: err.stack, processed: stats.processedCount }, 'Error during extraction stream');
+    
+    if (!closed) {
+      writer.error(err);
+    }
+  } finally {
+    clearInterval(heartbeat);
+    streamRuns.finish(run);
+    res.end();
+  }
+}
+
+/**
+ * Extract one bundle ID, turning errors into failed results
+ * @param {string} bundleId - Bundle ID
+ * @param {object} extraction - { searchTerms, structuredParams, options } passed to getDeveloperInfo
+ * @returns {Promise<object>} - Extraction result
+ */
+async function extractBundleId(bundleId, { searchTerms, structuredParams, options }) {
+  try {
+    return await getDeveloperInfo(bundleId, searchTerms, structuredParams, options);
+  } catch (err) {
+    return {
+      bundleId,
+      success: false,
+      error: err.message,
+      timestamp: Date.now()
+    };
+  }
+}
+
 /**
  * @api {post} /api/stream/export-csv Stream CSV export for multiple bundle IDs
  * @apiName StreamExportCsv
@@ -290,20 +874,34 @@ router.post('/extract-multiple', streamingLimiter, async (req, res, next) => {
  * 
  * @apiParam {String[]} bundleIds Array of app bundle IDs
  * @apiParam {String|String[]} [searchTerms] Optional search terms for app-ads.txt
+ * @apiParam {String[]} [metadataColumns] App metadata fields appended as columns (title, developerName, developerId,
+ *   category, contentRating, price, currency, free, lastUpdated, installs, rating, ratingCount)
+ * @apiHeader {String} [Accept] application/x-ndjson for one JSON object per line (row, progress and summary lines)
+ *   instead of CSV
  * 
- * @apiSuccess {Stream} response CSV stream
+ * @apiSuccess {Stream} response CSV stream, or NDJSON lines
  */
 router.post('/export-csv', streamingLimiter, async (req, res, next) => {
   const startTime = Date.now();
   let processedCount = 0;
+  let ndjson = false;
   
   try {
-    const { bundleIds, searchTerms, structuredParams, existingResults } = req.body;
+    const { bundleIds, searchTerms, structuredParams, existingResults, metadataColumns } = req.body;
     
     if (!bundleIds || !Array.isArray(bundleIds) || bundleIds.length === 0) {
       throw new BadRequestError('Missing or invalid bundle IDs. Please provide an array of bundle IDs.');
     }
     
+    // Validate requested metadata columns
+    let validatedColumns;
+    try {
+      validatedColumns = validateMetadataColumns(metadataColumns);
+    } catch (validationErr) {
+      throw new BadRequestError(validationErr.message);
+    }
+    const enrichMetadata = validatedColumns.length > 0;
+    
     // Check request size
     const requestSize = JSON.stringify(req.body).length;
     
@@ -340,19 +938,47 @@ router.post('/export-csv', streamingLimiter, async (req, res, next) => {
       hasStructuredParams: !!validatedStructuredParams,
       isAdvancedSearch,
       hasExistingResults: existingResults && existingResults.length > 0,
+      metadataColumns: validatedColumns,
       clientIp: req.ip,
       endpoint: 'stream/export-csv'
     }, 'Streaming CSV export request');
     
-    // Set appropriate headers for CSV download
-    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
-    res.setHeader('Content-Disposition', `attachment; filename="developer_domains_${new Date().toISOString().slice(0, 10)}.csv"`);
+    // NDJSON variant: one row object per line with the CSV columns, plus progress and summary lines
+    ndjson = getStreamFormat(req, ['text/csv', 'application/x-ndjson']) === 'application/x-ndjson';
     
-    // Create a simple, consistent CSV header with the fields the user wants
-    const csvHeader = "Bundle ID,Store,Domain,Has App-Ads.txt,App-Ads.txt URL,Advanced Search Results,Match Count,Matching Lines,Success,Error\n";
+    if (ndjson) {
+      startNdjson(res);
+    } else {
+      // Set appropriate headers for CSV download
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="developer_domains_${new Date().toISOString().slice(0, 10)}.csv"`);
+      
+      // Create a simple, consistent CSV header with the fields the user wants
+      // Requested metadata columns follow the standard ones
+      const csvHeader = Object.values(EXPORT_COLUMN_LABELS)
+        .concat(validatedColumns.map(column => METADATA_COLUMN_LABELS[column]))
+        .join(',');
+      
+      // Write header
+      res.write(`${csvHeader}\n`);
+    }
     
-    // Write header
-    res.write(csvHeader);
+    // Write one export row in the requested format
+    const writeRow = result => {
+      const row = generateExportRow(result, validatedStructuredParams, validatedColumns);
+      
+      if (ndjson) {
+        writeNdjsonLine(res, 'row', row);
+      } else {
+        res.write(generateCsvLine(row));
+        
+        // Flush after each result to ensure immediate transmission
+        if (typeof res.flush === 'function') {
+          res.flush();
+        }
+      }
+      processedCount++;
+    };
     
     // Check if we have existing results from the client to use
     if (existingResults && Array.isArray(existingResults) && existingResults.length > 0) {
@@ -362,21 +988,28 @@ router.post('/export-csv', streamingLimiter, async (req, res, next) => {
       for (const result of existingResults) {
         // Ensure the result has the correct structure
         if (result && result.bundleId) {
-          const csvLine = generateCsvLine(result, validatedTerms);
-          res.write(csvLine);
-          processedCount++;
-          
-          // Flush after each result to ensure immediate transmission
-          if (typeof res.flush === 'function') {
-            res.flush();
+          // Client results only carry metadata when enrichment was on during extraction
+          if (enrichMetadata && result.success && !result.metadata && result.storeType) {
+            result.metadata = await getAppMetadata(result.bundleId, result.storeType, { country: result.country });
           }
+          
+          writeRow(result);
         }
       }
       
+      const processingTime = Date.now() - startTime;
+      if (ndjson) {
+        writeNdjsonLine(res, 'summary', {
+          processedCount,
+          total: existingResults.length,
+          processingTime,
+          fromExistingResults: true
+        });
+      }
+      
       // End response early since we've processed all existing results
       res.end();
       
-      const processingTime = Date.now() - startTime;
       logger.info({
         bundleIdsCount: existingResults.length,
         processedCount,
@@ -411,7 +1044,7 @@ router.post('/export-csv', streamingLimiter, async (req, res, next) => {
           if (isAdvancedSearch && validatedStructuredParams) {
             // Log what we're searching for to debug CSV export issues
             console.log(`CSV Export: Processing ${bundleId} with advanced search params`);
-            const result = await getDeveloperInfo(bundleId, [], validatedStructuredParams);
+            const result = await getDeveloperInfo(bundleId, [], validatedStructuredParams, { enrichMetadata });
             
             // Ensure search results are properly initialized if missing
             if (result.success && result.appAdsTxt) {
@@ -425,7 +1058,7 @@ router.post('/export-csv', streamingLimiter, async (req, res, next) => {
             
             return result;
           } else {
-            return await getDeveloperInfo(bundleId, validatedTerms);
+            return await getDeveloperInfo(bundleId, validatedTerms, null, { enrichMetadata });
           }
         } catch (err) {
           return { 
@@ -472,6 +1105,7 @@ router.post('/export-csv', streamingLimiter, async (req, res, next) => {
                 if (params.publisherId) searchDescription += `${searchDescription ? " | " : ""}publisherId: ${params.publisherId}`;
                 if (params.relationship) searchDescription += `${searchDescription ? " | " : ""}rel: ${params.relationship}`;
                 if (params.tagId) searchDescription += `${searchDescription ? " | " : ""}tagId: ${params.tagId}`;
+                if (params.variable || params.value) searchDescription += `${searchDescription ? " | " : ""}variable: ${params.variable || "*"}=${params.value || "*"}`;
                 
                 // Set matches to 1 for all results when using advanced search
                 const matchCount = result.matchesAdvancedSearch === true ? 1 : 0;
@@ -520,16 +1154,11 @@ router.post('/export-csv', streamingLimiter, async (req, res, next) => {
         return result;
       });
       
-      // Stream each result as CSV
-      for (const result of processedResults) {
-        const csvLine = generateCsvLine(result, validatedTerms);
-        res.write(csvLine);
-        processedCount++;
-        
-        // Flush after each result to ensure immediate transmission
-        if (typeof res.flush === 'function') {
-          res.flush();
-        }
+      // Stream each result as a row
+      processedResults.forEach(writeRow);
+      
+      if (ndjson) {
+        writeNdjsonLine(res, 'progress', { processedCount, total: validation.validIds.length });
       }
       
       // Log progress for large batches
@@ -544,16 +1173,25 @@ router.post('/export-csv', streamingLimiter, async (req, res, next) => {
       }
     }
     
+    const processingTime = Date.now() - startTime;
+    if (ndjson) {
+      writeNdjsonLine(res, 'summary', {
+        processedCount,
+        total: validation.validIds.length,
+        processingTime,
+        fromExistingResults: false
+      });
+    }
+    
     // End the response
     res.end();
     
-    const processingTime = Date.now() - startTime;
     logger.info({
       bundleIdsCount: validation.validIds.length,
       processedCount,
       processingTime: `${processingTime}ms`
     }, 'Streaming CSV export completed');
-    
+  
   } catch (err) {
     // If we haven't started streaming yet, pass to error handler
     if (!res.headersSent) {
@@ -563,8 +1201,12 @@ router.post('/export-csv', streamingLimiter, async (req, res, next) => {
     
     // If headers already sent, we need to end the response
     try {
-      // For CSV we can add an error comment at the end
-      res.write(`\n# Error occurred after processing ${processedCount} items: ${err.message}\n`);
+      if (ndjson) {
+        writeNdjsonLine(res, 'error', { error: err.message, processedCount });
+      } else {
+        // For CSV we can add an error comment at the end
+        res.write(`\n# Error occurred after processing ${processedCount} items: ${err.message}\n`);
+      }
       res.end();
       
       logger.error({
@@ -584,33 +1226,22 @@ router.post('/export-csv', streamingLimiter, async (req, res, next) => {
 });
 
 /**
- * Helper function to generate CSV line for a result
+ * Helper function to generate the export row for a result
+ * The row holds plain values keyed by EXPORT_COLUMNS and the requested metadata columns
  * @param {Object} result - Extraction result
- * @param {Array} searchTerms - Search terms if provided
- * @returns {string} - CSV line
+ * @param {Object|Object[]|null} structuredParams - Advanced search parameters, if any
+ * @param {string[]} [metadataColumns] - App metadata fields to append as columns
+ * @returns {Object} - Export row
  */
-function generateCsvLine(result, searchTerms) {
-  // Extract necessary data
+function generateExportRow(result, structuredParams, metadataColumns = []) {
   // Check both new lightweight format (result.hasAppAds) and legacy format (result.appAdsTxt?.exists)
-  const hasAppAds = result.success && (result.hasAppAds || result.appAdsTxt?.exists);
-  
-  // Extract necessary data for CSV generation
-  
-  // Basic columns
-  const basicCols = [
-    `"${(result.bundleId || '').replace(/"/g, '""')}"`,
-    `"${(result.storeType ? getStoreDisplayName(result.storeType) : '').replace(/"/g, '""')}"`,
-    `"${(result.domain || '').replace(/"/g, '""')}"`,
-    hasAppAds ? "Yes" : "No",
-    `"${(hasAppAds && result.appAdsTxt?.url ? result.appAdsTxt.url : '').replace(/"/g, '""')}"`
-  ];
+  const hasAppAds = Boolean(result.success && (result.hasAppAds || result.appAdsTxt?.exists));
   
-  // IMPORTANT: This variable 'isAdvancedSearch' is undefined so we need to define it properly
   // Determine if this is an advanced search based on the presence of structured parameters
-  const isAdvancedSearch = validatedStructuredParams && (
-    Array.isArray(validatedStructuredParams) ? validatedStructuredParams.length > 0 : 
-    Object.keys(validatedStructuredParams).length > 0
-  );
+  const isAdvancedSearch = Boolean(structuredParams && (
+    Array.isArray(structuredParams) ? structuredParams.length > 0 : 
+    Object.keys(structuredParams).length > 0
+  ));
   
   // Check for any search results - include new matchInfo format from StreamProcessor
   // For advanced search, we want to show search parameters even if there's no match
@@ -623,51 +1254,25 @@ function generateCsvLine(result, searchTerms) {
   
   // Advanced search results column  
   let advancedSearchInfo = '';
-  let matchCount = '0';
+  let matchCount = 0;
   let matchingLinesSummary = '';
   
   // If this is an advanced search, always show the search parameters
-  if (isAdvancedSearch && validatedStructuredParams) {
-    const params = Array.isArray(validatedStructuredParams) ? 
-      validatedStructuredParams[0] : validatedStructuredParams;
-    
-    // Always show what we're searching for
-    let searchDescription = "";
-    if (params.domain) searchDescription += `${params.domain}`;
-    if (params.publisherId) searchDescription += `${searchDescription ? " | " : ""}publisherId: ${params.publisherId}`;
-    if (params.relationship) searchDescription += `${searchDescription ? " | " : ""}rel: ${params.relationship}`;
-    if (params.tagId) searchDescription += `${searchDescription ? " | " : ""}tagId: ${params.tagId}`;
-    
-    // Add to advanced search info
-    advancedSearchInfo = searchDescription || "Advanced search";
+  if (isAdvancedSearch) {
+    advancedSearchInfo = describeSearchParams(structuredParams) || "Advanced search";
   }
   
   if (hasSearchResults) {
-    // 1. Check for matchInfo first (new lightweight format from StreamProcessor)
-    if (result.matchInfo?.termResults?.length > 0) {
-      const termResults = result.matchInfo.termResults;
-      
-      // Format term results for display
-      advancedSearchInfo = termResults.map(tr => tr.term || '').join(' | ');
-      matchCount = termResults.length.toString();
-      
-      // Format matching lines
-      matchingLinesSummary = termResults
-        .map(tr => {
-          if (tr.matches && tr.matches.length > 0) {
-            return `${tr.term}: ${tr.matches.join(', ')}`;
-          }
-          return tr.term;
-        })
-        .join(' | ');
-    }
-    // 2. Check for original termResults format
-    else if (result.appAdsTxt?.searchResults?.termResults?.length > 0) {
-      const termResults = result.appAdsTxt.searchResults.termResults;
-      
+    // 1. Check for matchInfo first (new lightweight format from StreamProcessor),
+    // 2. then for the original termResults format
+    const termResults = result.matchInfo?.termResults?.length > 0
+      ? result.matchInfo.termResults
+      : result.appAdsTxt?.searchResults?.termResults;
+    
+    if (termResults?.length > 0) {
       // Format term results for display
       advancedSearchInfo = termResults.map(tr => tr.term || '').join(' | ');
-      matchCount = termResults.length.toString();
+      matchCount = termResults.length;
       
       // Format matching lines
       matchingLinesSummary = termResults
@@ -684,26 +1289,18 @@ function generateCsvLine(result, searchTerms) {
       const params = result.appAdsTxt.searchResults.advancedParams;
       
       // Format params
-      if (Array.isArray(params)) {
-        advancedSearchInfo = params.map(param => {
-          const parts = [];
-          if (param.domain) parts.push(`domain: ${param.domain}`);
-          if (param.publisherId) parts.push(`publisherId: ${param.publisherId}`);
-          if (param.relationship) parts.push(`relationship: ${param.relationship}`);
-          if (param.tagId) parts.push(`tagId: ${param.tagId}`);
-          return parts.join(', ');
-        }).join(' | ');
-      } else {
+      advancedSearchInfo = (Array.isArray(params) ? params : [params]).map(param => {
         const parts = [];
-        if (params.domain) parts.push(`domain: ${params.domain}`);
-        if (params.publisherId) parts.push(`publisherId: ${params.publisherId}`);
-        if (params.relationship) parts.push(`relationship: ${params.relationship}`);
-        if (params.tagId) parts.push(`tagId: ${params.tagId}`);
-        advancedSearchInfo = parts.join(', ');
-      }
+        if (param.domain) parts.push(`domain: ${param.domain}`);
+        if (param.publisherId) parts.push(`publisherId: ${param.publisherId}`);
+        if (param.relationship) parts.push(`relationship: ${param.relationship}`);
+        if (param.tagId) parts.push(`tagId: ${param.tagId}`);
+        if (param.variable || param.value) parts.push(`variable: ${param.variable || "*"}=${param.value || "*"}`);
+        return parts.join(', ');
+      }).join(' | ');
       
       // Set match count
-      matchCount = (result.appAdsTxt.searchResults.count || '0').toString();
+      matchCount = Number(result.appAdsTxt.searchResults.count) || 0;
       
       // Format matching lines
       if (result.appAdsTxt.searchResults.matchingLines) {
@@ -713,38 +1310,75 @@ function generateCsvLine(result, searchTerms) {
     // 4. Simplest case - just indicate a match occurred
     else if (result.matchesAdvancedSearch === true) {
       advancedSearchInfo = "Match found";
-      matchCount = "1";
+      matchCount = 1;
     }
   }
   
-  // Search columns
-  const searchCols = [
-    `"${advancedSearchInfo.replace(/"/g, '""')}"`,
-    matchCount,
-    `"${matchingLinesSummary.replace(/"/g, '""')}"`
-  ];
-  
-  // Status columns
-  const statusCols = [
-    result.success ? "Yes" : "No",
-    `"${(result.error || '').replace(/"/g, '""')}"`
-  ];
-  
   // If this is an advanced search but we have no info in the search columns,
   // add placeholder data to ensure columns appear
-  if (isAdvancedSearch && advancedSearchInfo === '' && structuredParams) {
-    // Force the search columns to contain at least parameter info
-    const params = Array.isArray(structuredParams) ? structuredParams[0] : structuredParams;
-    let searchDescription = "";
-    if (params.domain) searchDescription += `${params.domain}`;
-    if (params.publisherId) searchDescription += `${searchDescription ? " | " : ""}publisherId: ${params.publisherId}`;
-    if (params.relationship) searchDescription += `${searchDescription ? " | " : ""}rel: ${params.relationship}`;
-    if (params.tagId) searchDescription += `${searchDescription ? " | " : ""}tagId: ${params.tagId}`;
-    
-    searchCols[0] = `"${searchDescription || "Advanced search parameters"}"`;
+  if (isAdvancedSearch && advancedSearchInfo === '') {
+    advancedSearchInfo = describeSearchParams(structuredParams) || "Advanced search parameters";
   }
   
-  return basicCols.concat(searchCols, statusCols).join(',') + '\n';
+  const row = {
+    bundleId: result.bundleId || '',
+    store: result.storeType ? getStoreDisplayName(result.storeType) : '',
+    domain: result.domain || '',
+    hasAppAdsTxt: hasAppAds,
+    appAdsTxtUrl: hasAppAds && result.appAdsTxt?.url ? result.appAdsTxt.url : '',
+    advancedSearchResults: advancedSearchInfo,
+    matchCount,
+    matchingLines: matchingLinesSummary,
+    success: Boolean(result.success),
+    error: result.error || ''
+  };
+  
+  // Requested metadata columns follow the standard ones
+  metadataColumns.forEach(column => {
+    const value = result.metadata?.[column];
+    row[column] = value === undefined ? null : value;
+  });
+  
+  return row;
+}
+
+/**
+ * Describe the first advanced search parameter set for the Advanced Search Results column
+ * @param {Object|Object[]} structuredParams - Advanced search parameters
+ * @returns {string} - Description, or an empty string when the set has no fields
+ */
+function describeSearchParams(structuredParams) {
+  const params = (Array.isArray(structuredParams) ? structuredParams[0] : structuredParams) || {};
+  
+  let searchDescription = "";
+  if (params.domain) searchDescription += `${params.domain}`;
+  if (params.publisherId) searchDescription += `${searchDescription ? " | " : ""}publisherId: ${params.publisherId}`;
+  if (params.relationship) searchDescription += `${searchDescription ? " | " : ""}rel: ${params.relationship}`;
+  if (params.tagId) searchDescription += `${searchDescription ? " | " : ""}tagId: ${params.tagId}`;
+  if (params.variable || params.value) searchDescription += `${searchDescription ? " | " : ""}variable: ${params.variable || "*"}=${params.value || "*"}`;
+  
+  return searchDescription;
+}
+
+/**
+ * Helper function to generate the CSV line for an export row
+ * @param {Object} row - Row from generateExportRow
+ * @returns {string} - CSV line
+ */
+function generateCsvLine(row) {
+  return Object.values(row).map(formatCsvValue).join(',') + '\n';
+}
+
+/**
+ * Helper to format a CSV field
+ * @param {*} value - Field value
+ * @returns {string} - CSV field
+ */
+function formatCsvValue(value) {
+  if (value === null || value === undefined) return '""';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (typeof value === 'number') return String(value);
+  return `"${String(value).replace(/"/g, '""')}"`;
 }
 
 /**
@@ -760,11 +1394,84 @@ function truncateMatchingLines(matchingLines, limit = 10) {
     .slice(0, limit)
     .map(line => `Line ${line.lineNumber}: ${line.content.replace(/"/g, '""')}`)
     .join(' | ');
-    
+  
   return matchingLines.length > limit ? 
     `${lines} (+ ${matchingLines.length - limit} more)` : lines;
 }
 
+/**
+ * Stream an app-ads.txt file as NDJSON
+ * Each record and variable line becomes one line, with progress lines in between and the
+ * analysis, search results and crawl report in a final summary line
+ * @param {object} res - Express response
+ * @param {string} domain - Domain to check
+ * @param {string[]|null} searchTerms - Validated search terms
+ */
+async function streamAppAdsNdjson(res, domain, searchTerms) {
+  const startTime = Date.now();
+  const result = await checkAppAdsTxt(domain, searchTerms);
+  
+  startNdjson(res);
+  
+  // Very large files are only kept in part by the checker
+  const content = result.exists ? result.content || '' : '';
+  const truncated = result.exists && (!content || /^\(Streamed content|\(truncated, file too large\)$/.test(content));
+  const lines = content ? content.split(/\r\n|\n|\r/) : [];
+  let recordCount = 0;
+  let variableCount = 0;
+  
+  for (let i = 0; i < lines.length; i++) {
+    // Stop writing once the client has gone
+    if (res.destroyed) return;
+    
+    const variable = parseAppAdsVariable(lines[i]);
+    const record = variable ? null : parseAppAdsLine(lines[i]);
+    
+    if (variable) {
+      writeNdjsonLine(res, 'variable', {
+        lineNumber: i + 1,
+        variable: variable.variable,
+        value: variable.value
+      }, false);
+      variableCount++;
+    } else if (record) {
+      writeNdjsonLine(res, 'record', {
+        lineNumber: i + 1,
+        domain: record.domain,
+        publisherId: record.publisherId,
+        relationship: record.relationship,
+        tagId: record.tagId
+      }, false);
+      recordCount++;
+    }
+    
+    if ((i + 1) % APP_ADS_PROGRESS_LINES === 0) {
+      writeNdjsonLine(res, 'progress', { processedLines: i + 1, totalLines: lines.length });
+    }
+  }
+  
+  writeNdjsonLine(res, 'summary', {
+    domain,
+    exists: result.exists,
+    url: result.url || null,
+    contentLength: result.contentLength || 0,
+    truncated,
+    recordCount,
+    variableCount,
+    analyzed: result.analyzed || null,
+    searchResults: result.searchResults || null,
+    lint: result.lint ? {
+      valid: result.lint.valid,
+      errorCount: result.lint.errorCount,
+      warningCount: result.lint.warningCount
+    } : null,
+    crawl: result.crawl || null,
+    error: result.error || null,
+    processingTime: Date.now() - startTime
+  });
+  res.end();
+}
+
 /**
  * @api {get} /api/stream/app-ads Stream app-ads.txt content for a domain
  * @apiName StreamAppAds
@@ -772,8 +1479,10 @@ function truncateMatchingLines(matchingLines, limit = 10) {
  * 
  * @apiParam {String} domain Domain to check
  * @apiParam {String|String[]} [searchTerms] Optional search terms
+ * @apiHeader {String} [Accept] application/x-ndjson for one JSON object per line (record, variable, progress
+ *   and summary lines)
  * 
- * @apiSuccess {Stream} response Streaming app-ads.txt content
+ * @apiSuccess {Stream} response Streaming app-ads.txt content, or NDJSON lines
  */
 router.get('/app-ads', async (req, res, next) => {
   try {
@@ -791,6 +1500,12 @@ router.get('/app-ads', async (req, res, next) => {
       hasSearchTerms: !!validatedTerms 
     }, 'Streaming app-ads.txt request');
     
+    // NDJSON variant
+    if (getStreamFormat(req, ['application/json', 'application/x-ndjson']) === 'application/x-ndjson') {
+      await streamAppAdsNdjson(res, domain, validatedTerms);
+      return;
+    }
+    
     // Set headers for streaming
     res.setHeader('Content-Type', 'application/json; charset=utf-8');
     res.setHeader('Cache-Control', 'no-cache');
@@ -805,7 +1520,7 @@ router.get('/app-ads', async (req, res, next) => {
       // End the response
       res.write('}}');
       res.end();
-      
+    
     } catch (streamErr) {
       // Handle streaming error
       if (!res.headersSent) {
@@ -823,7 +1538,7 @@ router.get('/app-ads', async (req, res, next) => {
         stack: streamErr.stack
       }, 'Error streaming app-ads.txt');
     }
-    
+  
   } catch (err) {
     next(err);
   }
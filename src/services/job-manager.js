@@ -0,0 +1,585 @@
+// src/services/job-manager.js
+
+'use strict';
+
+const crypto = require('crypto');
+const cache = require('./cache');
+const memoryManager = require('./memory-manager');
+const { getDeveloperInfo } = require('../core/store-extractor');
+const { keys } = require('../config/cache');
+const { getLogger } = require('../utils/logger');
+const config = require('../config');
+
+const logger = getLogger('job-manager');
+
+// Job statuses
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled',
+  FAILED: 'failed'
+};
+
+// Statuses a job can still make progress from, and which are resumed after a restart
+const UNFINISHED_STATUSES = [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING];
+
+/**
+ * Job Manager Service
+ * Runs large extractions in the background. Job state, input and results are kept in the
+ * cache (Redis or file), so jobs survive server restarts and are resumed where they stopped.
+ * Results are stored in chunks of config.jobs.chunkSize, in bundle ID order.
+ */
+class JobManager {
+  constructor() {
+    // Job IDs waiting for a free slot
+    this.queue = [];
+    
+    // State of the jobs being processed, keyed by job ID
+    this.active = new Map();
+    
+    // Unfinished job IDs, mirrored to the cache so they can be resumed
+    this.unfinished = new Set();
+    
+    this.stopping = false;
+  }
+  
+  /**
+   * Create a job and queue it
+   * @param {string[]} bundleIds - Validated bundle IDs
+   * @param {object} options - Extraction options
+   * @param {string[]} [options.searchTerms] - Validated search terms
+   * @param {Object|Object[]} [options.structuredParams] - Advanced search parameters
+   * @param {boolean} [options.followSubdomains] - Also crawl files declared by SUBDOMAIN= records
+   * @param {boolean} [options.verifySellers] - Cross-verify app-ads.txt records against sellers.json
+   * @param {string} [options.country] - Storefront country code
+   * @param {Object} [options.bundleCountries] - Per-bundle storefront countries
+   * @param {boolean} [options.enrichMetadata] - Add app listing metadata to each result
+   * @returns {Promise<object>} - Job state
+   */
+  async createJob(bundleIds, options = {}) {
+    const now = Date.now();
+    const state = {
+      id: crypto.randomUUID(),
+      status: JOB_STATUS.QUEUED,
+      total: bundleIds.length,
+      processed: 0,
+      successCount: 0,
+      errorCount: 0,
+      withAppAdsTxt: 0,
+      createdAt: now,
+      startedAt: null,
+      updatedAt: now,
+      completedAt: null,
+      error: null,
+      retry: null
+    };
+    
+    await cache.set(keys.jobInput(state.id), { bundleIds, options }, 'jobs');
+    await this._saveState(state);
+    await this._setUnfinished(state.id, true);
+    
+    logger.info({ jobId: state.id, total: state.total }, 'Job created');
+    
+    this._enqueue(state.id);
+    return state;
+  }
+  
+  /**
+   * Get a job's state
+   * @param {string} jobId - Job ID
+   * @returns {Promise<object|null>} - Job state, or null when the job does not exist
+   */
+  async getJob(jobId) {
+    return this.active.get(jobId) || await cache.get(keys.job(jobId));
+  }
+  
+  /**
+   * Get a page of a job's results
+   * Results are available as soon as they are processed, also while the job runs
+   * @param {string} jobId - Job ID
+   * @param {number} page - Page number (1-based)
+   * @param {number} pageSize - Results per page
+   * @returns {Promise<object|null>} - { job, results, pagination }, or null when the job does not exist
+   */
+  async getResults(jobId, page, pageSize) {
+    const job = await this.getJob(jobId);
+    if (!job) return null;
+    
+    const totalItems = job.processed;
+    const totalPages = Math.ceil(totalItems / pageSize);
+    const currentPage = Math.max(1, Math.min(page, totalPages || 1));
+    const startIndex = (currentPage - 1) * pageSize;
+    const endIndex = Math.min(startIndex + pageSize, totalItems);
+    
+    const results = [];
+    const { chunkSize } = config.jobs;
+    
+    for (let chunkIndex = Math.floor(startIndex / chunkSize); chunkIndex * chunkSize < endIndex; chunkIndex++) {
+      const chunk = await cache.get(keys.jobResults(jobId, chunkIndex)) || [];
+      const chunkStart = chunkIndex * chunkSize;
+      results.push(...chunk.slice(Math.max(0, startIndex - chunkStart), endIndex - chunkStart));
+    }
+    
+    return {
+      job,
+      results,
+      pagination: {
+        currentPage,
+        pageSize,
+        totalPages,
+        totalItems,
+        hasNextPage: currentPage < totalPages,
+        hasPrevPage: currentPage > 1
+      }
+    };
+  }
+  
+  /**
+   * Iterate over all processed results of a job, one stored chunk at a time
+   * @param {object} job - Job state from getJob
+   * @returns {AsyncGenerator<object[]>} - Result chunks in bundle ID order
+   */
+  async *iterateResults(job) {
+    const { chunkSize } = config.jobs;
+    const chunkCount = Math.ceil(job.processed / chunkSize);
+    
+    for (let chunkIndex = 0; chunkIndex < chunkCount; chunkIndex++) {
+      const chunk = await cache.get(keys.jobResults(job.id, chunkIndex)) || [];
+      yield chunk.slice(0, job.processed - chunkIndex * chunkSize);
+    }
+  }
+  
+  /**
+   * Cancel a queued or running job
+   * Results processed so far stay available
+   * @param {string} jobId - Job ID
+   * @returns {Promise<object|null>} - Job state, or null when the job does not exist
+   */
+  async cancelJob(jobId) {
+    const job = await this.getJob(jobId);
+    if (!job || !UNFINISHED_STATUSES.includes(job.status)) {
+      return job;
+    }
+    
+    // A running job stops after its current batch; it shares this state object
+    job.status = JOB_STATUS.CANCELLED;
+    job.completedAt = Date.now();
+    job.updatedAt = job.completedAt;
+    
+    this.queue = this.queue.filter(id => id !== jobId);
+    await this._saveState(job);
+    
+    // A job that was still loading has its own copy of the state by now; cancel that copy too
+    const activeState = this.active.get(jobId);
+    if (activeState && activeState !== job) {
+      Object.assign(activeState, { status: job.status, completedAt: job.completedAt, updatedAt: job.updatedAt });
+      await this._saveState(activeState);
+    }
+    
+    await this._setUnfinished(jobId, false);
+    
+    logger.info({ jobId, processed: job.processed, total: job.total }, 'Job cancelled');
+    return job;
+  }
+  
+  /**
+   * Retry the failed rows of a completed job
+   * Only the failed bundle IDs are extracted again, bypassing cached results and errors. Each new
+   * outcome replaces its row, with the row's attempts count increased and the round in
+   * retryRound, and the job's counters are updated to match.
+   * @param {string} jobId - Job ID
+   * @returns {Promise<object|null>} - Job state, or null when the job does not exist
+   * @throws {Error} - When the job has not completed
+   */
+  async retryFailed(jobId) {
+    const job = await this.getJob(jobId);
+    if (!job) return null;
+    
+    if (job.status !== JOB_STATUS.COMPLETED) {
+      throw new Error(`Only completed jobs can retry failed rows; this job is ${job.status}`);
+    }
+    
+    const failedIndexes = [];
+    let index = 0;
+    for await (const chunk of this.iterateResults(job)) {
+      chunk.forEach(result => {
+        if (!result.success) {
+          failedIndexes.push(index);
+        }
+        index++;
+      });
+    }
+    
+    if (failedIndexes.length === 0) {
+      return job;
+    }
+    
+    await cache.set(keys.jobRetry(jobId), failedIndexes, 'jobs');
+    
+    job.status = JOB_STATUS.QUEUED;
+    job.retry = {
+      round: (job.retry?.round || 0) + 1,
+      total: failedIndexes.length,
+      processed: 0,
+      recovered: 0
+    };
+    job.completedAt = null;
+    job.updatedAt = Date.now();
+    
+    await this._saveState(job);
+    await this._setUnfinished(jobId, true);
+    
+    logger.info({ jobId, round: job.retry.round, failedCount: failedIndexes.length }, 'Retrying failed job rows');
+    
+    this._enqueue(jobId);
+    return job;
+  }
+  
+  /**
+   * Queue the unfinished jobs of a previous run
+   * @returns {Promise<number>} - Number of resumed jobs
+   */
+  async resumeJobs() {
+    const jobIds = await cache.get(keys.jobIndex()) || [];
+    let resumed = 0;
+    
+    for (const jobId of jobIds) {
+      const job = await cache.get(keys.job(jobId));
+      
+      if (job && UNFINISHED_STATUSES.includes(job.status)) {
+        this.unfinished.add(jobId);
+        this._enqueue(jobId);
+        resumed++;
+      }
+    }
+    
+    // Drop jobs that finished or expired
+    await cache.set(keys.jobIndex(), [...this.unfinished], 'jobs');
+    
+    if (resumed > 0) {
+      logger.info({ resumed }, 'Resuming unfinished jobs');
+    }
+    
+    return resumed;
+  }
+  
+  /**
+   * Stop processing for shutdown
+   * Running jobs stop after their current batch and are resumed on the next start
+   */
+  stop() {
+    this.stopping = true;
+    this.queue = [];
+  }
+  
+  /**
+   * Add a job to the queue and start it when a slot is free
+   * @param {string} jobId - Job ID
+   * @private
+   */
+  _enqueue(jobId) {
+    if (!this.queue.includes(jobId) && !this.active.has(jobId)) {
+      this.queue.push(jobId);
+    }
+    
+    this._runNext();
+  }
+  
+  /**
+   * Start queued jobs while slots are free
+   * @private
+   */
+  _runNext() {
+    while (!this.stopping && this.queue.length > 0 && this.active.size < config.jobs.maxActiveJobs) {
+      const jobId = this.queue.shift();
+      
+      // Reserve the slot until the job state is loaded
+      this.active.set(jobId, null);
+      
+      this._processJob(jobId)
+        .catch(err => logger.error({ jobId, error: err.message, stack: err.stack }, 'Job processing error'))
+        .finally(() => {
+          this.active.delete(jobId);
+          this._runNext();
+        });
+    }
+  }
+  
+  /**
+   * Process a job from where it stopped
+   * @param {string} jobId - Job ID
+   * @private
+   */
+  async _processJob(jobId) {
+    const [state, input] = await Promise.all([
+      cache.get(keys.job(jobId)),
+      cache.get(keys.jobInput(jobId))
+    ]);
+    
+    if (!state || !UNFINISHED_STATUSES.includes(state.status)) {
+      await this._setUnfinished(jobId, false);
+      return;
+    }
+    
+    this.active.set(jobId, state);
+    
+    if (!input) {
+      await this._finishJob(state, JOB_STATUS.FAILED, 'Job input expired');
+      return;
+    }
+    
+    const { chunkSize, concurrency } = config.jobs;
+    let chunkIndex = Math.floor(state.processed / chunkSize);
+    
+    // The results chunk is saved before the state, so it may hold results the state does not count yet
+    let chunk = (await cache.get(keys.jobResults(jobId, chunkIndex)) || [])
+      .slice(0, state.processed - chunkIndex * chunkSize);
+    state.processed = chunkIndex * chunkSize + chunk.length;
+    
+    // A job cancelled while its state was loading must not be marked running again; cancelJob
+    // updates this state object once it is active, and saves its own copy before that
+    const savedState = await cache.get(keys.job(jobId));
+    if (state.status === JOB_STATUS.CANCELLED || savedState?.status === JOB_STATUS.CANCELLED) {
+      logger.info({ jobId }, 'Job cancelled before it started');
+      return;
+    }
+    
+    state.status = JOB_STATUS.RUNNING;
+    state.startedAt = state.startedAt || Date.now();
+    await this._saveState(state);
+    
+    logger.info({ jobId, processed: state.processed, total: state.total }, 'Job started');
+    
+    let batchCount = 0;
+    
+    while (state.processed < state.total) {
+      if (this.stopping || state.status !== JOB_STATUS.RUNNING) {
+        return;
+      }
+      
+      // Batches never cross a chunk boundary
+      const batchSize = Math.min(concurrency, chunkSize - chunk.length);
+      const batch = input.bundleIds.slice(state.processed, state.processed + batchSize);
+      const results = await Promise.all(batch.map(async bundleId => ({
+        ...await this._extract(bundleId, input.options),
+        attempts: 1
+      })));
+      
+      results.forEach(result => this._countResult(state, result, 1));
+      
+      chunk.push(...results);
+      await cache.set(keys.jobResults(jobId, chunkIndex), chunk, 'jobs');
+      
+      state.processed += results.length;
+      state.updatedAt = Date.now();
+      await this._saveState(state);
+      
+      if (chunk.length === chunkSize) {
+        chunkIndex++;
+        chunk = [];
+      }
+      
+      // Check memory usage periodically
+      if (++batchCount % 10 === 0) {
+        memoryManager.checkMemoryUsage();
+      }
+    }
+    
+    if (state.retry && state.retry.processed < state.retry.total) {
+      if (!await this._retryRows(state, input)) {
+        return;
+      }
+    }
+    
+    if (state.status === JOB_STATUS.RUNNING) {
+      await this._finishJob(state, JOB_STATUS.COMPLETED);
+    }
+  }
+  
+  /**
+   * Extract the rows queued by retryFailed again, from where the retry stopped
+   * @param {object} state - Job state
+   * @param {object} input - Job input
+   * @returns {Promise<boolean>} - Whether all rows were retried
+   * @private
+   */
+  async _retryRows(state, input) {
+    const failedIndexes = await cache.get(keys.jobRetry(state.id));
+    
+    if (!failedIndexes) {
+      await this._finishJob(state, JOB_STATUS.FAILED, 'Job retry input expired');
+      return false;
+    }
+    
+    const { chunkSize, concurrency } = config.jobs;
+    const retryOptions = { ...input.options, skipCache: true };
+    
+    while (state.retry.processed < state.retry.total) {
+      if (this.stopping || state.status !== JOB_STATUS.RUNNING) {
+        return false;
+      }
+      
+      const batch = failedIndexes.slice(state.retry.processed, state.retry.processed + concurrency);
+      
+      // Load the results chunk of each row; a batch can span two chunks
+      const chunks = new Map();
+      for (const index of batch) {
+        const chunkIndex = Math.floor(index / chunkSize);
+        if (!chunks.has(chunkIndex)) {
+          chunks.set(chunkIndex, await cache.get(keys.jobResults(state.id, chunkIndex)) || []);
+        }
+      }
+      const rowAt = index => chunks.get(Math.floor(index / chunkSize))[index % chunkSize];
+      
+      // The chunks are saved before the state, so after a restart a row may already hold its
+      // retry of this round; it is counted below but not extracted again
+      const results = await Promise.all(batch.map(index => (
+        rowAt(index)?.retryRound === state.retry.round ? null : this._extract(input.bundleIds[index], retryOptions)
+      )));
+      
+      for (const [offset, index] of batch.entries()) {
+        const previous = rowAt(index);
+        const saved = results[offset] === null;
+        const result = saved ? previous : {
+          ...results[offset],
+          attempts: (previous?.attempts || 1) + 1,
+          retryRound: state.retry.round
+        };
+        
+        // Every queued row failed when the retry started, and the state still counts it that way
+        this._countResult(state, { success: false }, -1);
+        this._countResult(state, result, 1);
+        if (result.success) {
+          state.retry.recovered++;
+        }
+        
+        chunks.get(Math.floor(index / chunkSize))[index % chunkSize] = result;
+      }
+      
+      await Promise.all([...chunks].map(([chunkIndex, chunk]) => cache.set(keys.jobResults(state.id, chunkIndex), chunk, 'jobs')));
+      
+      state.retry.processed += batch.length;
+      state.updatedAt = Date.now();
+      await this._saveState(state);
+    }
+    
+    logger.info({ jobId: state.id, round: state.retry.round, retried: state.retry.total, recovered: state.retry.recovered }, 'Job rows retried');
+    return true;
+  }
+  
+  /**
+   * Add a result to or remove it from a job's counters
+   * @param {object} state - Job state
+   * @param {object|undefined} result - Extraction result
+   * @param {number} sign - 1 to add, -1 to remove
+   * @private
+   */
+  _countResult(state, result, sign) {
+    if (!result) return;
+    
+    if (result.success) {
+      state.successCount += sign;
+      if (result.appAdsTxt?.exists) {
+        state.withAppAdsTxt += sign;
+      }
+    } else {
+      state.errorCount += sign;
+    }
+  }
+  
+  /**
+   * Extract one bundle ID with the job's options
+   * @param {string} bundleId - Bundle ID
+   * @param {object} options - Job options
+   * @returns {Promise<object>} - Extraction result
+   * @private
+   */
+  async _extract(bundleId, options) {
+    const { structuredParams } = options;
+    const isAdvancedSearch = structuredParams && (
+      Array.isArray(structuredParams) ? structuredParams.length > 0 : Object.keys(structuredParams).length > 0
+    );
+    
+    try {
+      return await getDeveloperInfo(
+        bundleId,
+        isAdvancedSearch ? [] : options.searchTerms,
+        isAdvancedSearch ? structuredParams : null,
+        {
+          followSubdomains: options.followSubdomains === true,
+          verifySellers: options.verifySellers === true,
+          country: options.country,
+          bundleCountries: options.bundleCountries,
+          enrichMetadata: options.enrichMetadata === true,
+          skipCache: options.skipCache === true
+        }
+      );
+    } catch (err) {
+      return {
+        bundleId,
+        success: false,
+        error: err.message,
+        timestamp: Date.now()
+      };
+    }
+  }
+  
+  /**
+   * Mark a job as finished
+   * @param {object} state - Job state
+   * @param {string} status - Final status
+   * @param {string} [error] - Error message for failed jobs
+   * @private
+   */
+  async _finishJob(state, status, error = null) {
+    state.status = status;
+    state.error = error;
+    state.completedAt = Date.now();
+    state.updatedAt = state.completedAt;
+    
+    await this._saveState(state);
+    await this._setUnfinished(state.id, false);
+    
+    logger.info({
+      jobId: state.id,
+      status,
+      processed: state.processed,
+      successCount: state.successCount,
+      errorCount: state.errorCount,
+      processingTime: state.startedAt ? state.completedAt - state.startedAt : 0,
+      error
+    }, 'Job finished');
+  }
+  
+  /**
+   * Persist a job's state
+   * @param {object} state - Job state
+   * @private
+   */
+  async _saveState(state) {
+    await cache.set(keys.job(state.id), state, 'jobs');
+  }
+  
+  /**
+   * Add or remove a job from the persisted list of unfinished jobs
+   * @param {string} jobId - Job ID
+   * @param {boolean} unfinished - Whether the job is unfinished
+   * @private
+   */
+  async _setUnfinished(jobId, unfinished) {
+    if (unfinished) {
+      this.unfinished.add(jobId);
+    } else {
+      this.unfinished.delete(jobId);
+    }
+    
+    await cache.set(keys.jobIndex(), [...this.unfinished], 'jobs');
+  }
+}
+
+// Create singleton instance
+const jobManager = new JobManager();
+
+module.exports = jobManager;
+module.exports.JOB_STATUS = JOB_STATUS;
@@ -241,6 +241,18 @@ class AdaptiveRateLimiter {
     return this.stores[storeType];
   }
   
+  /**
+   * Drop the state of stores so their limits are re-read from the store configuration
+   * @param {string[]} storeTypes - Store types to reset
+   */
+  resetStores(storeTypes) {
+    storeTypes.forEach(storeType => {
+      delete this.stores[storeType];
+    });
+    
+    logger.info({ storeTypes }, 'Rate limits reset from store configuration');
+  }
+  
   /**
    * Get current rate limits for all stores
    * @returns {object} - Rate limits by store
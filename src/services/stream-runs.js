@@ -0,0 +1,295 @@
+// src/services/stream-runs.js
+
+'use strict';
+
+const crypto = require('crypto');
+const { getLogger } = require('../utils/logger');
+const config = require('../config');
+
+const logger = getLogger('stream-runs');
+
+// Stream run statuses
+const RUN_STATUS = {
+  RUNNING: 'running',
+  PAUSED: 'paused',
+  CANCELLED: 'cancelled'
+};
+
+// Why a run was cancelled
+const CANCEL_REASONS = {
+  REQUESTED: 'requested', // Cancel request, client disconnect or shutdown
+  PAUSE_TIMEOUT: 'pause-timeout' // Paused for longer than config.streams.maxPauseMs
+};
+
+/**
+ * A streaming extraction run
+ * The extraction loop checks the run between batches: it stops once the run is cancelled and
+ * waits while it is paused, so a batch is never interrupted halfway. A run paused for longer
+ * than config.streams.maxPauseMs is cancelled.
+ */
+class StreamRun {
+  /**
+   * @param {number} total - Number of bundle IDs in the request
+   * @param {number} [startIndex=0] - Index the run starts from when continuing an earlier stream
+   * @param {string} [runId] - ID of the run an event stream client reconnected to
+   * @param {function} [onPauseTimeout] - Called after the run is cancelled for pausing too long
+   * @param {number} [resumeCount=0] - How many times the run has been resumed after a lost connection
+   */
+  constructor(total, startIndex = 0, runId = null, onPauseTimeout = null, resumeCount = 0) {
+    this.id = runId || crypto.randomUUID();
+    this.status = RUN_STATUS.RUNNING;
+    this.total = total;
+    this.processedCount = startIndex;
+    this.resumeCount = resumeCount;
+    this.createdAt = Date.now();
+    this.pausedAt = null;
+    this.pausedTime = 0;
+    this.cancelReason = null;
+    
+    // Resolvers of waitWhilePaused calls
+    this.waiters = [];
+    
+    // Cancels the run once the pause exceeds config.streams.maxPauseMs
+    this.pauseTimer = null;
+    this.onPauseTimeout = onPauseTimeout;
+  }
+  
+  /**
+   * Whether the run has been cancelled, explicitly or by the client disconnecting
+   * @returns {boolean}
+   */
+  get cancelled() {
+    return this.status === RUN_STATUS.CANCELLED;
+  }
+  
+  /**
+   * Hold the run at the next batch boundary
+   * @returns {boolean} - Whether the run was running
+   */
+  pause() {
+    if (this.status !== RUN_STATUS.RUNNING) return false;
+    
+    this.status = RUN_STATUS.PAUSED;
+    this.pausedAt = Date.now();
+    
+    this.pauseTimer = setTimeout(() => this._expirePause(), config.streams.maxPauseMs);
+    this.pauseTimer.unref();
+    return true;
+  }
+  
+  /**
+   * Continue a paused run
+   * @returns {boolean} - Whether the run was paused
+   */
+  resume() {
+    if (this.status !== RUN_STATUS.PAUSED) return false;
+    
+    this.status = RUN_STATUS.RUNNING;
+    this._endPause();
+    return true;
+  }
+  
+  /**
+   * Stop the run at the next batch boundary
+   * @param {string} [reason=CANCEL_REASONS.REQUESTED] - Why the run is cancelled
+   * @returns {boolean} - Whether the run was still active
+   */
+  cancel(reason = CANCEL_REASONS.REQUESTED) {
+    if (this.cancelled) return false;
+    
+    if (this.status === RUN_STATUS.PAUSED) {
+      this._endPause();
+    }
+    this.status = RUN_STATUS.CANCELLED;
+    this.cancelReason = reason;
+    return true;
+  }
+  
+  /**
+   * Wait until the run is resumed or cancelled
+   * @returns {Promise<void>}
+   */
+  async waitWhilePaused() {
+    while (this.status === RUN_STATUS.PAUSED) {
+      await new Promise(resolve => this.waiters.push(resolve));
+    }
+  }
+  
+  /**
+   * Add the paused duration to pausedTime and wake the waiting loop
+   * @private
+   */
+  _endPause() {
+    clearTimeout(this.pauseTimer);
+    this.pauseTimer = null;
+    this.pausedTime += Date.now() - this.pausedAt;
+    this.pausedAt = null;
+    
+    this.waiters.splice(0).forEach(resolve => resolve());
+  }
+  
+  /**
+   * Cancel the run when it is still paused once config.streams.maxPauseMs has passed
+   * @private
+   */
+  _expirePause() {
+    if (this.status !== RUN_STATUS.PAUSED) return;
+    
+    logger.info({ runId: this.id, processed: this.processedCount, total: this.total, maxPauseMs: config.streams.maxPauseMs },
+      'Paused stream run cancelled after the maximum pause duration');
+    
+    this.cancel(CANCEL_REASONS.PAUSE_TIMEOUT);
+    
+    if (this.onPauseTimeout) {
+      this.onPauseTimeout(this);
+    }
+  }
+  
+  /**
+   * Run state returned by the control endpoints
+   * @returns {object}
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      status: this.status,
+      total: this.total,
+      processedCount: this.processedCount,
+      createdAt: this.createdAt,
+      pausedTime: this.pausedTime + (this.pausedAt ? Date.now() - this.pausedAt : 0),
+      cancelReason: this.cancelReason
+    };
+  }
+}
+
+/**
+ * Hash bundle IDs to recognize the request of a suspended run
+ * @param {string[]} bundleIds - Bundle IDs
+ * @returns {string} - SHA-256 hex digest
+ */
+function hashBundleIds(bundleIds) {
+  return crypto.createHash('sha256').update(JSON.stringify(bundleIds)).digest('hex');
+}
+
+/**
+ * Stream Run Registry Service
+ * Tracks the extraction streams in progress on this server so clients can pause, resume or
+ * cancel them by run ID. Runs only exist while their response is open; the ID of an event
+ * stream whose client lost the connection is kept for config.streams.resumeWindowMs, so the
+ * client can reconnect to the same run.
+ */
+class StreamRunRegistry {
+  constructor() {
+    this.runs = new Map();
+    
+    // Run IDs that a disconnected event stream client can resume, keyed by run ID:
+    // { timer, total, bundleHash, resumeCount } of the lost stream
+    this.resumable = new Map();
+  }
+  
+  /**
+   * Register a run for a new stream
+   * @param {number} total - Number of bundle IDs in the request
+   * @param {number} [startIndex=0] - Index the stream starts from
+   * @param {string} [runId] - Run ID claimed with claimResumption, to continue that run
+   * @param {number} [resumeCount=0] - Resume count returned by claimResumption
+   * @returns {StreamRun} - Registered run
+   */
+  start(total, startIndex = 0, runId = null, resumeCount = 0) {
+    // A run cancelled for pausing too long leaves the registry right away
+    const run = new StreamRun(total, startIndex, runId, expired => this.finish(expired), resumeCount);
+    this.runs.set(run.id, run);
+    return run;
+  }
+  
+  /**
+   * Get an active run
+   * @param {string} runId - Run ID
+   * @returns {StreamRun|null} - Run, or null when it has finished or never existed
+   */
+  get(runId) {
+    return this.runs.get(runId) || null;
+  }
+  
+  /**
+   * Remove a run once its stream has ended
+   * @param {StreamRun} run - Run
+   */
+  finish(run) {
+    // A run still waiting at a batch boundary must not be left behind
+    run.cancel();
+    
+    // A reconnected client may already have registered a new run under the same ID
+    if (this.runs.get(run.id) === run) {
+      this.runs.delete(run.id);
+    }
+  }
+  
+  /**
+   * Keep the ID of a run whose event stream client lost the connection, so the client can
+   * resume the run with claimResumption until config.streams.resumeWindowMs has passed.
+   * A run already resumed config.streams.maxResumes times is not kept.
+   * @param {StreamRun} run - Run that is still registered
+   * @param {string[]} bundleIds - Bundle IDs of the lost stream
+   */
+  suspend(run, bundleIds) {
+    if (this.runs.get(run.id) !== run) return;
+    
+    if (run.resumeCount >= config.streams.maxResumes) {
+      logger.info({ runId: run.id, resumeCount: run.resumeCount }, 'Stream run not resumable, maximum resumptions reached');
+      return;
+    }
+    
+    clearTimeout(this.resumable.get(run.id)?.timer);
+    
+    const timer = setTimeout(() => this.resumable.delete(run.id), config.streams.resumeWindowMs);
+    timer.unref();
+    this.resumable.set(run.id, {
+      timer,
+      total: bundleIds.length,
+      bundleHash: hashBundleIds(bundleIds),
+      resumeCount: run.resumeCount
+    });
+  }
+  
+  /**
+   * Claim a suspended run for a reconnecting client
+   * A run can be claimed once, and only with the bundle IDs of the lost stream; the client
+   * then streams under the same run ID
+   * @param {string} runId - Run ID
+   * @param {string[]} bundleIds - Bundle IDs of the reconnecting request
+   * @returns {number} - Resume count to start the run with, 0 when the run cannot be resumed
+   */
+  claimResumption(runId, bundleIds) {
+    const suspended = this.resumable.get(runId);
+    if (!suspended) return 0;
+    
+    // A request for other bundle IDs must not continue the run, or skip the rate limit with it
+    if (suspended.total !== bundleIds.length || suspended.bundleHash !== hashBundleIds(bundleIds)) {
+      logger.debug({ runId }, 'Stream run resumption refused, bundle IDs differ from the lost stream');
+      return 0;
+    }
+    
+    clearTimeout(suspended.timer);
+    this.resumable.delete(runId);
+    return suspended.resumeCount + 1;
+  }
+  
+  /**
+   * Cancel all active runs, e.g. on shutdown
+   */
+  cancelAll() {
+    if (this.runs.size > 0) {
+      logger.info({ count: this.runs.size }, 'Cancelling active stream runs');
+    }
+    
+    this.runs.forEach(run => run.cancel());
+  }
+}
+
+// Create singleton instance
+const streamRuns = new StreamRunRegistry();
+
+module.exports = streamRuns;
+module.exports.RUN_STATUS = RUN_STATUS;
+module.exports.CANCEL_REASONS = CANCEL_REASONS;
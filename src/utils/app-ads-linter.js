@@ -0,0 +1,328 @@
+/**
+ * App-Ads.txt Linter Utility
+ * Validates app-ads.txt lines against the IAB ads.txt 1.1 specification and
+ * reports diagnostics with stable codes, line and column numbers
+ */
+
+'use strict';
+
+const { parseAppAdsVariable, KNOWN_VARIABLES } = require('./app-ads-parser');
+const { isValidDomain } = require('./validation');
+
+/**
+ * Lint rules keyed by stable diagnostic code
+ * Codes must never be renumbered; add new codes instead
+ */
+const LINT_RULES = {
+  // Data record errors
+  E100: { rule: 'too-few-fields', severity: 'error', message: 'Data record requires at least 3 comma-separated fields (domain, publisher ID, relationship)' },
+  E101: { rule: 'missing-ad-system-domain', severity: 'error', message: 'Advertising system domain is missing' },
+  E102: { rule: 'invalid-ad-system-domain', severity: 'error', message: 'Advertising system domain is not a valid domain name' },
+  E103: { rule: 'missing-publisher-id', severity: 'error', message: 'Publisher account ID is missing' },
+  E104: { rule: 'invalid-relationship', severity: 'error', message: 'Relationship must be DIRECT or RESELLER' },
+  E105: { rule: 'invalid-cert-authority-id', severity: 'error', message: 'Certification authority ID must be alphanumeric' },
+  // Variable errors
+  E200: { rule: 'empty-variable-value', severity: 'error', message: 'Variable has no value' },
+  E201: { rule: 'invalid-variable-domain', severity: 'error', message: 'Variable value is not a valid domain name' },
+  // Encoding and whitespace errors
+  E300: { rule: 'invalid-encoding', severity: 'error', message: 'Line contains bytes that are not valid UTF-8' },
+  E301: { rule: 'control-character', severity: 'error', message: 'Line contains a control character' },
+  E302: { rule: 'non-standard-whitespace', severity: 'error', message: 'Line contains non-breaking or zero-width whitespace' },
+  // Data record warnings
+  W100: { rule: 'relationship-case', severity: 'warning', message: 'Relationship should be upper case (DIRECT or RESELLER)' },
+  W101: { rule: 'extra-fields', severity: 'warning', message: 'Data record has more than 4 comma-separated fields' },
+  W102: { rule: 'whitespace-in-field', severity: 'warning', message: 'Field contains whitespace' },
+  W103: { rule: 'empty-cert-authority-id', severity: 'warning', message: 'Certification authority ID field is present but empty' },
+  // Variable warnings
+  W200: { rule: 'unknown-variable', severity: 'warning', message: 'Variable is not defined by the ads.txt specification' },
+  // Encoding warnings
+  W300: { rule: 'byte-order-mark', severity: 'warning', message: 'File starts with a byte order mark' },
+  W301: { rule: 'non-ascii-character', severity: 'warning', message: 'Line contains a non-ASCII character' }
+};
+
+// Variables whose value (before any comma) must be a domain name
+const DOMAIN_VARIABLES = ['SUBDOMAIN', 'INVENTORYPARTNERDOMAIN', 'OWNERDOMAIN', 'MANAGERDOMAIN'];
+
+// Default maximum number of diagnostics kept in a report
+const DEFAULT_MAX_DIAGNOSTICS = 1000;
+
+/**
+ * Create a diagnostic for a lint code
+ * @param {string} code - Lint code from LINT_RULES
+ * @param {number} line - 1-based line number
+ * @param {number} column - 1-based column number
+ * @param {string} [detail] - Optional detail appended to the message
+ * @returns {Object} - Diagnostic
+ */
+function createDiagnostic(code, line, column, detail) {
+  const { rule, severity, message } = LINT_RULES[code];
+  
+  return {
+    code,
+    rule,
+    severity,
+    line,
+    column,
+    message: detail ? `${message}: ${detail}` : message
+  };
+}
+
+/**
+ * Split a record into comma-separated fields with their 1-based start columns
+ * @param {string} text - Record text without comment
+ * @returns {Object[]} - Fields with value and column
+ */
+function splitFields(text) {
+  const fields = [];
+  let start = 0;
+  
+  for (let i = 0; i <= text.length; i++) {
+    if (i === text.length || text[i] === ',') {
+      const rawField = text.substring(start, i);
+      const leading = rawField.length - rawField.trimStart().length;
+      
+      fields.push({
+        value: rawField.trim(),
+        column: start + leading + 1
+      });
+      
+      start = i + 1;
+    }
+  }
+  
+  return fields;
+}
+
+/**
+ * Check a line for encoding and whitespace problems
+ * @param {string} line - Raw line
+ * @param {number} lineNumber - 1-based line number
+ * @param {number} recordLength - Length of the line before any comment
+ * @returns {Object[]} - Diagnostics
+ */
+function lintCharacters(line, lineNumber, recordLength) {
+  const diagnostics = [];
+  let nonAsciiReported = false;
+  
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    const code = char.charCodeAt(0);
+    
+    if (code < 0x80 && code !== 0x7f && (code >= 0x20 || code === 0x09)) {
+      continue;
+    }
+    
+    if (code === 0xFFFD) {
+      diagnostics.push(createDiagnostic('E300', lineNumber, i + 1));
+    } else if (code < 0x20 || code === 0x7f) {
+      diagnostics.push(createDiagnostic('E301', lineNumber, i + 1, `U+${code.toString(16).toUpperCase().padStart(4, '0')}`));
+    } else if (/[\u00A0\u2000-\u200D\u2028\u2029\u202F\u205F\u3000\uFEFF]/.test(char)) {
+      if (i < recordLength) {
+        diagnostics.push(createDiagnostic('E302', lineNumber, i + 1, `U+${code.toString(16).toUpperCase().padStart(4, '0')}`));
+      }
+    } else if (i < recordLength && !nonAsciiReported) {
+      // Non-ASCII characters are only reported once per line, and not inside comments
+      diagnostics.push(createDiagnostic('W301', lineNumber, i + 1));
+      nonAsciiReported = true;
+    }
+  }
+  
+  return diagnostics;
+}
+
+/**
+ * Lint a variable record (e.g. OWNERDOMAIN=example.com)
+ * @param {Object} variableRecord - Parsed variable from parseAppAdsVariable
+ * @param {string} record - Record text without comment
+ * @param {number} lineNumber - 1-based line number
+ * @param {number} offset - Column offset of the record in the raw line
+ * @returns {Object[]} - Diagnostics
+ */
+function lintVariable(variableRecord, record, lineNumber, offset) {
+  const diagnostics = [];
+  const { variable, value } = variableRecord;
+  const valueColumn = offset + record.indexOf('=') + 2;
+  
+  if (!Object.prototype.hasOwnProperty.call(KNOWN_VARIABLES, variable)) {
+    diagnostics.push(createDiagnostic('W200', lineNumber, offset + 1, variable));
+  }
+  
+  if (!value) {
+    diagnostics.push(createDiagnostic('E200', lineNumber, valueColumn, variable));
+    return diagnostics;
+  }
+  
+  if (DOMAIN_VARIABLES.includes(variable)) {
+    const domain = value.split(',')[0].trim();
+    if (!isValidDomain(domain)) {
+      diagnostics.push(createDiagnostic('E201', lineNumber, valueColumn, `${variable}=${domain}`));
+    }
+  }
+  
+  return diagnostics;
+}
+
+/**
+ * Lint a data record (domain, publisher ID, relationship, certification authority ID)
+ * @param {string} record - Record text without comment
+ * @param {number} lineNumber - 1-based line number
+ * @param {number} offset - Column offset of the record in the raw line
+ * @returns {Object[]} - Diagnostics
+ */
+function lintDataRecord(record, lineNumber, offset) {
+  const diagnostics = [];
+  const fields = splitFields(record).map(field => ({ ...field, column: field.column + offset }));
+  
+  if (fields.length < 3) {
+    diagnostics.push(createDiagnostic('E100', lineNumber, offset + 1));
+    return diagnostics;
+  }
+  
+  const [domain, publisherId, relationship, certId] = fields;
+  
+  if (!domain.value) {
+    diagnostics.push(createDiagnostic('E101', lineNumber, domain.column));
+  } else if (!isValidDomain(domain.value)) {
+    diagnostics.push(createDiagnostic('E102', lineNumber, domain.column, domain.value));
+  }
+  
+  if (!publisherId.value) {
+    diagnostics.push(createDiagnostic('E103', lineNumber, publisherId.column));
+  } else if (/\s/.test(publisherId.value)) {
+    diagnostics.push(createDiagnostic('W102', lineNumber, publisherId.column, publisherId.value));
+  }
+  
+  const upperRelationship = relationship.value.toUpperCase();
+  if (upperRelationship !== 'DIRECT' && upperRelationship !== 'RESELLER') {
+    diagnostics.push(createDiagnostic('E104', lineNumber, relationship.column, relationship.value || '(empty)'));
+  } else if (relationship.value !== upperRelationship) {
+    diagnostics.push(createDiagnostic('W100', lineNumber, relationship.column, relationship.value));
+  }
+  
+  if (certId) {
+    // Extension data may follow the certification authority ID after a semicolon
+    const certValue = certId.value.split(';')[0].trim();
+    
+    if (!certValue) {
+      if (!certId.value) {
+        diagnostics.push(createDiagnostic('W103', lineNumber, certId.column));
+      }
+    } else if (!/^[a-z0-9]+$/i.test(certValue)) {
+      diagnostics.push(createDiagnostic('E105', lineNumber, certId.column, certValue));
+    }
+  }
+  
+  if (fields.length > 4) {
+    diagnostics.push(createDiagnostic('W101', lineNumber, fields[4].column));
+  }
+  
+  return diagnostics;
+}
+
+/**
+ * Lint a single app-ads.txt line
+ * @param {string} line - Raw line
+ * @param {number} lineNumber - 1-based line number
+ * @returns {Object[]} - Diagnostics for the line (empty when the line is clean)
+ */
+function lintAppAdsLine(line, lineNumber) {
+  if (!line || typeof line !== 'string') {
+    return [];
+  }
+  
+  const diagnostics = [];
+  
+  // A trailing carriage return is part of a CRLF line ending, not of the line
+  let text = line.endsWith('\r') ? line.slice(0, -1) : line;
+  
+  // A byte order mark is only expected at the very start of the file
+  if (lineNumber === 1 && text.charCodeAt(0) === 0xFEFF) {
+    diagnostics.push(createDiagnostic('W300', lineNumber, 1));
+    text = ' ' + text.substring(1);
+  }
+  
+  const commentIndex = text.indexOf('#');
+  const recordText = commentIndex >= 0 ? text.substring(0, commentIndex) : text;
+  
+  diagnostics.push(...lintCharacters(text, lineNumber, recordText.length));
+  
+  const record = recordText.trim();
+  if (!record) {
+    return diagnostics;
+  }
+  
+  const offset = recordText.indexOf(record);
+  const variableRecord = parseAppAdsVariable(record);
+  
+  if (variableRecord) {
+    diagnostics.push(...lintVariable(variableRecord, record, lineNumber, offset));
+  } else {
+    diagnostics.push(...lintDataRecord(record, lineNumber, offset));
+  }
+  
+  return diagnostics;
+}
+
+/**
+ * Create an empty lint report
+ * @returns {Object} - Lint report
+ */
+function createLintReport() {
+  return {
+    valid: true,
+    errorCount: 0,
+    warningCount: 0,
+    diagnostics: [],
+    truncated: false
+  };
+}
+
+/**
+ * Add diagnostics to a lint report, keeping counts for diagnostics beyond the limit
+ * @param {Object} report - Report created by createLintReport
+ * @param {Object[]} diagnostics - Diagnostics to add
+ * @param {number} maxDiagnostics - Maximum number of diagnostics kept in the report
+ */
+function addLintDiagnostics(report, diagnostics, maxDiagnostics = DEFAULT_MAX_DIAGNOSTICS) {
+  diagnostics.forEach(diagnostic => {
+    if (diagnostic.severity === 'error') {
+      report.errorCount++;
+      report.valid = false;
+    } else {
+      report.warningCount++;
+    }
+    
+    if (report.diagnostics.length < maxDiagnostics) {
+      report.diagnostics.push(diagnostic);
+    } else {
+      report.truncated = true;
+    }
+  });
+}
+
+/**
+ * Lint full app-ads.txt content
+ * @param {string|string[]} content - File content or lines of content
+ * @param {Object} options - Lint options
+ * @param {number} options.maxDiagnostics - Maximum number of diagnostics kept in the report
+ * @returns {Object} - Lint report with error/warning counts and diagnostics
+ */
+function lintAppAdsTxt(content, options = {}) {
+  const maxDiagnostics = options.maxDiagnostics || DEFAULT_MAX_DIAGNOSTICS;
+  const lines = Array.isArray(content) ? content : String(content || '').split(/\r\n|\n|\r/);
+  const report = createLintReport();
+  
+  for (let i = 0; i < lines.length; i++) {
+    addLintDiagnostics(report, lintAppAdsLine(lines[i], i + 1), maxDiagnostics);
+  }
+  
+  return report;
+}
+
+module.exports = {
+  LINT_RULES,
+  lintAppAdsLine,
+  lintAppAdsTxt,
+  createLintReport,
+  addLintDiagnostics
+};
@@ -9,6 +9,120 @@ const { getLogger } = require('./logger');
 
 const logger = getLogger('app-ads-parser');
 
+/**
+ * Variable names defined by the IAB ads.txt 1.1 specification
+ * Keys are the declared names, values are the keys used in analysis counts
+ */
+const KNOWN_VARIABLES = {
+  CONTACT: 'contact',
+  SUBDOMAIN: 'subdomain',
+  INVENTORYPARTNERDOMAIN: 'inventoryPartnerDomain',
+  OWNERDOMAIN: 'ownerDomain',
+  MANAGERDOMAIN: 'managerDomain'
+};
+
+// Maximum number of variable records kept per file
+const MAX_VARIABLE_RECORDS = 500;
+
+// Structured query fields that target variable records instead of data records
+const VARIABLE_QUERY_FIELDS = ['variable', 'value'];
+
+// KEY=value, where the "=" appears before any comma of a data record
+const VARIABLE_PATTERN = /^([A-Za-z][A-Za-z0-9_-]*)\s*=\s*(.*)$/;
+
+/**
+ * Strip a trailing comment from an app-ads.txt line
+ * @param {string} line - Raw line
+ * @returns {string} - Trimmed line without comment
+ */
+function stripComment(line) {
+  const commentIndex = line.indexOf('#');
+  return commentIndex >= 0 ? line.substring(0, commentIndex).trim() : line.trim();
+}
+
+/**
+ * Parse a single app-ads.txt variable record (e.g. OWNERDOMAIN=example.com)
+ * @param {string} line - A single line from an app-ads.txt file
+ * @returns {Object|null} - Parsed variable or null if the line is not a variable record
+ */
+function parseAppAdsVariable(line) {
+  if (!line || typeof line !== 'string') {
+    return null;
+  }
+  
+  const cleanLine = stripComment(line);
+  const equalsIndex = cleanLine.indexOf('=');
+  const commaIndex = cleanLine.indexOf(',');
+  
+  if (equalsIndex <= 0 || (commaIndex >= 0 && commaIndex < equalsIndex)) {
+    return null;
+  }
+  
+  const match = cleanLine.match(VARIABLE_PATTERN);
+  if (!match) {
+    return null;
+  }
+  
+  const variable = match[1].toUpperCase();
+  
+  return {
+    type: 'variable',
+    variable,
+    value: match[2].trim(),
+    known: Object.prototype.hasOwnProperty.call(KNOWN_VARIABLES, variable),
+    raw: cleanLine
+  };
+}
+
+/**
+ * Create an empty set of variable counters for analysis results
+ * @returns {Object} - Counters keyed by variable
+ */
+function createVariableCounts() {
+  const counts = {};
+  Object.values(KNOWN_VARIABLES).forEach(key => {
+    counts[key] = 0;
+  });
+  counts.unknown = 0;
+  return counts;
+}
+
+/**
+ * Increment the analysis counter for a parsed variable
+ * @param {Object} counts - Counters created by createVariableCounts
+ * @param {string} variable - Upper-case variable name
+ */
+function countVariable(counts, variable) {
+  const key = KNOWN_VARIABLES[variable] || 'unknown';
+  counts[key]++;
+}
+
+/**
+ * Collect all variable records from app-ads.txt lines
+ * @param {string[]} lines - Lines of content
+ * @returns {Object[]} - Variable records with line numbers
+ */
+function extractVariables(lines) {
+  const variables = [];
+  
+  if (!Array.isArray(lines)) {
+    return variables;
+  }
+  
+  for (let i = 0; i < lines.length && variables.length < MAX_VARIABLE_RECORDS; i++) {
+    const parsed = parseAppAdsVariable(lines[i]);
+    if (parsed) {
+      variables.push({
+        lineNumber: i + 1,
+        variable: parsed.variable,
+        value: parsed.value
+      });
+    }
+  }
+  
+  return variables;
+}
+
 /**
  * Parse a single app-ads.txt line into structured components
  * @param {string} line - A single line from an app-ads.txt file
@@ -21,13 +135,17 @@ function parseAppAdsLine(line) {
     }
     
     // Remove comments
-    const commentIndex = line.indexOf('#');
-    const cleanLine = commentIndex >= 0 ? line.substring(0, commentIndex).trim() : line.trim();
+    const cleanLine = stripComment(line);
     
     if (!cleanLine) {
       return null; // Empty line or just a comment
     }
     
+    // Variable records are parsed by parseAppAdsVariable
+    if (parseAppAdsVariable(cleanLine)) {
+      return null;
+    }
+    
     // Split into fields using comma as separator
     let fields = cleanLine.split(',').map(f => f.trim());
     
@@ -57,15 +175,67 @@ function parseAppAdsLine(line) {
   }
 }
 
+/**
+ * Match a value against a query that may contain "*" wildcards
+ * @param {string} entryValue - Lower-case entry value
+ * @param {string} queryValue - Lower-case query value
+ * @returns {boolean} - Whether the value matches
+ */
+function matchWildcard(entryValue, queryValue) {
+  if (queryValue.includes('*')) {
+    const regexPattern = queryValue
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+    return new RegExp(`^${regexPattern}$`, 'i').test(entryValue);
+  }
+  
+  return entryValue === queryValue;
+}
+
+/**
+ * Match a structured query against a parsed variable record
+ * @param {Object} entry - Parsed variable record
+ * @param {Object} query - Structured query (variable, value)
+ * @returns {boolean} - Whether the variable matches the query
+ */
+function matchVariableQuery(entry, query) {
+  if (query.variable && query.variable.trim() &&
+      entry.variable !== query.variable.trim().toUpperCase()) {
+    return false;
+  }
+  
+  if (query.value && query.value.trim() &&
+      !matchWildcard(String(entry.value).toLowerCase(), query.value.toLowerCase().trim())) {
+    return false;
+  }
+  
+  return true;
+}
+
 /**
  * Match a structured query against a parsed app-ads.txt entry
- * @param {Object} entry - Parsed app-ads.txt entry
- * @param {Object} query - Structured query (domain, publisherId, relationship, tagId)
+ * Queries with variable/value fields only match variable records, all other
+ * queries only match data records
+ * @param {Object} entry - Parsed app-ads.txt entry or variable record
+ * @param {Object} query - Structured query (domain, publisherId, relationship, tagId, variable, value)
+ * @param {Object} [options] - Matching options
+ * @param {boolean} [options.exact=false] - Compare every field exactly (no wildcards, "+" lists or partial relationships)
  * @returns {boolean} - Whether the entry matches the query
  */
-function matchStructuredQuery(entry, query) {
+function matchStructuredQuery(entry, query, options = {}) {
+  const exact = options.exact === true;
+  
   if (!entry || !query) return false;
   
+  const isVariableQuery = VARIABLE_QUERY_FIELDS.some(field => 
+    typeof query[field] === 'string' && query[field].trim()
+  );
+  
+  if (isVariableQuery || entry.type === 'variable') {
+    return isVariableQuery && entry.type === 'variable' && matchVariableQuery(entry, query);
+  }
+  
   // For each field in the query, check if it matches the entry
   for (const field of ['domain', 'publisherId', 'relationship', 'tagId']) {
     if (query[field] && query[field].trim()) {
@@ -85,7 +255,7 @@ function matchStructuredQuery(entry, query) {
         const normalizedEntry = entryValue.replace(/\s+/g, '');
         
         // Check for multiple publisher IDs (separated by "+")
-        if (normalizedQuery.includes('+')) {
+        if (!exact && normalizedQuery.includes('+')) {
           const queryIds = normalizedQuery.split('+').map(id => id.trim());
           // If any publisher ID matches, return true for this field
           const matchesAnyId = queryIds.some(id => normalizedEntry === id);
@@ -99,19 +269,12 @@ function matchStructuredQuery(entry, query) {
       } else if (field === 'relationship') {
         // Special handling for relationship field - partial match is okay
         // This allows searching for just "DIRECT" or "RESELLER" without case sensitivity
-        if (!entryValue.includes(queryValue)) {
+        if (exact ? entryValue !== queryValue : !entryValue.includes(queryValue)) {
           return false;
         }
       } else if (field === 'domain') {
         // For domain, allow partial match if query contains an asterisk wildcard
-        if (queryValue.includes('*')) {
-          const regexPattern = queryValue.replace(/\*/g, '.*');
-          const regex = new RegExp(`^${regexPattern}$`, 'i');
-          if (!regex.test(entryValue)) {
-            return false;
-          }
-        } else if (entryValue !== queryValue) {
-          // Exact match for domain when no wildcard is present
+        if (exact ? entryValue !== queryValue : !matchWildcard(entryValue, queryValue)) {
           return false;
         }
       } else if (entryValue !== queryValue) {
@@ -129,9 +292,10 @@ function matchStructuredQuery(entry, query) {
  * Parse entire app-ads.txt content and search for structured query matches
  * @param {string} content - Full app-ads.txt content
  * @param {Object} query - Structured query object
+ * @param {Object} [options] - Match options passed to matchStructuredQuery (e.g. exact)
  * @returns {Object} - Search results with matching entries
  */
-function searchStructured(content, query) {
+function searchStructured(content, query, options = {}) {
   try {
     if (!content || !query) {
       return {
@@ -151,11 +315,11 @@ function searchStructured(content, query) {
     for (const line of lines) {
       lineNumber++;
       
-      // Parse the line
-      const parsedLine = parseAppAdsLine(line);
+      // Parse the line as a data record or a variable record
+      const parsedLine = parseAppAdsLine(line) || parseAppAdsVariable(line);
       
       // If valid entry and matches query, add to results
-      if (parsedLine && matchStructuredQuery(parsedLine, query)) {
+      if (parsedLine && matchStructuredQuery(parsedLine, query, options)) {
         matches.push({
           lineNumber,
           content: line.trim(),
@@ -180,8 +344,35 @@ function searchStructured(content, query) {
   }
 }
 
+/**
+ * Whether an app-ads.txt result holds the whole file
+ * Streamed files keep a 100KB sample and files over 500KB are truncated, so records further
+ * down are missing from content. Results cached before contentComplete was recorded fall back
+ * to the processing method and the truncation marker.
+ * @param {Object} appAdsTxt - Result of checkAppAdsTxt
+ * @returns {boolean} - Whether content has every line of the file
+ */
+function hasFullContent(appAdsTxt) {
+  if (!appAdsTxt || typeof appAdsTxt.content !== 'string') return false;
+  
+  if (typeof appAdsTxt.contentComplete === 'boolean') {
+    return appAdsTxt.contentComplete;
+  }
+  
+  return appAdsTxt.processingMethod !== 'stream' &&
+    !appAdsTxt.content.endsWith('(truncated, file too large)');
+}
+
 module.exports = {
+  KNOWN_VARIABLES,
+  MAX_VARIABLE_RECORDS,
+  VARIABLE_QUERY_FIELDS,
   parseAppAdsLine,
+  parseAppAdsVariable,
+  createVariableCounts,
+  countVariable,
+  extractVariables,
   matchStructuredQuery,
-  searchStructured
-};
\ No newline at end of file
+  searchStructured,
+  hasFullContent
+};
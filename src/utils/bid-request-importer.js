@@ -0,0 +1,173 @@
+/**
+ * OpenRTB bid request importer for App-Ads.txt Extractor
+ * Pulls app bundle IDs out of OpenRTB 2.x JSONL dumps and normalizes them per store
+ */
+
+'use strict';
+
+const { detectStoreType, parseStoreUrl } = require('../config/stores');
+
+// Publishers kept per bundle ID, ordered by occurrence count
+const MAX_PUBLISHERS_PER_BUNDLE = 10;
+
+/**
+ * Normalize a bundle ID or store URL to the form the store extractors expect
+ * @param {*} value - Raw app.bundle or app.storeurl value
+ * @returns {object|null} - { bundleId, storeType }, or null when the store is not recognized
+ */
+function normalizeBundleId(value) {
+  if (typeof value !== 'string' && typeof value !== 'number') return null;
+  
+  let id = String(value).trim();
+  if (!id) return null;
+  
+  let storeType = null;
+  
+  if (/^https?:\/\//i.test(id)) {
+    const parsed = parseStoreUrl(id);
+    if (!parsed) return null;
+    
+    ({ id, storeType } = parsed);
+  }
+  
+  const detectedType = detectStoreType(id);
+  storeType = storeType || detectedType;
+  
+  switch (storeType) {
+    case 'unknown':
+      return null;
+    case 'appstore':
+      id = id.replace(/^id/i, '');
+      break;
+    case 'amazon':
+    case 'samsung':
+    case 'huawei':
+    case 'microsoft':
+      id = id.toUpperCase();
+      break;
+    default:
+      break;
+  }
+  
+  // Keep the store from the URL when the bare ID would be detected as another store
+  return {
+    bundleId: detectedType === storeType ? id : `${storeType}:${id}`,
+    storeType
+  };
+}
+
+/**
+ * Create an importer that aggregates bid requests line by line
+ * @returns {object} - { addLine, getResult }
+ */
+function createBidRequestImporter() {
+  const bundles = new Map();
+  const stats = {
+    lines: 0,
+    requests: 0,
+    invalidJson: 0,
+    withoutApp: 0,
+    unrecognized: 0
+  };
+  
+  /**
+   * Add one JSONL line
+   * @param {string} line - Serialized bid request
+   */
+  function addLine(line) {
+    const trimmed = typeof line === 'string' ? line.trim() : '';
+    if (!trimmed) return;
+    
+    stats.lines++;
+    
+    let request;
+    try {
+      request = JSON.parse(trimmed);
+    } catch (err) {
+      stats.invalidJson++;
+      return;
+    }
+    
+    const app = request?.app;
+    if (!app || typeof app !== 'object') {
+      stats.withoutApp++;
+      return;
+    }
+    
+    stats.requests++;
+    
+    // Prefer app.bundle; fall back to the store URL when the bundle is missing or not a store ID
+    const normalized = normalizeBundleId(app.bundle) || normalizeBundleId(app.storeurl);
+    if (!normalized) {
+      stats.unrecognized++;
+      return;
+    }
+    
+    let bundle = bundles.get(normalized.bundleId);
+    if (!bundle) {
+      bundle = { ...normalized, count: 0, publishers: new Map() };
+      bundles.set(normalized.bundleId, bundle);
+    }
+    bundle.count++;
+    
+    const publisher = app.publisher;
+    if (publisher && typeof publisher === 'object' && (publisher.id || publisher.name || publisher.domain)) {
+      const key = String(publisher.id || publisher.domain || publisher.name);
+      const existing = bundle.publishers.get(key);
+      
+      if (existing) {
+        existing.count++;
+      } else {
+        bundle.publishers.set(key, {
+          id: publisher.id !== undefined ? String(publisher.id) : null,
+          name: typeof publisher.name === 'string' ? publisher.name : null,
+          domain: typeof publisher.domain === 'string' ? publisher.domain : null,
+          count: 1
+        });
+      }
+    }
+  }
+  
+  /**
+   * Get the de-duplicated bundle IDs, ordered by request count
+   * @returns {object} - { bundles, stats }
+   */
+  function getResult() {
+    const result = [...bundles.values()]
+      .map(bundle => ({
+        bundleId: bundle.bundleId,
+        storeType: bundle.storeType,
+        count: bundle.count,
+        publishers: [...bundle.publishers.values()]
+          .sort((a, b) => b.count - a.count)
+          .slice(0, MAX_PUBLISHERS_PER_BUNDLE)
+      }))
+      .sort((a, b) => b.count - a.count);
+    
+    return {
+      bundles: result,
+      stats: { ...stats, uniqueBundles: result.length }
+    };
+  }
+  
+  return { addLine, getResult };
+}
+
+/**
+ * Import bundle IDs from OpenRTB 2.x JSONL content
+ * @param {string} content - One bid request per line
+ * @returns {object} - { bundles, stats }
+ */
+function importBidRequests(content) {
+  const importer = createBidRequestImporter();
+  
+  (content || '').split(/\r\n|\n|\r/).forEach(line => importer.addLine(line));
+  
+  return importer.getResult();
+}
+
+module.exports = {
+  normalizeBundleId,
+  createBidRequestImporter,
+  importBidRequests
+};
@@ -0,0 +1,555 @@
+/**
+ * Extraction strategies for App-Ads.txt Extractor
+ * Turns declarative store extraction steps (regex, meta tag, CSS selector, JSON-LD path,
+ * embedded JSON field) into functions that pull the developer URL out of a store page,
+ * reads the developer website from a page's structured data (JSON-LD and app state)
+ * and collects app listing metadata (title, developer, category, price, ratings)
+ */
+
+'use strict';
+
+const cheerio = require('cheerio');
+
+// Supported strategy types and their required fields
+const STRATEGY_TYPES = {
+  regex: ['pattern'],
+  meta: ['name'],
+  css: ['selector'],
+  jsonLd: ['path'],
+  jsonField: ['fields']
+};
+
+// JSON-LD types that describe an app
+const APP_SCHEMA_TYPES = ['SoftwareApplication', 'MobileApplication', 'WebApplication', 'VideoGame'];
+
+// JSON-LD paths on an app node that can hold the developer's website, in order of preference
+const JSON_LD_DEVELOPER_PATHS = ['author.url', 'publisher.url', 'creator.url', 'provider.url', 'author.sameAs'];
+
+// App state keys that can hold the developer's website, in order of preference
+const APP_STATE_DEVELOPER_KEYS = [
+  'developerWebsiteUrl',
+  'developerWebsite',
+  'developerUrl',
+  'appWebsiteUrl',
+  'publisherWebsiteUrl',
+  'sellerUrl',
+  'websiteUrl',
+  'webSiteUrl'
+];
+
+// Upper bound on nodes visited per app state blob
+const MAX_STATE_NODES = 50000;
+
+// App metadata fields, in CSV column order
+const METADATA_FIELDS = [
+  'title',
+  'developerName',
+  'developerId',
+  'category',
+  'contentRating',
+  'price',
+  'currency',
+  'free',
+  'lastUpdated',
+  'installs',
+  'rating',
+  'ratingCount'
+];
+
+// Metadata fields that store definitions can provide strategies for (free is derived from price)
+const METADATA_STRATEGY_FIELDS = METADATA_FIELDS.filter(field => field !== 'free');
+
+// JSON-LD paths on an app node for each metadata field, in order of preference
+const JSON_LD_METADATA_PATHS = {
+  title: ['name'],
+  developerName: ['author.name', 'publisher.name', 'creator.name', 'provider.name'],
+  category: ['applicationCategory', 'genre', 'applicationSubCategory'],
+  contentRating: ['contentRating.name', 'contentRating'],
+  price: ['offers.price'],
+  currency: ['offers.priceCurrency'],
+  lastUpdated: ['dateModified', 'datePublished'],
+  installs: ['interactionStatistic.userInteractionCount'],
+  rating: ['aggregateRating.ratingValue'],
+  ratingCount: ['aggregateRating.ratingCount', 'aggregateRating.reviewCount']
+};
+
+/**
+ * Wrap store page HTML so parsed forms are only built when a strategy needs them
+ * @param {string} html - Store page HTML
+ * @returns {object} - { html, $, jsonLd, appState }, with the Cheerio document, JSON-LD nodes and
+ *   app state blobs loaded lazily
+ */
+function createPage(html) {
+  let document = null;
+  let jsonLd = null;
+  let appState = null;
+  
+  return {
+    html,
+    get $() {
+      if (!document) {
+        document = cheerio.load(html);
+      }
+      return document;
+    },
+    get jsonLd() {
+      if (!jsonLd) {
+        jsonLd = parseJsonLd(html);
+      }
+      return jsonLd;
+    },
+    get appState() {
+      if (!appState) {
+        appState = parseAppState(html);
+      }
+      return appState;
+    }
+  };
+}
+
+/**
+ * Parse the JSON-LD blocks of a page, flattening arrays and @graph containers
+ * @param {string} html - Page HTML
+ * @returns {object[]} - JSON-LD nodes
+ */
+function parseJsonLd(html) {
+  const nodes = [];
+  const blocks = html.match(/<script[^>]*type=['"]application\/ld\+json['"][^>]*>[\s\S]*?<\/script>/gi) || [];
+  
+  const collect = value => {
+    if (Array.isArray(value)) {
+      value.forEach(collect);
+    } else if (value && typeof value === 'object') {
+      nodes.push(value);
+      if (value['@graph']) collect(value['@graph']);
+    }
+  };
+  
+  for (const block of blocks) {
+    try {
+      collect(JSON.parse(block.replace(/^<script[^>]*>/i, '').replace(/<\/script>$/i, '')));
+    } catch (err) {
+      // Skip malformed blocks
+    }
+  }
+  
+  return nodes;
+}
+
+/**
+ * Parse framework state blobs: JSON script tags (e.g. __NEXT_DATA__) and window.__STATE__ assignments
+ * @param {string} html - Page HTML
+ * @returns {object[]} - { name, data } per blob
+ */
+function parseAppState(html) {
+  const blobs = [];
+  
+  const jsonScripts = html.matchAll(/<script([^>]*type=['"]application\/json['"][^>]*)>([\s\S]*?)<\/script>/gi);
+  for (const [, attributes, body] of jsonScripts) {
+    try {
+      blobs.push({
+        name: attributes.match(/id=['"]([^'"]+)['"]/i)?.[1] || 'application/json',
+        data: JSON.parse(body)
+      });
+    } catch (err) {
+      // Skip scripts that are not plain JSON
+    }
+  }
+  
+  const assignments = html.matchAll(/window\.(__[A-Za-z0-9_]+__)\s*=\s*(\{[\s\S]*?\})\s*;?\s*<\/script>/g);
+  for (const [, name, body] of assignments) {
+    try {
+      blobs.push({ name, data: JSON.parse(body) });
+    } catch (err) {
+      // Skip assignments that are not plain JSON
+    }
+  }
+  
+  return blobs;
+}
+
+/**
+ * Check whether a value is an absolute http(s) URL outside the ignored domains
+ * @param {*} value - Candidate value
+ * @param {string[]} ignoreDomains - Domains whose URLs are skipped (e.g. the store's own)
+ * @returns {boolean} - Whether the value is an acceptable developer URL
+ */
+function isExternalUrl(value, ignoreDomains) {
+  if (typeof value !== 'string' || !/^https?:\/\//i.test(value)) return false;
+  
+  try {
+    const hostname = new URL(value).hostname.toLowerCase();
+    return !ignoreDomains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Find the first acceptable URL stored under one of the keys, searching an app state blob breadth-first
+ * @param {*} data - Parsed app state
+ * @param {string} key - Key to look for
+ * @param {string[]} ignoreDomains - Domains whose URLs are skipped
+ * @returns {object|null} - { url, path }
+ */
+function findStateUrl(data, key, ignoreDomains) {
+  const queue = [{ value: data, path: [] }];
+  let visited = 0;
+  
+  while (queue.length > 0 && visited < MAX_STATE_NODES) {
+    const { value, path } = queue.shift();
+    visited++;
+    
+    if (!value || typeof value !== 'object') continue;
+    
+    for (const [childKey, child] of Object.entries(value)) {
+      if (childKey === key && isExternalUrl(child, ignoreDomains)) {
+        return { url: child, path: [...path, childKey].join('.') };
+      }
+      
+      if (child && typeof child === 'object') {
+        queue.push({ value: child, path: [...path, childKey] });
+      }
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Read the developer website from a page's structured data
+ * JSON-LD app nodes are tried first, then framework state blobs
+ * @param {object} page - Page from createPage
+ * @param {object} [options] - Options
+ * @param {string[]} [options.ignoreDomains] - Domains whose URLs are skipped, usually the store's own
+ *   (JSON-LD author.url often points at the store's developer page)
+ * @returns {object|null} - { url, strategy, source } or null when nothing usable is found
+ */
+function extractStructuredDeveloperUrl(page, { ignoreDomains = [] } = {}) {
+  const appNodes = getAppNodes(page);
+  
+  for (const path of JSON_LD_DEVELOPER_PATHS) {
+    for (const node of appNodes) {
+      const value = resolvePath(node, path.split('.'));
+      const url = Array.isArray(value) ? value.find(item => isExternalUrl(item, ignoreDomains)) : value;
+      
+      if (isExternalUrl(url, ignoreDomains)) {
+        return { url, strategy: 'jsonLd', source: path };
+      }
+    }
+  }
+  
+  for (const key of APP_STATE_DEVELOPER_KEYS) {
+    for (const blob of page.appState) {
+      const found = findStateUrl(blob.data, key, ignoreDomains);
+      if (found) {
+        return { url: found.url, strategy: 'appState', source: `${blob.name}:${found.path}` };
+      }
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Get the JSON-LD nodes of a page that describe an app
+ * @param {object} page - Page from createPage
+ * @returns {object[]} - App nodes
+ */
+function getAppNodes(page) {
+  return page.jsonLd.filter(node => {
+    const types = Array.isArray(node['@type']) ? node['@type'] : [node['@type']];
+    return types.some(type => APP_SCHEMA_TYPES.includes(type));
+  });
+}
+
+/**
+ * Decode the HTML entities that commonly appear in attribute and text values
+ * @param {string} value - Raw value
+ * @returns {string} - Decoded value
+ */
+function decodeEntities(value) {
+  return value
+    .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCharCode(parseInt(code, 16)))
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, '\'')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Parse a number from store text such as "4.5", "1,234" or "$2.99"
+ * @param {*} value - Raw value
+ * @returns {number|null} - Parsed number, or null when the value holds none
+ */
+function parseNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string') return null;
+  
+  const lower = value.trim().toLowerCase();
+  if (lower === 'free') return 0;
+  
+  const match = lower.replace(/,/g, '').match(/\d+(?:\.\d+)?/);
+  return match ? Number(match[0]) : null;
+}
+
+/**
+ * Normalize a raw metadata value for its field
+ * @param {string} field - Metadata field
+ * @param {*} value - Raw value
+ * @returns {string|number|null} - Normalized value, or null when unusable
+ */
+function normalizeMetadataValue(field, value) {
+  switch (field) {
+    case 'price':
+    case 'rating':
+      return parseNumber(value);
+    case 'ratingCount': {
+      const count = parseNumber(value);
+      return count === null ? null : Math.round(count);
+    }
+    case 'installs':
+      // Kept as displayed, since stores publish ranges such as "10,000,000+"
+      return typeof value === 'number' || typeof value === 'string' ? String(value).trim() || null : null;
+    case 'currency':
+      return typeof value === 'string' && /^[a-z]{3}$/i.test(value.trim()) ? value.trim().toUpperCase() : null;
+    default:
+      if (typeof value === 'number') return String(value);
+      return typeof value === 'string' && value.trim() ? decodeEntities(value.trim()) : null;
+  }
+}
+
+/**
+ * Collect app listing metadata from a store page
+ * JSON-LD app nodes are read first; store metadata strategies fill the fields they leave empty,
+ * and og:title is the last resort for the title
+ * @param {object} page - Page from createPage
+ * @param {object} [extractors] - Compiled store metadata strategies, keyed by field
+ * @returns {object|null} - Metadata with every field in METADATA_FIELDS (null when unknown),
+ *   or null when the page yields nothing
+ */
+function extractAppMetadata(page, extractors = {}) {
+  const metadata = Object.fromEntries(METADATA_FIELDS.map(field => [field, null]));
+  const appNodes = getAppNodes(page);
+  
+  Object.entries(JSON_LD_METADATA_PATHS).forEach(([field, paths]) => {
+    for (const path of paths) {
+      for (const node of appNodes) {
+        const value = normalizeMetadataValue(field, resolvePath(node, path.split('.')));
+        if (value !== null) {
+          metadata[field] = value;
+          return;
+        }
+      }
+    }
+  });
+  
+  Object.entries(extractors).forEach(([field, fieldExtractors]) => {
+    if (metadata[field] !== null) return;
+    
+    for (const extractor of fieldExtractors) {
+      const value = normalizeMetadataValue(field, extractor(page));
+      if (value !== null) {
+        metadata[field] = value;
+        return;
+      }
+    }
+  });
+  
+  if (metadata.title === null) {
+    metadata.title = normalizeMetadataValue('title', extractMeta(page.html, 'og:title'));
+  }
+  
+  if (metadata.price !== null) {
+    metadata.free = metadata.price === 0;
+  }
+  
+  return METADATA_FIELDS.some(field => metadata[field] !== null) ? metadata : null;
+}
+
+/**
+ * Escape a string for use inside a regular expression
+ * @param {string} value - Literal text
+ * @returns {string} - Escaped text
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Resolve a dotted path (e.g. author.url) in a JSON value, searching arrays and @graph entries
+ * @param {*} value - Parsed JSON value
+ * @param {string[]} segments - Path segments
+ * @returns {*} - First value found at the path, or undefined
+ */
+function resolvePath(value, segments) {
+  if (Array.isArray(value)) {
+    for (const item of value) {
+      const found = resolvePath(item, segments);
+      if (found !== undefined) return found;
+    }
+    return undefined;
+  }
+  
+  if (!value || typeof value !== 'object') {
+    return segments.length === 0 ? value : undefined;
+  }
+  
+  if (segments.length === 0) {
+    return value;
+  }
+  
+  const [segment, ...rest] = segments;
+  
+  if (value[segment] !== undefined) {
+    return resolvePath(value[segment], rest);
+  }
+  
+  return value['@graph'] ? resolvePath(value['@graph'], segments) : undefined;
+}
+
+/**
+ * Find a URL-valued field in JSON embedded in a store page (e.g. Next.js page data)
+ * @param {string} html - Store page HTML
+ * @param {string[]} fieldNames - JSON field names to look for, in order of preference
+ * @returns {string|undefined} - Unescaped URL
+ */
+function extractEmbeddedUrl(html, fieldNames) {
+  for (const fieldName of fieldNames) {
+    const match = html.match(new RegExp(`"${escapeRegExp(fieldName)}"\\s*:\\s*"(https?:[^"]+)"`, 'i'));
+    if (match) {
+      return match[1].replace(/\\u002F/gi, '/').replace(/\\\//g, '/');
+    }
+  }
+  
+  return undefined;
+}
+
+/**
+ * Read a value from the JSON-LD blocks of a store page
+ * @param {object} page - Page from createPage
+ * @param {string} path - Dotted path, e.g. author.url
+ * @returns {string|undefined} - Value at the path
+ */
+function extractJsonLd(page, path) {
+  const segments = path.split('.');
+  
+  for (const node of page.jsonLd) {
+    const value = resolvePath(node, segments);
+    if (typeof value === 'string' && value) {
+      return value;
+    }
+  }
+  
+  return undefined;
+}
+
+/**
+ * Read the content of a <meta> tag by name or property, in either attribute order
+ * @param {string} html - Store page HTML
+ * @param {string} name - Meta name or property
+ * @returns {string|undefined} - Meta content
+ */
+function extractMeta(html, name) {
+  const tags = html.match(/<meta\s[^>]*>/gi) || [];
+  const namePattern = new RegExp(`(?:name|property)=['"]${escapeRegExp(name)}['"]`, 'i');
+  
+  for (const tag of tags) {
+    if (namePattern.test(tag)) {
+      const content = tag.match(/content=['"]([^'"]+)['"]/i)?.[1];
+      if (content) return content;
+    }
+  }
+  
+  return undefined;
+}
+
+/**
+ * Validate a strategy definition
+ * @param {object} strategy - Strategy definition
+ * @returns {string[]} - Problems found, empty when the strategy is valid
+ */
+function validateStrategy(strategy) {
+  if (!strategy || typeof strategy !== 'object') {
+    return ['must be an object'];
+  }
+  
+  const requiredFields = STRATEGY_TYPES[strategy.type];
+  if (!requiredFields) {
+    return [`unknown type "${strategy.type}" (expected one of ${Object.keys(STRATEGY_TYPES).join(', ')})`];
+  }
+  
+  const errors = requiredFields
+    .filter(field => strategy[field] === undefined || strategy[field] === '')
+    .map(field => `${strategy.type} strategy requires "${field}"`);
+  
+  if (strategy.type === 'regex' && strategy.pattern) {
+    try {
+      const regex = new RegExp(strategy.pattern, strategy.flags || '');
+      const groups = new RegExp(`${regex.source}|`).exec('').length - 1;
+      if (groups < (strategy.group ?? 1)) {
+        errors.push(`regex has no capture group ${strategy.group ?? 1}`);
+      }
+    } catch (err) {
+      errors.push(`invalid regex: ${err.message}`);
+    }
+  }
+  
+  if (strategy.type === 'css' && strategy.selector) {
+    try {
+      cheerio.load('')(strategy.selector);
+    } catch (err) {
+      errors.push(`invalid CSS selector: ${err.message}`);
+    }
+  }
+  
+  if (strategy.type === 'jsonField' && !(Array.isArray(strategy.fields) && strategy.fields.length > 0)) {
+    errors.push('jsonField strategy requires a non-empty "fields" array');
+  }
+  
+  return errors;
+}
+
+/**
+ * Compile a validated strategy definition into an extractor function
+ * @param {object} strategy - Strategy definition
+ * @returns {function(object): (string|undefined)} - Extractor taking a page from createPage
+ */
+function compileStrategy(strategy) {
+  switch (strategy.type) {
+    case 'regex': {
+      const regex = new RegExp(strategy.pattern, strategy.flags || '');
+      const group = strategy.group ?? 1;
+      return page => page.html.match(regex)?.[group];
+    }
+    case 'meta':
+      return page => extractMeta(page.html, strategy.name);
+    case 'css':
+      return page => {
+        const element = page.$(strategy.selector).first();
+        if (element.length === 0) return undefined;
+        return strategy.attribute
+          ? element.attr(strategy.attribute)
+          : element.attr('content') || element.attr('href');
+      };
+    case 'jsonLd':
+      return page => extractJsonLd(page, strategy.path);
+    case 'jsonField':
+      return page => extractEmbeddedUrl(page.html, strategy.fields);
+    default:
+      throw new Error(`Unknown extraction strategy type: ${strategy.type}`);
+  }
+}
+
+module.exports = {
+  STRATEGY_TYPES,
+  METADATA_FIELDS,
+  METADATA_STRATEGY_FIELDS,
+  createPage,
+  extractStructuredDeveloperUrl,
+  extractAppMetadata,
+  validateStrategy,
+  compileStrategy
+};
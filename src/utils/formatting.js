@@ -75,6 +75,10 @@ function getStoreDisplayName(storeType) {
     'amazon': 'Amazon',
     'roku': 'Roku',
     'samsung': 'Samsung',
+    'huawei': 'Huawei',
+    'lg': 'LG',
+    'vizio': 'Vizio',
+    'microsoft': 'Microsoft',
     'unknown': 'Unknown'
   };
   
@@ -6,8 +6,13 @@
 'use strict';
 
 const { getLogger } = require('./logger');
+const { resolveStoreInput } = require('../config/stores');
+const { METADATA_FIELDS } = require('./extraction-strategies');
 const logger = getLogger('validation');
 
+// Fields of a structured (advanced search) query
+const STRUCTURED_QUERY_FIELDS = ['domain', 'publisherId', 'relationship', 'tagId', 'variable', 'value'];
+
 /**
  * Check if string is a numeric Roku Bundle ID
  * @param {string} id - Bundle ID to check
@@ -20,6 +25,7 @@ function isNumericRokuId(id) {
 
 /**
  * Validate bundle ID
+ * Accepts bare IDs, app store URLs and store:id prefixes (e.g. ios:389801252)
  * @param {string} id - Bundle ID to validate
  * @returns {string} - Validated and trimmed bundle ID
  * @throws {Error} - If validation fails
@@ -34,6 +40,21 @@ function validateBundleId(id) {
     throw new Error('Invalid bundle ID: cannot be empty or whitespace');
   }
   
+  // Store URLs and store:id prefixes are validated by the ID they carry
+  const resolved = resolveStoreInput(trimmedId);
+  if (resolved.detection.method !== 'format') {
+    if (!resolved.id) {
+      throw new Error(`Invalid bundle ID: ${resolved.detection.reason}`);
+    }
+    
+    if (trimmedId.length > 2048) {
+      throw new Error('Invalid bundle ID: store URL exceeds maximum length (2048 characters)');
+    }
+    
+    validateBundleId(resolved.id);
+    return trimmedId;
+  }
+  
   // Ensure the ID doesn't contain potentially harmful characters
   if (/[<>"'&;]/.test(trimmedId)) {
     throw new Error('Invalid bundle ID: contains disallowed characters');
@@ -78,7 +99,7 @@ function validateSearchTerms(terms) {
         // Check for advanced search objects (domain, publisherId, relationship, tagId)
         if (term && typeof term === 'object') {
           // Consider valid if any of these fields has content
-          const hasContent = ['domain', 'publisherId', 'relationship', 'tagId'].some(field => 
+          const hasContent = ['domain', 'publisherId', 'relationship', 'tagId', 'variable', 'value'].some(field => 
             term[field] && typeof term[field] === 'string' && term[field].trim()
           );
           
@@ -105,7 +126,7 @@ function validateSearchTerms(terms) {
           const result = {};
           
           // Transfer and normalize any valid fields
-          ['domain', 'publisherId', 'relationship', 'tagId'].forEach(field => {
+          ['domain', 'publisherId', 'relationship', 'tagId', 'variable', 'value'].forEach(field => {
             if (term[field] && typeof term[field] === 'string' && term[field].trim()) {
               result[field] = term[field].trim();
             }
@@ -134,7 +155,7 @@ function validateSearchTerms(terms) {
   
   // Handle single advanced search object
   if (typeof terms === 'object') {
-    const advancedFields = ['domain', 'publisherId', 'relationship', 'tagId'];
+    const advancedFields = ['domain', 'publisherId', 'relationship', 'tagId', 'variable', 'value'];
     const hasAdvancedField = advancedFields.some(field => 
       terms[field] && typeof terms[field] === 'string' && terms[field].trim()
     );
@@ -298,6 +319,295 @@ function validateDomains(domains, maxCount = 50) {
   };
 }
 
+/**
+ * Validate authorization tuples for POST /api/authorize
+ * @param {Object[]} tuples - Array of { bundleId, adSystemDomain, publisherId, relationship }
+ * @param {number} maxCount - Maximum allowed number of tuples
+ * @returns {object} - Object with valid tuples and validation results
+ */
+function validateAuthorizationTuples(tuples, maxCount = 500) {
+  if (!Array.isArray(tuples)) {
+    throw new Error('Tuples must be provided as an array');
+  }
+  
+  if (tuples.length === 0) {
+    throw new Error('No tuples provided');
+  }
+  
+  if (tuples.length > maxCount) {
+    throw new Error(`Too many tuples. Maximum allowed is ${maxCount}`);
+  }
+  
+  const validationResults = tuples.map((tuple, index) => {
+    try {
+      if (!tuple || typeof tuple !== 'object') {
+        throw new Error('Tuple must be an object');
+      }
+      
+      const adSystemDomain = typeof tuple.adSystemDomain === 'string' ? tuple.adSystemDomain.trim().toLowerCase() : '';
+      if (!isValidDomain(adSystemDomain)) {
+        throw new Error('Invalid ad system domain');
+      }
+      
+      const publisherId = typeof tuple.publisherId === 'string' || typeof tuple.publisherId === 'number'
+        ? String(tuple.publisherId).trim()
+        : '';
+      if (!publisherId) {
+        throw new Error('Publisher ID is required');
+      }
+      
+      const relationship = typeof tuple.relationship === 'string' ? tuple.relationship.trim().toLowerCase() : '';
+      if (relationship && relationship !== 'direct' && relationship !== 'reseller') {
+        throw new Error('Relationship must be DIRECT or RESELLER');
+      }
+      
+      return {
+        index,
+        tuple: {
+          bundleId: validateBundleId(tuple.bundleId),
+          adSystemDomain,
+          publisherId,
+          relationship: relationship || null
+        },
+        isValid: true
+      };
+    } catch (error) {
+      logger.debug({ index, error: error.message }, 'Authorization tuple validation failed');
+      return {
+        index,
+        error: error.message,
+        isValid: false
+      };
+    }
+  });
+  
+  const validTuples = validationResults
+    .filter(result => result.isValid)
+    .map(result => result.tuple);
+  
+  return {
+    validTuples,
+    results: validationResults,
+    total: tuples.length,
+    valid: validTuples.length,
+    invalid: tuples.length - validTuples.length
+  };
+}
+
+/**
+ * Validate an OpenRTB supply chain (source.ext.schain) object
+ * Accepts the schain itself, a JSON string, or a wrapper such as a bid request or source object
+ * @param {Object|string} schain - Supply chain object
+ * @param {number} maxNodes - Maximum allowed number of nodes
+ * @returns {object} - Normalized supply chain { complete, ver, nodes }
+ */
+function validateSupplyChain(schain, maxNodes = 20) {
+  let value = schain;
+  
+  if (typeof value === 'string') {
+    try {
+      value = JSON.parse(value);
+    } catch (err) {
+      throw new Error('Supply chain is not valid JSON');
+    }
+  }
+  
+  // Unwrap bid request, source and ext wrappers
+  value = value?.source?.ext?.schain || value?.ext?.schain || value?.schain || value;
+  
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error('Supply chain must be an object');
+  }
+  
+  if (!Array.isArray(value.nodes) || value.nodes.length === 0) {
+    throw new Error('Supply chain must contain at least one node');
+  }
+  
+  if (value.nodes.length > maxNodes) {
+    throw new Error(`Too many supply chain nodes. Maximum allowed is ${maxNodes}`);
+  }
+  
+  const nodes = value.nodes.map((node, index) => {
+    if (!node || typeof node !== 'object') {
+      throw new Error(`Node ${index + 1} must be an object`);
+    }
+    
+    const asi = typeof node.asi === 'string' ? node.asi.trim().toLowerCase() : '';
+    if (!isValidDomain(asi)) {
+      throw new Error(`Node ${index + 1} has an invalid asi (ad system domain)`);
+    }
+    
+    const sid = typeof node.sid === 'string' || typeof node.sid === 'number'
+      ? String(node.sid).trim()
+      : '';
+    if (!sid) {
+      throw new Error(`Node ${index + 1} is missing sid (seller ID)`);
+    }
+    
+    return {
+      asi,
+      sid,
+      hp: node.hp === undefined ? null : Number(node.hp),
+      rid: typeof node.rid === 'string' ? node.rid : null,
+      name: typeof node.name === 'string' ? node.name : null,
+      domain: typeof node.domain === 'string' ? node.domain.trim().toLowerCase() : null
+    };
+  });
+  
+  return {
+    complete: Number(value.complete) === 1 ? 1 : 0,
+    ver: typeof value.ver === 'string' ? value.ver : null,
+    nodes
+  };
+}
+
+/**
+ * Validate a storefront country code (ISO 3166-1 alpha-2)
+ * @param {string} country - Country code
+ * @returns {string} - Lowercase country code
+ */
+function validateCountryCode(country) {
+  if (typeof country !== 'string' || !/^[a-z]{2}$/i.test(country.trim())) {
+    throw new Error(`Invalid country code: ${country}. Use a two-letter code such as us or gb`);
+  }
+  
+  return country.trim().toLowerCase();
+}
+
+/**
+ * Validate the request storefront country and per-bundle country overrides
+ * @param {string} [country] - Request country code
+ * @param {Object} [bundleCountries] - Map of bundle ID to country code
+ * @returns {object} - { country, bundleCountries } with lowercase codes, null when not given
+ */
+function validateStorefrontCountries(country, bundleCountries) {
+  const result = {
+    country: country ? validateCountryCode(country) : null,
+    bundleCountries: null
+  };
+  
+  if (bundleCountries) {
+    if (typeof bundleCountries !== 'object' || Array.isArray(bundleCountries)) {
+      throw new Error('bundleCountries must be an object mapping bundle IDs to country codes');
+    }
+    
+    result.bundleCountries = {};
+    Object.entries(bundleCountries).forEach(([bundleId, code]) => {
+      if (code) {
+        result.bundleCountries[bundleId.trim()] = validateCountryCode(code);
+      }
+    });
+  }
+  
+  return result;
+}
+
+/**
+ * Validate the app metadata columns requested for a CSV export
+ * @param {string[]} [columns] - Metadata field names (see METADATA_FIELDS)
+ * @returns {string[]} - De-duplicated field names in request order, empty when none are requested
+ */
+function validateMetadataColumns(columns) {
+  if (columns === undefined || columns === null) return [];
+  
+  if (!Array.isArray(columns)) {
+    throw new Error('metadataColumns must be an array of metadata field names');
+  }
+  
+  const unknown = columns.filter(column => !METADATA_FIELDS.includes(column));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown metadata columns: ${unknown.join(', ')}. Use any of ${METADATA_FIELDS.join(', ')}`);
+  }
+  
+  return [...new Set(columns)];
+}
+
+/**
+ * Validate advanced search parameters stored with a background job
+ * Keeps only the structured query fields, as trimmed strings
+ * @param {Object|Object[]} [params] - Structured query or list of OR-ed queries
+ * @param {number} maxQueries - Maximum allowed number of queries
+ * @param {number} maxLength - Maximum allowed length of a field value
+ * @returns {Object|Object[]|null} - Normalized parameters in the given shape, null when empty
+ */
+function validateStructuredParams(params, maxQueries = 20, maxLength = 256) {
+  if (params === undefined || params === null) return null;
+  
+  if (typeof params !== 'object') {
+    throw new Error('structuredParams must be an object or an array of objects');
+  }
+  
+  const queries = Array.isArray(params) ? params : [params];
+  
+  if (queries.length > maxQueries) {
+    throw new Error(`Too many structured queries. Maximum allowed is ${maxQueries}`);
+  }
+  
+  const normalized = queries.map(query => {
+    if (!query || typeof query !== 'object' || Array.isArray(query)) {
+      throw new Error('Each structured query must be an object');
+    }
+    
+    const fields = {};
+    STRUCTURED_QUERY_FIELDS.forEach(field => {
+      const value = query[field];
+      if (value === undefined || value === null || value === '') return;
+      
+      if (typeof value !== 'string' || value.length > maxLength) {
+        throw new Error(`Structured query field "${field}" must be a string of at most ${maxLength} characters`);
+      }
+      
+      if (value.trim()) {
+        fields[field] = value.trim();
+      }
+    });
+    return fields;
+  }).filter(query => Object.keys(query).length > 0);
+  
+  if (normalized.length === 0) return null;
+  
+  return Array.isArray(params) ? normalized : normalized[0];
+}
+
+/**
+ * Validate extraction results sent to POST /api/app-families
+ * Keeps only the fields the app family linking pass reads
+ * @param {Object[]} results - Extraction results from a previous run
+ * @param {number} maxCount - Maximum allowed number of results
+ * @returns {Object[]} - Normalized results
+ */
+function validateLinkResults(results, maxCount = 200) {
+  if (!Array.isArray(results)) {
+    throw new Error('Results must be provided as an array');
+  }
+  
+  if (results.length === 0) {
+    throw new Error('No results provided');
+  }
+  
+  if (results.length > maxCount) {
+    throw new Error(`Too many results. Maximum allowed is ${maxCount}`);
+  }
+  
+  const asString = value => (typeof value === 'string' && value.trim() ? value.trim() : null);
+  
+  return results
+    .filter(result => result && typeof result === 'object')
+    .map(result => ({
+      bundleId: asString(result.bundleId),
+      storeType: asString(result.storeType),
+      success: result.success === true,
+      domain: asString(result.domain),
+      developerUrl: asString(result.developerUrl),
+      developerUrlClass: asString(result.developerUrlClass),
+      appAdsTxt: { exists: result.appAdsTxt?.exists === true || result.hasAppAds === true },
+      metadata: {
+        title: asString(result.metadata?.title),
+        developerName: asString(result.metadata?.developerName)
+      }
+    }));
+}
+
 module.exports = {
   validateBundleId,
   validateSearchTerms,
@@ -305,5 +615,12 @@ module.exports = {
   isValidUrl,
   validateBundleIds,
   validateDomains,
+  validateAuthorizationTuples,
+  validateSupplyChain,
+  validateCountryCode,
+  validateStorefrontCountries,
+  validateMetadataColumns,
+  validateStructuredParams,
+  validateLinkResults,
   isNumericRokuId
 };
\ No newline at end of file
@@ -6,6 +6,13 @@
 'use strict';
 
 const { parentPort, workerData, threadId } = require('worker_threads');
+const {
+  parseAppAdsVariable,
+  createVariableCounts,
+  countVariable,
+  extractVariables
+} = require('../utils/app-ads-parser');
+const { lintAppAdsTxt } = require('../utils/app-ads-linter');
 
 // Flag to track if we've sent a final result
 let resultSent = false;
@@ -411,6 +418,7 @@ function analyzeAppAdsTxtInChunks(lines, options = {}) {
     let commentLineCount = 0;
     let emptyLineCount = 0;
     let invalidLineCount = 0;
+    let variableLineCount = 0;
     
     // Use Set for memory-efficient unique domain tracking
     const publishers = new Set();
@@ -419,6 +427,7 @@ function analyzeAppAdsTxtInChunks(lines, options = {}) {
       reseller: 0,
       other: 0
     };
+    const variableCounts = createVariableCounts();
     
     // Process in smaller chunks with memory monitoring
     const CHUNK_SIZE = 2000; // Reduced from 5000 to 2000 for better memory management
@@ -463,6 +472,14 @@ function analyzeAppAdsTxtInChunks(lines, options = {}) {
             continue;
           }
           
+          // Variable records (e.g. OWNERDOMAIN=example.com) are not data records
+          const variableRecord = parseAppAdsVariable(cleanLine);
+          if (variableRecord) {
+            variableLineCount++;
+            countVariable(variableCounts, variableRecord.variable);
+            continue;
+          }
+          
           // Parse fields
           const fields = cleanLine.split(',').map(f => f.trim());
           
@@ -523,8 +540,10 @@ function analyzeAppAdsTxtInChunks(lines, options = {}) {
       commentLines: commentLineCount,
       emptyLines: emptyLineCount,
       invalidLines: invalidLineCount,
+      variableLines: variableLineCount,
       uniquePublishers: publishers.size,
-      relationships
+      relationships,
+      variables: variableCounts
     };
   } catch (err) {
     // Report error to parent
@@ -630,7 +649,7 @@ function processAppAdsContent() {
         // Standard approach for smaller files
         lines = content.split(/\r\n|\n|\r/);
       }
-      
+    
     } catch (splitErr) {
       throw new Error(`Failed to split content into lines: ${splitErr.message}`);
     }
@@ -660,8 +679,10 @@ function processAppAdsContent() {
         commentLines: 0,
         emptyLines: 0,
         invalidLines: lines.length,
+        variableLines: 0,
         uniquePublishers: 0,
         relationships: { direct: 0, reseller: 0, other: 0 },
+        variables: createVariableCounts(),
         error: 'Analysis error'
       };
     }
@@ -696,6 +717,10 @@ function processAppAdsContent() {
       }
     }
     
+    // Collect variable records and lint diagnostics before releasing the lines
+    const variables = extractVariables(lines);
+    const lint = lintAppAdsTxt(lines, { maxDiagnostics: workerData.maxLintDiagnostics });
+    
     // Clear lines array to free memory before sending results
     lines = null;
     global.gc && global.gc();
@@ -713,6 +738,8 @@ function processAppAdsContent() {
     // Create the final result object
     const finalResult = {
       analyzed,
+      variables,
+      lint,
       searchResults,
       contentLength: content.length,
       lineCount: analyzed.totalLines,
@@ -738,7 +765,7 @@ function processAppAdsContent() {
     } else {
       throw new Error('Failed to send final result to parent');
     }
-    
+  
   } catch (error) {
     // Send error to parent thread
     safeSendToParent({
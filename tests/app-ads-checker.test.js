@@ -0,0 +1,90 @@
+/**
+ * app-ads.txt fetch error reporting
+ * HTTP requests go through the mocked fetchUrl, which wraps axios errors like src/utils/http.js
+ */
+
+'use strict';
+
+jest.mock('axios', () => ({
+  head: jest.fn(async () => {
+    throw new Error('HEAD not supported');
+  })
+}));
+
+jest.mock('../src/utils/http', () => ({
+  fetchUrl: jest.fn()
+}));
+
+jest.mock('../src/services/cache', () => ({
+  get: jest.fn(async () => null),
+  set: jest.fn(async () => true)
+}));
+
+jest.mock('../src/services/rate-limiter', () => ({
+  limit: jest.fn(async () => {}),
+  reportSuccess: jest.fn(),
+  reportError: jest.fn()
+}));
+
+jest.mock('../src/services/worker-pool', () => ({
+  WorkerPool: jest.fn(() => ({ runTask: jest.fn(), shutdown: jest.fn() })),
+  Priority: { LOW: 0, NORMAL: 1, HIGH: 2 }
+}));
+
+jest.mock('../src/services/memory-manager', () => ({
+  checkMemoryUsage: jest.fn()
+}));
+
+const { fetchUrl } = require('../src/utils/http');
+const rateLimiter = require('../src/services/rate-limiter');
+const { checkAppAdsTxt } = require('../src/core/app-ads-checker');
+
+/**
+ * Create the error fetchUrl throws for an HTTP error response
+ * @param {string} url - Requested URL
+ * @param {number} status - Response status
+ * @param {string} statusText - Response status text
+ * @returns {Error} - Wrapped error
+ */
+function httpError(url, status, statusText) {
+  const originalError = new Error(`Request failed with status code ${status}`);
+  originalError.response = { status, statusText, headers: {} };
+  
+  const error = new Error(`Failed to fetch ${url}: ${originalError.message}`);
+  error.originalError = originalError;
+  error.status = status;
+  error.url = url;
+  return error;
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('checkAppAdsTxt fetch errors', () => {
+  test('reports a 429 during a policy fetch to the rate limiter', async () => {
+    fetchUrl.mockImplementation(async url => {
+      throw httpError(url, 429, 'Too Many Requests');
+    });
+    
+    const result = await checkAppAdsTxt('example.com', null, { skipCache: true });
+    
+    expect(result.exists).toBe(false);
+    expect(result.fetchErrors).toEqual([
+      expect.objectContaining({ protocol: 'https', status: 429, statusText: 'Too Many Requests' }),
+      expect.objectContaining({ protocol: 'http', status: 429, statusText: 'Too Many Requests' })
+    ]);
+    expect(rateLimiter.reportError).toHaveBeenCalledWith('app-ads-txt', 429);
+  });
+  
+  test('does not report missing files to the rate limiter', async () => {
+    fetchUrl.mockImplementation(async url => {
+      throw httpError(url, 404, 'Not Found');
+    });
+    
+    const result = await checkAppAdsTxt('example.com', null, { skipCache: true });
+    
+    expect(result.fetchErrors[0]).toMatchObject({ status: 404, statusText: 'Not Found' });
+    expect(rateLimiter.reportError).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * app-ads.txt lint codes, positions and reports
+ */
+
+'use strict';
+
+const { LINT_RULES, lintAppAdsLine, lintAppAdsTxt } = require('../src/utils/app-ads-linter');
+
+/**
+ * Lint one line and keep the code and column of each diagnostic
+ * @param {string} line - Raw line
+ * @param {number} [lineNumber=2] - 1-based line number
+ * @returns {Array<Array>} - [code, column] pairs
+ */
+function lint(line, lineNumber = 2) {
+  return lintAppAdsLine(line, lineNumber).map(diagnostic => [diagnostic.code, diagnostic.column]);
+}
+
+describe('lintAppAdsLine', () => {
+  test.each([
+    'google.com, pub-1234567890, DIRECT, f08c47fec0942fa0',
+    'appnexus.com, 12447, RESELLER',
+    'OWNERDOMAIN=example.com',
+    'CONTACT=ads@example.com',
+    '# Comment with non-ASCII characters: \u00E9 \u00FC',
+    'google.com, pub-1, DIRECT # trailing comment',
+    '',
+    '   '
+  ])('reports nothing for %p', line => {
+    expect(lint(line)).toEqual([]);
+  });
+  
+  test.each([
+    ['google.com, pub-1', [['E100', 1]]],
+    [', pub-1, DIRECT', [['E101', 1]]],
+    ['google_com, pub-1, DIRECT', [['E102', 1]]],
+    ['google.com, , DIRECT', [['E103', 13]]],
+    ['google.com, pub-1, OWNER', [['E104', 20]]],
+    ['google.com, pub-1, DIRECT, f08c-47fe', [['E105', 28]]],
+    ['OWNERDOMAIN=', [['E200', 13]]],
+    ['SUBDOMAIN=not a domain', [['E201', 11]]],
+    ['google.com, pub-1\u0007, DIRECT', [['E301', 18]]],
+    ['google.com,\u00A0pub-1, DIRECT', [['E302', 12]]],
+    ['google.com, pub-1\uFFFD, DIRECT', [['E300', 18]]],
+    ['google.com, pub-1, direct', [['W100', 20]]],
+    ['google.com, pub-1, DIRECT, abc123, extra', [['W101', 36]]],
+    ['google.com, pub 1, DIRECT', [['W102', 13]]],
+    ['google.com, pub-1, DIRECT,', [['W103', 27]]],
+    ['FOO=bar', [['W200', 1]]],
+    ['googl\u00E9.com, pub-1, DIRECT', [['W301', 6], ['E102', 1]]]
+  ])('reports %p as %j', (line, expected) => {
+    expect(lint(line)).toEqual(expected);
+  });
+  
+  test('reports a byte order mark only on the first line', () => {
+    expect(lint('\uFEFFgoogle.com, pub-1, DIRECT', 1)).toEqual([['W300', 1]]);
+    expect(lint('\uFEFFgoogle.com, pub-1, DIRECT', 2)).toEqual([['E302', 1]]);
+  });
+  
+  test('ignores a CRLF line ending', () => {
+    expect(lint('google.com, pub-1, DIRECT\r')).toEqual([]);
+  });
+  
+  test('accepts extension data after the certification authority ID', () => {
+    expect(lint('google.com, pub-1, DIRECT, f08c47fec0942fa0;ext=1')).toEqual([]);
+  });
+  
+  test('reports the rule, severity, line and detail of each code', () => {
+    expect(lintAppAdsLine('google.com, pub-1, OWNER', 7)).toEqual([{
+      code: 'E104',
+      rule: LINT_RULES.E104.rule,
+      severity: 'error',
+      line: 7,
+      column: 20,
+      message: `${LINT_RULES.E104.message}: OWNER`
+    }]);
+  });
+});
+
+describe('lintAppAdsTxt', () => {
+  const content = [
+    'google.com, pub-1, DIRECT',
+    'google.com, pub-1, direct',
+    'google.com, pub-1',
+    'FOO=bar'
+  ].join('\r\n');
+  
+  test('counts errors and warnings across lines', () => {
+    const report = lintAppAdsTxt(content);
+    
+    expect(report).toMatchObject({ valid: false, errorCount: 1, warningCount: 2, truncated: false });
+    expect(report.diagnostics.map(diagnostic => [diagnostic.code, diagnostic.line])).toEqual([
+      ['W100', 2],
+      ['E100', 3],
+      ['W200', 4]
+    ]);
+  });
+  
+  test('keeps counting beyond maxDiagnostics', () => {
+    const report = lintAppAdsTxt(content, { maxDiagnostics: 1 });
+    
+    expect(report).toMatchObject({ errorCount: 1, warningCount: 2, truncated: true });
+    expect(report.diagnostics).toHaveLength(1);
+  });
+  
+  test('reports a file with only warnings as valid', () => {
+    expect(lintAppAdsTxt('google.com, pub-1, direct\n')).toMatchObject({ valid: true, errorCount: 0, warningCount: 1 });
+  });
+});
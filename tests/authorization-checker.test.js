@@ -0,0 +1,137 @@
+/**
+ * Authorization verdicts for (bundle ID, ad system, seller ID) tuples
+ */
+
+'use strict';
+
+jest.mock('../src/core/store-extractor', () => ({
+  getDeveloperInfo: jest.fn()
+}));
+
+const { getDeveloperInfo } = require('../src/core/store-extractor');
+const { VERDICTS, authorizeTuples } = require('../src/core/authorization-checker');
+
+const APP_ADS_TXT = [
+  '# app-ads.txt',
+  'google.com, pub-1, DIRECT, f08c47fec0942fa0',
+  'google.com, pub-1, RESELLER',
+  'appnexus.com, 12447, RESELLER',
+  'pubmatic.com, 156077, DIRECT'
+].join('\n');
+
+// Store lookups by bundle ID
+const BUNDLES = {
+  'com.example.full': {
+    success: true,
+    domain: 'example.com',
+    appAdsTxt: { exists: true, url: 'https://example.com/app-ads.txt', content: APP_ADS_TXT }
+  },
+  'com.example.streamed': {
+    success: true,
+    domain: 'streamed.com',
+    appAdsTxt: { exists: true, url: 'https://streamed.com/app-ads.txt', content: APP_ADS_TXT, processingMethod: 'stream' }
+  },
+  'com.example.missing': {
+    success: true,
+    domain: 'missing.com',
+    appAdsTxt: { exists: false }
+  },
+  'com.example.unlisted': {
+    success: false,
+    error: 'App not found'
+  }
+};
+
+/**
+ * Create a tuple for a bundle ID
+ * @param {string} bundleId - Bundle ID
+ * @param {string} adSystemDomain - Ad system domain
+ * @param {string} publisherId - Seller ID
+ * @param {string} [relationship] - DIRECT or RESELLER
+ * @returns {object} - Tuple
+ */
+function tuple(bundleId, adSystemDomain, publisherId, relationship) {
+  return { bundleId, adSystemDomain, publisherId, relationship };
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  getDeveloperInfo.mockImplementation(async bundleId => ({ bundleId, ...BUNDLES[bundleId] }));
+});
+
+describe('authorizeTuples', () => {
+  test.each([
+    ['a DIRECT seller without a requested relationship', tuple('com.example.full', 'google.com', 'pub-1'), VERDICTS.AUTHORIZED_DIRECT, 2],
+    ['a requested RESELLER relationship', tuple('com.example.full', 'google.com', 'pub-1', 'RESELLER'), VERDICTS.AUTHORIZED_RESELLER, 3],
+    ['a RESELLER-only seller', tuple('com.example.full', 'appnexus.com', '12447'), VERDICTS.AUTHORIZED_RESELLER, 4],
+    ['ad system domains in any case', tuple('com.example.full', 'PubMatic.com', '156077', 'direct'), VERDICTS.AUTHORIZED_DIRECT, 5]
+  ])('authorizes %s', async (_, request, verdict, lineNumber) => {
+    const [result] = await authorizeTuples([request]);
+    
+    expect(result).toMatchObject({ verdict, lineNumber, partial: false, appAdsTxtUrl: 'https://example.com/app-ads.txt' });
+  });
+  
+  test('does not authorize a seller ID that only matches partially', async () => {
+    const [result] = await authorizeTuples([tuple('com.example.full', 'google.com', 'pub-12')]);
+    
+    expect(result).toMatchObject({ verdict: VERDICTS.UNAUTHORIZED, lineNumber: null });
+  });
+  
+  test('reports the listed line of a seller with another relationship', async () => {
+    const [result] = await authorizeTuples([tuple('com.example.full', 'appnexus.com', '12447', 'DIRECT')]);
+    
+    expect(result).toMatchObject({
+      verdict: VERDICTS.UNAUTHORIZED,
+      mismatchedLineNumber: 4,
+      mismatchedLine: 'appnexus.com, 12447, RESELLER'
+    });
+  });
+  
+  test('answers unknown instead of unauthorized for a partial file', async () => {
+    const results = await authorizeTuples([
+      tuple('com.example.streamed', 'google.com', 'pub-9'),
+      tuple('com.example.streamed', 'google.com', 'pub-1')
+    ]);
+    
+    expect(results[0]).toMatchObject({ verdict: VERDICTS.UNKNOWN, partial: true });
+    expect(results[1]).toMatchObject({ verdict: VERDICTS.AUTHORIZED_DIRECT, partial: true });
+  });
+  
+  test('answers unknown for a file whose cached content was truncated', async () => {
+    getDeveloperInfo.mockImplementation(async bundleId => ({
+      bundleId,
+      success: true,
+      domain: 'large.com',
+      appAdsTxt: { exists: true, url: 'https://large.com/app-ads.txt', content: `${APP_ADS_TXT}\n... (truncated, file too large)` }
+    }));
+    
+    const [result] = await authorizeTuples([tuple('com.example.large', 'openx.com', '5371')]);
+    
+    expect(result.verdict).toBe(VERDICTS.UNKNOWN);
+  });
+  
+  test('reports apps without app-ads.txt and failed store lookups', async () => {
+    const results = await authorizeTuples([
+      tuple('com.example.missing', 'google.com', 'pub-1'),
+      tuple('com.example.unlisted', 'google.com', 'pub-1')
+    ]);
+    
+    expect(results[0]).toMatchObject({ verdict: VERDICTS.NO_APP_ADS_TXT, developerDomain: 'missing.com' });
+    expect(results[1]).toMatchObject({ verdict: VERDICTS.STORE_ERROR, error: 'App not found' });
+  });
+  
+  test('looks up each bundle ID once and keeps the request order', async () => {
+    const results = await authorizeTuples([
+      tuple('com.example.full', 'google.com', 'pub-9'),
+      tuple('com.example.missing', 'google.com', 'pub-1'),
+      tuple('com.example.full', 'google.com', 'pub-1')
+    ]);
+    
+    expect(getDeveloperInfo).toHaveBeenCalledTimes(2);
+    expect(results.map(result => result.verdict)).toEqual([
+      VERDICTS.UNAUTHORIZED,
+      VERDICTS.NO_APP_ADS_TXT,
+      VERDICTS.AUTHORIZED_DIRECT
+    ]);
+  });
+});
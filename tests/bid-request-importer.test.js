@@ -0,0 +1,130 @@
+/**
+ * Bundle ID import from OpenRTB bid request JSONL dumps
+ */
+
+'use strict';
+
+const { normalizeBundleId, importBidRequests } = require('../src/utils/bid-request-importer');
+
+/**
+ * Serialize bid requests as JSONL
+ * @param {object[]} requests - Bid requests
+ * @returns {string} - JSONL content
+ */
+function jsonl(requests) {
+  return requests.map(request => JSON.stringify(request)).join('\n');
+}
+
+describe('normalizeBundleId', () => {
+  test.each([
+    ['com.example.app', 'com.example.app', 'googleplay'],
+    ['id1234567890', '1234567890', 'appstore'],
+    ['b01abcdefg', 'B01ABCDEFG', 'amazon'],
+    ['https://play.google.com/store/apps/details?id=com.example.app', 'com.example.app', 'googleplay'],
+    ['https://apps.apple.com/us/app/example/id1234567890', '1234567890', 'appstore'],
+    ['https://www.microsoft.com/store/apps/9nblggh4r32n', '9NBLGGH4R32N', 'microsoft']
+  ])('normalizes %p', (value, bundleId, storeType) => {
+    expect(normalizeBundleId(value)).toEqual({ bundleId, storeType });
+  });
+  
+  test('prefixes the store from a URL when the bare ID would be detected as another store', () => {
+    expect(normalizeBundleId('https://apps.apple.com/us/app/example/id12345')).toEqual({
+      bundleId: 'appstore:12345',
+      storeType: 'appstore'
+    });
+  });
+  
+  test.each([
+    '',
+    '   ',
+    'not a bundle',
+    'https://example.com/app',
+    null,
+    { id: 'com.example.app' }
+  ])('does not recognize %p', value => {
+    expect(normalizeBundleId(value)).toBeNull();
+  });
+});
+
+describe('importBidRequests', () => {
+  test('counts requests per bundle ID and orders bundles by count', () => {
+    const result = importBidRequests(jsonl([
+      { id: '1', app: { bundle: 'com.example.one' } },
+      { id: '2', app: { bundle: 'id1234567890' } },
+      { id: '3', app: { bundle: 'com.example.one' } },
+      { id: '4', app: { bundle: '1234567890' } },
+      { id: '5', app: { bundle: 'com.example.one' } }
+    ]));
+    
+    expect(result.bundles.map(bundle => [bundle.bundleId, bundle.storeType, bundle.count])).toEqual([
+      ['com.example.one', 'googleplay', 3],
+      ['1234567890', 'appstore', 2]
+    ]);
+    expect(result.stats).toEqual({
+      lines: 5,
+      requests: 5,
+      invalidJson: 0,
+      withoutApp: 0,
+      unrecognized: 0,
+      uniqueBundles: 2
+    });
+  });
+  
+  test('falls back to the store URL when the bundle is not a store ID', () => {
+    const result = importBidRequests(jsonl([
+      { app: { bundle: 'Example Game', storeurl: 'https://play.google.com/store/apps/details?id=com.example.game' } },
+      { app: { storeurl: 'https://apps.apple.com/us/app/example/id1234567890' } }
+    ]));
+    
+    expect(result.bundles.map(bundle => bundle.bundleId)).toEqual(['com.example.game', '1234567890']);
+  });
+  
+  test('counts skipped lines by reason', () => {
+    const result = importBidRequests([
+      '{"app":{"bundle":"com.example.one"}}',
+      '{"app":',
+      '',
+      '{"site":{"domain":"example.com"}}',
+      '{"app":{"bundle":"Example Game"}}',
+      '   '
+    ].join('\r\n'));
+    
+    expect(result.stats).toEqual({
+      lines: 4,
+      requests: 2,
+      invalidJson: 1,
+      withoutApp: 1,
+      unrecognized: 1,
+      uniqueBundles: 1
+    });
+  });
+  
+  test('keeps the most frequent publishers of each bundle', () => {
+    const requests = [
+      { app: { bundle: 'com.example.one', publisher: { id: 'p-1', name: 'Publisher One', domain: 'one.com' } } },
+      { app: { bundle: 'com.example.one', publisher: { id: 2, name: 'Publisher Two' } } },
+      { app: { bundle: 'com.example.one', publisher: { id: 2 } } },
+      { app: { bundle: 'com.example.one', publisher: { domain: 'three.com' } } },
+      { app: { bundle: 'com.example.one', publisher: {} } }
+    ];
+    
+    for (let i = 0; i < 12; i++) {
+      requests.push({ app: { bundle: 'com.example.one', publisher: { id: `extra-${i}` } } });
+    }
+    
+    const [bundle] = importBidRequests(jsonl(requests)).bundles;
+    
+    expect(bundle.count).toBe(17);
+    expect(bundle.publishers).toHaveLength(10);
+    expect(bundle.publishers[0]).toEqual({ id: '2', name: 'Publisher Two', domain: null, count: 2 });
+    expect(bundle.publishers[1]).toEqual({ id: 'p-1', name: 'Publisher One', domain: 'one.com', count: 1 });
+    expect(bundle.publishers[2]).toEqual({ id: null, name: null, domain: 'three.com', count: 1 });
+  });
+  
+  test('returns an empty result for empty content', () => {
+    expect(importBidRequests('')).toEqual({
+      bundles: [],
+      stats: { lines: 0, requests: 0, invalidJson: 0, withoutApp: 0, unrecognized: 0, uniqueBundles: 0 }
+    });
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * app-ads.txt host derivation and redirect policy checks
+ */
+
+'use strict';
+
+jest.mock('../src/utils/http', () => ({
+  fetchUrl: jest.fn()
+}));
+
+const { fetchUrl } = require('../src/utils/http');
+const { deriveAppAdsHost, fetchWithPolicy } = require('../src/core/crawler-policy');
+
+const SPEC_POLICY = {
+  hostDerivation: 'spec',
+  strippedPrefixes: ['www', 'm'],
+  allowDelegation: true,
+  maxRedirects: 5
+};
+
+/**
+ * Serve responses by URL, redirecting where a Location is given
+ * @param {object} routes - Location header by URL; URLs without a route return the file
+ */
+function serve(routes) {
+  fetchUrl.mockImplementation(async url => {
+    if (routes[url]) {
+      return { status: 301, headers: { location: routes[url] }, data: { destroy: jest.fn() } };
+    }
+    return { status: 200, headers: {}, data: 'google.com, pub-1, DIRECT' };
+  });
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('deriveAppAdsHost', () => {
+  test.each([
+    ['https://www.example.com/about', 'example.com'],
+    ['https://m.example.com', 'example.com'],
+    ['games.example.com', 'games.example.com'],
+    ['https://www.games.example.co.uk/', 'games.example.co.uk'],
+    ['https://user@Example.COM:8080/path', 'example.com'],
+    ['https://www.com', 'www.com'],
+    ['', '']
+  ])('derives the spec host of %p', (developerUrl, host) => {
+    expect(deriveAppAdsHost(developerUrl, SPEC_POLICY)).toBe(host);
+  });
+  
+  test('reduces every host to its root domain with the registrable derivation', () => {
+    const policy = { ...SPEC_POLICY, hostDerivation: 'registrable' };
+    
+    expect(deriveAppAdsHost('https://www.games.example.co.uk/', policy)).toBe('example.co.uk');
+  });
+});
+
+describe('fetchWithPolicy', () => {
+  test('returns the file without redirects', async () => {
+    serve({});
+    
+    const result = await fetchWithPolicy('https://example.com/app-ads.txt', { timeout: 1000 }, SPEC_POLICY);
+    
+    expect(result).toMatchObject({ finalUrl: 'https://example.com/app-ads.txt', redirects: [], violations: [], compliant: true });
+    expect(fetchUrl).toHaveBeenCalledWith('https://example.com/app-ads.txt', expect.objectContaining({ timeout: 1000, maxRedirects: 0 }));
+  });
+  
+  test('follows redirects within the root domain', async () => {
+    serve({
+      'https://example.com/app-ads.txt': 'https://www.example.com/app-ads.txt',
+      'https://www.example.com/app-ads.txt': '/ads/app-ads.txt'
+    });
+    
+    const result = await fetchWithPolicy('https://example.com/app-ads.txt', {}, SPEC_POLICY);
+    
+    expect(result.finalUrl).toBe('https://www.example.com/ads/app-ads.txt');
+    expect(result.redirects.map(redirect => redirect.crossDomain)).toEqual([false, false]);
+    expect(result.compliant).toBe(true);
+  });
+  
+  test('accepts one delegation to another domain', async () => {
+    serve({ 'https://example.com/app-ads.txt': 'https://adhost.net/example/app-ads.txt' });
+    
+    const result = await fetchWithPolicy('https://example.com/app-ads.txt', {}, SPEC_POLICY);
+    
+    expect(result.redirects).toEqual([{
+      from: 'https://example.com/app-ads.txt',
+      to: 'https://adhost.net/example/app-ads.txt',
+      status: 301,
+      crossDomain: true
+    }]);
+    expect(result.compliant).toBe(true);
+  });
+  
+  test('reports a redirect after delegation', async () => {
+    serve({
+      'https://example.com/app-ads.txt': 'https://adhost.net/example/app-ads.txt',
+      'https://adhost.net/example/app-ads.txt': 'https://cdn.adhost.net/example/app-ads.txt'
+    });
+    
+    const result = await fetchWithPolicy('https://example.com/app-ads.txt', {}, SPEC_POLICY);
+    
+    expect(result.finalUrl).toBe('https://cdn.adhost.net/example/app-ads.txt');
+    expect(result.violations).toEqual([
+      expect.objectContaining({ code: 'redirect-after-delegation', url: 'https://cdn.adhost.net/example/app-ads.txt' })
+    ]);
+    expect(result.compliant).toBe(false);
+  });
+  
+  test('reports cross-domain redirects when delegation is not allowed', async () => {
+    serve({ 'https://example.com/app-ads.txt': 'https://adhost.net/example/app-ads.txt' });
+    
+    const result = await fetchWithPolicy('https://example.com/app-ads.txt', {}, { ...SPEC_POLICY, allowDelegation: false });
+    
+    expect(result.violations).toEqual([
+      expect.objectContaining({ code: 'cross-domain-redirect', url: 'https://adhost.net/example/app-ads.txt' })
+    ]);
+    expect(result.compliant).toBe(false);
+  });
+  
+  test('releases the body of redirect responses', async () => {
+    const destroy = jest.fn();
+    fetchUrl
+      .mockResolvedValueOnce({ status: 302, headers: { location: '/app-ads.txt?v=2' }, data: { destroy } })
+      .mockResolvedValueOnce({ status: 200, headers: {}, data: '' });
+    
+    await fetchWithPolicy('https://example.com/app-ads.txt', {}, SPEC_POLICY);
+    
+    expect(destroy).toHaveBeenCalled();
+  });
+  
+  test('stops after maxRedirects', async () => {
+    serve({
+      'https://example.com/app-ads.txt': 'https://example.com/a',
+      'https://example.com/a': 'https://example.com/app-ads.txt'
+    });
+    
+    await expect(fetchWithPolicy('https://example.com/app-ads.txt', {}, { ...SPEC_POLICY, maxRedirects: 3 }))
+      .rejects.toThrow('Too many redirects');
+    expect(fetchUrl).toHaveBeenCalledTimes(4);
+  });
+  
+  test.each([
+    ['without a Location header', { status: 301, headers: {} }, 'Redirect without a Location header'],
+    ['to another protocol', { status: 301, headers: { location: 'ftp://example.com/app-ads.txt' } }, 'Unsupported redirect to ftp:']
+  ])('rejects a redirect %s', async (_, response, message) => {
+    fetchUrl.mockResolvedValue(response);
+    
+    await expect(fetchWithPolicy('https://example.com/app-ads.txt', {}, SPEC_POLICY)).rejects.toThrow(message);
+  });
+});
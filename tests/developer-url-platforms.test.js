@@ -0,0 +1,57 @@
+/**
+ * Developer URL classification against the platforms file
+ */
+
+'use strict';
+
+const { classifyDeveloperUrl, validatePlatforms } = require('../src/config/developer-url-platforms');
+
+describe('classifyDeveloperUrl', () => {
+  test.each([
+    ['https://www.facebook.com/examplestudio', 'social', 'facebook.com'],
+    ['https://linktr.ee/examplestudio', 'link-in-bio', 'linktr.ee'],
+    ['https://foo.github.io/privacy', 'hosting', 'github.io'],
+    ['https://FOO.GitHub.io.', 'hosting', 'github.io'],
+    ['https://sites.google.com/view/examplestudio', 'hosting', 'sites.google.com'],
+    ['https://play.google.com/store/apps/dev?id=123', 'store', 'play.google.com'],
+    ['github.io', 'hosting', 'github.io']
+  ])('classifies %p as %s', (url, developerUrlClass, platform) => {
+    expect(classifyDeveloperUrl(url)).toEqual({ developerUrlClass, platform });
+  });
+  
+  test.each([
+    'https://www.example.com',
+    'https://notgithub.io',
+    'https://github.io.example.com',
+    'https://mysites.google.com',
+    'https://www.google.com',
+    '',
+    undefined
+  ])('classifies %p as the developer\'s own site', url => {
+    expect(classifyDeveloperUrl(url)).toEqual({ developerUrlClass: 'developer', platform: null });
+  });
+});
+
+describe('validatePlatforms', () => {
+  test('accepts lowercase domain lists for known classes', () => {
+    expect(validatePlatforms({ social: ['facebook.com'], hosting: ['github.io', 'sites.google.com'] })).toEqual([]);
+  });
+  
+  test('reports unknown classes, non-array lists and invalid domains', () => {
+    expect(validatePlatforms({
+      developer: ['example.com'],
+      social: 'facebook.com',
+      hosting: ['GitHub.io', 'localhost', 42]
+    })).toEqual([
+      'Unknown class "developer". Use any of social, link-in-bio, hosting, store',
+      'social: must be an array of domains',
+      'hosting[0]: "GitHub.io" is not a lowercase domain',
+      'hosting[1]: "localhost" is not a lowercase domain',
+      'hosting[2]: "42" is not a lowercase domain'
+    ]);
+  });
+  
+  test.each([null, [], 'social'])('rejects %p', platforms => {
+    expect(validatePlatforms(platforms)).toEqual(['Platforms must be an object of domain lists keyed by class']);
+  });
+});
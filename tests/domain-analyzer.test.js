@@ -0,0 +1,149 @@
+/**
+ * Linking the store versions of an app into app families
+ */
+
+'use strict';
+
+jest.mock('../src/services/cache', () => ({
+  get: jest.fn(async () => null),
+  set: jest.fn(async () => true)
+}));
+
+const { linkAppFamilies, normalizeAppTitle } = require('../src/core/domain-analyzer');
+
+/**
+ * Create a successful extraction result
+ * @param {string} bundleId - Bundle ID
+ * @param {string} storeType - Store type
+ * @param {string} domain - Developer domain
+ * @param {object} [extra] - Extra result fields, such as metadata
+ * @returns {object} - Extraction result
+ */
+function app(bundleId, storeType, domain, extra = {}) {
+  return { success: true, bundleId, storeType, domain, appAdsTxt: { exists: false }, ...extra };
+}
+
+/**
+ * Get the bundle IDs of each family
+ * @param {object} report - linkAppFamilies report
+ * @returns {string[][]} - Bundle IDs per family
+ */
+function familyBundleIds(report) {
+  return report.families.map(family => family.apps.map(member => member.bundleId));
+}
+
+describe('normalizeAppTitle', () => {
+  test.each([
+    ['Example Puzzle\u2122 - Brain Game', 'example puzzle'],
+    ['Example Puzzle for iPhone', 'example puzzle'],
+    ['Example Puzzle: Roku Edition', 'example puzzle'],
+    ['Caf\u00E9 Story HD', 'cafe story'],
+    ['TV App', null],
+    [undefined, null]
+  ])('normalizes %p to %p', (title, expected) => {
+    expect(normalizeAppTitle(title)).toBe(expected);
+  });
+});
+
+describe('linkAppFamilies', () => {
+  test('links store versions with the same title and developer domain', () => {
+    const report = linkAppFamilies([
+      app('com.example.puzzle', 'googleplay', 'example.com', {
+        metadata: { title: 'Example Puzzle', developerName: 'Example Inc.' },
+        appAdsTxt: { exists: true }
+      }),
+      app('1234567890', 'appstore', 'Example.com', { metadata: { title: 'Example Puzzle for iPhone' } }),
+      app('com.example.racer', 'googleplay', 'example.com', { metadata: { title: 'Example Racer' } })
+    ]);
+    
+    expect(familyBundleIds(report)).toEqual([['com.example.puzzle', '1234567890']]);
+    expect(report.families[0]).toMatchObject({
+      title: 'Example Puzzle',
+      developerName: 'Example Inc.',
+      matchedBy: 'title',
+      stores: ['googleplay', 'appstore'],
+      domains: ['example.com'],
+      domainsAgree: true,
+      coverage: { withAppAdsTxt: 1, withoutAppAdsTxt: 1, complete: false }
+    });
+    expect(report).toMatchObject({ linkedApps: 2, crossStoreFamilies: 1, domainMismatches: 0, partialCoverage: 1 });
+  });
+  
+  test('links versions with different domains through the developer name', () => {
+    const report = linkAppFamilies([
+      app('com.example.puzzle', 'googleplay', 'example.com', {
+        metadata: { title: 'Example Puzzle', developerName: 'Example Games, Inc.' }
+      }),
+      app('1234567890', 'appstore', 'examplegames.io', {
+        metadata: { title: 'Example Puzzle', developerName: 'Example Games' }
+      })
+    ]);
+    
+    expect(familyBundleIds(report)).toEqual([['com.example.puzzle', '1234567890']]);
+    expect(report.families[0]).toMatchObject({ domains: ['example.com', 'examplegames.io'], domainsAgree: false });
+    expect(report.domainMismatches).toBe(1);
+  });
+  
+  test('groups apps without a title by developer domain', () => {
+    const report = linkAppFamilies([
+      app('com.example.one', 'googleplay', 'example.com', { appAdsTxt: { exists: true } }),
+      app('com.example.two', 'googleplay', 'example.com', { hasAppAds: true }),
+      app('com.other.app', 'googleplay', 'other.com')
+    ]);
+    
+    expect(familyBundleIds(report)).toEqual([['com.example.one', 'com.example.two']]);
+    expect(report.families[0]).toMatchObject({
+      title: null,
+      matchedBy: 'domain',
+      coverage: { withAppAdsTxt: 2, withoutAppAdsTxt: 0, complete: true }
+    });
+  });
+  
+  test('does not link apps through a platform domain', () => {
+    const report = linkAppFamilies([
+      app('com.first.game', 'googleplay', 'github.io', { developerUrlClass: 'hosting' }),
+      app('com.second.game', 'googleplay', 'github.io', { developerUrlClass: 'hosting' }),
+      app('com.first.puzzle', 'googleplay', 'facebook.com', {
+        developerUrlClass: 'social',
+        metadata: { title: 'Puzzle', developerName: 'First Studio' }
+      }),
+      app('com.second.puzzle', 'googleplay', 'facebook.com', {
+        developerUrlClass: 'social',
+        metadata: { title: 'Puzzle', developerName: 'Second Studio' }
+      })
+    ]);
+    
+    expect(report.families).toEqual([]);
+  });
+  
+  test('still links platform-hosted apps by developer name', () => {
+    const report = linkAppFamilies([
+      app('com.first.puzzle', 'googleplay', 'facebook.com', {
+        developerUrlClass: 'social',
+        metadata: { title: 'Puzzle', developerName: 'First Studio' }
+      }),
+      app('1234567890', 'appstore', 'facebook.com', {
+        developerUrlClass: 'social',
+        metadata: { title: 'Puzzle', developerName: 'First Studio LLC' }
+      })
+    ]);
+    
+    expect(familyBundleIds(report)).toEqual([['com.first.puzzle', '1234567890']]);
+  });
+  
+  test('ignores failed extractions and orders families by store count', () => {
+    const report = linkAppFamilies([
+      app('com.example.one', 'googleplay', 'example.com'),
+      app('com.example.two', 'googleplay', 'example.com'),
+      { success: false, bundleId: 'com.other.missing', domain: 'other.com' },
+      app('com.other.one', 'googleplay', 'other.com'),
+      app('1234567890', 'appstore', 'other.com')
+    ]);
+    
+    expect(familyBundleIds(report)).toEqual([
+      ['com.other.one', '1234567890'],
+      ['com.example.one', 'com.example.two']
+    ]);
+    expect(report).toMatchObject({ linkedApps: 4, crossStoreFamilies: 1 });
+  });
+});
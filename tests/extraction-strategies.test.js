@@ -0,0 +1,73 @@
+/**
+ * Extraction strategy validation and compiled extractors
+ */
+
+'use strict';
+
+const { createPage, validateStrategy, compileStrategy } = require('../src/utils/extraction-strategies');
+
+const PAGE_HTML = `
+<html>
+<head>
+  <meta name="appstore:developer_url" content="https://meta.example.com/">
+  <script type="application/ld+json">{"@type":"SoftwareApplication","author":{"url":"https://jsonld.example.com/"}}</script>
+</head>
+<body>
+  <a class="dev" href="https://css.example.com/">Developer</a>
+  <a href="https://regex.example.com/">Visit Website</a>
+  <script>window.state = {"developerUrl":"https:\\/\\/json.example.com\\/"};</script>
+</body>
+</html>`;
+
+describe('validateStrategy', () => {
+  test.each([
+    { type: 'regex', pattern: 'href="([^"]+)"' },
+    { type: 'regex', pattern: '(a)(b)', group: 2 },
+    { type: 'meta', name: 'appstore:developer_url' },
+    { type: 'css', selector: 'a.dev', attribute: 'href' },
+    { type: 'jsonLd', path: 'author.url' },
+    { type: 'jsonField', fields: ['developerUrl'] }
+  ])('accepts %o', strategy => {
+    expect(validateStrategy(strategy)).toEqual([]);
+  });
+
+  test.each([
+    [null, 'must be an object'],
+    [{ type: 'xpath', path: '//a' }, 'unknown type "xpath" (expected one of regex, meta, css, jsonLd, jsonField)'],
+    [{ type: 'meta' }, 'meta strategy requires "name"'],
+    [{ type: 'regex', pattern: '' }, 'regex strategy requires "pattern"'],
+    [{ type: 'regex', pattern: '([a-z' }, 'invalid regex: '],
+    [{ type: 'regex', pattern: 'developer' }, 'regex has no capture group 1'],
+    [{ type: 'regex', pattern: '(a)', group: 2 }, 'regex has no capture group 2'],
+    [{ type: 'css', selector: 'a[href' }, 'invalid CSS selector: '],
+    [{ type: 'jsonField', fields: [] }, 'jsonField strategy requires a non-empty "fields" array']
+  ])('rejects %o', (strategy, expected) => {
+    const errors = validateStrategy(strategy);
+
+    expect(errors).toHaveLength(1);
+    expect(errors[0].startsWith(expected)).toBe(true);
+  });
+});
+
+describe('compileStrategy', () => {
+  const page = createPage(PAGE_HTML);
+
+  test.each([
+    [{ type: 'meta', name: 'appstore:developer_url' }, 'https://meta.example.com/'],
+    [{ type: 'jsonLd', path: 'author.url' }, 'https://jsonld.example.com/'],
+    [{ type: 'css', selector: 'a.dev' }, 'https://css.example.com/'],
+    [{ type: 'regex', pattern: 'href="([^"]+)"[^>]*>Visit Website<' }, 'https://regex.example.com/'],
+    [{ type: 'jsonField', fields: ['sellerUrl', 'developerUrl'] }, 'https://json.example.com/']
+  ])('extracts with %o', (strategy, expected) => {
+    expect(compileStrategy(strategy)(page)).toBe(expected);
+  });
+
+  test('returns undefined when nothing matches', () => {
+    expect(compileStrategy({ type: 'css', selector: 'a.missing' })(page)).toBeUndefined();
+    expect(compileStrategy({ type: 'regex', pattern: 'seller="([^"]+)"' })(page)).toBeUndefined();
+  });
+
+  test('throws for unknown strategy types', () => {
+    expect(() => compileStrategy({ type: 'xpath' })).toThrow('Unknown extraction strategy type: xpath');
+  });
+});
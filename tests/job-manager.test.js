@@ -0,0 +1,137 @@
+/**
+ * Background job cancellation and failed row retries
+ * The cache keeps serialized copies, like the Redis and file backends
+ */
+
+'use strict';
+
+jest.mock('../src/services/cache', () => {
+  const entries = new Map();
+  return {
+    entries,
+    get: jest.fn(async key => (entries.has(key) ? JSON.parse(entries.get(key)) : null)),
+    set: jest.fn(async (key, value) => {
+      entries.set(key, JSON.stringify(value));
+      return true;
+    })
+  };
+});
+
+jest.mock('../src/services/memory-manager', () => ({
+  checkMemoryUsage: jest.fn()
+}));
+
+jest.mock('../src/core/store-extractor', () => ({
+  getDeveloperInfo: jest.fn(async bundleId => ({ bundleId, success: true, storeType: 'googleplay' }))
+}));
+
+const cache = require('../src/services/cache');
+const { getDeveloperInfo } = require('../src/core/store-extractor');
+const { keys } = require('../src/config/cache');
+const jobManager = require('../src/services/job-manager');
+const { JOB_STATUS } = require('../src/services/job-manager');
+
+/**
+ * Wait until the job manager has no job in progress
+ */
+async function waitForIdle() {
+  while (jobManager.active.size > 0 || jobManager.queue.length > 0) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+}
+
+beforeEach(() => {
+  cache.entries.clear();
+  jest.clearAllMocks();
+});
+
+describe('cancelJob', () => {
+  test('does not resurrect a job cancelled while its state is loading', async () => {
+    const job = await jobManager.createJob(['com.example.one', 'com.example.two']);
+    
+    // The job holds a slot but has not loaded its state yet
+    expect(jobManager.active.get(job.id)).toBeNull();
+    
+    const cancelled = await jobManager.cancelJob(job.id);
+    expect(cancelled.status).toBe(JOB_STATUS.CANCELLED);
+    
+    await waitForIdle();
+    
+    const saved = await cache.get(keys.job(job.id));
+    expect(saved).toMatchObject({ status: JOB_STATUS.CANCELLED, processed: 0 });
+    expect(getDeveloperInfo).not.toHaveBeenCalled();
+    expect(jobManager.unfinished.has(job.id)).toBe(false);
+  });
+  
+  test('completes a job that is not cancelled', async () => {
+    const job = await jobManager.createJob(['com.example.one', 'com.example.two']);
+    
+    await waitForIdle();
+    
+    expect(await cache.get(keys.job(job.id))).toMatchObject({
+      status: JOB_STATUS.COMPLETED,
+      processed: 2,
+      successCount: 2
+    });
+    expect(getDeveloperInfo).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('retryFailed', () => {
+  const fail = async bundleId => ({ bundleId, success: false, error: 'Request timed out' });
+  const succeed = async bundleId => ({ bundleId, success: true, storeType: 'googleplay' });
+  
+  afterEach(() => {
+    getDeveloperInfo.mockImplementation(succeed);
+    cache.set.mockImplementation(async (key, value) => {
+      cache.entries.set(key, JSON.stringify(value));
+      return true;
+    });
+    jobManager.stopping = false;
+  });
+  
+  test('does not count a batch twice when restarted between the chunk and state saves', async () => {
+    getDeveloperInfo.mockImplementation(fail);
+    const job = await jobManager.createJob(['com.example.one', 'com.example.two']);
+    await waitForIdle();
+    expect(await cache.get(keys.job(job.id))).toMatchObject({ errorCount: 2, successCount: 0 });
+    
+    // The server stops after saving the retried rows but before saving the job state
+    const save = cache.set.getMockImplementation();
+    let stopped = false;
+    cache.set.mockImplementation(async (key, value) => {
+      if (key === keys.job(job.id) && value.retry?.processed > 0) {
+        stopped = true;
+        jobManager.stop();
+      }
+      return stopped ? true : save(key, value);
+    });
+    
+    getDeveloperInfo.mockImplementation(succeed);
+    await jobManager.retryFailed(job.id);
+    await waitForIdle();
+    expect(stopped).toBe(true);
+    expect(getDeveloperInfo).toHaveBeenCalledTimes(4);
+    
+    // Restart
+    cache.set.mockImplementation(save);
+    jobManager.stopping = false;
+    jobManager.unfinished.clear();
+    expect(await jobManager.resumeJobs()).toBe(1);
+    await waitForIdle();
+    
+    expect(await cache.get(keys.job(job.id))).toMatchObject({
+      status: JOB_STATUS.COMPLETED,
+      successCount: 2,
+      errorCount: 0,
+      retry: { round: 1, total: 2, processed: 2, recovered: 2 }
+    });
+    expect(getDeveloperInfo).toHaveBeenCalledTimes(4);
+    
+    const { results } = await jobManager.getResults(job.id, 1, 10);
+    expect(results).toEqual([
+      expect.objectContaining({ success: true, attempts: 2, retryRound: 1 }),
+      expect.objectContaining({ success: true, attempts: 2, retryRound: 1 })
+    ]);
+  });
+});
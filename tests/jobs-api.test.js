@@ -0,0 +1,63 @@
+/**
+ * Background job creation request validation
+ */
+
+'use strict';
+
+jest.mock('../src/services/job-manager', () => ({
+  createJob: jest.fn(async (bundleIds, options) => ({ id: 'job-1', total: bundleIds.length, options }))
+}));
+
+const express = require('express');
+const request = require('supertest');
+const jobManager = require('../src/services/job-manager');
+const jobsRoutes = require('../src/routes/jobs-api');
+const { errorHandler } = require('../src/middleware/error-handler');
+
+const app = express();
+app.use(express.json());
+app.use('/api/jobs', jobsRoutes);
+app.use(errorHandler);
+
+/**
+ * Create a job for one bundle ID
+ * @param {*} structuredParams - Advanced search parameters to send
+ * @returns {Promise<object>} - supertest response
+ */
+function createJob(structuredParams) {
+  return request(app)
+    .post('/api/jobs')
+    .send({ bundleIds: ['com.example.one'], structuredParams });
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('POST /api/jobs structuredParams', () => {
+  test('stores only the structured query fields', async () => {
+    const response = await createJob([{ domain: ' google.com ', publisherId: 'pub-1', script: 'x' }, { tagId: '' }]);
+    
+    expect(response.status).toBe(202);
+    expect(jobManager.createJob.mock.calls[0][1].structuredParams).toEqual([{ domain: 'google.com', publisherId: 'pub-1' }]);
+  });
+  
+  test('keeps a single query as an object', async () => {
+    await createJob({ relationship: 'DIRECT' });
+    
+    expect(jobManager.createJob.mock.calls[0][1].structuredParams).toEqual({ relationship: 'DIRECT' });
+  });
+  
+  test.each([
+    ['a string', 'google.com'],
+    ['a list of strings', ['google.com']],
+    ['a non-string field', { domain: { $gt: '' } }],
+    ['an oversized field', { domain: 'a'.repeat(257) }],
+    ['too many queries', Array.from({ length: 21 }, () => ({ domain: 'google.com' }))]
+  ])('rejects %s', async (_, structuredParams) => {
+    const response = await createJob(structuredParams);
+    
+    expect(response.status).toBe(400);
+    expect(jobManager.createJob).not.toHaveBeenCalled();
+  });
+});
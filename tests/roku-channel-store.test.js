@@ -0,0 +1,185 @@
+/**
+ * Numeric Roku channel ID resolution and Roku developer URL extraction
+ * Store pages come from saved channel store fixtures; no network requests are made
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+jest.mock('../src/utils/http', () => ({
+  fetchHtml: jest.fn(),
+  fetchText: jest.fn(),
+  fetchUrl: jest.fn()
+}));
+
+jest.mock('../src/services/cache', () => ({
+  get: jest.fn(async () => null),
+  set: jest.fn(async () => true)
+}));
+
+jest.mock('../src/services/rate-limiter', () => ({
+  limit: jest.fn(async () => undefined),
+  reportSuccess: jest.fn(),
+  reportError: jest.fn()
+}));
+
+jest.mock('../src/core/app-ads-checker', () => ({
+  checkAppAdsTxt: jest.fn(async domain => ({
+    exists: true,
+    url: `https://${domain}/app-ads.txt`,
+    content: 'google.com, pub-1234567890, DIRECT, f08c47fec0942fa0\n',
+    contentComplete: true
+  }))
+}));
+
+const { fetchHtml } = require('../src/utils/http');
+const { checkAppAdsTxt } = require('../src/core/app-ads-checker');
+const { resolveStoreInput, stores } = require('../src/config/stores');
+const { createPage } = require('../src/utils/extraction-strategies');
+const { getDeveloperInfo } = require('../src/core/store-extractor');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'roku');
+
+/**
+ * Read a saved channel store page
+ * @param {string} name - Fixture file name
+ * @returns {string} - Page HTML
+ */
+function readFixture(name) {
+  return fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8');
+}
+
+/**
+ * Run the Roku extraction strategies in order, as findDeveloperUrl does for markup
+ * @param {string} html - Page HTML
+ * @returns {object|null} - { developerUrl, index } of the first strategy that matched
+ */
+function extractRokuDeveloperUrl(html) {
+  const page = createPage(html);
+
+  for (let index = 0; index < stores.roku.extractors.length; index++) {
+    const developerUrl = stores.roku.extractors[index](page);
+    if (developerUrl) {
+      return { developerUrl, index };
+    }
+  }
+
+  return null;
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('numeric Roku channel ID resolution', () => {
+  test.each(['12345', '151908', '2285'])('detects %s as a Roku channel', id => {
+    expect(resolveStoreInput(id)).toEqual({
+      id,
+      storeType: 'roku',
+      detection: { method: 'format', reason: 'Numeric Roku channel ID format (4-6 digits)' }
+    });
+  });
+
+  test('accepts an explicit roku: prefix', () => {
+    expect(resolveStoreInput('roku:151908')).toMatchObject({
+      id: '151908',
+      storeType: 'roku',
+      detection: { method: 'prefix' }
+    });
+  });
+
+  test('maps a channel store URL to its numeric ID', () => {
+    expect(resolveStoreInput('https://channelstore.roku.com/details/151908/example-movies')).toMatchObject({
+      id: '151908',
+      storeType: 'roku',
+      detection: { method: 'url' }
+    });
+  });
+
+  test('fetches the channel store details page and checks the developer app-ads.txt', async () => {
+    fetchHtml.mockResolvedValue(readFixture('channel-website-link.html'));
+
+    const result = await getDeveloperInfo('151908');
+
+    expect(fetchHtml).toHaveBeenCalledWith('https://channelstore.roku.com/details/151908');
+    expect(result).toMatchObject({
+      bundleId: '151908',
+      success: true,
+      storeType: 'roku',
+      developerUrl: 'https://www.examplestudios.tv/',
+      domain: 'examplestudios.tv',
+      extraction: { layer: 'markup', strategy: 'regex', source: 'extraction[2]' },
+      appAdsTxt: { exists: true, url: 'https://examplestudios.tv/app-ads.txt' }
+    });
+    expect(checkAppAdsTxt).toHaveBeenCalledWith('examplestudios.tv', null, expect.objectContaining({ developerUrl: 'https://www.examplestudios.tv/' }));
+  });
+
+  test('reports a channel that is not in the channel store', async () => {
+    fetchHtml.mockRejectedValue(Object.assign(new Error('Request failed with status code 404'), {
+      status: 404,
+      response: { status: 404, statusText: 'Not Found' }
+    }));
+
+    const result = await getDeveloperInfo('99999');
+
+    expect(result).toMatchObject({
+      bundleId: '99999',
+      success: false,
+      storeType: 'roku',
+      error: 'HTTP 404: Not Found'
+    });
+    expect(checkAppAdsTxt).not.toHaveBeenCalled();
+  });
+
+  test('reports a channel page without a developer link', async () => {
+    fetchHtml.mockResolvedValue(readFixture('channel-no-developer.html'));
+
+    const result = await getDeveloperInfo('54321');
+
+    expect(result).toMatchObject({
+      bundleId: '54321',
+      success: false,
+      storeType: 'roku',
+      error: 'Could not find developer URL for 54321 in roku'
+    });
+    expect(checkAppAdsTxt).not.toHaveBeenCalled();
+  });
+});
+
+describe('Roku developer URL extraction strategies', () => {
+  test('reads the appstore:developer_url meta tag', () => {
+    expect(extractRokuDeveloperUrl(readFixture('channel-meta-tag.html'))).toEqual({
+      developerUrl: 'https://news.example.com/',
+      index: 0
+    });
+  });
+
+  test('reads the developer URL from embedded channel JSON', () => {
+    expect(extractRokuDeveloperUrl(readFixture('channel-embedded-json.html'))).toEqual({
+      developerUrl: 'https://fitness.example.org/',
+      index: 1
+    });
+  });
+
+  test('prefers the website link over the "More by" developer page link', () => {
+    expect(extractRokuDeveloperUrl(readFixture('channel-website-link.html'))).toEqual({
+      developerUrl: 'https://www.examplestudios.tv/',
+      index: 2
+    });
+  });
+
+  test('falls back to the channel store developer page link', () => {
+    const html = readFixture('channel-website-link.html').replace(/<a class="website-link"[^>]*>Visit Website<\/a>/, '');
+
+    expect(extractRokuDeveloperUrl(html)).toEqual({
+      developerUrl: 'https://channelstore.roku.com/browse/developer/example-studios',
+      index: 3
+    });
+  });
+
+  test.each(['channel-no-developer.html', 'channel-not-found.html'])('finds nothing on %s', fixture => {
+    expect(extractRokuDeveloperUrl(readFixture(fixture))).toBeNull();
+  });
+});
@@ -0,0 +1,197 @@
+/**
+ * Supply chain validation against app-ads.txt and sellers.json
+ */
+
+'use strict';
+
+jest.mock('../src/core/store-extractor', () => ({
+  getDeveloperInfo: jest.fn()
+}));
+
+jest.mock('../src/core/sellers-json-checker', () => ({
+  getSellersJson: jest.fn()
+}));
+
+const { getDeveloperInfo } = require('../src/core/store-extractor');
+const { getSellersJson } = require('../src/core/sellers-json-checker');
+const { validateSupplyChain } = require('../src/utils/validation');
+const { HOP_STATUS, CHAIN_STATUS, validateSupplyChainForApp } = require('../src/core/schain-validator');
+
+const APP_ADS_TXT = [
+  'exchange.com, pub-1, RESELLER',
+  'exchange.com, pub-1, DIRECT',
+  'ssp.com, 100, DIRECT'
+].join('\n');
+
+// Indexed sellers.json results by ad system domain
+const SELLERS = {
+  'reseller.com': {
+    exists: true,
+    url: 'https://reseller.com/sellers.json',
+    sellers: {
+      'r-1': { type: 'INTERMEDIARY', confidential: false, domain: 'reseller.com', name: 'Reseller' },
+      'r-2': { type: 'PUBLISHER', confidential: false, domain: 'publisher.com', name: 'Publisher' },
+      'r-3': { type: 'INTERMEDIARY', confidential: true, domain: null, name: null }
+    }
+  }
+};
+
+/**
+ * Create developer info for an app with the given app-ads.txt
+ * @param {object} appAdsTxt - app-ads.txt result
+ * @returns {object} - Developer info
+ */
+function developerInfo(appAdsTxt) {
+  return { success: true, storeType: 'googleplay', domain: 'developer.com', appAdsTxt };
+}
+
+/**
+ * Normalize a supply chain from its nodes
+ * @param {object[]} nodes - Supply chain nodes
+ * @param {number} [complete=1] - Declared completeness
+ * @returns {object} - Normalized supply chain
+ */
+function schain(nodes, complete = 1) {
+  return validateSupplyChain({ ver: '1.0', complete, nodes });
+}
+
+/**
+ * Get the issue codes of each hop
+ * @param {object} report - Supply chain report
+ * @returns {string[][]} - Issue codes per hop
+ */
+function issueCodes(report) {
+  return report.hops.map(hop => hop.issues.map(issue => issue.code));
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  getDeveloperInfo.mockResolvedValue(developerInfo({
+    exists: true,
+    url: 'https://developer.com/app-ads.txt',
+    content: APP_ADS_TXT
+  }));
+  getSellersJson.mockImplementation(async domain => SELLERS[domain] || {
+    exists: false,
+    url: `https://${domain}/sellers.json`,
+    error: 'HTTP 404'
+  });
+});
+
+describe('validateSupplyChainForApp', () => {
+  test('reports a complete chain when every hop is authorized', async () => {
+    const report = await validateSupplyChainForApp('com.example.app', schain([
+      { asi: 'Exchange.com', sid: 'pub-1', hp: 1 },
+      { asi: 'reseller.com', sid: 'R-1', hp: 1 }
+    ]));
+    
+    expect(report).toMatchObject({
+      bundleId: 'com.example.app',
+      storeType: 'googleplay',
+      developerDomain: 'developer.com',
+      declaredComplete: true,
+      ver: '1.0',
+      status: CHAIN_STATUS.COMPLETE
+    });
+    expect(report.hops[0]).toMatchObject({
+      index: 0,
+      checkedAgainst: 'app-ads.txt',
+      status: HOP_STATUS.VALID,
+      match: { lineNumber: 2, relationship: 'direct' }
+    });
+    expect(report.hops[1]).toMatchObject({
+      index: 1,
+      checkedAgainst: 'sellers.json',
+      status: HOP_STATUS.VALID,
+      seller: { type: 'INTERMEDIARY', name: 'Reseller' }
+    });
+  });
+  
+  test('reports a chain that is not declared complete as incomplete', async () => {
+    const report = await validateSupplyChainForApp('com.example.app', schain([
+      { asi: 'ssp.com', sid: '100', hp: 1 }
+    ], 0));
+    
+    expect(report.hops[0].status).toBe(HOP_STATUS.VALID);
+    expect(report.status).toBe(CHAIN_STATUS.INCOMPLETE);
+  });
+  
+  test('reports each hop issue code', async () => {
+    const report = await validateSupplyChainForApp('com.example.app', schain([
+      { asi: 'exchange.com', sid: 'pub-9', hp: 1 },
+      { asi: 'reseller.com', sid: 'r-2', hp: 0 },
+      { asi: 'reseller.com', sid: 'r-3', hp: 1 },
+      { asi: 'reseller.com', sid: 'r-9', hp: 1 },
+      { asi: 'unknown.com', sid: 'u-1', hp: 1 }
+    ]));
+    
+    expect(issueCodes(report)).toEqual([
+      ['not-in-app-ads-txt'],
+      ['publisher-downstream', 'not-payee'],
+      ['confidential-seller'],
+      ['unknown-seller'],
+      ['sellers-json-unavailable']
+    ]);
+    expect(report.hops.map(hop => hop.status)).toEqual([
+      HOP_STATUS.INVALID,
+      HOP_STATUS.VALID,
+      HOP_STATUS.VALID,
+      HOP_STATUS.INVALID,
+      HOP_STATUS.UNVERIFIED
+    ]);
+    expect(report.hops[4].issues[0].error).toBe('HTTP 404');
+    expect(report.status).toBe(CHAIN_STATUS.INVALID);
+  });
+  
+  test('fetches sellers.json for later hops only', async () => {
+    await validateSupplyChainForApp('com.example.app', schain([
+      { asi: 'exchange.com', sid: 'pub-1', hp: 1 },
+      { asi: 'reseller.com', sid: 'r-1', hp: 1 }
+    ]));
+    
+    expect(getSellersJson).toHaveBeenCalledTimes(1);
+    expect(getSellersJson).toHaveBeenCalledWith('reseller.com');
+  });
+  
+  test('rejects the first hop of an app without app-ads.txt', async () => {
+    getDeveloperInfo.mockResolvedValue(developerInfo({ exists: false }));
+    
+    const report = await validateSupplyChainForApp('com.example.app', schain([
+      { asi: 'exchange.com', sid: 'pub-1', hp: 1 }
+    ]));
+    
+    expect(issueCodes(report)).toEqual([['no-app-ads-txt']]);
+    expect(report.status).toBe(CHAIN_STATUS.INVALID);
+  });
+  
+  test.each([
+    ['streamed', { processingMethod: 'stream' }],
+    ['truncated', { content: `${APP_ADS_TXT}\n... (truncated, file too large)` }]
+  ])('leaves the first hop unverified when a %s file does not list the seller', async (_, appAdsTxt) => {
+    getDeveloperInfo.mockResolvedValue(developerInfo({
+      exists: true,
+      url: 'https://developer.com/app-ads.txt',
+      content: APP_ADS_TXT,
+      ...appAdsTxt
+    }));
+    
+    const report = await validateSupplyChainForApp('com.example.app', schain([
+      { asi: 'exchange.com', sid: 'pub-9', hp: 1 }
+    ]));
+    
+    expect(issueCodes(report)).toEqual([['app-ads-txt-partial']]);
+    expect(report.hops[0].status).toBe(HOP_STATUS.UNVERIFIED);
+    expect(report.status).toBe(CHAIN_STATUS.INCOMPLETE);
+  });
+  
+  test('leaves the first hop unverified when the store lookup fails', async () => {
+    getDeveloperInfo.mockResolvedValue({ success: false, error: 'App not found' });
+    
+    const report = await validateSupplyChainForApp('com.example.app', schain([
+      { asi: 'exchange.com', sid: 'pub-1', hp: 1 }
+    ]));
+    
+    expect(report).toMatchObject({ storeType: null, developerDomain: null, storeError: 'App not found', status: CHAIN_STATUS.INCOMPLETE });
+    expect(report.hops[0]).toMatchObject({ status: HOP_STATUS.UNVERIFIED, error: 'App not found', issues: [] });
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * Cross-verification of app-ads.txt records against sellers.json
+ */
+
+'use strict';
+
+jest.mock('../src/utils/http', () => ({
+  fetchText: jest.fn()
+}));
+
+jest.mock('../src/services/cache', () => ({
+  get: jest.fn(async () => null),
+  set: jest.fn(async () => true)
+}));
+
+jest.mock('../src/services/rate-limiter', () => ({
+  limit: jest.fn(async () => {}),
+  reportSuccess: jest.fn(),
+  reportError: jest.fn()
+}));
+
+const { fetchText } = require('../src/utils/http');
+const rateLimiter = require('../src/services/rate-limiter');
+const { parseAppAdsLine } = require('../src/utils/app-ads-parser');
+const { verifyAppAdsRecords, verifyAppAdsTxtResult } = require('../src/core/sellers-json-checker');
+
+// sellers.json documents by ad system domain
+const SELLERS_FILES = {
+  'exchange.com': {
+    sellers: [
+      { seller_id: 'pub-1', seller_type: 'PUBLISHER', domain: 'developer.com', name: 'Developer' },
+      { seller_id: 'PUB-2', seller_type: 'INTERMEDIARY', domain: 'reseller.com', name: 'Reseller' },
+      { seller_id: 'pub-3', seller_type: 'PUBLISHER', domain: 'other.com', name: 'Other' },
+      { seller_id: 'pub-4', seller_type: 'PUBLISHER', is_confidential: 1 }
+    ]
+  }
+};
+
+/**
+ * Parse app-ads.txt lines into numbered records
+ * @param {string[]} lines - app-ads.txt lines
+ * @returns {object[]} - Records with lineNumber
+ */
+function records(lines) {
+  return lines.map((line, index) => ({ ...parseAppAdsLine(line), lineNumber: index + 1 }));
+}
+
+/**
+ * Create the error fetchText throws for an HTTP error response
+ * @param {number} status - Response status
+ * @returns {Error} - Error with status
+ */
+function httpError(status) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.status = status;
+  return error;
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  fetchText.mockImplementation(async url => {
+    const domain = new URL(url).hostname;
+    if (!SELLERS_FILES[domain]) {
+      throw httpError(404);
+    }
+    return JSON.stringify(SELLERS_FILES[domain]);
+  });
+});
+
+describe('verifyAppAdsRecords', () => {
+  test('verifies listed sellers and reports each issue code', async () => {
+    const report = await verifyAppAdsRecords(records([
+      'exchange.com, pub-1, DIRECT',
+      'exchange.com, pub-2, DIRECT',
+      'exchange.com, pub-3, DIRECT',
+      'exchange.com, pub-3, RESELLER',
+      'exchange.com, pub-4, DIRECT',
+      'exchange.com, pub-9, RESELLER',
+      'missing.com, pub-1, DIRECT'
+    ]), 'www.developer.com');
+    
+    expect(report).toMatchObject({
+      developerDomain: 'developer.com',
+      totalRecords: 7,
+      checkedRecords: 6,
+      verifiedRecords: 2,
+      counts: {
+        'unknown-seller': 1,
+        'direct-intermediary': 1,
+        'confidential-seller': 1,
+        'domain-mismatch': 2,
+        'sellers-json-unavailable': 1
+      }
+    });
+    expect(report.issues.map(issue => [issue.lineNumber, issue.code])).toEqual([
+      [2, 'direct-intermediary'],
+      [2, 'domain-mismatch'],
+      [3, 'domain-mismatch'],
+      [5, 'confidential-seller'],
+      [6, 'unknown-seller'],
+      [7, 'sellers-json-unavailable']
+    ]);
+    expect(report.issues[0]).toMatchObject({ sellerType: 'INTERMEDIARY', sellerDomain: 'reseller.com', sellerName: 'Reseller' });
+    expect(report.adSystems['missing.com']).toMatchObject({ exists: false, records: 1, error: 'HTTP 404' });
+    expect(report.adSystems['exchange.com']).toMatchObject({ exists: true, sellerCount: 4, records: 6 });
+  });
+  
+  test('fetches each sellers.json once', async () => {
+    await verifyAppAdsRecords(records([
+      'exchange.com, pub-1, DIRECT',
+      'exchange.com, pub-3, RESELLER'
+    ]), 'developer.com');
+    
+    expect(fetchText).toHaveBeenCalledTimes(1);
+    expect(fetchText.mock.calls[0][0]).toBe('https://exchange.com/sellers.json');
+  });
+  
+  test('reports invalid JSON as unavailable', async () => {
+    fetchText.mockImplementation(async () => '<html>Not found</html>');
+    
+    const report = await verifyAppAdsRecords(records(['exchange.com, pub-1, DIRECT']), 'developer.com');
+    
+    expect(report.adSystems['exchange.com'].error).toBe('sellers.json is not valid JSON');
+    expect(report.counts['sellers-json-unavailable']).toBe(1);
+  });
+  
+  test('reports rate limiting to the rate limiter', async () => {
+    fetchText.mockImplementation(async () => {
+      throw httpError(429);
+    });
+    
+    await verifyAppAdsRecords(records(['exchange.com, pub-1, DIRECT']), 'developer.com');
+    
+    expect(rateLimiter.reportError).toHaveBeenCalledWith('sellers-json', 429);
+  });
+});
+
+describe('verifyAppAdsTxtResult', () => {
+  test('marks reports of sampled files as partial', async () => {
+    const report = await verifyAppAdsTxtResult({
+      content: 'exchange.com, pub-1, DIRECT',
+      processingMethod: 'stream',
+      analyzed: { validLines: 5000 }
+    }, 'developer.com');
+    
+    expect(report).toMatchObject({ partial: true, fileRecords: 5000, verifiedRecords: 1 });
+  });
+});
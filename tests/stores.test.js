@@ -0,0 +1,256 @@
+/**
+ * Store ID detection and store definition handling
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  stores,
+  resolveStoreInput,
+  detectStoreType,
+  detectStoreTypeWithReason,
+  validateStoreDefinitions,
+  reloadStores,
+  getStoreDefinitionsInfo
+} = require('../src/config/stores');
+
+/**
+ * Build a minimal valid store definition
+ * @param {object} [overrides] - Fields to replace
+ * @returns {object} - Store definition
+ */
+function storeDefinition(overrides = {}) {
+  return {
+    name: 'Test Store',
+    prefixes: ['test'],
+    detection: [{ pattern: '^T\\d+$', priority: 10, reason: 'Test ID format' }],
+    urlTemplate: 'https://store.example.com/apps/{id}',
+    extraction: [{ type: 'meta', name: 'appstore:developer_url' }],
+    rateLimit: { requests: 5, windowMs: 1000 },
+    ...overrides
+  };
+}
+
+/**
+ * Write store definitions to a temporary file
+ * @param {object|string} definitions - Definitions, or raw file contents
+ * @returns {string} - File path
+ */
+function writeDefinitions(definitions) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stores-'));
+  const file = path.join(dir, 'stores.json');
+  fs.writeFileSync(file, typeof definitions === 'string' ? definitions : JSON.stringify(definitions));
+  return file;
+}
+
+describe('LG and Vizio detection', () => {
+  test.each(['1234567', '7654321'])('leaves the 7-digit ID %s to Roku', id => {
+    expect(detectStoreType(id)).toBe('roku');
+  });
+
+  test.each(['vizio.pluto', 'vizio.watchfree'])('leaves the package-like ID %s to Google Play', id => {
+    expect(detectStoreType(id)).toBe('googleplay');
+  });
+
+  test.each([
+    ['lg:1234567', '1234567'],
+    ['webos:1234567', '1234567'],
+    ['https://us.lgappstv.com/main/tvapp/detail?appId=1234567', '1234567']
+  ])('recognizes %s as an LG Content Store app', (input, id) => {
+    expect(resolveStoreInput(input)).toMatchObject({ id, storeType: 'lg' });
+  });
+
+  test.each([
+    'vizio:pluto',
+    'smartcast:vizio.pluto',
+    'https://www.vizio.com/en/smart-tv-apps/pluto',
+    'https://www.vizio.com/en/smart-tv-apps/Pluto/'
+  ])('recognizes %s as the Vizio app pluto', input => {
+    expect(resolveStoreInput(input)).toMatchObject({ id: 'pluto', storeType: 'vizio' });
+  });
+});
+
+describe('resolveStoreInput', () => {
+  test.each([
+    ['com.fugo.wow', 'googleplay'],
+    ['id389801252', 'appstore'],
+    ['389801252', 'appstore'],
+    ['B019DCHDZK', 'amazon'],
+    ['G19068012619', 'samsung'],
+    ['C100649563', 'huawei'],
+    ['9NBLGGH4NNS1', 'microsoft']
+  ])('detects %s as %s by format', (input, storeType) => {
+    expect(resolveStoreInput(input)).toMatchObject({ id: input, storeType, detection: { method: 'format' } });
+  });
+
+  test('trims surrounding whitespace', () => {
+    expect(resolveStoreInput('  com.fugo.wow \n')).toMatchObject({ id: 'com.fugo.wow', storeType: 'googleplay' });
+  });
+
+  test.each([
+    ['https://play.google.com/store/apps/details?id=com.fugo.wow&hl=en', 'googleplay', 'com.fugo.wow'],
+    ['https://apps.apple.com/us/app/word-of-wonders/id389801252', 'appstore', '389801252'],
+    ['https://www.amazon.com/Word-Wonders/dp/B019DCHDZK/ref=sr_1_1', 'amazon', 'B019DCHDZK']
+  ])('maps the store URL %s', (input, storeType, id) => {
+    expect(resolveStoreInput(input)).toEqual({
+      id,
+      storeType,
+      detection: { method: 'url', reason: `${stores[storeType].name} URL` }
+    });
+  });
+
+  test('rejects URLs that are not store pages', () => {
+    expect(resolveStoreInput('https://example.com/app/123')).toEqual({
+      id: null,
+      storeType: 'unknown',
+      detection: { method: 'url', reason: 'Unrecognized app store URL' }
+    });
+  });
+
+  test('lets a prefix override format detection', () => {
+    expect(resolveStoreInput('iOS:com.example.app')).toEqual({
+      id: 'com.example.app',
+      storeType: 'appstore',
+      detection: { method: 'prefix', reason: 'Explicit "ios:" prefix' }
+    });
+  });
+
+  test('treats unknown prefixes as part of the ID', () => {
+    expect(resolveStoreInput('nope:12345')).toMatchObject({ id: 'nope:12345', detection: { method: 'format' } });
+  });
+
+  test.each(['', '   ', null, undefined, 42])('reports %p as unknown', input => {
+    expect(resolveStoreInput(input).storeType).toBe('unknown');
+  });
+});
+
+describe('detection priority', () => {
+  afterEach(() => {
+    reloadStores();
+  });
+
+  test('prefers the higher priority rule when several formats match', () => {
+    // Both also match the low priority alphanumeric Roku rule
+    expect(detectStoreType('12345678')).toBe('appstore');
+    expect(detectStoreType('B019DCHDZK')).toBe('amazon');
+    expect(detectStoreTypeWithReason('abcd1234').reason).toBe('Alphanumeric ID without dots (assumed Roku)');
+  });
+
+  test('orders rules by priority rather than by definition order', () => {
+    reloadStores(writeDefinitions({
+      low: storeDefinition({ prefixes: ['low'], detection: [{ pattern: '^\\d+$', priority: 1, reason: 'Any number' }] }),
+      high: storeDefinition({ prefixes: ['high'], detection: [{ pattern: '^\\d{3}$', priority: 5, reason: 'Three digits' }] })
+    }));
+
+    expect(detectStoreTypeWithReason('123')).toEqual({ storeType: 'high', reason: 'Three digits' });
+    expect(detectStoreTypeWithReason('1234')).toEqual({ storeType: 'low', reason: 'Any number' });
+    expect(detectStoreType('abc')).toBe('unknown');
+  });
+});
+
+describe('validateStoreDefinitions', () => {
+  test('accepts the bundled definitions', () => {
+    const file = path.join(__dirname, '..', 'src', 'config', 'stores.json');
+    expect(validateStoreDefinitions(JSON.parse(fs.readFileSync(file, 'utf8')))).toEqual([]);
+  });
+
+  test.each([null, [], 'stores'])('rejects %p as the definitions root', definitions => {
+    expect(validateStoreDefinitions(definitions)).toEqual(['Store definitions must be an object keyed by store type']);
+  });
+
+  test('requires at least one store', () => {
+    expect(validateStoreDefinitions({})).toEqual(['At least one store must be defined']);
+  });
+
+  test.each([
+    ['an invalid store type', { Bad_Store: storeDefinition() }, 'stores.Bad_Store: store type must be lowercase letters, digits and dashes'],
+    ['a missing name', { test: storeDefinition({ name: ' ' }) }, 'stores.test.name: must be a non-empty string'],
+    ['a URL template without {id}', { test: storeDefinition({ urlTemplate: 'https://store.example.com/apps' }) }, 'stores.test.urlTemplate: must be an http(s) URL containing {id}'],
+    ['a non-http URL template', { test: storeDefinition({ urlTemplate: 'ftp://store.example.com/{id}' }) }, 'stores.test.urlTemplate: must be an http(s) URL containing {id}'],
+    ['an invalid prefix', { test: storeDefinition({ prefixes: ['Test1'] }) }, 'stores.test.prefixes[0]: must be lowercase letters'],
+    ['a missing detection array', { test: storeDefinition({ detection: undefined }) }, 'stores.test.detection: must be an array'],
+    ['an invalid detection regex', { test: storeDefinition({ detection: [{ pattern: '([a-z', priority: 1, reason: 'Broken' }] }) }, 'stores.test.detection[0]: invalid regex'],
+    ['a detection rule without a priority', { test: storeDefinition({ detection: [{ pattern: '^T$', reason: 'T' }] }) }, 'stores.test.detection[0].priority: must be a number'],
+    ['a detection rule without a reason', { test: storeDefinition({ detection: [{ pattern: '^T$', priority: 1 }] }) }, 'stores.test.detection[0].reason: must be a non-empty string'],
+    ['a URL pattern with both query and path', { test: storeDefinition({ urlPatterns: [{ host: 'example\\.com$', query: 'id', path: '/(\\d+)' }] }) }, 'stores.test.urlPatterns[0]: must set exactly one of "query" or "path"'],
+    ['a URL path without a capture group', { test: storeDefinition({ urlPatterns: [{ host: 'example\\.com$', path: '/\\d+' }] }) }, 'stores.test.urlPatterns[0].path: must capture the ID in group 1'],
+    ['an ID template without {id}', { test: storeDefinition({ urlPatterns: [{ host: 'example\\.com$', query: 'id', idTemplate: 'app' }] }) }, 'stores.test.urlPatterns[0].idTemplate: must contain {id}'],
+    ['a canonical ID rewrite without a replacement', { test: storeDefinition({ canonicalIdRewrites: [{ pattern: '^test\\.' }] }) }, 'stores.test.canonicalIdRewrites[0].replacement: must be a string'],
+    ['an empty extraction list', { test: storeDefinition({ extraction: [] }) }, 'stores.test.extraction: must be a non-empty array of strategies'],
+    ['an unknown strategy type', { test: storeDefinition({ extraction: [{ type: 'xpath', path: '//a' }] }) }, 'stores.test.extraction[0]: unknown type "xpath"'],
+    ['an unknown metadata field', { test: storeDefinition({ metadata: { downloads: [{ type: 'meta', name: 'downloads' }] } }) }, 'stores.test.metadata.downloads: unknown field'],
+    ['a portfolio without app links', { test: storeDefinition({ portfolio: { developerPage: [{ type: 'meta', name: 'dev' }] } }) }, 'stores.test.portfolio.appLinks: must be a non-empty array of patterns'],
+    ['a missing rate limit', { test: storeDefinition({ rateLimit: undefined }) }, 'stores.test.rateLimit: must have positive integer "requests" and "windowMs"'],
+    ['a zero rate limit', { test: storeDefinition({ rateLimit: { requests: 0, windowMs: 1000 } }) }, 'stores.test.rateLimit: must have positive integer "requests" and "windowMs"']
+  ])('rejects %s', (description, definitions, expected) => {
+    const errors = validateStoreDefinitions(definitions);
+
+    expect(errors).toHaveLength(1);
+    expect(errors[0].startsWith(expected)).toBe(true);
+  });
+
+  test('rejects a prefix claimed by two stores', () => {
+    expect(validateStoreDefinitions({
+      first: storeDefinition({ prefixes: ['shared'] }),
+      second: storeDefinition({ prefixes: ['shared'] })
+    })).toEqual(['stores.second.prefixes[0]: "shared" is already used by first']);
+  });
+
+  test('reports every problem at once', () => {
+    expect(validateStoreDefinitions({
+      test: storeDefinition({ name: '', rateLimit: undefined, extraction: [{ type: 'regex', pattern: 'developer' }] })
+    })).toEqual([
+      'stores.test.name: must be a non-empty string',
+      'stores.test.extraction[0]: regex has no capture group 1',
+      'stores.test.rateLimit: must have positive integer "requests" and "windowMs"'
+    ]);
+  });
+});
+
+describe('reloadStores', () => {
+  afterEach(() => {
+    reloadStores();
+  });
+
+  test('replaces the active stores in place', () => {
+    const file = writeDefinitions({ test: storeDefinition() });
+
+    expect(reloadStores(file)).toMatchObject({ file, storeTypes: ['test'] });
+    expect(Object.keys(stores)).toEqual(['test']);
+    expect(stores.test.urlTemplate('T1')).toBe('https://store.example.com/apps/T1');
+    expect(resolveStoreInput('test:abc')).toMatchObject({ id: 'abc', storeType: 'test' });
+    expect(resolveStoreInput('ios:389801252').storeType).toBe('unknown');
+  });
+
+  test('keeps the active configuration when the new file is invalid', () => {
+    const before = getStoreDefinitionsInfo();
+    const file = writeDefinitions({ test: storeDefinition({ urlTemplate: 'not a url' }) });
+
+    expect(() => reloadStores(file)).toThrow(`Invalid store definitions in ${file}`);
+    expect(getStoreDefinitionsInfo()).toEqual(before);
+    expect(detectStoreType('com.fugo.wow')).toBe('googleplay');
+  });
+
+  test('keeps the active configuration when the file cannot be parsed', () => {
+    const before = getStoreDefinitionsInfo();
+    const file = writeDefinitions('{ "test": ');
+
+    expect(() => reloadStores(file)).toThrow(`Cannot load store definitions from ${file}`);
+    expect(getStoreDefinitionsInfo()).toEqual(before);
+  });
+
+  test('lists every problem on the thrown error', () => {
+    const file = writeDefinitions({ test: storeDefinition({ name: '', rateLimit: undefined }) });
+
+    expect(() => reloadStores(file)).toThrow(expect.objectContaining({
+      details: [
+        'stores.test.name: must be a non-empty string',
+        'stores.test.rateLimit: must have positive integer "requests" and "windowMs"'
+      ]
+    }));
+  });
+});
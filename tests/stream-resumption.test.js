@@ -0,0 +1,166 @@
+/**
+ * Resuming dropped event streams under their run ID
+ */
+
+'use strict';
+
+jest.mock('../src/core/store-extractor', () => ({
+  getDeveloperInfo: jest.fn(async bundleId => ({ bundleId, success: true, storeType: 'googleplay' })),
+  getAppMetadata: jest.fn()
+}));
+
+jest.mock('../src/core/app-ads-checker', () => ({
+  checkAppAdsTxt: jest.fn()
+}));
+
+jest.mock('../src/services/cache', () => ({
+  get: jest.fn(async () => null),
+  set: jest.fn(async () => true)
+}));
+
+jest.mock('../src/services/memory-manager', () => ({
+  checkMemoryUsage: jest.fn()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const config = require('../src/config');
+const streamRuns = require('../src/services/stream-runs');
+const streamingRoutes = require('../src/routes/streaming-api');
+const { errorHandler } = require('../src/middleware/error-handler');
+
+const BUNDLE_IDS = ['com.example.one', 'com.example.two', 'com.example.three', 'com.example.four'];
+
+/**
+ * Send an event stream extraction request
+ * @param {object} app - Express app
+ * @param {object} [headers] - Extra request headers
+ * @param {string[]} [bundleIds] - Bundle IDs to send
+ * @returns {Promise<object>} - supertest response
+ */
+function extract(app, headers = {}, bundleIds = BUNDLE_IDS) {
+  return request(app)
+    .post('/api/stream/extract-multiple')
+    .set({ Accept: 'text/event-stream', ...headers })
+    .send({ bundleIds });
+}
+
+/**
+ * Register a run whose client lost the connection
+ * @param {number} [resumeCount=0] - Times the run was resumed before
+ * @returns {string} - Run ID
+ */
+function suspendedRunId(resumeCount = 0) {
+  const run = streamRuns.start(BUNDLE_IDS.length, 0, null, resumeCount);
+  streamRuns.suspend(run, BUNDLE_IDS);
+  run.cancel();
+  streamRuns.finish(run);
+  return run.id;
+}
+
+describe('StreamRunRegistry resumption', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+  
+  test('lets a suspended run be claimed once', () => {
+    const runId = suspendedRunId();
+    
+    expect(streamRuns.claimResumption(runId, BUNDLE_IDS)).toBe(1);
+    expect(streamRuns.claimResumption(runId, BUNDLE_IDS)).toBe(0);
+  });
+  
+  test('refuses claims for other bundle IDs', () => {
+    const runId = suspendedRunId();
+    
+    expect(streamRuns.claimResumption(runId, [...BUNDLE_IDS].reverse())).toBe(0);
+    expect(streamRuns.claimResumption(runId, BUNDLE_IDS.slice(1))).toBe(0);
+    expect(streamRuns.claimResumption(runId, BUNDLE_IDS)).toBe(1);
+  });
+  
+  test('counts resumptions and stops suspending at the maximum', () => {
+    expect(streamRuns.claimResumption(suspendedRunId(1), BUNDLE_IDS)).toBe(2);
+    expect(streamRuns.claimResumption(suspendedRunId(config.streams.maxResumes), BUNDLE_IDS)).toBe(0);
+  });
+  
+  test('does not suspend finished runs', () => {
+    const run = streamRuns.start(BUNDLE_IDS.length);
+    streamRuns.finish(run);
+    streamRuns.suspend(run, BUNDLE_IDS);
+    
+    expect(streamRuns.claimResumption(run.id, BUNDLE_IDS)).toBe(0);
+  });
+  
+  test('forgets suspended runs after the resume window', () => {
+    jest.useFakeTimers();
+    const runId = suspendedRunId();
+    
+    jest.advanceTimersByTime(config.streams.resumeWindowMs);
+    
+    expect(streamRuns.claimResumption(runId, BUNDLE_IDS)).toBe(0);
+  });
+  
+  test('keeps a resumed run registered when the lost stream finishes later', () => {
+    const lost = streamRuns.start(BUNDLE_IDS.length);
+    streamRuns.suspend(lost, BUNDLE_IDS);
+    const resumeCount = streamRuns.claimResumption(lost.id, BUNDLE_IDS);
+    
+    const resumed = streamRuns.start(BUNDLE_IDS.length, 2, lost.id, resumeCount);
+    streamRuns.finish(lost);
+    
+    expect(streamRuns.get(lost.id)).toBe(resumed);
+    streamRuns.finish(resumed);
+  });
+});
+
+describe('POST /api/stream/extract-multiple resumption', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/stream', streamingRoutes);
+  app.use(errorHandler);
+  
+  test('continues the run without another rate limit slot', async () => {
+    // Use up the streaming rate limit
+    let response;
+    do {
+      response = await extract(app);
+    } while (response.status === 200);
+    expect(response.status).toBe(429);
+    
+    const runId = suspendedRunId();
+    const resumed = await extract(app, { 'Last-Event-ID': '1', 'X-Stream-Run-Id': runId });
+    
+    expect(resumed.status).toBe(200);
+    expect(resumed.headers['x-stream-run-id']).toBe(runId);
+    expect(resumed.text).toContain('"resumedFrom":2');
+    
+    // The claim is used up
+    const replayed = await extract(app, { 'Last-Event-ID': '1', 'X-Stream-Run-Id': runId });
+    expect(replayed.status).toBe(429);
+  });
+  
+  test('charges a resumption with a different body like a new stream', async () => {
+    const runId = suspendedRunId();
+    const response = await extract(app, { 'Last-Event-ID': '1', 'X-Stream-Run-Id': runId }, ['com.example.other', 'com.example.two']);
+    
+    expect(response.status).toBe(429);
+    
+    // The lost stream's client can still resume
+    const resumed = await extract(app, { 'Last-Event-ID': '1', 'X-Stream-Run-Id': runId });
+    expect(resumed.status).toBe(200);
+  });
+  
+  test('keeps the claim when Last-Event-ID is malformed', async () => {
+    const runId = suspendedRunId();
+    const response = await extract(app, { 'Last-Event-ID': 'abc', 'X-Stream-Run-Id': runId });
+    
+    expect(response.status).toBe(429);
+    expect(streamRuns.claimResumption(runId, BUNDLE_IDS)).toBe(1);
+  });
+  
+  test('charges unknown run IDs like new streams', async () => {
+    const response = await extract(app, { 'Last-Event-ID': '1', 'X-Stream-Run-Id': 'not-a-run' });
+    
+    expect(response.status).toBe(429);
+  });
+});
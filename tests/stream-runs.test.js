@@ -0,0 +1,76 @@
+/**
+ * Stream run pausing and the maximum pause duration
+ */
+
+'use strict';
+
+const config = require('../src/config');
+const streamRuns = require('../src/services/stream-runs');
+const { RUN_STATUS, CANCEL_REASONS } = require('../src/services/stream-runs');
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('maximum pause duration', () => {
+  test('cancels a run paused for too long and frees its registry entry', async () => {
+    const run = streamRuns.start(10);
+    const waiting = run.waitWhilePaused();
+    run.pause();
+    const paused = run.waitWhilePaused();
+    
+    jest.advanceTimersByTime(config.streams.maxPauseMs - 1);
+    expect(run.status).toBe(RUN_STATUS.PAUSED);
+    expect(streamRuns.get(run.id)).toBe(run);
+    
+    jest.advanceTimersByTime(1);
+    await Promise.all([waiting, paused]);
+    
+    expect(run.toJSON()).toMatchObject({
+      status: RUN_STATUS.CANCELLED,
+      cancelReason: CANCEL_REASONS.PAUSE_TIMEOUT,
+      pausedTime: config.streams.maxPauseMs
+    });
+    expect(streamRuns.get(run.id)).toBeNull();
+  });
+  
+  test('restarts the limit on every pause', () => {
+    const run = streamRuns.start(10);
+    
+    run.pause();
+    jest.advanceTimersByTime(config.streams.maxPauseMs - 1);
+    run.resume();
+    run.pause();
+    jest.advanceTimersByTime(config.streams.maxPauseMs - 1);
+    
+    expect(run.status).toBe(RUN_STATUS.PAUSED);
+    streamRuns.finish(run);
+  });
+  
+  test('does not cancel a run resumed in time', () => {
+    const run = streamRuns.start(10);
+    
+    run.pause();
+    run.resume();
+    jest.advanceTimersByTime(config.streams.maxPauseMs);
+    
+    expect(run.status).toBe(RUN_STATUS.RUNNING);
+    expect(streamRuns.get(run.id)).toBe(run);
+    streamRuns.finish(run);
+  });
+  
+  test('reports requested cancellations as requested', () => {
+    const run = streamRuns.start(10);
+    
+    run.pause();
+    run.cancel();
+    jest.advanceTimersByTime(config.streams.maxPauseMs);
+    
+    expect(run.cancelReason).toBe(CANCEL_REASONS.REQUESTED);
+    streamRuns.finish(run);
+  });
+});